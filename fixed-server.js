@@ -2,23 +2,79 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const { neon } = require("@neondatabase/serverless");
-const { drizzle } = require("drizzle-orm/neon-http");
-const {
-  pgTable,
-  text,
-  serial,
-  timestamp,
-  numeric,
-  integer,
-} = require("drizzle-orm/pg-core");
 const { eq, and } = require("drizzle-orm");
-const sgMail = require("@sendgrid/mail");
+const { db, sql } = require("./lib/db");
+const {
+  newsletterSubscriptions,
+  contactSubmissions,
+  dealSourcingWaitlist,
+  inflationCalculations,
+  learningProgress,
+  achievements,
+  quizResults,
+} = require("./lib/schema");
+const { SENDERS, isEmailConfigured, sendEmail } = require("./lib/mailer");
+const { renderTemplate, renderPdf } = require("./lib/templates");
+const { renderInflationChart } = require("./lib/charts");
+const { seedPriceIndices } = require("./lib/price-indices");
+const { InflationInputError, calculateInflation } = require("./lib/inflation");
+const { startEmailRetryWorker } = require("./lib/email-retry-worker");
+const { syncToCrm, startCrmSyncWorker } = require("./lib/crm-sync");
+const { emitWebhookEvent, startWebhookWorker } = require("./lib/webhooks");
+const { routeLead } = require("./lib/lead-routing");
+const { normalizeInvestmentAmount } = require("./lib/investment-amount");
+const { protectForm } = require("./lib/form-protection");
+const { assertMigrated } = require("./lib/migrations");
+const {
+  contactReference,
+  sendAcknowledgement,
+} = require("./lib/contact-threads");
+const { validate, validateParam, positiveId } = require("./lib/validation");
+const { requireUser } = require("./lib/user-auth");
+const { flagStringInput } = require("./lib/learning-input");
+const {
+  findBadge,
+  awardBadges,
+  recordLearningActivity,
+  badgeProgress,
+} = require("./lib/badges");
+const { isNewsletterConfigured, confirmUrl } = require("./lib/newsletter");
+const schemas = require("./lib/request-schemas");
+const authRoutes = require("./routes/auth");
+const newsletterRoutes = require("./routes/newsletter");
+const calculatorRoutes = require("./routes/calculators");
+const adminPendingEmailsRoutes = require("./routes/admin-pending-emails");
+const adminEmailTemplatesRoutes = require("./routes/admin-email-templates");
+const adminLeadsRoutes = require("./routes/admin-leads");
+const adminStaffRoutes = require("./routes/admin-staff");
+const adminExportsRoutes = require("./routes/admin-exports");
+const adminCampaignsRoutes = require("./routes/admin-campaigns");
+const adminCrmSyncsRoutes = require("./routes/admin-crm-syncs");
+const adminWebhooksRoutes = require("./routes/admin-webhooks");
+const adminLeadRoutingRoutes = require("./routes/admin-lead-routing");
+const inboundEmailRoutes = require("./routes/inbound-email");
+const adminFormRejectionsRoutes = require("./routes/admin-form-rejections");
+const dataRequestRoutes = require("./routes/data-requests");
+const adminDataRequestsRoutes = require("./routes/admin-data-requests");
+const leaderboardRoutes = require("./routes/leaderboard");
+const adminLearningAnalyticsRoutes = require("./routes/admin-learning-analytics");
 
 // Environment variables from .env file
 const DATABASE_URL = process.env.DATABASE_URL;
 const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
-const BASEROW_API_TOKEN = process.env.BASEROW_API_TOKEN;
+const EMAIL_RETRY_INTERVAL_MS = parseInt(process.env.EMAIL_RETRY_INTERVAL_MS);
+const CRM_SYNC_RETRY_INTERVAL_MS = parseInt(
+  process.env.CRM_SYNC_RETRY_INTERVAL_MS
+);
+const WEBHOOK_RETRY_INTERVAL_MS = parseInt(
+  process.env.WEBHOOK_RETRY_INTERVAL_MS
+);
+// Proxy hops to trust for the client IP in X-Forwarded-For, which rate
+// limiting keys on: a number, true/false or a list of proxy addresses.
+// Vercel puts the client IP last.
+const TRUST_PROXY = process.env.TRUST_PROXY || (process.env.VERCEL ? "1" : "");
+// Apply pending migrations on boot instead of refusing to start
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START === "true";
 const PORT = process.env.PORT || 8000;
 const NODE_ENV = process.env.NODE_ENV || "development";
 
@@ -28,124 +84,37 @@ console.log(
   "📧 SENDGRID_API_KEY:",
   SENDGRID_API_KEY ? "✅ Configured" : "❌ Missing"
 );
+console.log(
+  "🔐 JWT_SECRET:",
+  process.env.JWT_SECRET ? "✅ Configured" : "❌ Missing"
+);
 console.log("🌍 NODE_ENV:", NODE_ENV);
 console.log("🔗 PORT:", PORT);
 
 const app = express();
 
-// Configure SendGrid
-if (SENDGRID_API_KEY) {
-  sgMail.setApiKey(SENDGRID_API_KEY);
-  console.log("✅ SendGrid configured");
-} else {
-  console.log("⚠️ SendGrid not configured");
-}
-
-// Database setup
-let db = null;
-let sql = null;
-
-try {
-  if (DATABASE_URL) {
-    sql = neon(DATABASE_URL);
-    db = drizzle(sql);
-    console.log("✅ Database connection initialized");
-  } else {
-    console.log("⚠️ No DATABASE_URL found");
-  }
-} catch (error) {
-  console.error("❌ Database initialization failed:", error);
+// Schema check (see lib/migrations.js), started on import: serverless
+// platforms use the exported app and never reach startServer's listen.
+// Requests wait for it and fail while it hasn't passed.
+const schemaReady = db
+  ? assertMigrated({ apply: MIGRATE_ON_START })
+  : Promise.resolve([]);
+schemaReady.catch(() => {});
+
+if (TRUST_PROXY && TRUST_PROXY !== "false") {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY)
+      ? parseInt(TRUST_PROXY)
+      : TRUST_PROXY === "true" || TRUST_PROXY
+  );
 }
 
-// Table schemas
-const newsletterSubscriptions = pgTable("newsletter_subscriptions", {
-  id: serial("id").primaryKey(),
-  email: text("email").notNull().unique(),
-  createdAt: timestamp("created_at").defaultNow().notNull(),
-});
-
-const contactSubmissions = pgTable("contact_submissions", {
-  id: serial("id").primaryKey(),
-  name: text("name").notNull(),
-  email: text("email").notNull(),
-  phone: text("phone"),
-  investmentAmount: text("investment_amount").notNull(),
-  message: text("message").notNull(),
-  createdAt: timestamp("created_at").defaultNow().notNull(),
-});
-
-const dealSourcingWaitlist = pgTable("deal_sourcing_waitlist", {
-  id: serial("id").primaryKey(),
-  name: text("name").notNull(),
-  email: text("email").notNull().unique(),
-  phone: text("phone"),
-  investmentAmount: text("investment_amount").notNull(),
-  experienceLevel: text("experience_level").notNull(),
-  createdAt: timestamp("created_at").defaultNow().notNull(),
-});
-
-const inflationCalculations = pgTable("inflation_calculations", {
-  id: serial("id").primaryKey(),
-  initialAmount: numeric("initial_amount").notNull(),
-  years: integer("years").notNull(),
-  inflationRate: numeric("inflation_rate").notNull(),
-  finalAmount: numeric("final_amount").notNull(),
-  createdAt: timestamp("created_at").defaultNow().notNull(),
-});
-
-// Learning Progress table
-const learningProgress = pgTable("learning_progress", {
-  id: serial("id").primaryKey(),
-  userId: text("user_id").notNull(),
-  moduleId: text("module_id").notNull(),
-  completed: text("completed").default("false").notNull(),
-  score: text("score"),
-  timeSpent: text("time_spent"),
-  createdAt: timestamp("created_at").defaultNow().notNull(),
-  updatedAt: timestamp("updated_at").defaultNow().notNull(),
-});
-
-// Achievements table
-const achievements = pgTable("achievements", {
-  id: serial("id").primaryKey(),
-  userId: text("user_id").notNull(),
-  badgeId: text("badge_id").notNull(),
-  title: text("title").notNull(),
-  description: text("description").notNull(),
-  earnedAt: timestamp("earned_at").defaultNow().notNull(),
-});
-
-// Quiz results table
-const quizResults = pgTable("quiz_results", {
-  id: serial("id").primaryKey(),
-  userId: text("user_id").notNull(),
-  quizId: text("quiz_id").notNull(),
-  score: text("score").notNull(),
-  totalQuestions: text("total_questions").notNull(),
-  answers: text("answers").notNull(), // JSON string of answers
-  completedAt: timestamp("completed_at").defaultNow().notNull(),
-});
-
-// Pending emails table for failed email attempts
-const pendingEmails = pgTable("pending_emails", {
-  id: serial("id").primaryKey(),
-  recipientEmail: text("recipient_email").notNull(),
-  recipientName: text("recipient_name"),
-  subject: text("subject").notNull(),
-  htmlContent: text("html_content").notNull(),
-  emailType: text("email_type").notNull(), // 'inflation_report', 'newsletter', etc.
-  status: text("status").default("pending").notNull(), // 'pending', 'sent', 'failed'
-  errorDetails: text("error_details"),
-  attempts: integer("attempts").default(0),
-  createdAt: timestamp("created_at").defaultNow().notNull(),
-  sentAt: timestamp("sent_at"),
-});
-
 // Middleware - Simplified CORS configuration
 app.use(
   cors({
     origin: "*", // Allow all origins since no credentials are sent
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: [
       "Content-Type",
       "Authorization",
@@ -156,9 +125,47 @@ app.use(
     optionsSuccessStatus: 200,
   })
 );
-app.use(express.json({ limit: "10mb" }));
+
+app.use(async (req, res, next) => {
+  try {
+    await schemaReady;
+  } catch (error) {
+    console.error("❌ Request refused, database not migrated:", error.message);
+    return res.status(503).json({
+      success: false,
+      message: "Database schema is not up to date",
+      error: error.message,
+    });
+  }
+  next();
+});
+// Replies posted by the mail provider can be much larger than form posts
+app.use(
+  "/api/inbound-email",
+  express.json({ limit: "10mb" }),
+  express.urlencoded({ extended: true, limit: "10mb" }),
+  inboundEmailRoutes
+);
+app.use(express.json({ limit: "100kb" }));
 app.use(express.urlencoded({ extended: true }));
 
+// Path params shared by several routes
+app.param("id", validateParam(positiveId()));
+app.param("moduleId", validateParam(schemas.moduleId));
+
+// Honeypot, rate limits and CAPTCHA for the public forms, ahead of their
+// handlers (see lib/form-protection.js)
+app.post("/api/newsletter", protectForm("newsletter"));
+app.post("/api/contact", protectForm("contact"));
+app.post("/api/inflation", protectForm("inflation"));
+app.post("/api/inflation-email", protectForm("inflation-email"));
+app.post("/api/send-deal-lead", protectForm("deal-lead"));
+app.post("/api/calculators/:calculator", protectForm("calculators"));
+app.post("/api/auth/register", protectForm("register"));
+app.post("/api/auth/login", protectForm("login"));
+app.post("/api/auth/magic-link", protectForm("magic-link"));
+app.post("/api/data-requests", protectForm("data-request"));
+
 // ========================================
 // ROOT AND TEST ROUTES
 // ========================================
@@ -171,14 +178,33 @@ app.get("/", (req, res) => {
     timestamp: new Date().toISOString(),
     environment: NODE_ENV,
     database: db ? "Connected" : "Not connected",
-    email: SENDGRID_API_KEY ? "Configured" : "Not configured",
+    email: isEmailConfigured() ? "Configured" : "Not configured",
     endpoints: {
       health: "/health",
       test: "/api/test",
       newsletter: "/api/newsletter",
       contact: "/api/contact",
       inflation: "/api/inflation",
+      inflationReportPdf: "/api/inflation/:id/pdf",
       dealSourcing: "/api/send-deal-lead",
+      inboundEmail: "/api/inbound-email",
+      dataRequests: "/api/data-requests",
+      calculators: "/api/calculators",
+      auth: "/api/auth",
+      learning: "/api/learning",
+      leaderboard: "/api/leaderboard",
+      adminPendingEmails: "/api/admin/pending-emails",
+      adminEmailTemplates: "/api/admin/email-templates",
+      adminLeads: "/api/admin/leads/:collection",
+      adminStaff: "/api/admin/staff",
+      adminExports: "/api/admin/exports",
+      adminCampaigns: "/api/admin/campaigns",
+      adminCrmSyncs: "/api/admin/crm-syncs",
+      adminWebhooks: "/api/admin/webhooks",
+      adminLeadRouting: "/api/admin/lead-routing",
+      adminFormRejections: "/api/admin/form-rejections",
+      adminDataRequests: "/api/admin/data-requests",
+      adminLearningAnalytics: "/api/admin/learning-analytics",
     },
   });
 });
@@ -191,111 +217,10 @@ app.get("/health", (req, res) => {
     timestamp: new Date().toISOString(),
     environment: NODE_ENV,
     database: db ? "Connected" : "Not connected",
-    email: SENDGRID_API_KEY ? "Configured" : "Not configured",
+    email: isEmailConfigured() ? "Configured" : "Not configured",
   });
 });
 
-// Create tables function
-async function createTables() {
-  if (!sql) {
-    console.log("⚠️ Cannot create tables - no database connection");
-    return false;
-  }
-
-  try {
-    console.log("🔧 Creating database tables...");
-
-    await sql`CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
-      id SERIAL PRIMARY KEY,
-      email TEXT NOT NULL UNIQUE,
-      created_at TIMESTAMP DEFAULT NOW() NOT NULL
-    )`;
-
-    await sql`CREATE TABLE IF NOT EXISTS contact_submissions (
-      id SERIAL PRIMARY KEY,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL,
-      phone TEXT,
-      investment_amount TEXT NOT NULL,
-      message TEXT NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW() NOT NULL
-    )`;
-
-    await sql`CREATE TABLE IF NOT EXISTS deal_sourcing_waitlist (
-      id SERIAL PRIMARY KEY,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL UNIQUE,
-      phone TEXT,
-      investment_amount TEXT NOT NULL,
-      experience_level TEXT NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW() NOT NULL
-    )`;
-
-    await sql`CREATE TABLE IF NOT EXISTS inflation_calculations (
-      id SERIAL PRIMARY KEY,
-      initial_amount NUMERIC NOT NULL,
-      years INTEGER NOT NULL,
-      inflation_rate NUMERIC NOT NULL,
-      final_amount NUMERIC NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW() NOT NULL
-    )`;
-
-    // Learning Progress table
-    await sql`CREATE TABLE IF NOT EXISTS learning_progress (
-      id SERIAL PRIMARY KEY,
-      user_id TEXT NOT NULL,
-      module_id TEXT NOT NULL,
-      completed TEXT DEFAULT 'false' NOT NULL,
-      score TEXT,
-      time_spent TEXT,
-      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
-      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
-    )`;
-
-    // Achievements table
-    await sql`CREATE TABLE IF NOT EXISTS achievements (
-      id SERIAL PRIMARY KEY,
-      user_id TEXT NOT NULL,
-      badge_id TEXT NOT NULL,
-      title TEXT NOT NULL,
-      description TEXT NOT NULL,
-      earned_at TIMESTAMP DEFAULT NOW() NOT NULL
-    )`;
-
-    // Quiz results table
-    await sql`CREATE TABLE IF NOT EXISTS quiz_results (
-      id SERIAL PRIMARY KEY,
-      user_id TEXT NOT NULL,
-      quiz_id TEXT NOT NULL,
-      score TEXT NOT NULL,
-      total_questions TEXT NOT NULL,
-      answers TEXT NOT NULL,
-      completed_at TIMESTAMP DEFAULT NOW() NOT NULL
-    )`;
-
-    // Pending emails table
-    await sql`CREATE TABLE IF NOT EXISTS pending_emails (
-      id SERIAL PRIMARY KEY,
-      recipient_email TEXT NOT NULL,
-      recipient_name TEXT,
-      subject TEXT NOT NULL,
-      html_content TEXT NOT NULL,
-      email_type TEXT NOT NULL,
-      status TEXT DEFAULT 'pending' NOT NULL,
-      error_details TEXT,
-      attempts INTEGER DEFAULT 0,
-      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
-      sent_at TIMESTAMP
-    )`;
-
-    console.log("✅ All database tables created successfully");
-    return true;
-  } catch (error) {
-    console.error("❌ Failed to create tables:", error);
-    return false;
-  }
-}
-
 // Test endpoint
 app.get("/api/test", async (req, res) => {
   try {
@@ -304,7 +229,7 @@ app.get("/api/test", async (req, res) => {
       message: "KR Property Backend API is working!",
       timestamp: new Date().toISOString(),
       database: db ? "connected" : "not connected",
-      email: SENDGRID_API_KEY ? "configured" : "not configured",
+      email: isEmailConfigured() ? "configured" : "not configured",
     };
 
     if (db && sql) {
@@ -335,32 +260,24 @@ app.get("/api/test", async (req, res) => {
 });
 
 // Newsletter subscription endpoint
-app.post("/api/newsletter", async (req, res) => {
+const validateNewsletter = validate({ body: schemas.newsletterBody });
+app.post("/api/newsletter", validateNewsletter, async (req, res) => {
   try {
     console.log("📧 Newsletter subscription request:", req.body);
 
-    const { email } = req.body;
-
-    if (!email || !email.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: "Email is required",
-      });
-    }
+    const { email, topics } = req.body;
 
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
-      return res.status(400).json({
+    if (!db) {
+      return res.status(500).json({
         success: false,
-        message: "Invalid email format",
+        message: "Database connection not available",
       });
     }
 
-    if (!db) {
-      return res.status(500).json({
+    if (!isNewsletterConfigured()) {
+      return res.status(503).json({
         success: false,
-        message: "Database connection not available",
+        message: "Newsletter confirmation not configured",
       });
     }
 
@@ -368,9 +285,9 @@ app.post("/api/newsletter", async (req, res) => {
     const existing = await db
       .select()
       .from(newsletterSubscriptions)
-      .where(eq(newsletterSubscriptions.email, email.trim()));
+      .where(eq(newsletterSubscriptions.email, email));
 
-    if (existing.length > 0) {
+    if (existing.length > 0 && existing[0].status === "confirmed") {
       console.log("📧 Email already subscribed:", existing[0].id);
       return res.json({
         success: true,
@@ -378,30 +295,60 @@ app.post("/api/newsletter", async (req, res) => {
         data: {
           id: existing[0].id,
           email: existing[0].email,
+          status: existing[0].status,
           subscribedAt: existing[0].createdAt,
         },
       });
     }
 
-    // Insert new subscription
-    const result = await db
-      .insert(newsletterSubscriptions)
-      .values({ email: email.trim() })
-      .returning();
+    // New, unconfirmed and previously unsubscribed addresses all need to
+    // (re)confirm before they are sent anything
+    const result =
+      existing.length > 0
+        ? await db
+            .update(newsletterSubscriptions)
+            .set({
+              status: "pending",
+              topics: topics || existing[0].topics,
+              confirmationSentAt: new Date(),
+              updatedAt: new Date(),
+            })
+            .where(eq(newsletterSubscriptions.id, existing[0].id))
+            .returning()
+        : await db
+            .insert(newsletterSubscriptions)
+            .values({
+              email,
+              topics: topics || null,
+              confirmationSentAt: new Date(),
+            })
+            .returning();
 
     if (result.length === 0) {
       throw new Error("Failed to create newsletter subscription");
     }
 
-    console.log("✅ Newsletter subscription created with ID:", result[0].id);
+    const subscription = result[0];
+    console.log("✅ Newsletter subscription pending with ID:", subscription.id);
 
-    res.status(201).json({
+    const emailResult = await sendEmail({
+      to: subscription.email,
+      ...renderTemplate("newsletter_confirmation", {
+        confirmUrl: confirmUrl(subscription),
+      }),
+      emailType: "newsletter_confirmation",
+    });
+
+    res.status(existing.length > 0 ? 200 : 201).json({
       success: true,
-      message: "Successfully subscribed to newsletter",
+      message: "Please check your email to confirm your subscription",
       data: {
-        id: result[0].id,
-        email: result[0].email,
-        subscribedAt: result[0].createdAt,
+        id: subscription.id,
+        email: subscription.email,
+        status: subscription.status,
+        subscribedAt: subscription.createdAt,
+        emailSent: emailResult.sent,
+        emailStored: emailResult.stored,
       },
     });
   } catch (error) {
@@ -414,30 +361,17 @@ app.post("/api/newsletter", async (req, res) => {
   }
 });
 
+// Confirmation, unsubscribe and preference links from newsletter emails
+app.use("/api/newsletter", newsletterRoutes);
+
 // Contact form endpoint
-app.post("/api/contact", async (req, res) => {
+const validateContact = validate({ body: schemas.contactBody });
+app.post("/api/contact", validateContact, async (req, res) => {
   try {
     console.log("📞 Contact form submission:", req.body);
 
     const { name, email, phone, investmentAmount, message } = req.body;
 
-    // Validation
-    if (!name || !email || !investmentAmount || !message) {
-      return res.status(400).json({
-        success: false,
-        message: "Name, email, investment amount, and message are required",
-      });
-    }
-
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid email format",
-      });
-    }
-
     if (!db) {
       return res.status(500).json({
         success: false,
@@ -449,11 +383,12 @@ app.post("/api/contact", async (req, res) => {
     const result = await db
       .insert(contactSubmissions)
       .values({
-        name: name.trim(),
-        email: email.trim(),
-        phone: phone ? phone.trim() : null,
-        investmentAmount: investmentAmount.trim(),
-        message: message.trim(),
+        name,
+        email,
+        phone: phone || null,
+        investmentAmount,
+        ...normalizeInvestmentAmount(investmentAmount),
+        message,
       })
       .returning();
 
@@ -463,14 +398,26 @@ app.post("/api/contact", async (req, res) => {
 
     console.log("✅ Contact submission created with ID:", result[0].id);
 
+    await syncToCrm("contact", result[0].id, {
+      ...result[0],
+      summary: result[0].phone
+        ? `${result[0].message}\n\nPhone: ${result[0].phone}`
+        : result[0].message,
+    });
+    await emitWebhookEvent("contact.created", result[0]);
+    await routeLead("contact", result[0]);
+    const acknowledged = await sendAcknowledgement(result[0]);
+
     res.status(201).json({
       success: true,
       message: "Contact form submitted successfully",
       data: {
         id: result[0].id,
+        reference: contactReference(result[0].id),
         name: result[0].name,
         email: result[0].email,
         submittedAt: result[0].createdAt,
+        emailSent: acknowledged,
       },
     });
   } catch (error) {
@@ -484,68 +431,75 @@ app.post("/api/contact", async (req, res) => {
 });
 
 // Inflation calculator endpoint
-app.post("/api/inflation", async (req, res) => {
+const validateInflation = validate({ body: schemas.inflationBody });
+app.post("/api/inflation", validateInflation, async (req, res) => {
   try {
     console.log("📊 Inflation calculation request:", req.body);
 
-    const { name, email, amount, year, month, source } = req.body;
-
-    // Validate required fields
-    if (!amount || !year || !month) {
-      return res.status(400).json({
-        success: false,
-        message: "Amount, year, and month are required",
-      });
-    }
-
-    // Parse and validate numeric inputs
-    const initialAmount = parseFloat(amount);
-    const startYear = parseInt(year);
-    const startMonth = parseInt(month);
-    const currentYear = new Date().getFullYear();
-    const currentMonth = new Date().getMonth() + 1;
-
-    if (isNaN(initialAmount) || isNaN(startYear) || isNaN(startMonth)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid numeric values provided",
-      });
-    }
-
-    if (initialAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Amount must be positive",
+    const {
+      name,
+      email,
+      amount: initialAmount,
+      year: startYear,
+      month: startMonth,
+      source,
+      endYear,
+      index: indexType = "CPI",
+      scenario,
+    } = req.body;
+
+    // The end month defaults to the start month when only a year is given
+    const endMonth = endYear ? req.body.endMonth || startMonth : undefined;
+
+    // Compound month by month over the published index values
+    let calculation;
+    try {
+      calculation = await calculateInflation({
+        amount: initialAmount,
+        startYear,
+        startMonth,
+        endYear,
+        endMonth,
+        indexType,
+        scenario,
       });
+    } catch (calculationError) {
+      if (calculationError instanceof InflationInputError) {
+        return res.status(400).json({
+          success: false,
+          message: calculationError.message,
+        });
+      }
+      throw calculationError;
     }
 
-    // Calculate years difference
-    const yearsDiff =
-      currentYear - startYear + (currentMonth - startMonth) / 12;
-
-    // Use UK average inflation rate (approximately 2.5% per year)
-    const inflationRate = 2.5;
-
-    // Calculate inflation impact
-    const finalAmount =
-      initialAmount * Math.pow(1 + inflationRate / 100, yearsDiff);
+    const { finalAmount, effectiveAnnualRate } = calculation;
+    const yearsDiff = calculation.months / 12;
     const totalIncrease = finalAmount - initialAmount;
     const percentageIncrease = (totalIncrease / initialAmount) * 100;
 
     console.log(
       `💰 Calculation: £${initialAmount} from ${startYear}-${startMonth} -> £${finalAmount.toFixed(
         2
-      )} today (${yearsDiff.toFixed(1)} years)`
+      )} by ${calculation.endYear}-${calculation.endMonth} (${yearsDiff.toFixed(
+        1
+      )} years, ${indexType} ${effectiveAnnualRate.toFixed(2)}% a year)`
     );
 
     // Save calculation to database if available
+    let calculationId = null;
     if (db) {
       try {
         const calculationData = {
           initialAmount: initialAmount.toString(),
           years: Math.floor(yearsDiff),
-          inflationRate: inflationRate.toString(),
+          inflationRate: effectiveAnnualRate.toString(),
           finalAmount: finalAmount.toString(),
+          indexType,
+          startYear,
+          startMonth,
+          endYear: calculation.endYear,
+          endMonth: calculation.endMonth,
         };
 
         const result = await db
@@ -553,70 +507,69 @@ app.post("/api/inflation", async (req, res) => {
           .values(calculationData)
           .returning();
 
-        console.log("✅ Inflation calculation saved with ID:", result[0].id);
+        calculationId = result[0].id;
+        console.log("✅ Inflation calculation saved with ID:", calculationId);
       } catch (dbError) {
         console.error("⚠️ Failed to save calculation to database:", dbError);
         // Continue without failing the request
       }
     }
 
-    // Save calculation to Baserow
-    if (BASEROW_API_TOKEN) {
-      try {
-        const baserowData = {
-          Name: name || "Anonymous",
-          Email: email || "",
-          "Investment Amount": initialAmount,
-          Interest: startYear,
-          Message: `Inflation calculation: £${initialAmount} from ${startYear}-${startMonth} -> £${finalAmount.toFixed(
-            2
-          )} today`,
-          "Submission Date": new Date().toISOString(),
-          "Source/Campaign": source || "Website",
-        };
-
-        console.log("📊 Submitting to Baserow:", baserowData);
-
-        const baserowResponse = await fetch(
-          "https://api.baserow.io/api/database/rows/table/595228/?user_field_names=true",
-          {
-            method: "POST",
-            headers: {
-              Authorization: `Token ${BASEROW_API_TOKEN}`,
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify(baserowData),
-          }
-        );
-
-        if (baserowResponse.ok) {
-          const baserowResult = await baserowResponse.json();
-          console.log("✅ Baserow submission successful:", baserowResult);
-        } else {
-          const errorText = await baserowResponse.text();
-          console.error("⚠️ Baserow submission failed:", errorText);
-        }
-      } catch (baserowError) {
-        console.error("⚠️ Failed to submit to Baserow:", baserowError);
-        // Continue without failing the request
-      }
-    } else {
-      console.log(
-        "⚠️ Baserow API token not configured, skipping Baserow submission"
-      );
-    }
+    // Sync the lead to the CRM; failures are queued for retry
+    await syncToCrm("inflation", calculationId, {
+      name: name || "Anonymous",
+      email,
+      investmentAmount: initialAmount,
+      startYear,
+      startMonth,
+      endYear: calculation.endYear,
+      endMonth: calculation.endMonth,
+      indexType,
+      finalAmount: parseFloat(finalAmount.toFixed(2)),
+      summary: `Inflation calculation: £${initialAmount} from ${startYear}-${startMonth} -> £${finalAmount.toFixed(
+        2
+      )} by ${calculation.endYear}-${calculation.endMonth} (${indexType})`,
+      source,
+    });
+    await emitWebhookEvent("inflation.calculated", {
+      calculationId,
+      name: name || null,
+      email: email || null,
+      source: source || null,
+      amount: initialAmount,
+      startYear,
+      startMonth,
+      endYear: calculation.endYear,
+      endMonth: calculation.endMonth,
+      indexType,
+      finalAmount: parseFloat(finalAmount.toFixed(2)),
+      effectiveAnnualRate: parseFloat(effectiveAnnualRate.toFixed(4)),
+    });
 
     res.json({
       success: true,
       message: "Inflation calculation completed successfully",
       data: {
+        calculationId,
         originalValue: initialAmount,
         todayValue: parseFloat(finalAmount.toFixed(2)),
         lossInValue: parseFloat(totalIncrease.toFixed(2)),
         percentageIncrease: parseFloat(percentageIncrease.toFixed(2)),
-        annualGrowthRate: inflationRate,
+        annualGrowthRate: parseFloat(effectiveAnnualRate.toFixed(2)),
+        effectiveAnnualRate: parseFloat(effectiveAnnualRate.toFixed(4)),
+        indexType,
         startYear: startYear,
-        endYear: currentYear,
+        startMonth: startMonth,
+        endYear: calculation.endYear,
+        endMonth: calculation.endMonth,
+        direction: calculation.direction,
+        startIndex: parseFloat(calculation.startIndex.toFixed(3)),
+        endIndex: parseFloat(calculation.endIndex.toFixed(3)),
+        latestPublished: calculation.latestPublished,
+        projectedMonths: calculation.projectedMonths,
+        scenario: calculation.scenario,
+        scenarioRate: calculation.scenarioRate,
+        breakdown: calculation.breakdown,
         yearsDiff: parseFloat(yearsDiff.toFixed(1)),
         calculatedAt: new Date().toISOString(),
       },
@@ -632,219 +585,58 @@ app.post("/api/inflation", async (req, res) => {
 });
 
 // Inflation email endpoint
-app.post("/api/inflation-email", async (req, res) => {
+const validateInflationEmail = validate({ body: schemas.inflationEmailBody });
+app.post("/api/inflation-email", validateInflationEmail, async (req, res) => {
   try {
     console.log("📧 Inflation email request:", {
       name: req.body.name,
       email: req.body.email,
-      hasChartImage: !!req.body.chartImage,
       hasCalculationData: !!req.body.calculationData,
     });
 
-    const { name, email, amount, month, year, chartImage, calculationData } =
+    const { name, email, amount, month, year, calculationData, attachPdf } =
       req.body;
 
-    // Validate required fields
-    if (!email || !calculationData) {
-      return res.status(400).json({
-        success: false,
-        message: "Email and calculation data are required",
+    // Send the report, queueing it for retry if delivery fails
+    console.log("📧 Sending inflation report email...");
+
+    // Chart goes in as an inline attachment, referenced by cid in the html
+    const chart = renderInflationChart(calculationData);
+    const chartCid = "inflation-chart";
+    const reportData = { name, amount, month, year, calculationData };
+    const report = renderTemplate("inflation_report", {
+      ...reportData,
+      chartCid: chart ? chartCid : null,
+    });
+
+    const attachments = [];
+    if (chart) {
+      attachments.push({
+        filename: "inflation-chart.png",
+        content: chart,
+        contentType: "image/png",
+        cid: chartCid,
       });
     }
-
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid email format",
+    if (attachPdf) {
+      attachments.push({
+        filename: "inflation-impact-report.pdf",
+        content: await renderPdf("inflation_report", { ...reportData, chart }),
+        contentType: "application/pdf",
       });
     }
 
-    // Send email with SendGrid
-    let emailSent = false;
-    let emailError = null;
-    let emailStored = false;
-
-    if (SENDGRID_API_KEY) {
-      try {
-        console.log("📧 Sending inflation report email...");
-
-        const emailContent = `
-          <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto; padding: 20px; line-height: 1.6; color: #333;">
-            
-            <div style="text-align: left; margin-bottom: 30px; border-bottom: 2px solid #ddd; padding-bottom: 15px;">
-              <h1 style="color: #008e6d; margin: 0; font-size: 24px; font-weight: bold;">KR Property Investments</h1>
-              <p style="margin: 5px 0 0 0; font-size: 16px; color: #666;">Your Inflation Impact Report</p>
-            </div>
-            
-            <p style="margin-bottom: 20px;">Hello ${name || "there"},</p>
-            
-            <p style="margin-bottom: 25px;">Thank you for using our Inflation Calculator. Here's your detailed inflation impact analysis:</p>
-            
-            <div style="border-top: 2px solid #ddd; margin: 30px 0 20px 0;"></div>
-            
-            <div style="margin: 30px 0;">
-              <h2 style="color: #008e6d; margin: 0 0 20px 0; font-size: 20px;">📊 Calculation Summary</h2>
-              <ul style="list-style: none; padding: 0; margin: 0;">
-                <li style="margin-bottom: 8px;">• <strong>Original Amount:</strong> £${
-                  amount?.toLocaleString() ||
-                  calculationData.originalValue?.toLocaleString()
-                }</li>
-                <li style="margin-bottom: 8px;">• <strong>From:</strong> ${month}/${year}</li>
-                <li style="margin-bottom: 8px;">• <strong>Today's Value:</strong> £${calculationData.todayValue?.toLocaleString()}</li>
-                <li style="margin-bottom: 8px;">• <strong>Loss in Purchasing Power:</strong> £${calculationData.lossInValue?.toLocaleString()}</li>
-                <li style="margin-bottom: 8px;">• <strong>Percentage Increase Needed:</strong> ${calculationData.percentageIncrease?.toFixed(
-                  2
-                )}%</li>
-              </ul>
-            </div>
-
-            ${
-              chartImage
-                ? `
-            <div style="margin: 30px 0;">
-              <h2 style="color: #008e6d; margin: 0 0 20px 0; font-size: 20px;">📊 Visual Impact</h2>
-              <div style="text-align: center; margin: 20px 0;">
-                <img src="${chartImage}" alt="Inflation Impact Chart" style="max-width: 100%; height: auto; border: 1px solid #ddd; border-radius: 8px;" />
-                <p style="font-size: 12px; color: #666; margin-top: 10px; font-style: italic;">
-                  Visual comparison showing your original amount versus what you would need today to have the same purchasing power.
-                </p>
-              </div>
-            </div>
-            `
-                : ""
-            }
-
-            <div style="margin: 30px 0;">
-              <h2 style="color: #008e6d; margin: 0 0 20px 0; font-size: 20px;">💡 Key Insight</h2>
-              <p style="margin-bottom: 15px;">Your money has lost <strong>${calculationData.percentageIncrease?.toFixed(
-                2
-              )}%</strong> of its purchasing power due to inflation. To maintain the same buying power, you would need <strong>£${calculationData.todayValue?.toLocaleString()}</strong> today.</p>
-              <p style="margin-bottom: 15px; font-style: italic; background-color: #f8f9fa; padding: 15px; border-left: 4px solid #008e6d;">"Not investing is like pouring water into a leaky bucket. Over time, no matter how full it looks, you're left with much less than you started with."</p>
-            </div>
-
-            <div style="margin: 30px 0;">
-              <h2 style="color: #008e6d; margin: 0 0 20px 0; font-size: 20px;">🚀 What This Means for You</h2>
-              <p style="margin-bottom: 15px;">Inflation silently erodes your savings. Consider investing in assets that can outpace inflation, such as:</p>
-              <ul style="margin-bottom: 15px;">
-                <li>Property investments</li>
-                <li>Stock market funds</li>
-                <li>Inflation-protected securities</li>
-              </ul>
-            </div>
-
-            <div style="margin: 30px 0;">
-              <h2 style="color: #008e6d; margin: 0 0 20px 0; font-size: 20px;">📞 Let's Talk</h2>
-              <p style="margin-bottom: 15px;">Want to find out how to protect your money and grow it confidently?</p>
-              
-              <div style="text-align: center; margin: 25px 0;">
-                <a href="https://kr-properties.co.uk/contact" style="display: inline-block; background-color: #008e6d; color: white; text-decoration: none; padding: 15px 30px; border-radius: 5px; font-weight: bold; font-size: 16px;">Book a Personal Consultation →</a>
-              </div>
-              
-              <p style="margin-bottom: 5px;">Or contact us directly:</p>
-              <p style="margin: 5px 0;"><strong>Email:</strong> info@kr-properties.co.uk</p>
-              <p style="margin: 5px 0;"><strong>Phone:</strong> 020 3633 2783</p>
-            </div>
-
-            <div style="border-top: 2px solid #ddd; margin: 30px 0 20px 0;"></div>
-            
-            <div style="text-align: center; color: #666; font-size: 12px; margin-top: 30px;">
-              <p style="margin: 0;">© ${new Date().getFullYear()} KR Property Investments. All rights reserved.</p>
-            </div>
-          </div>
-        `;
-
-        // Try multiple sender configurations
-        const senderConfigs = [
-          {
-            from: "info@kr-properties.co.uk",
-            name: "KR Property Investments",
-          },
-          {
-            from: "noreply@kr-properties.co.uk",
-            name: "KR Property Investments",
-          },
-          {
-            from: "hello@kr-properties.co.uk",
-            name: "KR Property Investments",
-          },
-        ];
-
-        for (const config of senderConfigs) {
-          try {
-            console.log(`📧 Attempting to send with sender: ${config.from}`);
-
-            const msg = {
-              to: email.trim(),
-              from: {
-                email: config.from,
-                name: config.name,
-              },
-              subject: "Your Inflation Impact Report - KR Property Investments",
-              html: emailContent,
-            };
-
-            await sgMail.send(msg);
-            emailSent = true;
-            console.log(
-              `✅ Inflation email sent successfully using ${config.from}`
-            );
-            break; // Exit loop on success
-          } catch (configError) {
-            console.error(
-              `❌ Failed with ${config.from}:`,
-              configError.message
-            );
-            emailError = configError;
-            continue; // Try next config
-          }
-        }
-
-        if (!emailSent) {
-          console.error("❌ All sender configurations failed");
-          console.error("❌ Final SendGrid Error:", emailError);
-
-          // Store email content in database for later processing
-          if (db) {
-            try {
-              await db.insert(pendingEmails).values({
-                recipientEmail: email.trim(),
-                recipientName: name || "User",
-                subject:
-                  "Your Inflation Impact Report - KR Property Investments",
-                htmlContent: emailContent,
-                emailType: "inflation_report",
-                status: "pending",
-                errorDetails: emailError
-                  ? JSON.stringify({
-                      message: emailError.message,
-                      code: emailError.code,
-                      response: emailError.response?.body,
-                    })
-                  : "SendGrid configuration issue",
-              });
-              emailStored = true;
-              console.log(
-                "💾 Email content stored in database for later processing"
-              );
-            } catch (dbError) {
-              console.error("❌ Failed to store email in database:", dbError);
-            }
-          }
-        }
-      } catch (emailError) {
-        console.error("❌ Failed to send inflation email:", emailError);
-        console.error("❌ SendGrid Error Details:", {
-          code: emailError.code,
-          message: emailError.message,
-          response: emailError.response?.body,
-        });
-        emailSent = false;
-      }
-    } else {
-      console.log("⚠️ SendGrid not configured - skipping email");
-    }
+    const {
+      sent: emailSent,
+      stored: emailStored,
+      error: emailError,
+    } = await sendEmail({
+      to: email,
+      toName: name,
+      ...report,
+      attachments,
+      emailType: "inflation_report",
+    });
 
     res.json({
       success: true,
@@ -852,7 +644,7 @@ app.post("/api/inflation-email", async (req, res) => {
       data: {
         emailSent,
         emailStored,
-        recipient: email.trim(),
+        recipient: email,
         timestamp: new Date().toISOString(),
         errorDetails: emailError
           ? {
@@ -872,31 +664,71 @@ app.post("/api/inflation-email", async (req, res) => {
   }
 });
 
-// Deal sourcing waitlist endpoint
-app.post("/api/send-deal-lead", async (req, res) => {
+// Download the inflation report for a stored calculation as a PDF
+app.get("/api/inflation/:id/pdf", async (req, res) => {
   try {
-    console.log("🎯 Deal sourcing waitlist request:", req.body);
-
-    const { name, email, phone, investmentAmount, experienceLevel } = req.body;
-
-    // Validation
-    if (!name || !email || !investmentAmount || !experienceLevel) {
-      return res.status(400).json({
+    if (!db) {
+      return res.status(500).json({
         success: false,
-        message:
-          "Name, email, investment amount, and experience level are required",
+        message: "Database connection not available",
       });
     }
 
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
-      return res.status(400).json({
+    const { id } = req.params;
+    const [calculation] = await db
+      .select()
+      .from(inflationCalculations)
+      .where(eq(inflationCalculations.id, id))
+      .limit(1);
+
+    // Rows saved before the period was stored can't be reported on
+    if (!calculation || !calculation.startYear) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid email format",
+        message: "Inflation calculation not found",
       });
     }
 
+    const originalValue = parseFloat(calculation.initialAmount);
+    const todayValue = parseFloat(calculation.finalAmount);
+    const calculationData = {
+      originalValue,
+      todayValue: parseFloat(todayValue.toFixed(2)),
+      lossInValue: parseFloat((todayValue - originalValue).toFixed(2)),
+      percentageIncrease: parseFloat(
+        (((todayValue - originalValue) / originalValue) * 100).toFixed(2)
+      ),
+    };
+
+    const pdf = await renderPdf("inflation_report", {
+      name: req.query.name,
+      amount: originalValue,
+      month: calculation.startMonth,
+      year: calculation.startYear,
+      calculationData,
+      chart: renderInflationChart(calculationData),
+    });
+
+    res.attachment(`inflation-impact-report-${id}.pdf`);
+    res.type("pdf").send(pdf);
+  } catch (error) {
+    console.error("❌ Inflation report PDF error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate inflation report PDF",
+      error: error.message,
+    });
+  }
+});
+
+// Deal sourcing waitlist endpoint
+const validateDealLead = validate({ body: schemas.dealLeadBody });
+app.post("/api/send-deal-lead", validateDealLead, async (req, res) => {
+  try {
+    console.log("🎯 Deal sourcing waitlist request:", req.body);
+
+    const { name, email, phone, investmentAmount, experienceLevel } = req.body;
+
     if (!db) {
       return res.status(500).json({
         success: false,
@@ -908,7 +740,7 @@ app.post("/api/send-deal-lead", async (req, res) => {
     const existing = await db
       .select()
       .from(dealSourcingWaitlist)
-      .where(eq(dealSourcingWaitlist.email, email.trim()));
+      .where(eq(dealSourcingWaitlist.email, email));
 
     if (existing.length > 0) {
       console.log("🎯 Email already on waitlist:", existing[0].id);
@@ -928,11 +760,12 @@ app.post("/api/send-deal-lead", async (req, res) => {
     const result = await db
       .insert(dealSourcingWaitlist)
       .values({
-        name: name.trim(),
-        email: email.trim(),
-        phone: phone ? phone.trim() : null,
-        investmentAmount: investmentAmount.trim(),
-        experienceLevel: experienceLevel.trim(),
+        name,
+        email,
+        phone: phone || null,
+        investmentAmount,
+        ...normalizeInvestmentAmount(investmentAmount),
+        experienceLevel,
       })
       .returning();
 
@@ -943,41 +776,27 @@ app.post("/api/send-deal-lead", async (req, res) => {
     const waitlistEntry = result[0];
     console.log("✅ Deal sourcing entry created with ID:", waitlistEntry.id);
 
-    // Send confirmation email if SendGrid is configured
-    let emailSent = false;
-    if (SENDGRID_API_KEY) {
-      try {
-        console.log("📧 Sending confirmation email...");
-        await sgMail.send({
-          to: email.trim(),
-          from: "deals@krpropertyinvestments.com",
-          subject:
-            "Welcome to KR Property Investments Deal Sourcing Waitlist! 🎯",
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-              <h2 style="color: #2563eb;">Welcome to Our Deal Sourcing Waitlist!</h2>
-              <p>Hi ${name.trim()},</p>
-              <p>Thank you for joining our exclusive deal sourcing waitlist! We're excited to have you on board.</p>
-              <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                <h3 style="color: #1e40af; margin-top: 0;">What happens next?</h3>
-                <ul>
-                  <li>We'll review your investment criteria</li>
-                  <li>You'll be among the first to hear about new opportunities</li>
-                  <li>Our team will reach out with deals that match your requirements</li>
-                </ul>
-              </div>
-              <p>If you have any questions, don't hesitate to reach out!</p>
-              <p>Best regards,<br><strong>The KR Property Investments Team</strong></p>
-            </div>
-          `,
-        });
-        console.log("✅ Confirmation email sent successfully");
-        emailSent = true;
-      } catch (emailError) {
-        console.error("❌ Failed to send confirmation email:", emailError);
-        // Continue without failing the request
-      }
-    }
+    await syncToCrm("waitlist", waitlistEntry.id, {
+      ...waitlistEntry,
+      summary: [
+        `Experience level: ${waitlistEntry.experienceLevel}`,
+        waitlistEntry.phone && `Phone: ${waitlistEntry.phone}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    });
+    await emitWebhookEvent("waitlist.joined", waitlistEntry);
+    await routeLead("waitlist", waitlistEntry);
+
+    // Send confirmation email, queueing it for retry if delivery fails
+    console.log("📧 Sending confirmation email...");
+    const { sent: emailSent } = await sendEmail({
+      to: email,
+      toName: name,
+      ...renderTemplate("deal_sourcing_confirmation", { name }),
+      emailType: "deal_sourcing_confirmation",
+      senders: SENDERS.deals,
+    });
 
     res.status(201).json({
       success: true,
@@ -1000,14 +819,31 @@ app.post("/api/send-deal-lead", async (req, res) => {
   }
 });
 
+// ========================================
+// DATA SUBJECT REQUEST ROUTES
+// ========================================
+
+// GDPR access and erasure requests, confirmed through an emailed link
+app.use("/api/data-requests", dataRequestRoutes);
+
+// ========================================
+// AUTH ROUTES
+// ========================================
+
+app.use("/api/auth", authRoutes);
+
+// The learning routes act on the signed-in user; stored user IDs are the
+// users.id of the session, as text
+app.use("/api/learning", requireUser);
+
 // ========================================
 // LEARNING PROGRESS ROUTES
 // ========================================
 
-// Get learning progress for a user
-app.get("/api/learning/progress/:userId", async (req, res) => {
+// Get learning progress for the signed-in user
+app.get("/api/learning/progress", async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = String(req.user.id);
     console.log("📚 Getting learning progress for user:", userId);
 
     if (!db) {
@@ -1039,19 +875,16 @@ app.get("/api/learning/progress/:userId", async (req, res) => {
 });
 
 // Create learning progress
-app.post("/api/learning/progress", async (req, res) => {
+const validateProgress = [
+  flagStringInput,
+  validate({ body: schemas.progressBody }),
+];
+app.post("/api/learning/progress", validateProgress, async (req, res) => {
   try {
     console.log("📚 Creating learning progress:", req.body);
 
-    const { userId, moduleId, completed, score, timeSpent } = req.body;
-
-    // Validation
-    if (!userId || !moduleId) {
-      return res.status(400).json({
-        success: false,
-        message: "userId and moduleId are required",
-      });
-    }
+    const userId = String(req.user.id);
+    const { moduleId, completed, score, timeSpent } = req.body;
 
     if (!db) {
       return res.status(500).json({
@@ -1078,9 +911,9 @@ app.post("/api/learning/progress", async (req, res) => {
       result = await db
         .update(learningProgress)
         .set({
-          completed: completed || "false",
-          score: score || null,
-          timeSpent: timeSpent || null,
+          completed: completed ?? false,
+          score: score ?? null,
+          timeSpent: timeSpent ?? null,
           updatedAt: new Date(),
         })
         .where(
@@ -1097,9 +930,9 @@ app.post("/api/learning/progress", async (req, res) => {
         .values({
           userId,
           moduleId,
-          completed: completed || "false",
-          score: score || null,
-          timeSpent: timeSpent || null,
+          completed: completed ?? false,
+          score: score ?? null,
+          timeSpent: timeSpent ?? null,
         })
         .returning();
     }
@@ -1110,10 +943,13 @@ app.post("/api/learning/progress", async (req, res) => {
 
     console.log("✅ Learning progress saved with ID:", result[0].id);
 
+    const newAchievements = await recordLearningActivity(userId);
+
     res.status(201).json({
       success: true,
       message: "Learning progress saved successfully",
       data: result[0],
+      newAchievements,
     });
   } catch (error) {
     console.error("❌ Create learning progress error:", error);
@@ -1126,87 +962,103 @@ app.post("/api/learning/progress", async (req, res) => {
 });
 
 // Update learning progress
-app.put("/api/learning/progress/:userId/:moduleId", async (req, res) => {
-  try {
-    const { userId, moduleId } = req.params;
-    console.log("📚 Updating learning progress:", {
-      userId,
-      moduleId,
-      body: req.body,
-    });
-
-    const { completed, score, timeSpent } = req.body;
-
-    if (!db) {
-      return res.status(500).json({
-        success: false,
-        message: "Database connection not available",
+const validateProgressUpdate = [
+  flagStringInput,
+  validate({ body: schemas.progressUpdateBody }),
+];
+app.put(
+  "/api/learning/progress/:moduleId",
+  validateProgressUpdate,
+  async (req, res) => {
+    try {
+      const userId = String(req.user.id);
+      const { moduleId } = req.params;
+      console.log("📚 Updating learning progress:", {
+        userId,
+        moduleId,
+        body: req.body,
       });
-    }
 
-    const result = await db
-      .update(learningProgress)
-      .set({
-        completed: completed || "false",
-        score: score || null,
-        timeSpent: timeSpent || null,
-        updatedAt: new Date(),
-      })
-      .where(
-        and(
-          eq(learningProgress.userId, userId),
-          eq(learningProgress.moduleId, moduleId)
-        )
-      )
-      .returning();
+      const { completed, score, timeSpent } = req.body;
 
-    if (result.length === 0) {
-      // If no existing record, create one......
-      const newResult = await db
-        .insert(learningProgress)
-        .values({
-          userId,
-          moduleId,
-          completed: completed || "false",
-          score: score || null,
-          timeSpent: timeSpent || null,
+      if (!db) {
+        return res.status(500).json({
+          success: false,
+          message: "Database connection not available",
+        });
+      }
+
+      const result = await db
+        .update(learningProgress)
+        .set({
+          completed: completed ?? false,
+          score: score ?? null,
+          timeSpent: timeSpent ?? null,
+          updatedAt: new Date(),
         })
+        .where(
+          and(
+            eq(learningProgress.userId, userId),
+            eq(learningProgress.moduleId, moduleId)
+          )
+        )
         .returning();
 
-      console.log("✅ New learning progress created with ID:", newResult[0].id);
+      if (result.length === 0) {
+        // If no existing record, create one......
+        const newResult = await db
+          .insert(learningProgress)
+          .values({
+            userId,
+            moduleId,
+            completed: completed ?? false,
+            score: score ?? null,
+            timeSpent: timeSpent ?? null,
+          })
+          .returning();
 
-      return res.json({
+        console.log(
+          "✅ New learning progress created with ID:",
+          newResult[0].id
+        );
+
+        return res.json({
+          success: true,
+          message: "Learning progress created successfully",
+          data: newResult[0],
+          newAchievements: await recordLearningActivity(userId),
+        });
+      }
+
+      console.log("✅ Learning progress updated with ID:", result[0].id);
+
+      const newAchievements = await recordLearningActivity(userId);
+
+      res.json({
         success: true,
-        message: "Learning progress created successfully",
-        data: newResult[0],
+        message: "Learning progress updated successfully",
+        data: result[0],
+        newAchievements,
+      });
+    } catch (error) {
+      console.error("❌ Update learning progress error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update learning progress",
+        error: error.message,
       });
     }
-
-    console.log("✅ Learning progress updated with ID:", result[0].id);
-
-    res.json({
-      success: true,
-      message: "Learning progress updated successfully",
-      data: result[0],
-    });
-  } catch (error) {
-    console.error("❌ Update learning progress error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update learning progress",
-      error: error.message,
-    });
   }
-});
+);
 
 // ============================================
 // ACHIEVEMENT ROUTES
 // ============================================
 
-// Get achievements for a user
-app.get("/api/learning/achievements/:userId", async (req, res) => {
+// Get achievements for the signed-in user
+app.get("/api/learning/achievements", async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = String(req.user.id);
     console.log("🏆 Getting achievements for user:", userId);
 
     if (!db) {
@@ -1237,21 +1089,44 @@ app.get("/api/learning/achievements/:userId", async (req, res) => {
   }
 });
 
-// Create achievement
-app.post("/api/learning/achievements", async (req, res) => {
+// The badge catalogue, with what the signed-in user has earned and their
+// progress towards the rest
+app.get("/api/learning/badges", async (req, res) => {
   try {
-    console.log("🏆 Creating achievement:", req.body);
-
-    const { userId, badgeId, title, description } = req.body;
+    const userId = String(req.user.id);
 
-    // Validation
-    if (!userId || !badgeId || !title || !description) {
-      return res.status(400).json({
+    if (!db) {
+      return res.status(500).json({
         success: false,
-        message: "userId, badgeId, title, and description are required",
+        message: "Database connection not available",
       });
     }
 
+    res.json({
+      success: true,
+      data: await badgeProgress(userId),
+    });
+  } catch (error) {
+    console.error("❌ Get badges error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get badges",
+      error: error.message,
+    });
+  }
+});
+
+// Claim a badge. Badges are awarded when progress or quiz results are
+// saved; this runs the same rules, so it only succeeds for badges the
+// user has earned. Any title and description sent are ignored.
+const validateBadge = validate({ body: schemas.achievementBody });
+app.post("/api/learning/achievements", validateBadge, async (req, res) => {
+  try {
+    console.log("🏆 Claiming achievement:", req.body.badgeId);
+
+    const userId = String(req.user.id);
+    const { badgeId } = req.body;
+
     if (!db) {
       return res.status(500).json({
         success: false,
@@ -1259,7 +1134,26 @@ app.post("/api/learning/achievements", async (req, res) => {
       });
     }
 
-    // Check if achievement already exists
+    if (!findBadge(badgeId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Badge not found",
+      });
+    }
+
+    const awarded = await awardBadges(userId);
+    const earned = awarded.find(
+      (achievement) => achievement.badgeId === badgeId
+    );
+    if (earned) {
+      return res.status(201).json({
+        success: true,
+        message: "Achievement created successfully",
+        data: earned,
+        newAchievements: awarded,
+      });
+    }
+
     const existing = await db
       .select()
       .from(achievements)
@@ -1267,36 +1161,19 @@ app.post("/api/learning/achievements", async (req, res) => {
         and(eq(achievements.userId, userId), eq(achievements.badgeId, badgeId))
       );
 
-    if (existing.length > 0) {
-      console.log("🏆 Achievement already exists:", existing[0].id);
-      return res.json({
-        success: true,
-        message: "Achievement already exists",
-        data: existing[0],
+    if (existing.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: "Badge not earned yet",
+        newAchievements: awarded,
       });
     }
 
-    // Create new achievement
-    const result = await db
-      .insert(achievements)
-      .values({
-        userId,
-        badgeId,
-        title,
-        description,
-      })
-      .returning();
-
-    if (result.length === 0) {
-      throw new Error("Failed to create achievement");
-    }
-
-    console.log("✅ Achievement created with ID:", result[0].id);
-
-    res.status(201).json({
+    res.json({
       success: true,
-      message: "Achievement created successfully",
-      data: result[0],
+      message: "Achievement already exists",
+      data: existing[0],
+      newAchievements: awarded,
     });
   } catch (error) {
     console.error("❌ Create achievement error:", error);
@@ -1308,14 +1185,21 @@ app.post("/api/learning/achievements", async (req, res) => {
   }
 });
 
+// ========================================
+// LEADERBOARD ROUTES
+// ========================================
+
+// Public, of learners who opted in; /me takes a session token
+app.use("/api/leaderboard", leaderboardRoutes);
+
 // ========================================
 // QUIZ RESULT ROUTES
 // ========================================
 
-// Get quiz results for a user
-app.get("/api/learning/quiz-results/:userId", async (req, res) => {
+// Get quiz results for the signed-in user
+app.get("/api/learning/quiz-results", async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = String(req.user.id);
     console.log("📝 Getting quiz results for user:", userId);
 
     if (!db) {
@@ -1347,26 +1231,16 @@ app.get("/api/learning/quiz-results/:userId", async (req, res) => {
 });
 
 // Create quiz result
-app.post("/api/learning/quiz-results", async (req, res) => {
+const validateQuizResult = [
+  flagStringInput,
+  validate({ body: schemas.quizResultBody }),
+];
+app.post("/api/learning/quiz-results", validateQuizResult, async (req, res) => {
   try {
     console.log("📝 Creating quiz result:", req.body);
 
-    const { userId, quizId, score, totalQuestions, answers } = req.body;
-
-    // Validation
-    if (
-      !userId ||
-      !quizId ||
-      score === undefined ||
-      !totalQuestions ||
-      !answers
-    ) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "userId, quizId, score, totalQuestions, and answers are required",
-      });
-    }
+    const userId = String(req.user.id);
+    const { quizId, score, totalQuestions, answers } = req.body;
 
     if (!db) {
       return res.status(500).json({
@@ -1381,10 +1255,9 @@ app.post("/api/learning/quiz-results", async (req, res) => {
       .values({
         userId,
         quizId,
-        score: score.toString(),
-        totalQuestions: totalQuestions.toString(),
-        answers:
-          typeof answers === "string" ? answers : JSON.stringify(answers),
+        score,
+        totalQuestions,
+        answers,
       })
       .returning();
 
@@ -1394,10 +1267,13 @@ app.post("/api/learning/quiz-results", async (req, res) => {
 
     console.log("✅ Quiz result created with ID:", result[0].id);
 
+    const newAchievements = await recordLearningActivity(userId);
+
     res.status(201).json({
       success: true,
       message: "Quiz result created successfully",
       data: result[0],
+      newAchievements,
     });
   } catch (error) {
     console.error("❌ Create quiz result error:", error);
@@ -1409,6 +1285,29 @@ app.post("/api/learning/quiz-results", async (req, res) => {
   }
 });
 
+// ========================================
+// INVESTMENT CALCULATOR ROUTES
+// ========================================
+
+app.use("/api/calculators", calculatorRoutes);
+
+// ========================================
+// ADMIN ROUTES
+// ========================================
+
+app.use("/api/admin/pending-emails", adminPendingEmailsRoutes);
+app.use("/api/admin/email-templates", adminEmailTemplatesRoutes);
+app.use("/api/admin/leads", adminLeadsRoutes);
+app.use("/api/admin/staff", adminStaffRoutes);
+app.use("/api/admin/exports", adminExportsRoutes);
+app.use("/api/admin/campaigns", adminCampaignsRoutes);
+app.use("/api/admin/crm-syncs", adminCrmSyncsRoutes);
+app.use("/api/admin/webhooks", adminWebhooksRoutes);
+app.use("/api/admin/lead-routing", adminLeadRoutingRoutes);
+app.use("/api/admin/form-rejections", adminFormRejectionsRoutes);
+app.use("/api/admin/data-requests", adminDataRequestsRoutes);
+app.use("/api/admin/learning-analytics", adminLearningAnalyticsRoutes);
+
 // 404 handler for unknown routes
 app.use("*", (req, res) => {
   res.status(404).json({
@@ -1422,6 +1321,22 @@ app.use("*", (req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: [{ location: "body", field: "body", message: "Malformed JSON" }],
+    });
+  }
+
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({
+      success: false,
+      message: "Request body too large",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   console.error("❌ Global error handler:", err);
   res.status(500).json({
     success: false,
@@ -1434,9 +1349,30 @@ app.use((err, req, res, next) => {
 // Start server function
 async function startServer() {
   try {
-    // Create database tables if database is available
+    // Refuse to serve until the schema is migrated
     if (db) {
-      await createTables();
+      await schemaReady;
+
+      try {
+        await seedPriceIndices();
+      } catch (seedError) {
+        console.error("⚠️ Failed to seed price indices:", seedError);
+      }
+    }
+
+    // Retry failed emails in-process when an interval is configured
+    if (db && EMAIL_RETRY_INTERVAL_MS > 0) {
+      startEmailRetryWorker({ intervalMs: EMAIL_RETRY_INTERVAL_MS });
+    }
+
+    // Retry failed CRM syncs in-process when an interval is configured
+    if (db && CRM_SYNC_RETRY_INTERVAL_MS > 0) {
+      startCrmSyncWorker({ intervalMs: CRM_SYNC_RETRY_INTERVAL_MS });
+    }
+
+    // Retry failed webhook deliveries in-process when an interval is set
+    if (db && WEBHOOK_RETRY_INTERVAL_MS > 0) {
+      startWebhookWorker({ intervalMs: WEBHOOK_RETRY_INTERVAL_MS });
     }
 
     // Start the HTTP server
@@ -1457,36 +1393,101 @@ async function startServer() {
       console.log(
         `  📊 Inflation: POST http://localhost:${PORT}/api/inflation`
       );
+      console.log(
+        `  📄 Inflation PDF: GET http://localhost:${PORT}/api/inflation/:id/pdf`
+      );
       console.log(
         `  🎯 Deal Sourcing: POST http://localhost:${PORT}/api/send-deal-lead`
       );
+      console.log(
+        `  📨 Inbound Email: POST http://localhost:${PORT}/api/inbound-email`
+      );
+      console.log(
+        `  🔏 Data Requests: POST http://localhost:${PORT}/api/data-requests`
+      );
+      console.log(
+        `  🧮 Calculators: POST http://localhost:${PORT}/api/calculators/:calculator`
+      );
       console.log("");
-      console.log("📚 Learning APIs:");
+      console.log("🔐 Auth APIs:");
       console.log(
-        `  📈 Progress (GET): GET http://localhost:${PORT}/api/learning/progress/:userId`
+        `  👤 Register: POST http://localhost:${PORT}/api/auth/register`
+      );
+      console.log(`  🔑 Login: POST http://localhost:${PORT}/api/auth/login`);
+      console.log(
+        `  🔗 Magic Link: POST http://localhost:${PORT}/api/auth/magic-link`
+      );
+      console.log("");
+      console.log("📚 Learning APIs (Bearer session token):");
+      console.log(
+        `  📈 Progress (GET): GET http://localhost:${PORT}/api/learning/progress`
       );
       console.log(
         `  📈 Progress (POST): POST http://localhost:${PORT}/api/learning/progress`
       );
       console.log(
-        `  📈 Progress (PUT): PUT http://localhost:${PORT}/api/learning/progress/:userId/:moduleId`
+        `  📈 Progress (PUT): PUT http://localhost:${PORT}/api/learning/progress/:moduleId`
       );
       console.log(
-        `  🏆 Achievements (GET): GET http://localhost:${PORT}/api/learning/achievements/:userId`
+        `  🏆 Achievements (GET): GET http://localhost:${PORT}/api/learning/achievements`
       );
       console.log(
         `  🏆 Achievements (POST): POST http://localhost:${PORT}/api/learning/achievements`
       );
       console.log(
-        `  📝 Quiz Results (GET): GET http://localhost:${PORT}/api/learning/quiz-results/:userId`
+        `  🏆 Badges (GET): GET http://localhost:${PORT}/api/learning/badges`
+      );
+      console.log(
+        `  📝 Quiz Results (GET): GET http://localhost:${PORT}/api/learning/quiz-results`
       );
       console.log(
         `  📝 Quiz Results (POST): POST http://localhost:${PORT}/api/learning/quiz-results`
       );
+      console.log(
+        `  🏅 Leaderboard: GET http://localhost:${PORT}/api/leaderboard`
+      );
+      console.log("");
+      console.log("🔐 Admin APIs:");
+      console.log(
+        `  📬 Pending Emails: GET http://localhost:${PORT}/api/admin/pending-emails`
+      );
+      console.log(
+        `  🎨 Email Templates: GET http://localhost:${PORT}/api/admin/email-templates`
+      );
+      console.log(
+        `  📋 Leads: GET http://localhost:${PORT}/api/admin/leads/:collection`
+      );
+      console.log(`  👥 Staff: GET http://localhost:${PORT}/api/admin/staff`);
+      console.log(
+        `  📤 Exports: GET http://localhost:${PORT}/api/admin/exports/:dataset`
+      );
+      console.log(
+        `  📣 Campaigns: GET http://localhost:${PORT}/api/admin/campaigns`
+      );
+      console.log(
+        `  🔄 CRM Syncs: GET http://localhost:${PORT}/api/admin/crm-syncs`
+      );
+      console.log(
+        `  🪝 Webhooks: GET http://localhost:${PORT}/api/admin/webhooks`
+      );
+      console.log(
+        `  🔔 Lead Routing: GET http://localhost:${PORT}/api/admin/lead-routing`
+      );
+      console.log(
+        `  🛡️ Form Rejections: GET http://localhost:${PORT}/api/admin/form-rejections`
+      );
+      console.log(
+        `  🔏 Data Requests: GET http://localhost:${PORT}/api/admin/data-requests`
+      );
+      console.log(
+        `  📈 Learning Analytics: GET http://localhost:${PORT}/api/admin/learning-analytics/modules`
+      );
       console.log("");
       console.log(`📊 Database: ${db ? "✅ Connected" : "❌ Not connected"}`);
       console.log(
-        `📧 Email: ${SENDGRID_API_KEY ? "✅ Configured" : "❌ Not configured"}`
+        `📧 Email: ${
+          isEmailConfigured() ? "✅ Configured" : "❌ Not configured"
+        }`
       );
       console.log("🚀 ========================================");
     });
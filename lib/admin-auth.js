@@ -0,0 +1,101 @@
+// Admin API access: the ADMIN_API_KEY bearer token, or the session token of
+// a staff user. Staff roles rank read_only < sales < admin; the API key
+// counts as admin.
+const crypto = require("crypto");
+const { eq } = require("drizzle-orm");
+const { db } = require("./db");
+const { users } = require("./schema");
+const {
+  isAuthConfigured,
+  bearerToken,
+  verifySessionToken,
+} = require("./user-auth");
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+const ROLES = ["read_only", "sales", "admin"];
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function findSessionUser(token) {
+  if (!db || !isAuthConfigured()) return null;
+
+  const session = verifySessionToken(token);
+  if (!session) return null;
+
+  const [user] = await db
+    .select({
+      id: users.id,
+      email: users.email,
+      name: users.name,
+      role: users.role,
+    })
+    .from(users)
+    .where(eq(users.id, session.id));
+  return user || null;
+}
+
+// Allows staff with `role` or a higher one and sets
+// req.staff = { id, email, name, role }; id is null for the API key.
+// Later checks in the same request reuse req.staff.
+function requireRole(role) {
+  const minimum = ROLES.indexOf(role);
+
+  return async (req, res, next) => {
+    try {
+      if (!req.staff) {
+        if (!ADMIN_API_KEY && !isAuthConfigured()) {
+          return res.status(503).json({
+            success: false,
+            message: "Admin API not configured",
+          });
+        }
+
+        const token = bearerToken(req);
+        const user =
+          ADMIN_API_KEY && token && tokensMatch(token, ADMIN_API_KEY)
+            ? { id: null, email: null, name: "API key", role: "admin" }
+            : token && (await findSessionUser(token));
+
+        if (!user) {
+          return res.status(401).json({
+            success: false,
+            message: "Admin authentication required",
+          });
+        }
+        if (!user.role) {
+          return res.status(403).json({
+            success: false,
+            message: "Insufficient permissions",
+          });
+        }
+
+        req.staff = user;
+      }
+
+      if (ROLES.indexOf(req.staff.role) < minimum) {
+        return res.status(403).json({
+          success: false,
+          message: "Insufficient permissions",
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("❌ Admin authentication error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to authenticate",
+        error: error.message,
+      });
+    }
+  };
+}
+
+const requireAdmin = requireRole("admin");
+
+module.exports = { ROLES, requireRole, requireAdmin };
@@ -0,0 +1,223 @@
+// Badge catalogue and the rules that award it. Each badge is earned when
+// one of the learner's stats reaches its target:
+//   - modulesCompleted: modules with completed progress
+//   - quizzesTaken: distinct quizzes with a result
+//   - perfectQuizzes: distinct quizzes scored 100% (score = questions)
+//   - longestStreak: most consecutive days with learning activity (UTC)
+// The rules run whenever progress or a quiz result is saved; badges once
+// earned are kept even if the stat later drops.
+//
+// The stats come from what the learner's client reports. Quizzes are
+// marked in the browser and there are no quiz definitions on the server
+// to check a result against, so perfect-quiz only shows that a result of
+// score = totalQuestions was posted. Don't treat it as proof of knowledge.
+const {
+  eq,
+  and,
+  asc,
+  desc,
+  count,
+  countDistinct,
+  sql,
+} = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const {
+  achievements,
+  learningActivityDays,
+  learningProgress,
+  quizResults,
+} = require("./schema");
+
+const BADGES = [
+  {
+    id: "first-module",
+    title: "First Steps",
+    description: "Complete your first module",
+    metric: "modulesCompleted",
+    target: 1,
+  },
+  {
+    id: "five-modules",
+    title: "Getting Going",
+    description: "Complete 5 modules",
+    metric: "modulesCompleted",
+    target: 5,
+  },
+  {
+    id: "ten-modules",
+    title: "Dedicated Learner",
+    description: "Complete 10 modules",
+    metric: "modulesCompleted",
+    target: 10,
+  },
+  {
+    id: "first-quiz",
+    title: "Quiz Taker",
+    description: "Take your first quiz",
+    metric: "quizzesTaken",
+    target: 1,
+  },
+  {
+    id: "perfect-quiz",
+    title: "Full Marks",
+    description: "Score 100% on any quiz",
+    metric: "perfectQuizzes",
+    target: 1,
+  },
+  {
+    id: "three-day-streak",
+    title: "On a Roll",
+    description: "Learn on 3 days in a row",
+    metric: "longestStreak",
+    target: 3,
+  },
+  {
+    id: "seven-day-streak",
+    title: "Week Streak",
+    description: "Learn on 7 days in a row",
+    metric: "longestStreak",
+    target: 7,
+  },
+];
+
+function findBadge(badgeId) {
+  return BADGES.find((badge) => badge.id === badgeId) || null;
+}
+
+// Longest run of consecutive activity days: within a run, day minus its
+// position is the same date
+async function longestStreak(db, userId) {
+  const days = db
+    .select({
+      run: sql`${learningActivityDays.day} - (row_number() OVER (ORDER BY ${learningActivityDays.day}))::int`.as(
+        "run"
+      ),
+    })
+    .from(learningActivityDays)
+    .where(eq(learningActivityDays.userId, userId))
+    .as("days");
+
+  const rows = await db
+    .select({ length: count() })
+    .from(days)
+    .groupBy(days.run)
+    .orderBy(desc(count()))
+    .limit(1);
+  return rows[0] ? rows[0].length : 0;
+}
+
+async function learnerStats(userId, { db = defaultDb } = {}) {
+  const [modules] = await db
+    .select({ completed: count() })
+    .from(learningProgress)
+    .where(
+      and(
+        eq(learningProgress.userId, userId),
+        eq(learningProgress.completed, true)
+      )
+    );
+
+  const [quizzes] = await db
+    .select({
+      taken: countDistinct(quizResults.quizId),
+      perfect:
+        sql`count(DISTINCT ${quizResults.quizId}) FILTER (WHERE ${quizResults.totalQuestions} > 0 AND ${quizResults.score} >= ${quizResults.totalQuestions})`.mapWith(
+          Number
+        ),
+    })
+    .from(quizResults)
+    .where(eq(quizResults.userId, userId));
+
+  return {
+    modulesCompleted: modules.completed,
+    quizzesTaken: quizzes.taken,
+    perfectQuizzes: quizzes.perfect,
+    longestStreak: await longestStreak(db, userId),
+  };
+}
+
+// Award every badge the learner has reached but not yet earned. Returns
+// the new achievements; one already awarded by a concurrent request is
+// skipped by the unique (user_id, badge_id) index.
+async function awardBadges(userId, { db = defaultDb } = {}) {
+  const stats = await learnerStats(userId, { db });
+  const reached = BADGES.filter((badge) => stats[badge.metric] >= badge.target);
+  if (reached.length === 0) return [];
+
+  const awarded = await db
+    .insert(achievements)
+    .values(
+      reached.map((badge) => ({
+        userId,
+        badgeId: badge.id,
+        title: badge.title,
+        description: badge.description,
+      }))
+    )
+    .onConflictDoNothing()
+    .returning();
+
+  if (awarded.length > 0) {
+    console.log(
+      `🏆 User ${userId} earned ${awarded
+        .map((achievement) => achievement.badgeId)
+        .join(", ")}`
+    );
+  }
+  return awarded;
+}
+
+// Record today as an activity day and run the rules, after progress or a
+// quiz result is saved. Never throws, so a rules failure can't fail the
+// save; the badges are then awarded on the learner's next save.
+async function recordLearningActivity(
+  userId,
+  { db = defaultDb, now = new Date() } = {}
+) {
+  if (!db) return [];
+
+  try {
+    await db
+      .insert(learningActivityDays)
+      .values({ userId, day: now.toISOString().slice(0, 10) })
+      .onConflictDoNothing();
+
+    return await awardBadges(userId, { db });
+  } catch (error) {
+    console.error(`⚠️ Failed to award badges to user ${userId}:`, error);
+    return [];
+  }
+}
+
+// The catalogue for a learner: when each badge was earned, if it was, and
+// how far along they are
+async function badgeProgress(userId, { db = defaultDb } = {}) {
+  const stats = await learnerStats(userId, { db });
+  const earned = await db
+    .select()
+    .from(achievements)
+    .where(eq(achievements.userId, userId))
+    .orderBy(asc(achievements.earnedAt));
+  const earnedAt = new Map(
+    earned.map((achievement) => [achievement.badgeId, achievement.earnedAt])
+  );
+
+  return BADGES.map((badge) => ({
+    badgeId: badge.id,
+    title: badge.title,
+    description: badge.description,
+    earned: earnedAt.has(badge.id),
+    earnedAt: earnedAt.get(badge.id) || null,
+    progress: Math.min(stats[badge.metric], badge.target),
+    target: badge.target,
+  }));
+}
+
+module.exports = {
+  BADGES,
+  findBadge,
+  learnerStats,
+  awardBadges,
+  recordLearningActivity,
+  badgeProgress,
+};
@@ -0,0 +1,305 @@
+// Property investment calculators: rental yield, cash-on-cash return,
+// buy-to-let mortgage schedules and Stamp Duty Land Tax
+const { formatCurrency, formatPercent } = require("./templates/html");
+
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+// Stamp Duty Land Tax bands for residential property in England and
+// Northern Ireland, from 1 April 2025
+const SDLT_BANDS = [
+  { upTo: 125000, rate: 0 },
+  { upTo: 250000, rate: 2 },
+  { upTo: 925000, rate: 5 },
+  { upTo: 1500000, rate: 10 },
+  { upTo: Infinity, rate: 12 },
+];
+
+// First-time buyer relief applies to purchases up to £500,000
+const SDLT_FIRST_TIME_BUYER_BANDS = [
+  { upTo: 300000, rate: 0 },
+  { upTo: 500000, rate: 5 },
+];
+const SDLT_FIRST_TIME_BUYER_LIMIT = 500000;
+
+// Surcharges added to every band
+const SDLT_ADDITIONAL_PROPERTY_SURCHARGE = 5;
+const SDLT_ADDITIONAL_PROPERTY_THRESHOLD = 40000;
+const SDLT_NON_RESIDENT_SURCHARGE = 2;
+
+function stampDuty({
+  purchasePrice,
+  additionalProperty = false,
+  firstTimeBuyer = false,
+  nonResident = false,
+}) {
+  const useFirstTimeBuyerRelief =
+    firstTimeBuyer &&
+    !additionalProperty &&
+    purchasePrice <= SDLT_FIRST_TIME_BUYER_LIMIT;
+  const bands = useFirstTimeBuyerRelief
+    ? SDLT_FIRST_TIME_BUYER_BANDS
+    : SDLT_BANDS;
+
+  let surcharge = 0;
+  if (
+    additionalProperty &&
+    purchasePrice >= SDLT_ADDITIONAL_PROPERTY_THRESHOLD
+  ) {
+    surcharge += SDLT_ADDITIONAL_PROPERTY_SURCHARGE;
+  }
+  if (nonResident) surcharge += SDLT_NON_RESIDENT_SURCHARGE;
+
+  const breakdown = [];
+  let lowerBound = 0;
+  let totalTax = 0;
+
+  for (const band of bands) {
+    if (purchasePrice <= lowerBound) break;
+
+    const taxable = Math.min(purchasePrice, band.upTo) - lowerBound;
+    const rate = band.rate + surcharge;
+    const tax = (taxable * rate) / 100;
+
+    breakdown.push({
+      from: lowerBound,
+      to: band.upTo === Infinity ? null : band.upTo,
+      rate,
+      taxable: round(taxable),
+      tax: round(tax),
+    });
+
+    totalTax += tax;
+    lowerBound = band.upTo;
+  }
+
+  return {
+    stampDuty: round(totalTax),
+    effectiveRate: round((totalTax / purchasePrice) * 100),
+    surchargeRate: surcharge,
+    firstTimeBuyerRelief: useFirstTimeBuyerRelief,
+    breakdown,
+  };
+}
+
+// Monthly payment for a repayment mortgage
+function monthlyRepayment(loanAmount, annualRate, termYears) {
+  const monthlyRate = annualRate / 100 / 12;
+  const payments = termYears * 12;
+  if (monthlyRate === 0) return loanAmount / payments;
+  return (
+    (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -payments))
+  );
+}
+
+// Yearly schedule for a repayment or interest-only mortgage
+function mortgage({
+  loanAmount,
+  annualRate,
+  termYears,
+  type = "repayment",
+  monthlyRent,
+}) {
+  const monthlyRate = annualRate / 100 / 12;
+  const monthlyPayment =
+    type === "interest_only"
+      ? loanAmount * monthlyRate
+      : monthlyRepayment(loanAmount, annualRate, termYears);
+
+  const schedule = [];
+  let balance = loanAmount;
+  let totalInterest = 0;
+
+  for (let year = 1; year <= termYears; year++) {
+    let interestPaid = 0;
+    let principalPaid = 0;
+
+    for (let month = 0; month < 12; month++) {
+      const interest = balance * monthlyRate;
+      const principal =
+        type === "interest_only" ? 0 : monthlyPayment - interest;
+      interestPaid += interest;
+      principalPaid += principal;
+      balance = Math.max(balance - principal, 0);
+    }
+
+    totalInterest += interestPaid;
+    schedule.push({
+      year,
+      payments: round(monthlyPayment * 12),
+      interestPaid: round(interestPaid),
+      principalPaid: round(principalPaid),
+      closingBalance: round(balance),
+    });
+  }
+
+  const result = {
+    type,
+    monthlyPayment: round(monthlyPayment),
+    totalInterest: round(totalInterest),
+    totalPaid: round(monthlyPayment * termYears * 12 + balance),
+    balanceAtEnd: round(balance),
+    schedule,
+  };
+
+  // Lenders usually want rent to cover interest by 125%+. At a 0% rate
+  // there's no interest to cover, so there's no ratio.
+  if (monthlyRent && monthlyRate > 0) {
+    result.interestCoverageRatio = round(
+      (monthlyRent / (loanAmount * monthlyRate)) * 100
+    );
+  }
+
+  return result;
+}
+
+function rentalYield({
+  purchasePrice,
+  monthlyRent,
+  annualCosts = 0,
+  purchaseCosts = 0,
+}) {
+  const annualRent = monthlyRent * 12;
+  const netIncome = annualRent - annualCosts;
+
+  return {
+    annualRent: round(annualRent),
+    netIncome: round(netIncome),
+    grossYield: round((annualRent / purchasePrice) * 100),
+    netYield: round((netIncome / (purchasePrice + purchaseCosts)) * 100),
+  };
+}
+
+// Cash-on-cash return. Mortgage payments are worked out from the loan
+// details unless annualMortgagePayments is given.
+function cashOnCash({
+  purchasePrice,
+  deposit,
+  purchaseCosts = 0,
+  monthlyRent,
+  annualCosts = 0,
+  annualMortgagePayments,
+  mortgageRate,
+  mortgageTermYears = 25,
+  mortgageType = "interest_only",
+}) {
+  const loanAmount = Math.max(purchasePrice - deposit, 0);
+  let mortgagePayments = annualMortgagePayments;
+
+  if (mortgagePayments === undefined) {
+    mortgagePayments =
+      loanAmount > 0 && mortgageRate !== undefined
+        ? mortgage({
+            loanAmount,
+            annualRate: mortgageRate,
+            termYears: mortgageTermYears,
+            type: mortgageType,
+          }).monthlyPayment * 12
+        : 0;
+  }
+
+  const annualRent = monthlyRent * 12;
+  const annualCashFlow = annualRent - annualCosts - mortgagePayments;
+  const cashInvested = deposit + purchaseCosts;
+
+  return {
+    loanAmount: round(loanAmount),
+    annualRent: round(annualRent),
+    annualMortgagePayments: round(mortgagePayments),
+    annualCashFlow: round(annualCashFlow),
+    monthlyCashFlow: round(annualCashFlow / 12),
+    cashInvested: round(cashInvested),
+    cashOnCashReturn: round((annualCashFlow / cashInvested) * 100),
+  };
+}
+
+const yesNo = (value) => (value ? "Yes" : "No");
+
+// Each calculator's title and the label/value lines used in its report
+const CALCULATORS = {
+  rental_yield: {
+    title: "Rental Yield",
+    calculate: rentalYield,
+    report: (inputs, result) => ({
+      inputs: [
+        ["Purchase price", formatCurrency(inputs.purchasePrice)],
+        ["Monthly rent", formatCurrency(inputs.monthlyRent)],
+        ["Annual running costs", formatCurrency(inputs.annualCosts || 0)],
+        ["Purchase costs", formatCurrency(inputs.purchaseCosts || 0)],
+      ],
+      results: [
+        ["Annual rent", formatCurrency(result.annualRent)],
+        ["Gross yield", formatPercent(result.grossYield)],
+        ["Net yield", formatPercent(result.netYield)],
+      ],
+    }),
+  },
+  cash_on_cash: {
+    title: "Cash-on-Cash Return",
+    calculate: cashOnCash,
+    report: (inputs, result) => ({
+      inputs: [
+        ["Purchase price", formatCurrency(inputs.purchasePrice)],
+        ["Deposit", formatCurrency(inputs.deposit)],
+        ["Purchase costs", formatCurrency(inputs.purchaseCosts || 0)],
+        ["Monthly rent", formatCurrency(inputs.monthlyRent)],
+        ["Annual running costs", formatCurrency(inputs.annualCosts || 0)],
+      ],
+      results: [
+        [
+          "Annual mortgage payments",
+          formatCurrency(result.annualMortgagePayments),
+        ],
+        ["Annual cash flow", formatCurrency(result.annualCashFlow)],
+        ["Cash invested", formatCurrency(result.cashInvested)],
+        ["Cash-on-cash return", formatPercent(result.cashOnCashReturn)],
+      ],
+    }),
+  },
+  mortgage: {
+    title: "Buy-to-Let Mortgage",
+    calculate: mortgage,
+    report: (inputs, result) => ({
+      inputs: [
+        ["Loan amount", formatCurrency(inputs.loanAmount)],
+        ["Interest rate", formatPercent(inputs.annualRate)],
+        ["Term", `${inputs.termYears} years`],
+        [
+          "Type",
+          result.type === "interest_only" ? "Interest only" : "Repayment",
+        ],
+      ],
+      results: [
+        ["Monthly payment", formatCurrency(result.monthlyPayment)],
+        ["Total interest", formatCurrency(result.totalInterest)],
+        ["Balance at end of term", formatCurrency(result.balanceAtEnd)],
+      ],
+    }),
+  },
+  stamp_duty: {
+    title: "Stamp Duty Land Tax",
+    calculate: stampDuty,
+    report: (inputs, result) => ({
+      inputs: [
+        ["Purchase price", formatCurrency(inputs.purchasePrice)],
+        ["Additional property", yesNo(inputs.additionalProperty)],
+        ["First-time buyer", yesNo(inputs.firstTimeBuyer)],
+        ["Non-UK resident", yesNo(inputs.nonResident)],
+      ],
+      results: [
+        ["Stamp duty", formatCurrency(result.stampDuty)],
+        ["Effective rate", formatPercent(result.effectiveRate)],
+      ],
+    }),
+  },
+};
+
+module.exports = {
+  CALCULATORS,
+  SDLT_BANDS,
+  stampDuty,
+  mortgage,
+  rentalYield,
+  cashOnCash,
+};
@@ -0,0 +1,382 @@
+// Newsletter campaigns: audience segments, per-recipient rendering and
+// queueing through the pending_emails outbox. Copies are staggered with
+// next_attempt_at so the retry worker sends them in throttled batches.
+const {
+  eq,
+  and,
+  desc,
+  gte,
+  inArray,
+  isNull,
+  isNotNull,
+  count,
+  sql,
+} = require("drizzle-orm");
+const {
+  newsletterSubscriptions,
+  contactSubmissions,
+  dealSourcingWaitlist,
+  pendingEmails,
+} = require("./schema");
+const {
+  sendableSubscribers,
+  wantsTopic,
+  confirmUrl,
+  subscriptionLinks,
+  listUnsubscribeHeaders,
+} = require("./newsletter");
+const { escapeHtml } = require("./templates/html");
+const { renderTemplate } = require("./templates");
+
+// Copies due per batch, and the gap between batches
+const BATCH_SIZE = parseInt(process.env.CAMPAIGN_BATCH_SIZE) || 50;
+const BATCH_INTERVAL_MS =
+  parseInt(process.env.CAMPAIGN_BATCH_INTERVAL_MS) || 60 * 1000;
+
+// Rows per INSERT when queueing
+const INSERT_CHUNK_SIZE = 100;
+
+const SEGMENT_TYPES = ["subscribers", "waitlist", "investors"];
+const PLACEHOLDERS = ["name", "firstName", "email"];
+const OUTBOX_STATUSES = ["pending", "sent", "failed", "cancelled"];
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Placeholder names used in `text` that PLACEHOLDERS doesn't know
+function unknownPlaceholders(text) {
+  const names = [...String(text).matchAll(PLACEHOLDER)].map(([, key]) => key);
+  return names.filter((name) => !PLACEHOLDERS.includes(name));
+}
+
+function fillPlaceholders(text, values, escape = (value) => value) {
+  return text.replace(PLACEHOLDER, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key)
+      ? escape(values[key])
+      : match
+  );
+}
+
+function placeholderValues(recipient) {
+  const name = recipient.name ? recipient.name.trim() : "";
+  return {
+    name: name || "there",
+    firstName: name ? name.split(/\s+/)[0] : "there",
+    email: recipient.email,
+  };
+}
+
+// Rough plain-text version of a campaign body, for campaigns without one
+function htmlToText(markup) {
+  return markup
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, "\n\n")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, "$2 ($1)")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Members of a lead table with a confirmed newsletter subscription,
+// matching `where`, most recent first
+function subscribedLeads(db, table, where) {
+  return db
+    .select({
+      email: table.email,
+      name: table.name,
+      createdAt: table.createdAt,
+      subscription: newsletterSubscriptions,
+    })
+    .from(table)
+    .innerJoin(
+      newsletterSubscriptions,
+      sql`lower(${newsletterSubscriptions.email}) = lower(${table.email})`
+    )
+    .where(and(sendableSubscribers(), where))
+    .orderBy(desc(table.createdAt));
+}
+
+// Subscribed contacts and waitlist members whose parsed investment amount
+// is at least `min`, most recent first
+async function investorLeads(db, min) {
+  const leads = [
+    ...(await subscribedLeads(
+      db,
+      contactSubmissions,
+      gte(contactSubmissions.investmentValue, min)
+    )),
+    ...(await subscribedLeads(
+      db,
+      dealSourcingWaitlist,
+      gte(dealSourcingWaitlist.investmentValue, min)
+    )),
+  ];
+  return leads.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Recipients for a segment as [{ email, name, subscription }], one per
+// address. Every segment is confirmed subscribers: "waitlist" and
+// "investors" narrow them to those who are also leads. Anyone who opted
+// out of the campaign's topic is left out.
+async function resolveAudience(db, { segment, topic }) {
+  let candidates;
+  switch (segment.type) {
+    case "subscribers":
+      candidates = await db
+        .select({
+          email: newsletterSubscriptions.email,
+          subscription: newsletterSubscriptions,
+        })
+        .from(newsletterSubscriptions)
+        .where(sendableSubscribers())
+        .orderBy(newsletterSubscriptions.id);
+      break;
+    case "waitlist":
+      candidates = await subscribedLeads(db, dealSourcingWaitlist);
+      break;
+    case "investors":
+      candidates = await investorLeads(db, segment.minInvestment);
+      break;
+    default:
+      throw new Error(`Unknown campaign segment: ${segment.type}`);
+  }
+
+  const recipients = new Map();
+  for (const candidate of candidates) {
+    const key = candidate.email.toLowerCase();
+    if (recipients.has(key)) continue;
+    if (!wantsTopic(candidate.subscription, topic)) continue;
+
+    recipients.set(key, {
+      email: candidate.email,
+      name: candidate.name || null,
+      subscription: candidate.subscription,
+    });
+  }
+
+  return [...recipients.values()];
+}
+
+// { subject, html, text, headers } for one recipient
+function renderCampaignEmail(campaign, recipient) {
+  const values = placeholderValues(recipient);
+  const subscription = recipient.subscription || { email: recipient.email };
+
+  const email = renderTemplate("campaign", {
+    subject: fillPlaceholders(campaign.subject, values),
+    body: fillPlaceholders(campaign.body, values, escapeHtml),
+    textBody: fillPlaceholders(
+      campaign.textBody || htmlToText(campaign.body),
+      values
+    ),
+    ...subscriptionLinks(subscription),
+  });
+
+  return { ...email, headers: listUnsubscribeHeaders(subscription) };
+}
+
+// Queue a copy for every recipient in pending_emails. The first BATCH_SIZE
+// are due now, the next BATCH_SIZE one BATCH_INTERVAL_MS later, and so on.
+async function queueCampaign(
+  db,
+  campaign,
+  recipients,
+  {
+    batchSize = BATCH_SIZE,
+    batchIntervalMs = BATCH_INTERVAL_MS,
+    now = new Date(),
+  } = {}
+) {
+  for (let start = 0; start < recipients.length; start += INSERT_CHUNK_SIZE) {
+    const rows = recipients
+      .slice(start, start + INSERT_CHUNK_SIZE)
+      .map((recipient, offset) => {
+        const batch = Math.floor((start + offset) / batchSize);
+        const email = renderCampaignEmail(campaign, recipient);
+
+        return {
+          recipientEmail: recipient.email,
+          recipientName: recipient.name,
+          subject: email.subject,
+          htmlContent: email.html,
+          textContent: email.text,
+          headers: email.headers,
+          emailType: "campaign",
+          campaignId: campaign.id,
+          status: "pending",
+          nextAttemptAt: new Date(now.getTime() + batch * batchIntervalMs),
+        };
+      });
+
+    await db.insert(pendingEmails).values(rows);
+  }
+
+  console.log(
+    `📣 Campaign ${campaign.id} queued for ${recipients.length} recipients`
+  );
+}
+
+// Legacy subscribers (see lib/newsletter.js), by whether they've been
+// asked to confirm
+async function reconfirmationStats(db) {
+  const asked = isNotNull(newsletterSubscriptions.confirmationSentAt);
+  const rows = await db
+    .select({ asked, total: count() })
+    .from(newsletterSubscriptions)
+    .where(eq(newsletterSubscriptions.status, "legacy"))
+    .groupBy(asked);
+
+  const stats = { notAsked: 0, asked: 0 };
+  for (const row of rows) {
+    stats[row.asked ? "asked" : "notAsked"] = row.total;
+  }
+  return stats;
+}
+
+// Queue a re-confirmation email to every legacy subscriber not yet asked
+// (or all of them with `resend`), throttled like a campaign. Confirming
+// makes them ordinary subscribers; the rest stay legacy and get nothing.
+// Returns how many were queued.
+async function queueReconfirmation(
+  db,
+  {
+    resend = false,
+    batchSize = BATCH_SIZE,
+    batchIntervalMs = BATCH_INTERVAL_MS,
+    now = new Date(),
+  } = {}
+) {
+  const subscriptions = await db
+    .select()
+    .from(newsletterSubscriptions)
+    .where(
+      and(
+        eq(newsletterSubscriptions.status, "legacy"),
+        resend ? undefined : isNull(newsletterSubscriptions.confirmationSentAt)
+      )
+    )
+    .orderBy(newsletterSubscriptions.id);
+
+  for (
+    let start = 0;
+    start < subscriptions.length;
+    start += INSERT_CHUNK_SIZE
+  ) {
+    const chunk = subscriptions.slice(start, start + INSERT_CHUNK_SIZE);
+    const rows = chunk.map((subscription, offset) => {
+      const batch = Math.floor((start + offset) / batchSize);
+      const email = renderTemplate("newsletter_reconfirmation", {
+        confirmUrl: confirmUrl(subscription),
+        ...subscriptionLinks(subscription),
+      });
+
+      return {
+        recipientEmail: subscription.email,
+        recipientName: "Subscriber",
+        subject: email.subject,
+        htmlContent: email.html,
+        textContent: email.text,
+        headers: listUnsubscribeHeaders(subscription),
+        emailType: "newsletter_reconfirmation",
+        status: "pending",
+        nextAttemptAt: new Date(now.getTime() + batch * batchIntervalMs),
+      };
+    });
+
+    await db.insert(pendingEmails).values(rows);
+    await db
+      .update(newsletterSubscriptions)
+      .set({ confirmationSentAt: now, updatedAt: now })
+      .where(
+        inArray(
+          newsletterSubscriptions.id,
+          chunk.map((subscription) => subscription.id)
+        )
+      );
+  }
+
+  console.log(
+    `📣 Re-confirmation queued for ${subscriptions.length} legacy subscribers`
+  );
+  return subscriptions.length;
+}
+
+// Outbox status counts per campaign ID, e.g. { 3: { pending: 10, sent: 90 } }
+async function campaignStats(db, campaignIds) {
+  const stats = {};
+  for (const id of campaignIds) {
+    stats[id] = Object.fromEntries(
+      OUTBOX_STATUSES.map((status) => [status, 0])
+    );
+  }
+  if (campaignIds.length === 0) return stats;
+
+  const rows = await db
+    .select({
+      campaignId: pendingEmails.campaignId,
+      status: pendingEmails.status,
+      total: count(),
+    })
+    .from(pendingEmails)
+    .where(inArray(pendingEmails.campaignId, campaignIds))
+    .groupBy(pendingEmails.campaignId, pendingEmails.status);
+
+  for (const row of rows) {
+    stats[row.campaignId][row.status] = row.total;
+  }
+  return stats;
+}
+
+// Cancel a campaign's copies that haven't been sent yet. Returns how many.
+async function cancelCampaignEmails(db, campaignId) {
+  const cancelled = await db
+    .update(pendingEmails)
+    .set({ status: "cancelled", nextAttemptAt: null })
+    .where(
+      and(
+        eq(pendingEmails.campaignId, campaignId),
+        eq(pendingEmails.status, "pending")
+      )
+    )
+    .returning({ id: pendingEmails.id });
+
+  return cancelled.length;
+}
+
+// Cancel unsent campaign copies to an address that just unsubscribed
+async function cancelQueuedCampaignEmails(db, email) {
+  const cancelled = await db
+    .update(pendingEmails)
+    .set({ status: "cancelled", nextAttemptAt: null })
+    .where(
+      and(
+        isNotNull(pendingEmails.campaignId),
+        eq(pendingEmails.status, "pending"),
+        sql`lower(${pendingEmails.recipientEmail}) = ${email.toLowerCase()}`
+      )
+    )
+    .returning({ id: pendingEmails.id });
+
+  return cancelled.length;
+}
+
+module.exports = {
+  SEGMENT_TYPES,
+  PLACEHOLDERS,
+  OUTBOX_STATUSES,
+  unknownPlaceholders,
+  resolveAudience,
+  renderCampaignEmail,
+  queueCampaign,
+  campaignStats,
+  reconfirmationStats,
+  queueReconfirmation,
+  cancelCampaignEmails,
+  cancelQueuedCampaignEmails,
+};
@@ -0,0 +1,218 @@
+// Server-side charts for report emails, rendered as PNG so they can be
+// attached inline. Bars and gridlines only; labels go in the email body.
+const zlib = require("zlib");
+const { BRAND } = require("./templates/branding");
+
+const WIDTH = 600;
+const HEIGHT = 300;
+const PADDING = { top: 20, right: 20, bottom: 20, left: 20 };
+
+// Enough bars for a 75-year breakdown without them becoming slivers
+const MAX_BARS = 80;
+
+const COLORS = {
+  background: "#ffffff",
+  grid: "#e5e5e5",
+  axis: "#999999",
+  original: "#b0b0b0",
+  value: BRAND.color,
+  projected: "#7fc6b6",
+};
+
+function parseColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+function createCanvas(width, height, background) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const [r, g, b] = parseColor(background);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = r;
+    pixels[i + 1] = g;
+    pixels[i + 2] = b;
+  }
+  return { width, height, pixels };
+}
+
+function fillRect(canvas, x, y, width, height, color) {
+  const [r, g, b] = parseColor(color);
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(canvas.width, Math.round(x + width));
+  const y1 = Math.min(canvas.height, Math.round(y + height));
+
+  for (let row = y0; row < y1; row++) {
+    for (let col = x0; col < x1; col++) {
+      const offset = (row * canvas.width + col) * 3;
+      canvas.pixels[offset] = r;
+      canvas.pixels[offset + 1] = g;
+      canvas.pixels[offset + 2] = b;
+    }
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encode an RGB canvas as a PNG
+function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  // Each scanline starts with a filter byte (0 = none)
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let row = 0; row < height; row++) {
+    pixels.copy(
+      raw,
+      row * (rowLength + 1) + 1,
+      row * rowLength,
+      (row + 1) * rowLength
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function toAmount(value) {
+  const number = Number(value);
+  return isFinite(number) && number >= 0 ? number : null;
+}
+
+// Evenly pick at most `max` items, always keeping the first and last
+function sample(items, max) {
+  if (items.length <= max) return items;
+  const step = (items.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => items[Math.round(i * step)]);
+}
+
+// Bars to draw for an inflation calculation: one per breakdown point when
+// the yearly breakdown is available, otherwise original vs today's value
+function inflationBars(calculationData) {
+  const original = toAmount(calculationData.originalValue);
+
+  if (Array.isArray(calculationData.breakdown)) {
+    const points = calculationData.breakdown
+      .map((point) => ({
+        value: toAmount(point && point.value),
+        projected: !!(point && point.projected),
+      }))
+      .filter((point) => point.value !== null);
+
+    if (points.length >= 2) {
+      return {
+        reference: original,
+        bars: sample(points, MAX_BARS).map((point) => ({
+          value: point.value,
+          color: point.projected ? COLORS.projected : COLORS.value,
+        })),
+      };
+    }
+  }
+
+  const today = toAmount(calculationData.todayValue);
+  if (original === null || today === null) return null;
+
+  return {
+    reference: null,
+    bars: [
+      { value: original, color: COLORS.original },
+      { value: today, color: COLORS.value },
+    ],
+  };
+}
+
+// PNG bar chart of an inflation calculation, or null if calculationData
+// has nothing to plot
+function renderInflationChart(calculationData) {
+  if (!calculationData || typeof calculationData !== "object") return null;
+
+  const chart = inflationBars(calculationData);
+  if (!chart) return null;
+
+  const max = Math.max(
+    ...chart.bars.map((bar) => bar.value),
+    chart.reference || 0
+  );
+  if (max <= 0) return null;
+
+  const canvas = createCanvas(WIDTH, HEIGHT, COLORS.background);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const baseline = PADDING.top + plotHeight;
+  const scale = plotHeight / (max * 1.1);
+
+  for (let i = 1; i <= 4; i++) {
+    fillRect(
+      canvas,
+      PADDING.left,
+      baseline - (plotHeight * i) / 4,
+      plotWidth,
+      1,
+      COLORS.grid
+    );
+  }
+
+  const slot = plotWidth / chart.bars.length;
+  const gap = Math.max(1, Math.min(slot * 0.2, 24));
+  chart.bars.forEach((bar, i) => {
+    const height = bar.value * scale;
+    fillRect(
+      canvas,
+      PADDING.left + i * slot + gap / 2,
+      baseline - height,
+      Math.max(slot - gap, 1),
+      height,
+      bar.color
+    );
+  });
+
+  // Dashed line at the original amount
+  if (chart.reference) {
+    const y = baseline - chart.reference * scale;
+    for (let x = PADDING.left; x < PADDING.left + plotWidth; x += 10) {
+      fillRect(canvas, x, y - 1, 6, 2, COLORS.original);
+    }
+  }
+
+  fillRect(canvas, PADDING.left, baseline, plotWidth, 1, COLORS.axis);
+
+  return encodePng(canvas);
+}
+
+module.exports = {
+  COLORS,
+  encodePng,
+  renderInflationChart,
+};
@@ -0,0 +1,294 @@
+// Contact form conversations. Every submission gets an acknowledgement
+// quoting its reference number; staff replies and the sender's replies are
+// kept in contact_messages as one thread per submission.
+//
+// Outbound emails carry their own Message-ID and, once there is one, the
+// In-Reply-To/References of the thread, plus a Reply-To of CONTACT_REPLY_TO
+// (an address whose mail the provider posts to /api/inbound-email). An
+// inbound reply joins the thread whose message it answers, or failing that
+// the submission whose reference is in its subject, if it comes from the
+// submission's own email address.
+const crypto = require("crypto");
+const { eq, asc, inArray } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const { contactSubmissions, contactMessages } = require("./schema");
+const { SENDERS, sendEmail } = require("./mailer");
+const { renderTemplate } = require("./templates");
+
+const CONTACT_REPLY_TO = process.env.CONTACT_REPLY_TO;
+
+// Address outbound messages are recorded as coming from
+const FROM_EMAIL = CONTACT_REPLY_TO || SENDERS.default[0].from;
+const MESSAGE_ID_DOMAIN = FROM_EMAIL.split("@")[1];
+
+const REFERENCE = /\bKR-(\d{6,})\b/i;
+
+// The reference number given to the sender, e.g. KR-000042
+function contactReference(id) {
+  return `KR-${String(id).padStart(6, "0")}`;
+}
+
+// Contact submission ID from a reference anywhere in `text`, or null
+function parseReference(text) {
+  const match = String(text || "").match(REFERENCE);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function generateMessageId() {
+  return `<${crypto.randomUUID()}@${MESSAGE_ID_DOMAIN}>`;
+}
+
+// Message-IDs quoted in an In-Reply-To or References header
+function quotedMessageIds(...headers) {
+  return headers.flatMap(
+    (header) => String(header || "").match(/<[^>]+>/g) || []
+  );
+}
+
+// A submission's thread, oldest first
+async function threadMessages(contactId, { db = defaultDb } = {}) {
+  return db
+    .select()
+    .from(contactMessages)
+    .where(eq(contactMessages.contactId, contactId))
+    .orderBy(asc(contactMessages.createdAt), asc(contactMessages.id));
+}
+
+// Send one email in a contact's thread and record it, with `body` as the
+// thread's copy (the email's text by default). Returns the stored message
+// and whether the email went out now (otherwise it's queued).
+async function sendThreadEmail(
+  db,
+  contact,
+  { template, data, emailType, body, author = null }
+) {
+  const previousIds = (await threadMessages(contact.id, { db }))
+    .map((message) => message.messageId)
+    .filter(Boolean);
+
+  const messageId = generateMessageId();
+  const headers = { "Message-ID": messageId };
+  if (CONTACT_REPLY_TO) headers["Reply-To"] = CONTACT_REPLY_TO;
+  if (previousIds.length > 0) {
+    headers["In-Reply-To"] = previousIds[previousIds.length - 1];
+    headers.References = previousIds.join(" ");
+  }
+
+  const email = renderTemplate(template, {
+    ...data,
+    reference: contactReference(contact.id),
+  });
+  const { sent } = await sendEmail({
+    to: contact.email,
+    toName: contact.name,
+    ...email,
+    headers,
+    emailType,
+    senders: SENDERS.default,
+  });
+
+  const [message] = await db
+    .insert(contactMessages)
+    .values({
+      contactId: contact.id,
+      direction: "outbound",
+      status: sent ? "sent" : "queued",
+      fromEmail: FROM_EMAIL,
+      toEmail: contact.email,
+      subject: email.subject,
+      body: body ?? email.text,
+      messageId,
+      authorId: author ? author.id : null,
+      authorName: author ? author.name || author.email : null,
+    })
+    .returning();
+
+  return { message, sent };
+}
+
+// Acknowledge a new submission. Never throws, so a mail outage can't fail
+// the form. Returns whether the email was sent.
+async function sendAcknowledgement(contact, { db = defaultDb } = {}) {
+  if (!db) return false;
+
+  try {
+    const { sent } = await sendThreadEmail(db, contact, {
+      template: "contact_acknowledgement",
+      data: { name: contact.name, message: contact.message },
+      emailType: "contact_acknowledgement",
+    });
+    return sent;
+  } catch (error) {
+    console.error("⚠️ Failed to acknowledge contact submission:", error);
+    return false;
+  }
+}
+
+// A staff reply to the sender; `staff` is req.staff
+async function sendStaffReply(
+  contact,
+  { subject, body, staff },
+  { db = defaultDb } = {}
+) {
+  return sendThreadEmail(db, contact, {
+    template: "contact_reply",
+    data: {
+      subject: subject || "Re: Your enquiry",
+      body,
+      staffName: staff.id ? staff.name || staff.email : null,
+    },
+    emailType: "contact_reply",
+    body,
+    author: staff,
+  });
+}
+
+// "Alex Example <alex@example.com>" -> alex@example.com
+function parseAddress(value) {
+  const text = String(value || "").trim();
+  const match = text.match(/<([^>]+)>/);
+  return (match ? match[1] : text).trim().toLowerCase();
+}
+
+// Drop the quoted copy of earlier messages that mail clients append
+function stripQuotedReply(text) {
+  const lines = String(text || "")
+    .replace(/\r\n/g, "\n")
+    .split("\n");
+  const cut = lines.findIndex(
+    (line) =>
+      /^On .+wrote:\s*$/.test(line) ||
+      /^-+\s*Original Message\s*-+$/i.test(line) ||
+      /^>/.test(line)
+  );
+  return (cut === -1 ? lines : lines.slice(0, cut)).join("\n").trim();
+}
+
+// Header name (lowercased) to value from a raw header block, as SendGrid
+// posts in its headers field. Folded lines are joined; the first of a
+// repeated header wins.
+function parseHeaderBlock(raw) {
+  const headers = {};
+  const lines = String(raw || "")
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]+/g, " ")
+    .split("\n");
+  for (const line of lines) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+// Normalise an inbound parse webhook body. Accepts our own JSON shape
+// ({ from, to, subject, text, messageId, inReplyTo, references }),
+// Postmark's inbound JSON, Mailgun's form fields and SendGrid Inbound
+// Parse's multipart fields (with "POST the raw, full MIME message" off).
+function parseInboundEmail(body) {
+  const headerList = Array.isArray(body.Headers) ? body.Headers : [];
+  const headerBlock =
+    typeof body.headers === "string" ? parseHeaderBlock(body.headers) : {};
+  const header = (name) => {
+    const found = headerList.find(
+      (entry) => String(entry.Name).toLowerCase() === name.toLowerCase()
+    );
+    if (found) return found.Value;
+    return headerBlock[name.toLowerCase()] || body[name];
+  };
+
+  const from = body.FromFull?.Email || body.from || body.From || body.sender;
+  return {
+    from: parseAddress(from),
+    to: parseAddress(body.to || body.To || body.recipient),
+    subject: String(body.subject || body.Subject || "").trim(),
+    text: stripQuotedReply(
+      body.text ||
+        body.StrippedTextReply ||
+        body.TextBody ||
+        body["stripped-text"] ||
+        body["body-plain"]
+    ),
+    messageId: body.messageId || header("Message-ID") || header("Message-Id"),
+    inReplyTo: body.inReplyTo || header("In-Reply-To"),
+    references: body.references || header("References"),
+  };
+}
+
+// The submission an inbound email replies to, or null
+async function findRepliedContact(db, email) {
+  const quoted = quotedMessageIds(email.inReplyTo, email.references);
+  if (quoted.length > 0) {
+    const [message] = await db
+      .select({ contactId: contactMessages.contactId })
+      .from(contactMessages)
+      .where(inArray(contactMessages.messageId, quoted))
+      .limit(1);
+
+    if (message) {
+      const [contact] = await db
+        .select()
+        .from(contactSubmissions)
+        .where(eq(contactSubmissions.id, message.contactId));
+      if (contact) return contact;
+    }
+  }
+
+  const id = parseReference(email.subject);
+  if (!id) return null;
+
+  const [contact] = await db
+    .select()
+    .from(contactSubmissions)
+    .where(eq(contactSubmissions.id, id));
+  return contact && contact.email.toLowerCase() === email.from ? contact : null;
+}
+
+// Add a parsed inbound email to its thread. Returns the stored message, or
+// null when it doesn't belong to any submission.
+async function recordInboundReply(email, { db = defaultDb } = {}) {
+  const contact = await findRepliedContact(db, email);
+  if (!contact) return null;
+
+  // Parse webhooks are retried on timeouts, so the same email can arrive twice
+  if (email.messageId) {
+    const [existing] = await db
+      .select()
+      .from(contactMessages)
+      .where(eq(contactMessages.messageId, email.messageId));
+    if (existing) return existing;
+  }
+
+  const [message] = await db
+    .insert(contactMessages)
+    .values({
+      contactId: contact.id,
+      direction: "inbound",
+      status: "received",
+      fromEmail: email.from,
+      toEmail: email.to || FROM_EMAIL,
+      subject: email.subject || "(no subject)",
+      body: email.text,
+      messageId: email.messageId || null,
+    })
+    .returning();
+
+  await db
+    .update(contactSubmissions)
+    .set({ updatedAt: new Date() })
+    .where(eq(contactSubmissions.id, contact.id));
+
+  return message;
+}
+
+module.exports = {
+  contactReference,
+  parseReference,
+  threadMessages,
+  sendAcknowledgement,
+  sendStaffReply,
+  parseInboundEmail,
+  stripQuotedReply,
+  recordInboundReply,
+};
@@ -0,0 +1,222 @@
+// CRM adapters. Each one takes the mapped fields of a form submission,
+//   sync(fields, { formType, recordId })
+// resolves to { externalId } once the CRM has the record, and throws a
+// CrmSyncError otherwise. Errors marked `permanent` won't succeed on retry.
+//   erase({ externalId, email, formType, recordId })
+// deletes a synced record again, for GDPR erasure. A record the CRM no
+// longer has counts as erased. Adapters that can also have
+//   findByEmail(email)
+// resolving to the externalIds of every record with that address.
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+class CrmSyncError extends Error {
+  constructor(message, { status, permanent = false } = {}) {
+    super(message);
+    this.name = "CrmSyncError";
+    this.status = status;
+    this.permanent = permanent;
+  }
+}
+
+// 4xx answers other than rate limits mean the request itself is wrong
+async function responseError(provider, response) {
+  const body = await response.text().catch(() => "");
+  return new CrmSyncError(
+    `${provider} responded ${response.status}: ${body.slice(0, 500)}`,
+    {
+      status: response.status,
+      permanent:
+        response.status >= 400 &&
+        response.status < 500 &&
+        response.status !== 429,
+    }
+  );
+}
+
+async function request(provider, url, options) {
+  try {
+    return await fetch(url, {
+      ...options,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new CrmSyncError(`${provider} request failed: ${error.message}`);
+  }
+}
+
+// Adds a row to a Baserow table, addressing fields by name
+function createBaserowAdapter({
+  token,
+  tableId,
+  apiUrl = "https://api.baserow.io",
+  emailField = "Email",
+}) {
+  return {
+    name: "baserow",
+    sync: async (fields) => {
+      const response = await request(
+        "Baserow",
+        `${apiUrl}/api/database/rows/table/${tableId}/?user_field_names=true`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Token ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(fields),
+        }
+      );
+      if (!response.ok) throw await responseError("Baserow", response);
+
+      const row = await response.json();
+      return { externalId: row.id ? String(row.id) : null };
+    },
+    erase: async ({ externalId }) => {
+      if (!externalId) {
+        throw new CrmSyncError("Baserow rows can only be erased by ID", {
+          permanent: true,
+        });
+      }
+
+      const response = await request(
+        "Baserow",
+        `${apiUrl}/api/database/rows/table/${tableId}/${encodeURIComponent(
+          externalId
+        )}/`,
+        { method: "DELETE", headers: { Authorization: `Token ${token}` } }
+      );
+      if (!response.ok && response.status !== 404) {
+        throw await responseError("Baserow", response);
+      }
+    },
+    // Baserow's filter is a case-insensitive substring match, so rows are
+    // compared exactly here
+    findByEmail: async (email) => {
+      const address = email.trim().toLowerCase();
+      const externalIds = [];
+      let url = `${apiUrl}/api/database/rows/table/${tableId}/?${new URLSearchParams(
+        {
+          user_field_names: "true",
+          size: "200",
+          [`filter__${emailField}__contains`]: address,
+        }
+      )}`;
+
+      while (url) {
+        const response = await request("Baserow", url, {
+          headers: { Authorization: `Token ${token}` },
+        });
+        if (!response.ok) throw await responseError("Baserow", response);
+
+        const page = await response.json();
+        for (const row of page.results || []) {
+          const value = String(row[emailField] || "");
+          if (value.trim().toLowerCase() === address) {
+            externalIds.push(String(row.id));
+          }
+        }
+        url = page.next || null;
+      }
+      return externalIds;
+    },
+  };
+}
+
+// Creates a HubSpot contact, or updates the one with the same email
+function createHubSpotAdapter({
+  accessToken,
+  apiUrl = "https://api.hubapi.com",
+}) {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    "Content-Type": "application/json",
+  };
+
+  return {
+    name: "hubspot",
+    sync: async (properties) => {
+      if (!properties.email) {
+        throw new CrmSyncError("HubSpot contacts need an email", {
+          permanent: true,
+        });
+      }
+
+      let response = await request(
+        "HubSpot",
+        `${apiUrl}/crm/v3/objects/contacts`,
+        { method: "POST", headers, body: JSON.stringify({ properties }) }
+      );
+
+      if (response.status === 409) {
+        response = await request(
+          "HubSpot",
+          `${apiUrl}/crm/v3/objects/contacts/${encodeURIComponent(
+            properties.email
+          )}?idProperty=email`,
+          { method: "PATCH", headers, body: JSON.stringify({ properties }) }
+        );
+      }
+      if (!response.ok) throw await responseError("HubSpot", response);
+
+      const contact = await response.json();
+      return { externalId: contact.id ? String(contact.id) : null };
+    },
+    // HubSpot's GDPR delete also blocks the address from being re-created
+    erase: async ({ externalId, email }) => {
+      const body = email
+        ? { objectId: email, idProperty: "email" }
+        : { objectId: externalId };
+
+      const response = await request(
+        "HubSpot",
+        `${apiUrl}/crm/v3/objects/contacts/gdpr-delete`,
+        { method: "POST", headers, body: JSON.stringify(body) }
+      );
+      if (!response.ok && response.status !== 404) {
+        throw await responseError("HubSpot", response);
+      }
+    },
+  };
+}
+
+// POSTs { formType, recordId, fields } as JSON to any URL, and
+// { action: "erase", formType, recordId, externalId, email } to erase
+function createWebhookAdapter({ url, token }) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  return {
+    name: "webhook",
+    sync: async (fields, { formType, recordId }) => {
+      const response = await request("Webhook", url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ formType, recordId, fields }),
+      });
+      if (!response.ok) throw await responseError("Webhook", response);
+
+      return { externalId: null };
+    },
+    erase: async ({ externalId, email, formType, recordId }) => {
+      const response = await request("Webhook", url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          action: "erase",
+          formType,
+          recordId,
+          externalId,
+          email,
+        }),
+      });
+      if (!response.ok) throw await responseError("Webhook", response);
+    },
+  };
+}
+
+module.exports = {
+  CrmSyncError,
+  createBaserowAdapter,
+  createHubSpotAdapter,
+  createWebhookAdapter,
+};
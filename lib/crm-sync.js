@@ -0,0 +1,478 @@
+// Lead sync to a CRM. A form submission becomes a flat record (crmRecord),
+// its fields are renamed to the CRM's through the form type's field
+// mapping, and the configured adapter sends them. Every sync is logged in
+// crm_syncs; failed ones are retried with backoff by processCrmSyncs.
+const { eq, and, or, isNull, lte, asc } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const { crmSyncs } = require("./schema");
+const {
+  createBaserowAdapter,
+  createHubSpotAdapter,
+  createWebhookAdapter,
+} = require("./crm-adapters");
+const { getRetryDelay } = require("./retry");
+
+const BASEROW_API_TOKEN = process.env.BASEROW_API_TOKEN;
+const HUBSPOT_ACCESS_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
+const CRM_WEBHOOK_URL = process.env.CRM_WEBHOOK_URL;
+
+// Which adapter to use: baserow, hubspot or webhook. When unset we pick
+// whichever one has credentials.
+const CRM_PROVIDER =
+  process.env.CRM_PROVIDER ||
+  (BASEROW_API_TOKEN
+    ? "baserow"
+    : HUBSPOT_ACCESS_TOKEN
+    ? "hubspot"
+    : CRM_WEBHOOK_URL
+    ? "webhook"
+    : null);
+
+const MAX_ATTEMPTS = parseInt(process.env.CRM_SYNC_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS =
+  parseInt(process.env.CRM_SYNC_RETRY_BASE_DELAY_MS) || 60 * 1000;
+const MAX_DELAY_MS =
+  parseInt(process.env.CRM_SYNC_RETRY_MAX_DELAY_MS) || 6 * 60 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.CRM_SYNC_BATCH_SIZE) || 20;
+
+// A claimed row is hidden from other workers for this long
+const CLAIM_LEASE_MS = 10 * 60 * 1000;
+
+const FORM_TYPES = ["inflation", "contact", "waitlist"];
+const SYNC_STATUSES = ["pending", "synced", "failed"];
+
+const FORM_LABELS = {
+  inflation: "Inflation calculator",
+  contact: "Contact form",
+  waitlist: "Deal sourcing waitlist",
+};
+
+// CRM field name -> record key, per provider and form type. The webhook
+// gets the whole record unless mapped. Override per form type with
+// CRM_FIELD_MAPPINGS='{"contact":{"Phone":"phone","Message":null}}';
+// null drops a field.
+const BASEROW_FIELDS = {
+  Name: "name",
+  Email: "email",
+  "Investment Amount": "investmentAmount",
+  Interest: "interest",
+  Message: "summary",
+  "Submission Date": "submittedAt",
+  "Source/Campaign": "source",
+};
+
+const HUBSPOT_FIELDS = {
+  email: "email",
+  firstname: "firstName",
+  lastname: "lastName",
+  phone: "phone",
+  message: "summary",
+};
+
+const DEFAULT_MAPPINGS = {
+  baserow: {
+    inflation: BASEROW_FIELDS,
+    contact: BASEROW_FIELDS,
+    waitlist: BASEROW_FIELDS,
+  },
+  hubspot: {
+    inflation: HUBSPOT_FIELDS,
+    contact: HUBSPOT_FIELDS,
+    waitlist: HUBSPOT_FIELDS,
+  },
+  webhook: {},
+};
+
+function loadMappings(provider) {
+  const mappings = JSON.parse(JSON.stringify(DEFAULT_MAPPINGS[provider] || {}));
+  if (!process.env.CRM_FIELD_MAPPINGS) return mappings;
+
+  try {
+    const overrides = JSON.parse(process.env.CRM_FIELD_MAPPINGS);
+    for (const [formType, fields] of Object.entries(overrides)) {
+      mappings[formType] = { ...mappings[formType], ...fields };
+    }
+  } catch (error) {
+    console.error("⚠️ Invalid CRM_FIELD_MAPPINGS, using defaults:", error);
+  }
+  return mappings;
+}
+
+function createAdapter(name) {
+  switch (name) {
+    case "baserow":
+      if (!BASEROW_API_TOKEN) return null;
+      return createBaserowAdapter({
+        token: BASEROW_API_TOKEN,
+        tableId: process.env.BASEROW_TABLE_ID || "595228",
+        apiUrl: process.env.BASEROW_API_URL,
+      });
+    case "hubspot":
+      if (!HUBSPOT_ACCESS_TOKEN) return null;
+      return createHubSpotAdapter({ accessToken: HUBSPOT_ACCESS_TOKEN });
+    case "webhook":
+      if (!CRM_WEBHOOK_URL) return null;
+      return createWebhookAdapter({
+        url: CRM_WEBHOOK_URL,
+        token: process.env.CRM_WEBHOOK_TOKEN,
+      });
+    default:
+      return null;
+  }
+}
+
+let adapter = createAdapter(CRM_PROVIDER);
+let mappings = loadMappings(CRM_PROVIDER);
+
+if (adapter) {
+  console.log(`✅ CRM sync configured: ${adapter.name}`);
+} else {
+  console.log("⚠️ CRM sync not configured");
+}
+
+function getAdapter() {
+  return adapter;
+}
+
+// Replace the active adapter, e.g. with a stub in tests
+function setAdapter(newAdapter) {
+  adapter = newAdapter;
+  mappings = loadMappings(newAdapter ? newAdapter.name : null);
+}
+
+function isCrmConfigured() {
+  return !!adapter;
+}
+
+// Flat record of a submission that field mappings pick from: the fields
+// given plus name parts, the form's label, source and submission time
+function crmRecord(formType, fields) {
+  const name = (fields.name || "").trim();
+  const [firstName = "", ...otherNames] = name.split(/\s+/);
+
+  return {
+    ...fields,
+    firstName,
+    lastName: otherNames.join(" "),
+    interest: FORM_LABELS[formType],
+    source: fields.source || "Website",
+    submittedAt: new Date(fields.createdAt || Date.now()).toISOString(),
+  };
+}
+
+// Rename record keys to CRM fields, leaving out empty values
+function mapFields(formType, record) {
+  const mapping = mappings[formType];
+  if (!mapping || Object.keys(mapping).length === 0) return record;
+
+  const fields = {};
+  for (const [field, key] of Object.entries(mapping)) {
+    const value = key ? record[key] : undefined;
+    if (value !== undefined && value !== null && value !== "") {
+      fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+function serializeSyncError(error) {
+  return JSON.stringify({ message: error.message, status: error.status });
+}
+
+// Send one crm_syncs row and record the outcome on it.
+// Returns "synced", "retrying" or "failed".
+async function attemptCrmSync(
+  sync,
+  {
+    db = defaultDb,
+    adapter: activeAdapter = adapter,
+    maxAttempts = MAX_ATTEMPTS,
+    baseDelayMs = BASE_DELAY_MS,
+    maxDelayMs = MAX_DELAY_MS,
+    now = () => new Date(),
+  } = {}
+) {
+  const attempts = (sync.attempts || 0) + 1;
+
+  try {
+    const { externalId } = await activeAdapter.sync(
+      mapFields(sync.formType, sync.payload),
+      { formType: sync.formType, recordId: sync.recordId }
+    );
+
+    await db
+      .update(crmSyncs)
+      .set({
+        status: "synced",
+        provider: activeAdapter.name,
+        externalId,
+        attempts,
+        lastError: null,
+        nextAttemptAt: null,
+        syncedAt: now(),
+        updatedAt: now(),
+      })
+      .where(eq(crmSyncs.id, sync.id));
+
+    console.log(`✅ CRM sync ${sync.id} sent to ${activeAdapter.name}`);
+    return "synced";
+  } catch (error) {
+    if (error.permanent || attempts >= maxAttempts) {
+      await db
+        .update(crmSyncs)
+        .set({
+          status: "failed",
+          provider: activeAdapter.name,
+          attempts,
+          lastError: serializeSyncError(error),
+          nextAttemptAt: null,
+          updatedAt: now(),
+        })
+        .where(eq(crmSyncs.id, sync.id));
+
+      console.error(`❌ CRM sync ${sync.id} failed:`, error.message);
+      return "failed";
+    }
+
+    const delay = getRetryDelay(attempts, baseDelayMs, maxDelayMs);
+    await db
+      .update(crmSyncs)
+      .set({
+        status: "pending",
+        provider: activeAdapter.name,
+        attempts,
+        lastError: serializeSyncError(error),
+        nextAttemptAt: new Date(now().getTime() + delay),
+        updatedAt: now(),
+      })
+      .where(eq(crmSyncs.id, sync.id));
+
+    console.log(
+      `🔁 CRM sync ${sync.id} will retry in ${Math.round(delay / 1000)}s:`,
+      error.message
+    );
+    return "retrying";
+  }
+}
+
+// Log a submission in crm_syncs and start sending it without waiting, so
+// a slow or broken CRM can't hold up or fail the form. Never throws.
+// Returns the crm_syncs row, or null when nothing was logged.
+async function syncToCrm(
+  formType,
+  recordId,
+  fields,
+  { db = defaultDb, adapter: activeAdapter = adapter } = {}
+) {
+  if (!activeAdapter) {
+    console.log(`⚠️ CRM sync not configured, skipping ${formType} sync`);
+    return null;
+  }
+
+  try {
+    const payload = crmRecord(formType, fields);
+
+    if (!db) {
+      activeAdapter
+        .sync(mapFields(formType, payload), { formType, recordId })
+        .catch((error) =>
+          console.error(`⚠️ Failed to sync ${formType} to CRM:`, error)
+        );
+      return null;
+    }
+
+    const [sync] = await db
+      .insert(crmSyncs)
+      .values({
+        formType,
+        recordId,
+        provider: activeAdapter.name,
+        payload,
+        status: "pending",
+        // The worker takes it over if the attempt never records an outcome
+        nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS),
+      })
+      .returning();
+
+    attemptCrmSync(sync, { db, adapter: activeAdapter }).catch((error) =>
+      console.error(`⚠️ Failed to attempt CRM sync ${sync.id}:`, error)
+    );
+    return sync;
+  } catch (error) {
+    console.error(`⚠️ Failed to sync ${formType} to CRM:`, error);
+    return null;
+  }
+}
+
+function isDue(now) {
+  return and(
+    eq(crmSyncs.status, "pending"),
+    or(isNull(crmSyncs.nextAttemptAt), lte(crmSyncs.nextAttemptAt, now))
+  );
+}
+
+// Retry one batch of due syncs. Returns counts per outcome.
+async function processCrmSyncs({
+  db = defaultDb,
+  adapter: activeAdapter = adapter,
+  maxAttempts = MAX_ATTEMPTS,
+  baseDelayMs = BASE_DELAY_MS,
+  maxDelayMs = MAX_DELAY_MS,
+  batchSize = BATCH_SIZE,
+  now = () => new Date(),
+} = {}) {
+  const summary = { processed: 0, synced: 0, retrying: 0, failed: 0 };
+
+  if (!db) {
+    console.log("⚠️ CRM sync worker skipped - no database connection");
+    return summary;
+  }
+
+  if (!activeAdapter) {
+    console.log("⚠️ CRM sync worker skipped - CRM sync not configured");
+    return summary;
+  }
+
+  const dueSyncs = await db
+    .select()
+    .from(crmSyncs)
+    .where(isDue(now()))
+    .orderBy(asc(crmSyncs.createdAt))
+    .limit(batchSize);
+
+  for (const sync of dueSyncs) {
+    // Claim the row so a parallel worker doesn't send it twice
+    const claimed = await db
+      .update(crmSyncs)
+      .set({ nextAttemptAt: new Date(now().getTime() + CLAIM_LEASE_MS) })
+      .where(and(eq(crmSyncs.id, sync.id), isDue(now())))
+      .returning();
+
+    if (claimed.length === 0) continue;
+
+    summary.processed++;
+    const outcome = await attemptCrmSync(sync, {
+      db,
+      adapter: activeAdapter,
+      maxAttempts,
+      baseDelayMs,
+      maxDelayMs,
+      now,
+    });
+    summary[outcome]++;
+  }
+
+  return summary;
+}
+
+// Ask the CRM to delete the records behind crm_syncs rows, for a GDPR
+// erasure. Rows that never reached the CRM have nothing to delete there.
+// Returns { erased: [ids], failed: [{ id, error }] }.
+async function eraseFromCrm(syncs, { adapter: activeAdapter = adapter } = {}) {
+  const outcome = { erased: [], failed: [] };
+
+  for (const sync of syncs) {
+    if (sync.status !== "synced") {
+      outcome.erased.push(sync.id);
+      continue;
+    }
+    if (!activeAdapter || activeAdapter.name !== sync.provider) {
+      outcome.failed.push({
+        id: sync.id,
+        error: `CRM provider ${sync.provider} is not configured`,
+      });
+      continue;
+    }
+
+    try {
+      await activeAdapter.erase({
+        externalId: sync.externalId,
+        email: sync.payload.email || null,
+        formType: sync.formType,
+        recordId: sync.recordId,
+      });
+      outcome.erased.push(sync.id);
+      console.log(`🗑️ CRM record for sync ${sync.id} erased`);
+    } catch (error) {
+      outcome.failed.push({ id: sync.id, error: error.message });
+      console.error(`❌ CRM erase for sync ${sync.id} failed:`, error.message);
+    }
+  }
+
+  return outcome;
+}
+
+// Erase CRM records with `email` that no crm_syncs row points at, such as
+// the Baserow rows the inflation form created before syncs were logged.
+// Needs an adapter that can search by email: the active one, or Baserow
+// whenever BASEROW_API_TOKEN is set. Returns { searched, erased, error }.
+async function eraseUntrackedCrmRecords(
+  email,
+  { adapter: activeAdapter = adapter } = {}
+) {
+  const searchable =
+    activeAdapter && typeof activeAdapter.findByEmail === "function"
+      ? activeAdapter
+      : createAdapter("baserow");
+  if (!searchable) return { searched: false, erased: 0, error: null };
+
+  let erased = 0;
+  try {
+    for (const externalId of await searchable.findByEmail(email)) {
+      await searchable.erase({ externalId, email });
+      erased += 1;
+    }
+    if (erased > 0) {
+      console.log(`🗑️ ${erased} untracked ${searchable.name} record(s) erased`);
+    }
+    return { searched: true, erased, error: null };
+  } catch (error) {
+    console.error(
+      `❌ Untracked ${searchable.name} record erase failed:`,
+      error.message
+    );
+    return { searched: true, erased, error: error.message };
+  }
+}
+
+// Run the retry worker on an interval inside the current process.
+// Returns a function that stops it.
+function startCrmSyncWorker({ intervalMs, ...options } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await processCrmSyncs(options);
+      if (summary.processed > 0) {
+        console.log("🔄 CRM sync worker run:", summary);
+      }
+    } catch (error) {
+      console.error("❌ CRM sync worker error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  console.log(`🔄 CRM sync worker started (every ${intervalMs}ms)`);
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  FORM_TYPES,
+  SYNC_STATUSES,
+  getAdapter,
+  setAdapter,
+  isCrmConfigured,
+  crmRecord,
+  mapFields,
+  attemptCrmSync,
+  syncToCrm,
+  processCrmSyncs,
+  startCrmSyncWorker,
+  eraseFromCrm,
+  eraseUntrackedCrmRecords,
+};
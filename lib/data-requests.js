@@ -0,0 +1,717 @@
+// GDPR data subject requests for an email address: access (everything we
+// hold, as one JSON bundle) and erasure (deleted here and in the CRM).
+// Requests from the public only run once the link emailed to the address
+// is confirmed; staff can file requests for subjects whose identity they
+// have checked themselves. Every step is written to data_audit_log.
+//
+// Rows that exist only because of the subject are deleted. Rows other
+// records count on are anonymised instead: campaign copies in
+// pending_emails (campaign stats) and webhook deliveries (the delivery
+// log). Rate limit counters keyed by the address expire within the hour.
+// There are no transactions on the serverless driver, so an erasure is
+// written to be safe to run again if it stops half way.
+const crypto = require("crypto");
+const { eq, and, or, inArray, sql } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const {
+  contactSubmissions,
+  dealSourcingWaitlist,
+  leadNotes,
+  contactMessages,
+  newsletterSubscriptions,
+  pendingEmails,
+  users,
+  magicLinkTokens,
+  learningProgress,
+  achievements,
+  learningActivityDays,
+  quizResults,
+  crmSyncs,
+  webhookDeliveries,
+  formRejections,
+  dataRequests,
+  dataAuditLog,
+} = require("./schema");
+const { hashToken } = require("./user-auth");
+const {
+  getAdapter,
+  eraseFromCrm,
+  eraseUntrackedCrmRecords,
+} = require("./crm-sync");
+const { cancelQueuedCampaignEmails } = require("./campaigns");
+const { contactReference } = require("./contact-threads");
+const { PUBLIC_API_URL } = require("./newsletter");
+const { sendEmail } = require("./mailer");
+const { renderTemplate } = require("./templates");
+
+const REQUEST_TYPES = ["access", "erasure"];
+const REQUEST_STATUSES = ["pending", "completed", "partial", "expired"];
+const AUDIT_ACTIONS = [
+  "requested",
+  "verified",
+  "exported",
+  "erased",
+  "erasure_incomplete",
+  "expired",
+  "retention_purge",
+];
+
+// How long the confirmation link in the email works
+const TOKEN_TTL_HOURS = parseInt(process.env.DATA_REQUEST_TTL_HOURS) || 24;
+
+// Stands in for erased addresses on rows that are kept
+const ERASED_EMAIL = "erased@erased.invalid";
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+// Lets the audit log and finished requests be matched to an address
+// without storing it
+function hashEmail(email) {
+  return hashToken(normalizeEmail(email));
+}
+
+function emailIs(column, email) {
+  return sql`lower(${column}) = ${normalizeEmail(email)}`;
+}
+
+// Rows of `table` whose `column` is one of `ids`, without querying when
+// there are none
+async function selectIn(db, table, column, ids) {
+  if (ids.length === 0) return [];
+  return db.select().from(table).where(inArray(column, ids));
+}
+
+async function recordAudit(
+  { requestId = null, action, emailHash = null, actor, details = null },
+  { db = defaultDb } = {}
+) {
+  await db
+    .insert(dataAuditLog)
+    .values({ requestId, action, emailHash, actor, details });
+}
+
+// Everything held about `email`, as rows per table
+async function findSubjectData(email, { db = defaultDb } = {}) {
+  const contacts = await db
+    .select()
+    .from(contactSubmissions)
+    .where(emailIs(contactSubmissions.email, email));
+  const waitlist = await db
+    .select()
+    .from(dealSourcingWaitlist)
+    .where(emailIs(dealSourcingWaitlist.email, email));
+  const contactIds = contacts.map((contact) => contact.id);
+  const waitlistIds = waitlist.map((entry) => entry.id);
+
+  const leadConditions = (typeColumn, idColumn) =>
+    [
+      contactIds.length > 0 &&
+        and(eq(typeColumn, "contact"), inArray(idColumn, contactIds)),
+      waitlistIds.length > 0 &&
+        and(eq(typeColumn, "waitlist"), inArray(idColumn, waitlistIds)),
+    ].filter(Boolean);
+
+  const noteConditions = leadConditions(leadNotes.leadType, leadNotes.leadId);
+  const notes =
+    noteConditions.length > 0
+      ? await db
+          .select()
+          .from(leadNotes)
+          .where(or(...noteConditions))
+      : [];
+
+  const messages = await db
+    .select()
+    .from(contactMessages)
+    .where(
+      or(
+        emailIs(contactMessages.fromEmail, email),
+        emailIs(contactMessages.toEmail, email),
+        ...(contactIds.length > 0
+          ? [inArray(contactMessages.contactId, contactIds)]
+          : [])
+      )
+    );
+
+  const subscriptions = await db
+    .select()
+    .from(newsletterSubscriptions)
+    .where(emailIs(newsletterSubscriptions.email, email));
+
+  const emails = await db
+    .select()
+    .from(pendingEmails)
+    .where(
+      or(
+        emailIs(pendingEmails.recipientEmail, email),
+        emailIs(pendingEmails.subjectEmail, email)
+      )
+    );
+
+  const [user] = await db
+    .select()
+    .from(users)
+    .where(emailIs(users.email, email));
+  const learnerId = user ? String(user.id) : null;
+
+  const syncs = await db
+    .select()
+    .from(crmSyncs)
+    .where(
+      or(
+        sql`lower(${crmSyncs.payload}->>'email') = ${normalizeEmail(email)}`,
+        ...leadConditions(crmSyncs.formType, crmSyncs.recordId)
+      )
+    );
+
+  const deliveries = await db
+    .select()
+    .from(webhookDeliveries)
+    .where(
+      sql`lower(${webhookDeliveries.payload}->>'email') = ${normalizeEmail(
+        email
+      )}`
+    );
+
+  const rejections = await db
+    .select()
+    .from(formRejections)
+    .where(emailIs(formRejections.email, email));
+
+  return {
+    contacts,
+    waitlist,
+    notes,
+    messages,
+    subscriptions,
+    emails,
+    user: user || null,
+    magicLinkTokens: user
+      ? await selectIn(db, magicLinkTokens, magicLinkTokens.userId, [user.id])
+      : [],
+    learningProgress: learnerId
+      ? await selectIn(db, learningProgress, learningProgress.userId, [
+          learnerId,
+        ])
+      : [],
+    achievements: learnerId
+      ? await selectIn(db, achievements, achievements.userId, [learnerId])
+      : [],
+    quizResults: learnerId
+      ? await selectIn(db, quizResults, quizResults.userId, [learnerId])
+      : [],
+    learningActivityDays: learnerId
+      ? await selectIn(db, learningActivityDays, learningActivityDays.userId, [
+          learnerId,
+        ])
+      : [],
+    syncs,
+    deliveries,
+    rejections,
+  };
+}
+
+// Number of rows found per table, for results and the audit log
+function dataCounts(data) {
+  const counts = {};
+  for (const [name, rows] of Object.entries(data)) {
+    counts[name] = Array.isArray(rows) ? rows.length : rows ? 1 : 0;
+  }
+  return counts;
+}
+
+function leadNotesFor(notes, leadType, leadId) {
+  return notes
+    .filter((note) => note.leadType === leadType && note.leadId === leadId)
+    .map(({ authorName, body, createdAt }) => ({
+      authorName,
+      body,
+      createdAt,
+    }));
+}
+
+// The access request bundle: what we hold about `email`, leaving out
+// internal bookkeeping such as token hashes and retry state
+async function exportSubjectData(email, { db = defaultDb } = {}) {
+  const data = await findSubjectData(email, { db });
+
+  return {
+    data: {
+      email: normalizeEmail(email),
+      generatedAt: new Date().toISOString(),
+      contactSubmissions: data.contacts.map((contact) => ({
+        ...contact,
+        reference: contactReference(contact.id),
+        notes: leadNotesFor(data.notes, "contact", contact.id),
+        messages: data.messages
+          .filter((message) => message.contactId === contact.id)
+          .map(
+            ({ direction, fromEmail, toEmail, subject, body, createdAt }) => ({
+              direction,
+              fromEmail,
+              toEmail,
+              subject,
+              body,
+              createdAt,
+            })
+          ),
+      })),
+      dealSourcingWaitlist: data.waitlist.map((entry) => ({
+        ...entry,
+        notes: leadNotesFor(data.notes, "waitlist", entry.id),
+      })),
+      newsletterSubscription: data.subscriptions[0] || null,
+      emails: data.emails.map(
+        ({ subject, textContent, emailType, status, createdAt, sentAt }) => ({
+          subject,
+          text: textContent,
+          emailType,
+          status,
+          createdAt,
+          sentAt,
+        })
+      ),
+      account: data.user
+        ? {
+            email: data.user.email,
+            name: data.user.name,
+            displayName: data.user.displayName,
+            leaderboardOptIn: data.user.leaderboardOptIn,
+            createdAt: data.user.createdAt,
+            emailVerifiedAt: data.user.emailVerifiedAt,
+            lastLoginAt: data.user.lastLoginAt,
+            learningProgress: data.learningProgress,
+            achievements: data.achievements,
+            quizResults: data.quizResults,
+            learningActivityDays: data.learningActivityDays,
+          }
+        : null,
+      // Copies sent to the CRM and to webhook subscribers
+      crmRecords: data.syncs.map(
+        ({ provider, externalId, payload, status, syncedAt }) => ({
+          provider,
+          externalId,
+          fields: payload,
+          status,
+          syncedAt,
+        })
+      ),
+      webhookEvents: data.deliveries.map(({ event, payload, createdAt }) => ({
+        event,
+        payload,
+        createdAt,
+      })),
+      formRejections: data.rejections.map(
+        ({ form, reason, ip, createdAt }) => ({ form, reason, ip, createdAt })
+      ),
+    },
+    counts: dataCounts(data),
+  };
+}
+
+// Delete leads with their notes and email threads. Shared with the
+// retention job.
+async function deleteLeads(
+  { contactIds = [], waitlistIds = [] },
+  { db = defaultDb } = {}
+) {
+  if (contactIds.length > 0) {
+    await db
+      .delete(leadNotes)
+      .where(
+        and(
+          eq(leadNotes.leadType, "contact"),
+          inArray(leadNotes.leadId, contactIds)
+        )
+      );
+    await db
+      .delete(contactMessages)
+      .where(inArray(contactMessages.contactId, contactIds));
+    await db
+      .delete(contactSubmissions)
+      .where(inArray(contactSubmissions.id, contactIds));
+  }
+
+  if (waitlistIds.length > 0) {
+    await db
+      .delete(leadNotes)
+      .where(
+        and(
+          eq(leadNotes.leadType, "waitlist"),
+          inArray(leadNotes.leadId, waitlistIds)
+        )
+      );
+    await db
+      .delete(dealSourcingWaitlist)
+      .where(inArray(dealSourcingWaitlist.id, waitlistIds));
+  }
+}
+
+// Erase everything held about `email`, here and in the CRM. Returns
+// { counts, crm: { erased, failed }, retained, complete }: what was found,
+// the CRM outcome, and reasons anything had to stay behind.
+async function eraseSubjectData(
+  email,
+  { db = defaultDb, adapter = getAdapter() } = {}
+) {
+  const data = await findSubjectData(email, { db });
+  const retained = [];
+
+  // CRM copies first: rows the CRM couldn't erase are kept, down to the
+  // address, so running the erasure again can retry them
+  const crm = await eraseFromCrm(data.syncs, { adapter });
+  if (crm.erased.length > 0) {
+    await db.delete(crmSyncs).where(inArray(crmSyncs.id, crm.erased));
+  }
+  if (crm.failed.length > 0) {
+    await db
+      .update(crmSyncs)
+      .set({ payload: { email: normalizeEmail(email) }, updatedAt: new Date() })
+      .where(
+        inArray(
+          crmSyncs.id,
+          crm.failed.map((failure) => failure.id)
+        )
+      );
+    retained.push(
+      `${crm.failed.length} CRM record(s) could not be erased from the CRM`
+    );
+  }
+
+  // CRM records written before crm_syncs existed can only be found by
+  // address. Without a CRM that can search, there is nothing to look in.
+  const untracked = await eraseUntrackedCrmRecords(email, { adapter });
+  if (untracked.error) {
+    retained.push(
+      `CRM records without a sync record could not all be erased: ${untracked.error}`
+    );
+  }
+
+  await deleteLeads(
+    {
+      contactIds: data.contacts.map((contact) => contact.id),
+      waitlistIds: data.waitlist.map((entry) => entry.id),
+    },
+    { db }
+  );
+
+  const messageIds = data.messages.map((message) => message.id);
+  if (messageIds.length > 0) {
+    await db
+      .delete(contactMessages)
+      .where(inArray(contactMessages.id, messageIds));
+  }
+
+  await db
+    .delete(newsletterSubscriptions)
+    .where(emailIs(newsletterSubscriptions.email, email));
+
+  await cancelQueuedCampaignEmails(db, normalizeEmail(email));
+  await db
+    .update(pendingEmails)
+    .set({
+      recipientEmail: ERASED_EMAIL,
+      recipientName: null,
+      htmlContent: "",
+      textContent: null,
+      attachments: null,
+      headers: null,
+      errorDetails: null,
+    })
+    .where(
+      and(
+        emailIs(pendingEmails.recipientEmail, email),
+        sql`${pendingEmails.campaignId} IS NOT NULL`
+      )
+    );
+  await db
+    .delete(pendingEmails)
+    .where(
+      or(
+        emailIs(pendingEmails.recipientEmail, email),
+        emailIs(pendingEmails.subjectEmail, email)
+      )
+    );
+
+  if (data.user && data.user.role) {
+    retained.push(
+      "Staff account kept; remove its staff role before erasing it"
+    );
+  } else if (data.user) {
+    const learnerId = String(data.user.id);
+    await db
+      .delete(learningProgress)
+      .where(eq(learningProgress.userId, learnerId));
+    await db.delete(achievements).where(eq(achievements.userId, learnerId));
+    await db.delete(quizResults).where(eq(quizResults.userId, learnerId));
+    await db
+      .delete(learningActivityDays)
+      .where(eq(learningActivityDays.userId, learnerId));
+    await db
+      .delete(magicLinkTokens)
+      .where(eq(magicLinkTokens.userId, data.user.id));
+    await db.delete(users).where(eq(users.id, data.user.id));
+  }
+
+  const deliveryIds = data.deliveries.map((delivery) => delivery.id);
+  if (deliveryIds.length > 0) {
+    await db
+      .update(webhookDeliveries)
+      .set({
+        payload: { erased: true },
+        responseBody: null,
+        // Don't deliver the stand-in payload
+        status: sql`CASE WHEN ${webhookDeliveries.status} = 'pending' THEN 'failed' ELSE ${webhookDeliveries.status} END`,
+        nextAttemptAt: null,
+        updatedAt: new Date(),
+      })
+      .where(inArray(webhookDeliveries.id, deliveryIds));
+  }
+
+  await db.delete(formRejections).where(emailIs(formRejections.email, email));
+
+  return {
+    counts: dataCounts(data),
+    crm: {
+      erased: crm.erased.length,
+      failed: crm.failed,
+      untrackedErased: untracked.erased,
+    },
+    retained,
+    complete: retained.length === 0,
+  };
+}
+
+function createRequestToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000),
+  };
+}
+
+function confirmUrl(token) {
+  const url = new URL(`${PUBLIC_API_URL}/api/data-requests/confirm`);
+  url.searchParams.set("token", token);
+  return url.toString();
+}
+
+// A request from the subject: stored as pending and a confirmation link
+// emailed to the address. Returns the request and whether the email went
+// out now (otherwise it's queued).
+async function requestFromSubject({ type, email }, { db = defaultDb } = {}) {
+  const { token, tokenHash, expiresAt } = createRequestToken();
+  const emailHash = hashEmail(email);
+
+  const [request] = await db
+    .insert(dataRequests)
+    .values({
+      type,
+      email: normalizeEmail(email),
+      emailHash,
+      source: "subject",
+      tokenHash,
+      expiresAt,
+    })
+    .returning();
+
+  await recordAudit(
+    { requestId: request.id, action: "requested", emailHash, actor: "subject" },
+    { db }
+  );
+
+  const { sent } = await sendEmail({
+    to: request.email,
+    ...renderTemplate("data_request_verification", {
+      type,
+      url: confirmUrl(token),
+      expiresInHours: TOKEN_TTL_HOURS,
+    }),
+    emailType: "data_request_verification",
+  });
+
+  console.log(`🔏 Data ${type} request ${request.id} awaiting confirmation`);
+  return { request, emailSent: sent };
+}
+
+// A request filed by staff for a subject they have verified. It counts as
+// verified straight away; run it with processDataRequest.
+async function requestFromStaff(
+  { type, email, note },
+  staff,
+  { db = defaultDb } = {}
+) {
+  const emailHash = hashEmail(email);
+
+  const [request] = await db
+    .insert(dataRequests)
+    .values({
+      type,
+      email: normalizeEmail(email),
+      emailHash,
+      source: "staff",
+      verifiedAt: new Date(),
+      createdBy: staff.id,
+    })
+    .returning();
+
+  await recordAudit(
+    {
+      requestId: request.id,
+      action: "requested",
+      emailHash,
+      actor: staff.name,
+      details: note ? { note } : null,
+    },
+    { db }
+  );
+  await recordAudit(
+    {
+      requestId: request.id,
+      action: "verified",
+      emailHash,
+      actor: staff.name,
+      details: { method: "staff" },
+    },
+    { db }
+  );
+
+  console.log(`🔏 Data ${type} request ${request.id} filed by ${staff.name}`);
+  return request;
+}
+
+// The request a confirmation link is for, or null if the link is unknown,
+// expired or already used up
+async function findRequestByToken(token, { db = defaultDb } = {}) {
+  const [request] = await db
+    .select()
+    .from(dataRequests)
+    .where(eq(dataRequests.tokenHash, hashToken(String(token))));
+
+  if (!request || !request.email) return null;
+  if (request.expiresAt && request.expiresAt < new Date()) return null;
+  return request;
+}
+
+// Mark a request as confirmed through its emailed link
+async function verifyDataRequest(request, { db = defaultDb } = {}) {
+  if (request.verifiedAt) return request;
+
+  const [verified] = await db
+    .update(dataRequests)
+    .set({ verifiedAt: new Date(), updatedAt: new Date() })
+    .where(eq(dataRequests.id, request.id))
+    .returning();
+
+  await recordAudit(
+    {
+      requestId: request.id,
+      action: "verified",
+      emailHash: request.emailHash,
+      actor: "subject",
+      details: { method: "email" },
+    },
+    { db }
+  );
+  return verified;
+}
+
+// Run a verified request. Access requests return { request, bundle } and
+// can be downloaded again until the link expires. Erasures return
+// { request } with the outcome in request.result; a partial erasure keeps
+// the address so it can be run again.
+async function processDataRequest(
+  request,
+  { actor, db = defaultDb, adapter } = {}
+) {
+  if (!request.verifiedAt) {
+    throw new Error(`Data request ${request.id} has not been verified`);
+  }
+
+  if (request.type === "access") {
+    const { data, counts } = await exportSubjectData(request.email, { db });
+
+    const [updated] = await db
+      .update(dataRequests)
+      .set({
+        status: "completed",
+        // Staff get the bundle once; the subject's link works until it expires
+        email: request.source === "staff" ? null : request.email,
+        result: { counts },
+        completedAt: request.completedAt || new Date(),
+        updatedAt: new Date(),
+      })
+      .where(eq(dataRequests.id, request.id))
+      .returning();
+
+    await recordAudit(
+      {
+        requestId: request.id,
+        action: "exported",
+        emailHash: request.emailHash,
+        actor,
+        details: { counts },
+      },
+      { db }
+    );
+
+    console.log(`📦 Data access request ${request.id} exported`);
+    return { request: updated, bundle: data };
+  }
+
+  const result = await eraseSubjectData(request.email, { db, adapter });
+
+  const [updated] = await db
+    .update(dataRequests)
+    .set({
+      status: result.complete ? "completed" : "partial",
+      email: result.complete ? null : request.email,
+      tokenHash: null,
+      result,
+      completedAt: result.complete ? new Date() : null,
+      updatedAt: new Date(),
+    })
+    .where(eq(dataRequests.id, request.id))
+    .returning();
+
+  await recordAudit(
+    {
+      requestId: request.id,
+      action: result.complete ? "erased" : "erasure_incomplete",
+      emailHash: request.emailHash,
+      actor,
+      details: result,
+    },
+    { db }
+  );
+
+  console.log(
+    `🗑️ Data erasure request ${request.id} ${
+      result.complete ? "completed" : "partially completed"
+    }`
+  );
+  return { request: updated };
+}
+
+module.exports = {
+  REQUEST_TYPES,
+  REQUEST_STATUSES,
+  AUDIT_ACTIONS,
+  normalizeEmail,
+  hashEmail,
+  recordAudit,
+  findSubjectData,
+  exportSubjectData,
+  deleteLeads,
+  eraseSubjectData,
+  requestFromSubject,
+  requestFromStaff,
+  findRequestByToken,
+  verifyDataRequest,
+  processDataRequest,
+};
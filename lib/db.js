@@ -0,0 +1,22 @@
+// Database connection shared by the server, workers and scripts
+const { neon } = require("@neondatabase/serverless");
+const { drizzle } = require("drizzle-orm/neon-http");
+
+const DATABASE_URL = process.env.DATABASE_URL;
+
+let db = null;
+let sql = null;
+
+try {
+  if (DATABASE_URL) {
+    sql = neon(DATABASE_URL);
+    db = drizzle(sql);
+    console.log("✅ Database connection initialized");
+  } else {
+    console.log("⚠️ No DATABASE_URL found");
+  }
+} catch (error) {
+  console.error("❌ Database initialization failed:", error);
+}
+
+module.exports = { db, sql };
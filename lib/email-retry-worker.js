@@ -0,0 +1,197 @@
+// Retry worker for the pending_emails table
+const { eq, and, or, isNull, lte, asc } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const { pendingEmails } = require("./schema");
+const {
+  SENDERS,
+  getTransport,
+  sendWithFallback,
+  serializeEmailError,
+  deserializeAttachments,
+} = require("./mailer");
+const { getRetryDelay } = require("./retry");
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_RETRY_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS =
+  parseInt(process.env.EMAIL_RETRY_BASE_DELAY_MS) || 60 * 1000;
+const MAX_DELAY_MS =
+  parseInt(process.env.EMAIL_RETRY_MAX_DELAY_MS) || 6 * 60 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.EMAIL_RETRY_BATCH_SIZE) || 20;
+
+// A claimed row is hidden from other workers for this long, so a crash
+// mid-send only delays the email instead of losing it
+const CLAIM_LEASE_MS = 10 * 60 * 1000;
+
+function isDue(now) {
+  return and(
+    eq(pendingEmails.status, "pending"),
+    or(
+      isNull(pendingEmails.nextAttemptAt),
+      lte(pendingEmails.nextAttemptAt, now)
+    )
+  );
+}
+
+// Send one pending_emails row and record the outcome on it.
+// Returns "sent", "retrying" or "failed".
+async function deliverPendingEmail(
+  email,
+  {
+    db = defaultDb,
+    transport,
+    maxAttempts = MAX_ATTEMPTS,
+    baseDelayMs = BASE_DELAY_MS,
+    maxDelayMs = MAX_DELAY_MS,
+    now = () => new Date(),
+  } = {}
+) {
+  const attempts = (email.attempts || 0) + 1;
+
+  const result = await sendWithFallback(
+    {
+      to: email.recipientEmail,
+      subject: email.subject,
+      html: email.htmlContent,
+      text: email.textContent || undefined,
+      attachments: deserializeAttachments(email.attachments),
+      headers: email.headers || undefined,
+    },
+    { transport, senders: SENDERS[email.senderKey] || SENDERS.default }
+  );
+
+  if (result.sent) {
+    await db
+      .update(pendingEmails)
+      .set({
+        status: "sent",
+        attempts,
+        sentAt: now(),
+        nextAttemptAt: null,
+      })
+      .where(eq(pendingEmails.id, email.id));
+
+    console.log(`✅ Pending email ${email.id} delivered (attempt ${attempts})`);
+    return "sent";
+  }
+
+  if (attempts >= maxAttempts) {
+    await db
+      .update(pendingEmails)
+      .set({
+        status: "failed",
+        attempts,
+        errorDetails: serializeEmailError(result.error),
+        nextAttemptAt: null,
+      })
+      .where(eq(pendingEmails.id, email.id));
+
+    console.error(
+      `❌ Pending email ${email.id} failed permanently after ${attempts} attempts`
+    );
+    return "failed";
+  }
+
+  const delay = getRetryDelay(attempts, baseDelayMs, maxDelayMs);
+  await db
+    .update(pendingEmails)
+    .set({
+      status: "pending",
+      attempts,
+      errorDetails: serializeEmailError(result.error),
+      nextAttemptAt: new Date(now().getTime() + delay),
+    })
+    .where(eq(pendingEmails.id, email.id));
+
+  console.log(
+    `🔁 Pending email ${email.id} will retry in ${Math.round(delay / 1000)}s`
+  );
+  return "retrying";
+}
+
+// Process one batch of due pending emails. Returns counts per outcome.
+async function processPendingEmails({
+  db = defaultDb,
+  transport = getTransport(),
+  maxAttempts = MAX_ATTEMPTS,
+  baseDelayMs = BASE_DELAY_MS,
+  maxDelayMs = MAX_DELAY_MS,
+  batchSize = BATCH_SIZE,
+  now = () => new Date(),
+} = {}) {
+  const summary = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+  if (!db) {
+    console.log("⚠️ Pending email worker skipped - no database connection");
+    return summary;
+  }
+
+  if (!transport) {
+    console.log(
+      "⚠️ Pending email worker skipped - mail transport not configured"
+    );
+    return summary;
+  }
+
+  const dueEmails = await db
+    .select()
+    .from(pendingEmails)
+    .where(isDue(now()))
+    .orderBy(asc(pendingEmails.createdAt))
+    .limit(batchSize);
+
+  for (const email of dueEmails) {
+    // Claim the row so a parallel worker doesn't send it twice
+    const claimed = await db
+      .update(pendingEmails)
+      .set({ nextAttemptAt: new Date(now().getTime() + CLAIM_LEASE_MS) })
+      .where(and(eq(pendingEmails.id, email.id), isDue(now())))
+      .returning();
+
+    if (claimed.length === 0) continue;
+
+    summary.processed++;
+    const outcome = await deliverPendingEmail(email, {
+      db,
+      transport,
+      maxAttempts,
+      baseDelayMs,
+      maxDelayMs,
+      now,
+    });
+    summary[outcome]++;
+  }
+
+  return summary;
+}
+
+// Run the worker on an interval inside the current process.
+// Returns a function that stops it.
+function startEmailRetryWorker({ intervalMs, ...options } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await processPendingEmails(options);
+      if (summary.processed > 0) {
+        console.log("📬 Pending email worker run:", summary);
+      }
+    } catch (error) {
+      console.error("❌ Pending email worker error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  console.log(`📬 Pending email worker started (every ${intervalMs}ms)`);
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  deliverPendingEmail,
+  processPendingEmails,
+  startEmailRetryWorker,
+};
@@ -0,0 +1,203 @@
+// Streamed CSV and XLSX exports of the lead and calculator tables. Rows are
+// read in id-ordered batches and written as they arrive, so large tables
+// never sit in memory.
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const { and, asc, gt, gte, lte } = require("drizzle-orm");
+const {
+  contactSubmissions,
+  dealSourcingWaitlist,
+  newsletterSubscriptions,
+  inflationCalculations,
+} = require("./schema");
+
+const BATCH_SIZE = 1000;
+const FORMATS = ["csv", "xlsx"];
+
+// Exportable columns per dataset as [key, header, type]; the key is the
+// drizzle column name and type is "text" unless given
+const DATASETS = {
+  contacts: {
+    table: contactSubmissions,
+    title: "Contact submissions",
+    columns: [
+      ["id", "ID", "number"],
+      ["name", "Name"],
+      ["email", "Email"],
+      ["phone", "Phone"],
+      ["investmentAmount", "Investment amount"],
+      ["message", "Message"],
+      ["status", "Status"],
+      ["assignedTo", "Assigned to (user ID)", "number"],
+      ["createdAt", "Created at", "date"],
+      ["updatedAt", "Updated at", "date"],
+    ],
+  },
+  waitlist: {
+    table: dealSourcingWaitlist,
+    title: "Deal sourcing waitlist",
+    columns: [
+      ["id", "ID", "number"],
+      ["name", "Name"],
+      ["email", "Email"],
+      ["phone", "Phone"],
+      ["investmentAmount", "Investment amount"],
+      ["experienceLevel", "Experience level"],
+      ["status", "Status"],
+      ["assignedTo", "Assigned to (user ID)", "number"],
+      ["createdAt", "Created at", "date"],
+      ["updatedAt", "Updated at", "date"],
+    ],
+  },
+  subscribers: {
+    table: newsletterSubscriptions,
+    title: "Newsletter subscribers",
+    columns: [
+      ["id", "ID", "number"],
+      ["email", "Email"],
+      ["status", "Status"],
+      ["topics", "Topics"],
+      ["createdAt", "Subscribed at", "date"],
+      ["confirmedAt", "Confirmed at", "date"],
+      ["unsubscribedAt", "Unsubscribed at", "date"],
+    ],
+  },
+  inflation: {
+    table: inflationCalculations,
+    title: "Inflation calculations",
+    columns: [
+      ["id", "ID", "number"],
+      ["initialAmount", "Initial amount", "number"],
+      ["finalAmount", "Final amount", "number"],
+      ["inflationRate", "Inflation rate (%)", "number"],
+      ["years", "Years", "number"],
+      ["indexType", "Index"],
+      ["startYear", "Start year", "number"],
+      ["startMonth", "Start month", "number"],
+      ["endYear", "End year", "number"],
+      ["endMonth", "End month", "number"],
+      ["createdAt", "Calculated at", "date"],
+    ],
+  },
+};
+
+// The dataset's columns, optionally narrowed to `keys` in the given order
+function selectColumns(dataset, keys) {
+  const columns = dataset.columns.map(([key, header, type = "text"]) => ({
+    key,
+    header,
+    type,
+  }));
+  if (!keys || keys.length === 0) return columns;
+  return keys.map((key) => columns.find((column) => column.key === key));
+}
+
+// Batches of rows created between `from` and `to`, paged by id
+async function* readBatches(db, dataset, { from, to }) {
+  const { table } = dataset;
+  const filters = [];
+  if (from) filters.push(gte(table.createdAt, from));
+  if (to) filters.push(lte(table.createdAt, to));
+
+  let lastId = 0;
+  while (true) {
+    const rows = await db
+      .select()
+      .from(table)
+      .where(and(gt(table.id, lastId), ...filters))
+      .orderBy(asc(table.id))
+      .limit(BATCH_SIZE);
+
+    if (rows.length > 0) yield rows;
+    if (rows.length < BATCH_SIZE) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+// numeric columns come back from Postgres as strings
+function cellValue(value, type) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.join(", ");
+  if (type === "number") return Number(value);
+  if (type === "date") return new Date(value);
+  return String(value);
+}
+
+// Text a spreadsheet app would run as a formula. A leading + or - is only
+// a risk when more than a number follows, so phone numbers pass untouched.
+const FORMULA = /^[=@\t\r]|^[+-](?![\d\s().]*$)/;
+
+// Quote for CSV, and stop spreadsheet apps treating text as a formula
+function csvCell(value, type) {
+  if (value === null) return "";
+  if (type === "date") return value.toISOString();
+  if (type === "number") return String(value);
+
+  const text = FORMULA.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, "drain");
+}
+
+async function writeCsv(stream, columns, batches) {
+  // Byte order mark so Excel reads the file as UTF-8
+  await write(
+    stream,
+    "\ufeff" +
+      columns.map((column) => csvCell(column.header)).join(",") +
+      "\r\n"
+  );
+
+  for await (const rows of batches) {
+    const lines = rows.map(
+      (row) =>
+        columns
+          .map((column) =>
+            csvCell(cellValue(row[column.key], column.type), column.type)
+          )
+          .join(",") + "\r\n"
+    );
+    await write(stream, lines.join(""));
+  }
+
+  stream.end();
+}
+
+async function writeXlsx(stream, columns, batches, title) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet(title);
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: column.type === "text" ? 30 : 15,
+    style: column.type === "date" ? { numFmt: "yyyy-mm-dd hh:mm" } : {},
+  }));
+
+  for await (const rows of batches) {
+    for (const row of rows) {
+      sheet
+        .addRow(
+          columns.map((column) => cellValue(row[column.key], column.type))
+        )
+        .commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Stream `dataset` to `stream` as CSV or XLSX
+function writeExport(stream, { db, dataset, format, columns, from, to }) {
+  const batches = readBatches(db, dataset, { from, to });
+  return format === "xlsx"
+    ? writeXlsx(stream, columns, batches, dataset.title)
+    : writeCsv(stream, columns, batches);
+}
+
+module.exports = { DATASETS, FORMATS, selectColumns, writeExport };
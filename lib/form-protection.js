@@ -0,0 +1,280 @@
+// Protection for the public form endpoints, in the order applied:
+//   1. Honeypot: a hidden field (FORM_HONEYPOT_FIELD, default "website")
+//      that people leave empty and form-filling bots don't.
+//   2. Rate limits per client IP and per submitted email address, see
+//      FORM_LIMITS. Override with RATE_LIMITS='{"contact":{"ip":{"max":20}}}'.
+//   3. CAPTCHA, when CAPTCHA_PROVIDER (turnstile, hcaptcha or recaptcha) and
+//      CAPTCHA_SECRET_KEY are set, for the forms in CAPTCHA_FORMS. The
+//      widget's token is read from `captchaToken`, the provider's own field
+//      name or the X-Captcha-Token header.
+// Rejections are logged in form_rejections for review.
+const { db: defaultDb } = require("./db");
+const { formRejections } = require("./schema");
+const { hitRateLimit } = require("./rate-limit");
+
+const HONEYPOT_FIELD = process.env.FORM_HONEYPOT_FIELD || "website";
+const CAPTCHA_PROVIDER = process.env.CAPTCHA_PROVIDER;
+const CAPTCHA_SECRET_KEY = process.env.CAPTCHA_SECRET_KEY;
+// reCAPTCHA v3 scores from 0 (bot) to 1 (human)
+const CAPTCHA_MIN_SCORE = parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Submissions allowed per window, per IP and per email address
+const FORM_LIMITS = {
+  newsletter: {
+    ip: { max: 10, windowMs: HOUR },
+    email: { max: 3, windowMs: HOUR },
+  },
+  contact: {
+    ip: { max: 10, windowMs: HOUR },
+    email: { max: 5, windowMs: HOUR },
+  },
+  inflation: {
+    ip: { max: 60, windowMs: HOUR },
+    email: { max: 10, windowMs: HOUR },
+  },
+  "inflation-email": {
+    ip: { max: 10, windowMs: HOUR },
+    email: { max: 3, windowMs: HOUR },
+  },
+  "deal-lead": {
+    ip: { max: 10, windowMs: HOUR },
+    email: { max: 3, windowMs: HOUR },
+  },
+  calculators: {
+    ip: { max: 60, windowMs: HOUR },
+    email: { max: 10, windowMs: HOUR },
+  },
+  "magic-link": {
+    ip: { max: 10, windowMs: HOUR },
+    email: { max: 5, windowMs: 15 * MINUTE },
+  },
+  // Password sign-in: every attempt counts, so guessing is slow per account
+  // and per client
+  login: {
+    ip: { max: 30, windowMs: 15 * MINUTE },
+    email: { max: 10, windowMs: 15 * MINUTE },
+  },
+  register: {
+    ip: { max: 10, windowMs: HOUR },
+    email: { max: 5, windowMs: HOUR },
+  },
+  "data-request": {
+    ip: { max: 5, windowMs: HOUR },
+    email: { max: 3, windowMs: HOUR },
+  },
+};
+
+const REJECTION_REASONS = ["rate_limit", "honeypot", "captcha"];
+
+// Forms that need a CAPTCHA token once a provider is configured
+const CAPTCHA_FORMS = process.env.CAPTCHA_FORMS
+  ? process.env.CAPTCHA_FORMS.split(",").map((form) => form.trim())
+  : [
+      "newsletter",
+      "contact",
+      "inflation",
+      "inflation-email",
+      "deal-lead",
+      "data-request",
+    ];
+
+const CAPTCHA_PROVIDERS = {
+  turnstile: {
+    url: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+    field: "cf-turnstile-response",
+  },
+  hcaptcha: {
+    url: "https://api.hcaptcha.com/siteverify",
+    field: "h-captcha-response",
+  },
+  recaptcha: {
+    url: "https://www.google.com/recaptcha/api/siteverify",
+    field: "g-recaptcha-response",
+  },
+};
+
+function loadLimits() {
+  const limits = JSON.parse(JSON.stringify(FORM_LIMITS));
+  if (!process.env.RATE_LIMITS) return limits;
+
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    for (const [form, byKey] of Object.entries(overrides)) {
+      limits[form] = limits[form] || {};
+      for (const [keyType, limit] of Object.entries(byKey)) {
+        limits[form][keyType] = { ...limits[form][keyType], ...limit };
+      }
+    }
+  } catch (error) {
+    console.error("⚠️ Invalid RATE_LIMITS, using defaults:", error);
+  }
+  return limits;
+}
+
+const limits = loadLimits();
+
+function isCaptchaConfigured() {
+  return !!(CAPTCHA_PROVIDERS[CAPTCHA_PROVIDER] && CAPTCHA_SECRET_KEY);
+}
+
+if (isCaptchaConfigured()) {
+  console.log(`✅ CAPTCHA configured: ${CAPTCHA_PROVIDER}`);
+}
+
+// Check a widget token with the provider. Returns { success, error }.
+async function verifyCaptcha(token, ip) {
+  const provider = CAPTCHA_PROVIDERS[CAPTCHA_PROVIDER];
+  if (!token) return { success: false, error: "missing-token" };
+
+  try {
+    const response = await fetch(provider.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        secret: CAPTCHA_SECRET_KEY,
+        response: token,
+        ...(ip ? { remoteip: ip } : {}),
+      }),
+      signal: AbortSignal.timeout(10 * 1000),
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      const codes = result["error-codes"] || [];
+      return { success: false, error: codes.join(", ") || "rejected" };
+    }
+    if (typeof result.score === "number" && result.score < CAPTCHA_MIN_SCORE) {
+      return { success: false, error: `score ${result.score}` };
+    }
+    return { success: true, error: null };
+  } catch (error) {
+    // Fail closed: an unverifiable token is treated as a failed one
+    return { success: false, error: `verification failed: ${error.message}` };
+  }
+}
+
+function submittedEmail(body) {
+  const email = body && typeof body.email === "string" ? body.email : "";
+  return email.trim().toLowerCase() || null;
+}
+
+// Log a rejection. Never throws, so logging can't change the response.
+async function recordRejection(
+  { form, reason, ip, email, details = null },
+  { db = defaultDb } = {}
+) {
+  console.log(`🛡️ ${form} submission rejected (${reason}) from ${ip}`, {
+    email,
+    ...details,
+  });
+  if (!db) return;
+
+  try {
+    await db
+      .insert(formRejections)
+      .values({ form, reason, ip, email, details });
+  } catch (error) {
+    console.error("⚠️ Failed to log form rejection:", error);
+  }
+}
+
+// Middleware for a public form. Goes before the body validation, which
+// drops the honeypot and CAPTCHA fields.
+function protectForm(form) {
+  const formLimits = limits[form] || {};
+  const needsCaptcha = CAPTCHA_FORMS.includes(form);
+
+  return async (req, res, next) => {
+    const body = req.body || {};
+    const ip = req.ip;
+    const email = submittedEmail(body);
+
+    if (body[HONEYPOT_FIELD]) {
+      await recordRejection({
+        form,
+        reason: "honeypot",
+        ip,
+        email,
+        details: { field: HONEYPOT_FIELD },
+      });
+      return res.status(400).json({
+        success: false,
+        message: "Submission rejected",
+      });
+    }
+
+    try {
+      const keys = [
+        ["ip", ip],
+        ["email", email],
+      ];
+      for (const [keyType, value] of keys) {
+        const limit = formLimits[keyType];
+        if (!limit || !value) continue;
+
+        const result = await hitRateLimit(`${form}:${keyType}:${value}`, limit);
+        if (result.allowed) continue;
+
+        if (result.firstRejection) {
+          await recordRejection({
+            form,
+            reason: "rate_limit",
+            ip,
+            email,
+            details: { by: keyType, max: limit.max, windowMs: limit.windowMs },
+          });
+        }
+
+        const retryAfter = Math.max(
+          Math.ceil((result.resetAt.getTime() - Date.now()) / 1000),
+          1
+        );
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: "Too many requests, please try again later",
+          retryAfter,
+        });
+      }
+    } catch (error) {
+      // A broken store shouldn't take the forms down with it
+      console.error(`⚠️ Rate limit check failed for ${form}:`, error);
+    }
+
+    if (needsCaptcha && isCaptchaConfigured()) {
+      const token =
+        body.captchaToken ||
+        body[CAPTCHA_PROVIDERS[CAPTCHA_PROVIDER].field] ||
+        req.get("X-Captcha-Token");
+      const { success, error } = await verifyCaptcha(token, ip);
+
+      if (!success) {
+        await recordRejection({
+          form,
+          reason: "captcha",
+          ip,
+          email,
+          details: { provider: CAPTCHA_PROVIDER, error },
+        });
+        return res.status(400).json({
+          success: false,
+          message: "CAPTCHA verification failed",
+        });
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  FORM_LIMITS,
+  REJECTION_REASONS,
+  isCaptchaConfigured,
+  verifyCaptcha,
+  recordRejection,
+  protectForm,
+};
@@ -0,0 +1,208 @@
+// Inflation calculation over historical UK price index data, with
+// scenario-based projections past the latest published month
+const { getSeries, toMonthKey, fromMonthKey } = require("./price-indices");
+
+// Thrown for periods the index data can't answer; routes turn it into a 400
+class InflationInputError extends Error {}
+
+// Annual rates (%) used to project each index past its published data.
+// Override with INFLATION_SCENARIOS='{"CPI":{"central":2.5},...}'.
+const DEFAULT_SCENARIOS = {
+  CPI: { low: 1.5, central: 2.0, high: 3.5 },
+  CPIH: { low: 1.5, central: 2.0, high: 3.5 },
+  RPI: { low: 2.5, central: 3.0, high: 4.5 },
+};
+
+const SCENARIO_NAMES = ["low", "central", "high"];
+
+// How far ahead projections may go
+const MAX_PROJECTION_YEARS = 50;
+
+function loadScenarios() {
+  const scenarios = JSON.parse(JSON.stringify(DEFAULT_SCENARIOS));
+  if (!process.env.INFLATION_SCENARIOS) return scenarios;
+
+  try {
+    const overrides = JSON.parse(process.env.INFLATION_SCENARIOS);
+    for (const [indexType, rates] of Object.entries(overrides)) {
+      scenarios[indexType] = { ...scenarios[indexType], ...rates };
+    }
+  } catch (error) {
+    console.error("⚠️ Invalid INFLATION_SCENARIOS, using defaults:", error);
+  }
+  return scenarios;
+}
+
+const SCENARIOS = loadScenarios();
+
+function formatMonth(key) {
+  const { year, month } = fromMonthKey(key);
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+// Annual rate (%) equivalent to `growth` over `months`
+function annualise(growth, months) {
+  return (Math.pow(growth, 12 / months) - 1) * 100;
+}
+
+// Index value for any month from the first published one onwards. Months
+// after the latest published value compound at the scenario's monthly rate.
+function createIndexLookup(series, annualRate) {
+  const lastValue = series.values.get(series.lastKey);
+  const monthlyGrowth = Math.pow(1 + annualRate / 100, 1 / 12);
+
+  return (key) => {
+    if (key > series.lastKey) {
+      return lastValue * Math.pow(monthlyGrowth, key - series.lastKey);
+    }
+    const value = series.values.get(key);
+    if (!value) {
+      throw new Error(
+        `Missing ${series.indexType} value for ${formatMonth(key)}`
+      );
+    }
+    return value;
+  };
+}
+
+// Points from the start month to the end month, one per 12 months in the
+// direction of travel, always including both ends
+function buildBreakdown({ amount, startKey, endKey, indexAt, lastKey }) {
+  const step = endKey >= startKey ? 12 : -12;
+  const startIndex = indexAt(startKey);
+  const keys = [];
+
+  for (
+    let key = startKey;
+    step > 0 ? key < endKey : key > endKey;
+    key += step
+  ) {
+    keys.push(key);
+  }
+  keys.push(endKey);
+
+  return keys.map((key, i) => {
+    const { year, month } = fromMonthKey(key);
+    const indexValue = indexAt(key);
+
+    return {
+      year,
+      month,
+      date: formatMonth(key),
+      yearsFromStart: round((key - startKey) / 12),
+      value: round(amount * (indexValue / startIndex)),
+      indexValue: round(indexValue, 3),
+      annualRate:
+        i > 0
+          ? round(
+              annualise(
+                step > 0
+                  ? indexValue / indexAt(keys[i - 1])
+                  : indexAt(keys[i - 1]) / indexValue,
+                Math.abs(key - keys[i - 1])
+              )
+            )
+          : null,
+      projected: key > lastKey,
+    };
+  });
+}
+
+// Re-value `amount` from startYear/startMonth to endYear/endMonth, in either
+// direction. The end defaults to the current month. Months past the
+// published data are projected with the chosen scenario rate.
+async function calculateInflation({
+  amount,
+  startYear,
+  startMonth,
+  endYear,
+  endMonth,
+  indexType = "CPI",
+  scenario = "central",
+}) {
+  if (!SCENARIO_NAMES.includes(scenario)) {
+    throw new InflationInputError(
+      `Scenario must be one of: ${SCENARIO_NAMES.join(", ")}`
+    );
+  }
+
+  const series = await getSeries(indexType);
+  const scenarioRate = SCENARIOS[indexType][scenario];
+  const indexAt = createIndexLookup(series, scenarioRate);
+
+  const now = new Date();
+  const startKey = toMonthKey(startYear, startMonth);
+  const endKey = endYear
+    ? toMonthKey(endYear, endMonth)
+    : toMonthKey(now.getFullYear(), now.getMonth() + 1);
+  const maxKey = toMonthKey(
+    now.getFullYear() + MAX_PROJECTION_YEARS,
+    now.getMonth() + 1
+  );
+
+  for (const key of [startKey, endKey]) {
+    if (key < series.firstKey) {
+      throw new InflationInputError(
+        `${indexType} data starts in ${formatMonth(series.firstKey)}`
+      );
+    }
+    if (key > maxKey) {
+      throw new InflationInputError(
+        `Projections are limited to ${formatMonth(maxKey)}`
+      );
+    }
+  }
+
+  // Compound month by month in the direction of travel
+  const direction = endKey >= startKey ? 1 : -1;
+  let factor = 1;
+  for (let key = startKey; key !== endKey; key += direction) {
+    factor *= indexAt(key + direction) / indexAt(key);
+  }
+
+  const months = Math.abs(endKey - startKey);
+  const growth = direction > 0 ? factor : 1 / factor;
+  const effectiveAnnualRate = months > 0 ? annualise(growth, months) : 0;
+  const laterKey = Math.max(startKey, endKey);
+  const earlierKey = Math.min(startKey, endKey);
+  const projectedMonths = Math.max(
+    0,
+    laterKey - Math.max(earlierKey, series.lastKey)
+  );
+  const end = fromMonthKey(endKey);
+  const latest = fromMonthKey(series.lastKey);
+
+  return {
+    indexType,
+    finalAmount: amount * factor,
+    months,
+    direction: direction > 0 ? "forward" : "backward",
+    effectiveAnnualRate,
+    startIndex: indexAt(startKey),
+    endIndex: indexAt(endKey),
+    endYear: end.year,
+    endMonth: end.month,
+    latestPublished: { year: latest.year, month: latest.month },
+    projectedMonths,
+    scenario: projectedMonths > 0 ? scenario : null,
+    scenarioRate: projectedMonths > 0 ? scenarioRate : null,
+    breakdown: buildBreakdown({
+      amount,
+      startKey,
+      endKey,
+      indexAt,
+      lastKey: series.lastKey,
+    }),
+  };
+}
+
+module.exports = {
+  InflationInputError,
+  SCENARIOS,
+  SCENARIO_NAMES,
+  calculateInflation,
+};
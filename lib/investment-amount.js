@@ -0,0 +1,77 @@
+// investmentAmount is free text from the contact and waitlist forms, e.g.
+// "£250,000", "250k", "£100k - £250k", "1.5m+", "Over £500k" or
+// "Under £50k". Ranges use their lower bound so "at least X" checks never
+// overstate a lead: "between 20 and 30k" is £20k, and an upper bound
+// alone ("Under £50k", "up to 100k") is £0.
+const AMOUNTS = /(\d+(?:[.,]\d+)*)\s*(million|thousand|k|m)?\b/gi;
+
+const UPPER_BOUND = /\b(under|less than|below|up to|max(?:imum)?)\b|</i;
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 };
+
+// Pounds as a number, or null if the text holds no amount
+function parseInvestmentAmount(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return isFinite(value) ? value : null;
+
+  const text = String(value);
+  const amounts = [...text.matchAll(AMOUNTS)].map((match) => ({
+    index: match.index,
+    number: parseFloat(match[1].replace(/,/g, "")),
+    multiplier: match[2] ? MULTIPLIERS[match[2].toLowerCase()] : null,
+  }));
+  if (amounts.length === 0 || !isFinite(amounts[0].number)) return null;
+
+  if (UPPER_BOUND.test(text.slice(0, amounts[0].index))) return 0;
+
+  // A range's multiplier is often only written once, at the end
+  const [lower, upper] = amounts;
+  let multiplier = lower.multiplier;
+  if (!multiplier && upper && upper.multiplier && lower.number < upper.number) {
+    multiplier = upper.multiplier;
+  }
+  return lower.number * (multiplier || 1);
+}
+
+// Bands stored next to the parsed amount so leads can be filtered and
+// routed without re-parsing. Ordered by their lower bound in pounds.
+const INVESTMENT_BANDS = [
+  { name: "under_50k", min: 0 },
+  { name: "50k_100k", min: 50e3 },
+  { name: "100k_250k", min: 100e3 },
+  { name: "250k_500k", min: 250e3 },
+  { name: "500k_plus", min: 500e3 },
+];
+
+// For amounts the text doesn't give
+const UNKNOWN_BAND = "unknown";
+
+const BAND_NAMES = [...INVESTMENT_BANDS.map((band) => band.name), UNKNOWN_BAND];
+
+function investmentBand(amount) {
+  if (amount === null || amount === undefined) return UNKNOWN_BAND;
+
+  let name = UNKNOWN_BAND;
+  for (const band of INVESTMENT_BANDS) {
+    if (amount >= band.min) name = band.name;
+  }
+  return name;
+}
+
+// The columns stored with a lead's free-text investmentAmount
+function normalizeInvestmentAmount(value) {
+  const amount = parseInvestmentAmount(value);
+  return {
+    investmentValue: amount === null ? null : Math.round(amount),
+    investmentBand: investmentBand(amount),
+  };
+}
+
+module.exports = {
+  INVESTMENT_BANDS,
+  BAND_NAMES,
+  UNKNOWN_BAND,
+  parseInvestmentAmount,
+  investmentBand,
+  normalizeInvestmentAmount,
+};
@@ -0,0 +1,213 @@
+// Lead routing. Every contact and waitlist submission is checked against
+// the active lead_routing_rules; the recipients of each rule it matches get
+// an internal lead_notification email. A recipient matched by several
+// rules gets one email naming them all.
+//
+// A condition is { field, operator, value }, e.g.
+//   { field: "investmentAmount", operator: "gte", value: 100000 }
+//   { field: "experienceLevel", operator: "eq", value: "beginner" }
+// and a rule matches when all of its conditions do. Text comparisons
+// ignore case; a lead without the field never matches.
+const { eq } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const { leadRoutingRules } = require("./schema");
+const { SENDERS, sendEmail } = require("./mailer");
+const { renderTemplate } = require("./templates");
+const { formatCurrency } = require("./templates/html");
+const {
+  parseInvestmentAmount,
+  investmentBand,
+} = require("./investment-amount");
+
+const FORM_TYPES = ["contact", "waitlist"];
+
+const FORMS = {
+  contact: { label: "Contact form", collection: "contacts" },
+  waitlist: { label: "Deal sourcing waitlist", collection: "waitlist" },
+};
+
+// Fields rules can test, by the kind of value they hold
+const NUMBER_FIELDS = ["investmentAmount"];
+const TEXT_FIELDS = [
+  "investmentBand",
+  "experienceLevel",
+  "name",
+  "email",
+  "message",
+];
+
+const NUMBER_OPERATORS = ["eq", "gt", "gte", "lt", "lte"];
+const TEXT_OPERATORS = ["eq", "neq", "in", "contains"];
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+// The values a lead is matched on. investmentAmount is the parsed number,
+// not the free text the form sent.
+function leadFacts(lead) {
+  const amount =
+    lead.investmentValue ?? parseInvestmentAmount(lead.investmentAmount);
+
+  return {
+    investmentAmount: amount,
+    investmentBand: lead.investmentBand || investmentBand(amount),
+    experienceLevel: lead.experienceLevel,
+    name: lead.name,
+    email: lead.email,
+    message: lead.message,
+  };
+}
+
+function conditionMatches({ field, operator, value }, facts) {
+  const actual = facts[field];
+  if (actual === null || actual === undefined || actual === "") return false;
+
+  if (NUMBER_FIELDS.includes(field)) {
+    switch (operator) {
+      case "eq":
+        return actual === value;
+      case "gt":
+        return actual > value;
+      case "gte":
+        return actual >= value;
+      case "lt":
+        return actual < value;
+      case "lte":
+        return actual <= value;
+      default:
+        return false;
+    }
+  }
+
+  switch (operator) {
+    case "eq":
+      return normalize(actual) === normalize(value);
+    case "neq":
+      return normalize(actual) !== normalize(value);
+    case "in":
+      return value.some((option) => normalize(option) === normalize(actual));
+    case "contains":
+      return normalize(actual).includes(normalize(value));
+    default:
+      return false;
+  }
+}
+
+function ruleMatches(rule, formType, lead) {
+  if (!rule.active) return false;
+  if (Array.isArray(rule.formTypes) && !rule.formTypes.includes(formType)) {
+    return false;
+  }
+
+  const facts = leadFacts(lead);
+  return (rule.conditions || []).every((condition) =>
+    conditionMatches(condition, facts)
+  );
+}
+
+function matchingRules(rules, formType, lead) {
+  return rules.filter((rule) => ruleMatches(rule, formType, lead));
+}
+
+// lead_notification template data for a lead and the rules it matched
+function notificationData(formType, lead, rules) {
+  const form = FORMS[formType];
+  const facts = leadFacts(lead);
+
+  const parsed =
+    facts.investmentAmount === null
+      ? "could not be parsed"
+      : `parsed as ${formatCurrency(facts.investmentAmount)}, ${
+          facts.investmentBand
+        }`;
+
+  const details = [
+    ["Name", lead.name],
+    ["Email", lead.email],
+    ["Phone", lead.phone || "Not given"],
+    ["Investment amount", `${lead.investmentAmount} (${parsed})`],
+  ];
+  if (lead.experienceLevel) {
+    details.push(["Experience level", lead.experienceLevel]);
+  }
+  details.push(["Submitted", new Date(lead.createdAt).toISOString()]);
+
+  return {
+    formLabel: form.label,
+    collection: form.collection,
+    leadId: lead.id,
+    rules: rules.map((rule) => rule.name),
+    name: lead.name,
+    investmentAmount: lead.investmentAmount,
+    details,
+    message: lead.message,
+  };
+}
+
+// Email the recipients of every active rule the lead matches. Never
+// throws, so a broken rule or mail outage can't fail the form. Returns
+// the matched rules and who was notified.
+async function routeLead(formType, lead, { db = defaultDb } = {}) {
+  const result = { rules: [], notified: [] };
+  if (!db) return result;
+
+  try {
+    const rules = await db
+      .select()
+      .from(leadRoutingRules)
+      .where(eq(leadRoutingRules.active, true));
+
+    const matched = matchingRules(rules, formType, lead);
+    if (matched.length === 0) return result;
+
+    // Recipient (lowercased) -> the rules that route the lead to them
+    const byRecipient = new Map();
+    for (const rule of matched) {
+      for (const recipient of rule.recipients || []) {
+        const key = normalize(recipient);
+        if (!byRecipient.has(key)) byRecipient.set(key, []);
+        byRecipient.get(key).push(rule);
+      }
+    }
+
+    for (const [recipient, recipientRules] of byRecipient) {
+      await sendEmail({
+        to: recipient,
+        toName: "Team",
+        subjectEmail: lead.email,
+        ...renderTemplate(
+          "lead_notification",
+          notificationData(formType, lead, recipientRules)
+        ),
+        emailType: "lead_notification",
+        senders: SENDERS.default,
+      });
+    }
+
+    result.rules = matched.map((rule) => ({ id: rule.id, name: rule.name }));
+    result.notified = [...byRecipient.keys()];
+
+    console.log(
+      `🔔 ${formType} lead ${lead.id} routed by ${result.rules
+        .map((rule) => rule.name)
+        .join(", ")} to ${result.notified.join(", ")}`
+    );
+    return result;
+  } catch (error) {
+    console.error(`⚠️ Failed to route ${formType} lead:`, error);
+    return result;
+  }
+}
+
+module.exports = {
+  FORM_TYPES,
+  NUMBER_FIELDS,
+  TEXT_FIELDS,
+  NUMBER_OPERATORS,
+  TEXT_OPERATORS,
+  leadFacts,
+  matchingRules,
+  notificationData,
+  routeLead,
+};
@@ -0,0 +1,310 @@
+// Aggregates over learning_progress and quiz_results: module completion
+// and drop-off, quiz scores and completion funnels for staff, and the
+// public leaderboard. The staff reports take the same filters:
+//   - from / to: activity dates (progress updated_at, quiz completed_at)
+//   - cohort: the learners' signup month, "YYYY-MM"
+// Learning rows hold the user ID as text, hence the ::text comparisons.
+const {
+  eq,
+  and,
+  or,
+  gt,
+  gte,
+  lt,
+  lte,
+  asc,
+  desc,
+  inArray,
+  isNotNull,
+  count,
+  countDistinct,
+  avg,
+  sum,
+  min,
+  max,
+  sql,
+} = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const { users, learningProgress, quizResults } = require("./schema");
+
+const COHORT_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Steps in a funnel when none are given: the most started modules
+const DEFAULT_FUNNEL_STEPS = 10;
+
+// A quiz attempt's score as a percentage of its questions, held to 0-100
+// for results stored before scores were checked against the question
+// count. NULL without a score or questions.
+const percentage = sql`CASE WHEN ${quizResults.score} IS NOT NULL AND ${quizResults.totalQuestions} > 0 THEN LEAST(GREATEST(${quizResults.score} * 100.0 / ${quizResults.totalQuestions}, 0), 100) END`;
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+function round(value, places = 2) {
+  return value === null ? null : Number(value.toFixed(places));
+}
+
+// Learning user IDs of everyone who signed up in `cohort`
+function cohortUserIds(db, cohort) {
+  const [year, month] = cohort.split("-").map(Number);
+  return db
+    .select({ id: sql`${users.id}::text` })
+    .from(users)
+    .where(
+      and(
+        gte(users.createdAt, new Date(Date.UTC(year, month - 1, 1))),
+        lt(users.createdAt, new Date(Date.UTC(year, month, 1)))
+      )
+    );
+}
+
+function filterConditions(db, { userId, activityAt }, { from, to, cohort }) {
+  const conditions = [];
+  if (from) conditions.push(gte(activityAt, from));
+  if (to) conditions.push(lte(activityAt, to));
+  if (cohort) conditions.push(inArray(userId, cohortUserIds(db, cohort)));
+  return conditions.length > 0 ? and(...conditions) : undefined;
+}
+
+function progressConditions(db, filters) {
+  return filterConditions(
+    db,
+    { userId: learningProgress.userId, activityAt: learningProgress.updatedAt },
+    filters
+  );
+}
+
+// Per module, most started first: learners who started and completed it,
+// how many dropped off, and time spent
+async function moduleStats(filters = {}, { db = defaultDb } = {}) {
+  const learners = countDistinct(learningProgress.userId);
+  const rows = await db
+    .select({
+      moduleId: learningProgress.moduleId,
+      learners,
+      completed:
+        sql`count(DISTINCT ${learningProgress.userId}) FILTER (WHERE ${learningProgress.completed})`.mapWith(
+          Number
+        ),
+      averageScore: avg(learningProgress.score).mapWith(Number),
+      averageTimeSpent: avg(learningProgress.timeSpent).mapWith(Number),
+      totalTimeSpent: sum(learningProgress.timeSpent).mapWith(Number),
+    })
+    .from(learningProgress)
+    .where(progressConditions(db, filters))
+    .groupBy(learningProgress.moduleId)
+    .orderBy(desc(learners), asc(learningProgress.moduleId));
+
+  return rows.map((row) => ({
+    moduleId: row.moduleId,
+    learners: row.learners,
+    completed: row.completed,
+    droppedOff: row.learners - row.completed,
+    completionRate: rate(row.completed, row.learners),
+    dropOffRate: rate(row.learners - row.completed, row.learners),
+    averageScore: round(row.averageScore),
+    averageTimeSpent: round(row.averageTimeSpent),
+    totalTimeSpent: row.totalTimeSpent || 0,
+  }));
+}
+
+// Per quiz, most attempted first: attempts and scores, raw and as a
+// percentage of the questions
+async function quizStats(filters = {}, { db = defaultDb } = {}) {
+  const attempts = count();
+  const rows = await db
+    .select({
+      quizId: quizResults.quizId,
+      attempts,
+      learners: countDistinct(quizResults.userId),
+      averageScore: avg(quizResults.score).mapWith(Number),
+      averagePercentage: avg(percentage).mapWith(Number),
+      lowestPercentage: min(percentage).mapWith(Number),
+      highestPercentage: max(percentage).mapWith(Number),
+    })
+    .from(quizResults)
+    .where(
+      filterConditions(
+        db,
+        { userId: quizResults.userId, activityAt: quizResults.completedAt },
+        filters
+      )
+    )
+    .groupBy(quizResults.quizId)
+    .orderBy(desc(attempts), asc(quizResults.quizId));
+
+  return rows.map((row) => ({
+    ...row,
+    averageScore: round(row.averageScore),
+    averagePercentage: round(row.averagePercentage, 1),
+    lowestPercentage: round(row.lowestPercentage, 1),
+    highestPercentage: round(row.highestPercentage, 1),
+  }));
+}
+
+// Learners through `modules` in order. Each step counts the learners who
+// completed every module up to it, and how many of the previous step's
+// learners started it.
+async function completionFunnel(
+  { modules, ...filters } = {},
+  { db = defaultDb } = {}
+) {
+  const steps =
+    modules && modules.length > 0
+      ? modules
+      : (await moduleStats(filters, { db }))
+          .slice(0, DEFAULT_FUNNEL_STEPS)
+          .map((row) => row.moduleId);
+  if (steps.length === 0) return [];
+
+  const rows = await db
+    .select({
+      started: sql`array_agg(${learningProgress.moduleId})`,
+      completed: sql`array_agg(${learningProgress.moduleId}) FILTER (WHERE ${learningProgress.completed})`,
+    })
+    .from(learningProgress)
+    .where(
+      and(
+        inArray(learningProgress.moduleId, steps),
+        progressConditions(db, filters)
+      )
+    )
+    .groupBy(learningProgress.userId);
+
+  let remaining = rows.map((row) => ({
+    started: new Set(row.started),
+    completed: new Set(row.completed || []),
+  }));
+  let entered = 0;
+  let previous = 0;
+
+  return steps.map((moduleId, index) => {
+    const started = remaining.filter((learner) =>
+      learner.started.has(moduleId)
+    ).length;
+    remaining = remaining.filter((learner) => learner.completed.has(moduleId));
+
+    if (index === 0) {
+      entered = started;
+      previous = started;
+    }
+    const step = {
+      step: index + 1,
+      moduleId,
+      started,
+      completed: remaining.length,
+      fromPrevious: rate(remaining.length, previous),
+      fromStart: rate(remaining.length, entered),
+    };
+    previous = remaining.length;
+    return step;
+  });
+}
+
+// Learners who opted in, ranked by modules completed, then by their
+// average over quizzes of their best percentage in each (so retakes only
+// ever help). Learners with nothing completed or taken are left out.
+function rankedLearners(db) {
+  const modules = db
+    .select({
+      userId: learningProgress.userId,
+      completed: sql`count(*) FILTER (WHERE ${learningProgress.completed})`.as(
+        "completed"
+      ),
+    })
+    .from(learningProgress)
+    .groupBy(learningProgress.userId)
+    .as("modules");
+
+  const best = db
+    .select({
+      userId: quizResults.userId,
+      percentage: sql`max(${percentage})`.as("percentage"),
+    })
+    .from(quizResults)
+    .groupBy(quizResults.userId, quizResults.quizId)
+    .as("best");
+
+  const quizzes = db
+    .select({
+      userId: best.userId,
+      average: sql`avg(${best.percentage})`.as("average"),
+      taken: count().as("taken"),
+    })
+    .from(best)
+    .where(isNotNull(best.percentage))
+    .groupBy(best.userId)
+    .as("quizzes");
+
+  const modulesCompleted = sql`coalesce(${modules.completed}, 0)`;
+  const quizAverage = sql`coalesce(${quizzes.average}, 0)`;
+  const quizzesTaken = sql`coalesce(${quizzes.taken}, 0)`;
+
+  return db
+    .select({
+      userId: users.id,
+      displayName: users.displayName,
+      modulesCompleted: modulesCompleted.as("modules_completed"),
+      quizAverage: sql`${quizzes.average}`.as("quiz_average"),
+      quizzesTaken: quizzesTaken.as("quizzes_taken"),
+      rank: sql`rank() OVER (ORDER BY ${modulesCompleted} DESC, ${quizAverage} DESC)`.as(
+        "rank"
+      ),
+    })
+    .from(users)
+    .leftJoin(modules, eq(modules.userId, sql`${users.id}::text`))
+    .leftJoin(quizzes, eq(quizzes.userId, sql`${users.id}::text`))
+    .where(
+      and(
+        eq(users.leaderboardOptIn, true),
+        isNotNull(users.displayName),
+        or(gt(modulesCompleted, 0), gt(quizzesTaken, 0))
+      )
+    )
+    .as("ranked");
+}
+
+// An entry as shown publicly: no user IDs
+function leaderboardEntry(row) {
+  return {
+    rank: Number(row.rank),
+    displayName: row.displayName,
+    modulesCompleted: Number(row.modulesCompleted),
+    quizAverage:
+      row.quizAverage === null ? null : round(Number(row.quizAverage), 1),
+    quizzesTaken: Number(row.quizzesTaken),
+  };
+}
+
+async function leaderboard(
+  { limit = 20, offset = 0 } = {},
+  { db = defaultDb } = {}
+) {
+  const ranked = rankedLearners(db);
+  const rows = await db
+    .select()
+    .from(ranked)
+    .orderBy(asc(ranked.rank), asc(ranked.displayName))
+    .limit(limit)
+    .offset(offset);
+  const [{ total }] = await db.select({ total: count() }).from(ranked);
+
+  return { entries: rows.map(leaderboardEntry), total };
+}
+
+// A learner's own entry, or null when they're not on the leaderboard
+async function leaderboardStanding(userId, { db = defaultDb } = {}) {
+  const ranked = rankedLearners(db);
+  const rows = await db.select().from(ranked).where(eq(ranked.userId, userId));
+  return rows[0] ? leaderboardEntry(rows[0]) : null;
+}
+
+module.exports = {
+  COHORT_PATTERN,
+  moduleStats,
+  quizStats,
+  completionFunnel,
+  leaderboard,
+  leaderboardStanding,
+};
@@ -0,0 +1,54 @@
+// Deprecation window for learning inputs sent as strings. Until migration
+// 0002 the columns were text, so clients sent "true", "85" and answers as
+// a JSON string. Those are still accepted until LEARNING_STRING_INPUT_SUNSET
+// (default 2027-04-30); requests using them get Deprecation and Sunset
+// headers so client owners can find them. After the sunset they fail
+// validation like any other wrongly typed value.
+const DEPRECATED_AT = new Date("2026-10-19T00:00:00Z");
+const STRING_INPUT_SUNSET = new Date(
+  process.env.LEARNING_STRING_INPUT_SUNSET || "2027-04-30T00:00:00Z"
+);
+
+const TYPED_FIELDS = [
+  "completed",
+  "score",
+  "timeSpent",
+  "totalQuestions",
+  "answers",
+];
+
+function acceptsStringInput(now = new Date()) {
+  return now < STRING_INPUT_SUNSET;
+}
+
+// Middleware for the learning write routes, before validation
+function flagStringInput(req, res, next) {
+  const body = req.body || {};
+  const fields = TYPED_FIELDS.filter(
+    (field) => typeof body[field] === "string"
+  );
+
+  if (fields.length > 0 && acceptsStringInput()) {
+    res.set("Deprecation", `@${Math.floor(DEPRECATED_AT.getTime() / 1000)}`);
+    res.set("Sunset", STRING_INPUT_SUNSET.toUTCString());
+    res.set(
+      "Warning",
+      `299 - "String values for ${fields.join(
+        ", "
+      )} are deprecated, send booleans, numbers and JSON arrays or objects"`
+    );
+    console.warn(
+      `⚠️ Deprecated string learning input (${fields.join(", ")}) on ${
+        req.method
+      } ${req.originalUrl}`
+    );
+  }
+
+  next();
+}
+
+module.exports = {
+  STRING_INPUT_SUNSET,
+  acceptsStringInput,
+  flagStringInput,
+};
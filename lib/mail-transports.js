@@ -0,0 +1,100 @@
+// Mail transports. Each one takes a message of the form
+//   { to, from: { email, name }, subject, html, text, attachments, headers }
+// and throws if the message could not be handed over. Attachments are
+// { filename, content (Buffer), contentType, cid }; a cid makes the
+// attachment inline so the html can reference it as "cid:<cid>". headers
+// is an object of extra message headers, e.g. List-Unsubscribe or
+// Reply-To.
+const fs = require("fs");
+const path = require("path");
+const sgMail = require("@sendgrid/mail");
+const nodemailer = require("nodemailer");
+
+function createSendGridTransport({ apiKey }) {
+  sgMail.setApiKey(apiKey);
+
+  return {
+    name: "sendgrid",
+    // SendGrid rejects Reply-To as a custom header; it has its own field
+    send: ({ attachments, headers, ...message }) => {
+      const { "Reply-To": replyTo, ...otherHeaders } = headers || {};
+      return sgMail.send({
+        ...message,
+        replyTo,
+        headers: headers ? otherHeaders : undefined,
+        attachments: attachments?.map((attachment) => ({
+          filename: attachment.filename,
+          content: attachment.content.toString("base64"),
+          type: attachment.contentType,
+          disposition: attachment.cid ? "inline" : "attachment",
+          content_id: attachment.cid,
+        })),
+      });
+    },
+  };
+}
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) =>
+      transporter.sendMail({
+        ...message,
+        from: { name: message.from.name, address: message.from.email },
+      }),
+  };
+}
+
+// Writes each message to a JSON file, for local development
+function createFileTransport({ directory }) {
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, "_");
+      const fileName = `${Date.now()}-${safeRecipient}.json`;
+      const attachments = message.attachments?.map((attachment) => ({
+        ...attachment,
+        content: attachment.content.toString("base64"),
+      }));
+      await fs.promises.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify({ ...message, attachments }, null, 2)
+      );
+      console.log(`📁 Email written to ${path.join(directory, fileName)}`);
+    },
+  };
+}
+
+// Keeps messages in memory, for tests. Set `failWith` to simulate errors.
+function createMemoryTransport() {
+  const transport = {
+    name: "memory",
+    messages: [],
+    failWith: null,
+    send: async (message) => {
+      if (transport.failWith) throw transport.failWith;
+      transport.messages.push(message);
+    },
+    clear: () => {
+      transport.messages.length = 0;
+      transport.failWith = null;
+    },
+  };
+
+  return transport;
+}
+
+module.exports = {
+  createSendGridTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+};
@@ -0,0 +1,250 @@
+// Mail service shared by the routes and the pending email worker
+const path = require("path");
+const { db: defaultDb } = require("./db");
+const { pendingEmails } = require("./schema");
+const {
+  createSendGridTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+} = require("./mail-transports");
+
+const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
+const SMTP_HOST = process.env.SMTP_HOST;
+const NODE_ENV = process.env.NODE_ENV || "development";
+
+// Which transport to use: sendgrid, smtp, file or memory. When unset we
+// pick SendGrid or SMTP if configured, and files in development.
+const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT ||
+  (SENDGRID_API_KEY
+    ? "sendgrid"
+    : SMTP_HOST
+    ? "smtp"
+    : NODE_ENV === "development"
+    ? "file"
+    : null);
+
+// Sender identities, tried in order until one is accepted
+const DEFAULT_SENDERS = [
+  {
+    from: "info@kr-properties.co.uk",
+    name: "KR Property Investments",
+  },
+  {
+    from: "noreply@kr-properties.co.uk",
+    name: "KR Property Investments",
+  },
+  {
+    from: "hello@kr-properties.co.uk",
+    name: "KR Property Investments",
+  },
+];
+
+const SENDERS = {
+  default: DEFAULT_SENDERS,
+  deals: [
+    {
+      from: "deals@krpropertyinvestments.com",
+      name: "KR Property Investments",
+    },
+    ...DEFAULT_SENDERS,
+  ],
+};
+
+function createTransport(name) {
+  switch (name) {
+    case "sendgrid":
+      if (!SENDGRID_API_KEY) return null;
+      return createSendGridTransport({ apiKey: SENDGRID_API_KEY });
+    case "smtp":
+      if (!SMTP_HOST) return null;
+      return createSmtpTransport({
+        host: SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    case "file":
+      return createFileTransport({
+        directory:
+          process.env.MAIL_FILE_DIR || path.join(process.cwd(), ".mail"),
+      });
+    case "memory":
+      return createMemoryTransport();
+    default:
+      return null;
+  }
+}
+
+let transport = createTransport(MAIL_TRANSPORT);
+
+if (transport) {
+  console.log(`✅ Mail transport configured: ${transport.name}`);
+} else {
+  console.log("⚠️ Mail transport not configured");
+}
+
+function getTransport() {
+  return transport;
+}
+
+// Replace the active transport, e.g. with a memory transport in tests
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+function isEmailConfigured() {
+  return !!transport;
+}
+
+// The SENDERS key of a sender chain, stored on queued emails so retries
+// use the same chain
+function senderKey(senders) {
+  return Object.keys(SENDERS).find((key) => SENDERS[key] === senders) || null;
+}
+
+// Try each sender in turn until the transport accepts the message
+async function sendWithFallback(
+  { to, subject, html, text, attachments, headers },
+  { transport: activeTransport = transport, senders = DEFAULT_SENDERS } = {}
+) {
+  if (!activeTransport) {
+    return {
+      sent: false,
+      sender: null,
+      error: new Error("No mail transport configured"),
+    };
+  }
+
+  let lastError = null;
+
+  for (const config of senders) {
+    try {
+      console.log(`📧 Attempting to send with sender: ${config.from}`);
+
+      await activeTransport.send({
+        to,
+        from: {
+          email: config.from,
+          name: config.name,
+        },
+        subject,
+        html,
+        text,
+        attachments: attachments?.length ? attachments : undefined,
+        headers: headers || undefined,
+      });
+
+      console.log(`✅ Email sent successfully using ${config.from}`);
+      return { sent: true, sender: config.from, error: null };
+    } catch (configError) {
+      console.error(`❌ Failed with ${config.from}:`, configError.message);
+      lastError = configError;
+    }
+  }
+
+  console.error("❌ All sender configurations failed");
+  return { sent: false, sender: null, error: lastError };
+}
+
+// Shape stored in pending_emails.error_details
+function serializeEmailError(error) {
+  if (!error) return "Mail transport configuration issue";
+
+  return JSON.stringify({
+    message: error.message,
+    code: error.code,
+    response: error.response?.body,
+  });
+}
+
+// Attachments are kept in pending_emails.attachments with base64 content
+function serializeAttachments(attachments) {
+  if (!attachments?.length) return null;
+
+  return attachments.map((attachment) => ({
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    cid: attachment.cid,
+    content: attachment.content.toString("base64"),
+  }));
+}
+
+function deserializeAttachments(stored) {
+  if (!Array.isArray(stored)) return undefined;
+
+  return stored.map((attachment) => ({
+    ...attachment,
+    content: Buffer.from(attachment.content, "base64"),
+  }));
+}
+
+// Send an email, and queue it in pending_emails for the retry worker if
+// it can't be delivered right now. `subjectEmail` is the person it's
+// about when that isn't the recipient, for data requests.
+async function sendEmail(
+  {
+    to,
+    toName,
+    subjectEmail,
+    subject,
+    html,
+    text,
+    attachments,
+    headers,
+    emailType,
+    senders,
+  },
+  { db = defaultDb, transport: activeTransport = transport } = {}
+) {
+  const result = await sendWithFallback(
+    { to, subject, html, text, attachments, headers },
+    { transport: activeTransport, senders }
+  );
+
+  if (result.sent) {
+    return { sent: true, stored: false, error: null };
+  }
+
+  let stored = false;
+  if (db) {
+    try {
+      await db.insert(pendingEmails).values({
+        recipientEmail: to,
+        recipientName: toName || "User",
+        subjectEmail: subjectEmail || null,
+        subject,
+        htmlContent: html,
+        textContent: text,
+        attachments: serializeAttachments(attachments),
+        headers: headers || null,
+        emailType,
+        senderKey: senderKey(senders),
+        status: "pending",
+        errorDetails: serializeEmailError(result.error),
+      });
+      stored = true;
+      console.log("💾 Email content stored in database for later processing");
+    } catch (dbError) {
+      console.error("❌ Failed to store email in database:", dbError);
+    }
+  } else {
+    console.error("❌ Email lost - no database to queue it in:", subject);
+  }
+
+  return { sent: false, stored, error: result.error };
+}
+
+module.exports = {
+  SENDERS,
+  getTransport,
+  setTransport,
+  isEmailConfigured,
+  sendWithFallback,
+  sendEmail,
+  serializeEmailError,
+  serializeAttachments,
+  deserializeAttachments,
+};
@@ -0,0 +1,244 @@
+// Versioned schema migrations. Each file in migrations/ is named
+// NNNN_description.js and exports up(sql) and down(sql), which return the
+// queries to run as sql`` templates (not awaited). A migration's queries
+// and its row in schema_migrations run in one transaction, so a failed
+// migration leaves nothing behind.
+//
+// lib/schema.js is the source of truth: after changing it, run
+// `npm run db:generate -- <name>` to write the migration (see
+// lib/schema-diff.js), review it, then `npm run db:migrate`.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { sql: defaultSql } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+
+// Held by each migration's transaction, so two deploys starting at once
+// apply migrations one after the other
+const LOCK_ID = 7264190;
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = "23505";
+
+function checksum(source) {
+  return crypto.createHash("sha256").update(source).digest("hex");
+}
+
+// Migration files in order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const migrations = fs
+    .readdirSync(dir)
+    .filter((file) => FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+      const filePath = path.join(dir, file);
+      const { up, down } = require(filePath);
+      if (typeof up !== "function" || typeof down !== "function") {
+        throw new Error(`Migration ${file} must export up(sql) and down(sql)`);
+      }
+      return {
+        id: path.basename(file, ".js"),
+        number: file.slice(0, 4),
+        file: filePath,
+        checksum: checksum(fs.readFileSync(filePath)),
+        up,
+        down,
+      };
+    });
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].number === migration.number) {
+      throw new Error(
+        `Migrations ${migrations[index - 1].id} and ${
+          migration.id
+        } share a number`
+      );
+    }
+  });
+
+  return migrations;
+}
+
+// Next file name for a migration called `name`
+function nextMigrationFile(name, dir = MIGRATIONS_DIR) {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!slug) throw new Error("Migration name must contain letters or digits");
+
+  const migrations = loadMigrations(dir);
+  const last = migrations.length
+    ? parseInt(migrations[migrations.length - 1].number)
+    : 0;
+  return path.join(dir, `${String(last + 1).padStart(4, "0")}_${slug}.js`);
+}
+
+function requireSql(sql) {
+  if (!sql) throw new Error("Database connection not available");
+}
+
+async function ensureMigrationsTable(sql) {
+  await sql`CREATE TABLE IF NOT EXISTS schema_migrations (
+    id TEXT PRIMARY KEY,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW() NOT NULL
+  )`;
+}
+
+// Rows in schema_migrations, oldest first. Empty before the first migrate.
+async function appliedMigrations(sql) {
+  const [{ exists }] =
+    await sql`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`;
+  if (!exists) return [];
+  return sql`SELECT id, checksum, applied_at FROM schema_migrations ORDER BY id`;
+}
+
+// Which migrations are applied and which are pending. `changed` marks
+// files edited after they were applied; `missing` lists applied
+// migrations with no file, e.g. when older code runs on a newer database.
+async function migrationStatus({ sql = defaultSql, dir } = {}) {
+  requireSql(sql);
+
+  const migrations = loadMigrations(dir);
+  const rows = await appliedMigrations(sql);
+  const applied = new Map(rows.map((row) => [row.id, row]));
+  const known = new Set(migrations.map((migration) => migration.id));
+
+  return {
+    applied: migrations
+      .filter((migration) => applied.has(migration.id))
+      .map((migration) => ({
+        id: migration.id,
+        appliedAt: applied.get(migration.id).applied_at,
+        changed: applied.get(migration.id).checksum !== migration.checksum,
+      })),
+    pending: migrations
+      .filter((migration) => !applied.has(migration.id))
+      .map((migration) => ({ id: migration.id })),
+    missing: rows
+      .filter((row) => !known.has(row.id))
+      .map((row) => ({ id: row.id, appliedAt: row.applied_at })),
+  };
+}
+
+// Apply pending migrations in order, up to and including `to` if given.
+// Returns the ids applied.
+async function migrate({ sql = defaultSql, dir, to } = {}) {
+  requireSql(sql);
+
+  const migrations = loadMigrations(dir);
+  if (to && !migrations.some((migration) => migration.id === to)) {
+    throw new Error(`Unknown migration ${to}`);
+  }
+
+  await ensureMigrationsTable(sql);
+  const applied = new Set((await appliedMigrations(sql)).map((row) => row.id));
+  const pending = migrations.filter(
+    (migration) => !applied.has(migration.id) && (!to || migration.id <= to)
+  );
+
+  // The schema_migrations row goes in first, under the lock: when another
+  // process applied the migration since `applied` was read, it conflicts
+  // and the transaction stops before running the migration again
+  const ids = [];
+  for (const migration of pending) {
+    const queries = await migration.up(sql);
+    try {
+      await sql.transaction([
+        sql`SELECT pg_advisory_xact_lock(${LOCK_ID})`,
+        sql`INSERT INTO schema_migrations (id, checksum) VALUES (${migration.id}, ${migration.checksum})`,
+        ...queries,
+      ]);
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+      console.log(
+        `⏭️ Migration ${migration.id} was applied by another process`
+      );
+      continue;
+    }
+    ids.push(migration.id);
+    console.log(`✅ Applied migration ${migration.id}`);
+  }
+
+  return ids;
+}
+
+// Roll back the last `steps` applied migrations (default 1), or every
+// migration after `to`. Returns the ids rolled back, newest first.
+async function rollback({ sql = defaultSql, dir, steps = 1, to } = {}) {
+  requireSql(sql);
+
+  const migrations = new Map(
+    loadMigrations(dir).map((migration) => [migration.id, migration])
+  );
+  if (to && !migrations.has(to)) throw new Error(`Unknown migration ${to}`);
+
+  const applied = (await appliedMigrations(sql)).reverse();
+  const targets = to
+    ? applied.filter((row) => row.id > to)
+    : applied.slice(0, steps);
+
+  // Every down() is called before anything runs, so a migration that can't
+  // be rolled back (like the baseline) stops the rollback up front
+  const plans = [];
+  for (const { id } of targets) {
+    const migration = migrations.get(id);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${id}: its migration file is missing`);
+    }
+    plans.push({ id, queries: await migration.down(sql) });
+  }
+
+  for (const { id, queries } of plans) {
+    await sql.transaction([
+      sql`SELECT pg_advisory_xact_lock(${LOCK_ID})`,
+      ...queries,
+      sql`DELETE FROM schema_migrations WHERE id = ${id}`,
+    ]);
+    console.log(`↩️ Rolled back migration ${id}`);
+  }
+
+  return targets.map((row) => row.id);
+}
+
+// Startup check: the server must not run against a schema it wasn't
+// written for. With `apply`, pending migrations are applied instead.
+async function assertMigrated({ sql = defaultSql, dir, apply = false } = {}) {
+  const status = await migrationStatus({ sql, dir });
+
+  for (const migration of status.applied.filter((m) => m.changed)) {
+    console.warn(
+      `⚠️ Migration ${migration.id} was edited after it was applied`
+    );
+  }
+  for (const migration of status.missing) {
+    console.warn(
+      `⚠️ Migration ${migration.id} is applied but its file is missing`
+    );
+  }
+
+  if (status.pending.length === 0) return [];
+  if (apply) return migrate({ sql, dir });
+
+  const ids = status.pending.map((migration) => migration.id);
+  throw new Error(
+    `${ids.length} database migration(s) pending (${ids.join(
+      ", "
+    )}). Run \`npm run db:migrate\` before starting the server.`
+  );
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  nextMigrationFile,
+  migrationStatus,
+  migrate,
+  rollback,
+  assertMigrated,
+};
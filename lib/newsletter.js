@@ -0,0 +1,149 @@
+// Newsletter double opt-in, unsubscribe and preference links. Links carry
+// signed tokens naming the subscription, so nothing extra is stored:
+// confirmation tokens expire, unsubscribe and preference tokens don't.
+// Campaign recipients who never subscribed (e.g. waitlist members) get
+// unsubscribe tokens naming just their address.
+const jwt = require("jsonwebtoken");
+const { eq } = require("drizzle-orm");
+const { newsletterSubscriptions } = require("./schema");
+const { BRAND } = require("./templates/branding");
+
+const TOKEN_SECRET =
+  process.env.NEWSLETTER_TOKEN_SECRET || process.env.JWT_SECRET;
+const CONFIRM_TOKEN_TTL = process.env.NEWSLETTER_CONFIRM_TTL || "7d";
+
+// Where this API is reachable from email links, e.g. https://api.example.com
+const PUBLIC_API_URL = (
+  process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 8000}`
+).replace(/\/$/, "");
+
+// Website page that edits preferences through /api/newsletter/preferences
+const PREFERENCES_URL =
+  process.env.NEWSLETTER_PREFERENCES_URL ||
+  `${BRAND.websiteUrl}/newsletter/preferences`;
+
+// 'legacy' subscribers signed up before double opt-in and haven't
+// confirmed since; they aren't sent newsletters until they do (see
+// queueReconfirmation in lib/campaigns.js)
+const SUBSCRIPTION_STATUSES = [
+  "pending",
+  "legacy",
+  "confirmed",
+  "unsubscribed",
+];
+
+// Statuses a confirmation link moves to 'confirmed'
+const CONFIRMABLE_STATUSES = ["pending", "legacy"];
+const NEWSLETTER_TOPICS = ["market_updates", "deal_alerts", "education"];
+
+const TOKEN_PURPOSES = ["confirm", "unsubscribe", "preferences"];
+
+// Keeps the tokens apart from session tokens when both are signed with
+// JWT_SECRET. Links sent before it was added have no audience.
+const TOKEN_AUDIENCE = "newsletter";
+
+function isNewsletterConfigured() {
+  return !!TOKEN_SECRET;
+}
+
+function signSubscriptionToken(subscription, purpose) {
+  const options = { audience: TOKEN_AUDIENCE };
+  if (subscription.id) options.subject = String(subscription.id);
+  if (purpose === "confirm") options.expiresIn = CONFIRM_TOKEN_TTL;
+
+  return jwt.sign(
+    { purpose, email: subscription.email },
+    TOKEN_SECRET,
+    options
+  );
+}
+
+// { id, email } from a token signed for `purpose`, or null. `id` is null
+// for address-only tokens.
+function verifySubscriptionToken(token, purpose) {
+  if (!TOKEN_PURPOSES.includes(purpose)) return null;
+
+  try {
+    const payload = jwt.verify(token, TOKEN_SECRET, {
+      algorithms: ["HS256"],
+    });
+    if (payload.purpose !== purpose) return null;
+    if (payload.aud !== undefined && payload.aud !== TOKEN_AUDIENCE) {
+      return null;
+    }
+    return {
+      id: payload.sub ? parseInt(payload.sub) : null,
+      email: payload.email,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function withToken(url, token) {
+  const link = new URL(url);
+  link.searchParams.set("token", token);
+  return link.toString();
+}
+
+function confirmUrl(subscription) {
+  return withToken(
+    `${PUBLIC_API_URL}/api/newsletter/confirm`,
+    signSubscriptionToken(subscription, "confirm")
+  );
+}
+
+// Links every newsletter email should carry. `subscription` may be just
+// { email } for someone with no subscription, who gets no preferences page.
+function subscriptionLinks(subscription) {
+  return {
+    unsubscribeUrl: withToken(
+      `${PUBLIC_API_URL}/api/newsletter/unsubscribe`,
+      signSubscriptionToken(subscription, "unsubscribe")
+    ),
+    preferencesUrl: subscription.id
+      ? withToken(
+          PREFERENCES_URL,
+          signSubscriptionToken(subscription, "preferences")
+        )
+      : null,
+  };
+}
+
+// RFC 8058 one-click unsubscribe: mail clients POST to the URL directly
+function listUnsubscribeHeaders(subscription) {
+  const { unsubscribeUrl } = subscriptionLinks(subscription);
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+// Where-condition for subscribers that may be sent to
+function sendableSubscribers() {
+  return eq(newsletterSubscriptions.status, "confirmed");
+}
+
+// Whether a subscriber gets emails about `topic`
+function wantsTopic(subscription, topic) {
+  return (
+    !topic ||
+    !Array.isArray(subscription.topics) ||
+    subscription.topics.includes(topic)
+  );
+}
+
+module.exports = {
+  PUBLIC_API_URL,
+  SUBSCRIPTION_STATUSES,
+  CONFIRMABLE_STATUSES,
+  NEWSLETTER_TOPICS,
+  isNewsletterConfigured,
+  signSubscriptionToken,
+  verifySubscriptionToken,
+  confirmUrl,
+  subscriptionLinks,
+  listUnsubscribeHeaders,
+  sendableSubscribers,
+  wantsTopic,
+};
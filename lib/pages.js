@@ -0,0 +1,45 @@
+// Small HTML pages for links opened from emails (newsletter and data
+// request confirmations). Browsers get a page, API clients get JSON.
+const { html } = require("./templates/html");
+const { BRAND } = require("./templates/branding");
+const { layout } = require("./templates/layout");
+
+function wantsHtml(req) {
+  return req.accepts(["json", "html"]) === "html";
+}
+
+function page(title, body) {
+  return html`<!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <title>${title} - ${BRAND.name}</title>
+      </head>
+      <body>
+        ${layout({ title, body })}
+      </body>
+    </html>`.toString();
+}
+
+// Reply with `message` as JSON, or as a page for browsers
+function respond(req, res, status, { title, message, data, form }) {
+  if (wantsHtml(req)) {
+    return res
+      .status(status)
+      .type("html")
+      .send(
+        page(
+          title,
+          html`
+            <p>${message}</p>
+            ${form || ""}
+          `
+        )
+      );
+  }
+
+  res.status(status).json({ success: status < 400, message, data });
+}
+
+module.exports = { wantsHtml, page, respond };
@@ -0,0 +1,219 @@
+// UK price index series (CPI, CPIH, RPI) loaded from ONS CSV downloads
+const fs = require("fs");
+const path = require("path");
+const { asc, count, eq, sql } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const { priceIndices } = require("./schema");
+
+const DATA_DIR = path.join(__dirname, "..", "data", "ons");
+
+// ONS series IDs (CDIDs) for each supported index
+const INDEX_SERIES = {
+  CPI: { cdid: "D7BT", file: "cpi-d7bt.csv" },
+  CPIH: { cdid: "L522", file: "cpih-l522.csv" },
+  RPI: { cdid: "CHAW", file: "rpi-chaw.csv" },
+};
+
+const INDEX_TYPES = Object.keys(INDEX_SERIES);
+
+const MONTHS = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const seriesCache = new Map();
+
+// Months since year 0, so consecutive months differ by 1
+function toMonthKey(year, month) {
+  return year * 12 + (month - 1);
+}
+
+function fromMonthKey(key) {
+  return { year: Math.floor(key / 12), month: (key % 12) + 1 };
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  const pattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/g;
+  let match;
+  while ((match = pattern.exec(line)) && match[0] !== "") {
+    fields.push(
+      match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim()
+    );
+  }
+  return fields;
+}
+
+// Parse an ONS time series CSV (the "Download CSV" format: metadata rows
+// followed by annual, quarterly and monthly rows). Only monthly rows are
+// kept. The index type comes from the CDID row unless given.
+function parseOnsCsv(content, indexType) {
+  let cdid = null;
+  const values = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const [label, rawValue] = parseCsvLine(line);
+
+    if (label === "CDID") {
+      cdid = rawValue;
+      continue;
+    }
+
+    const monthMatch = /^(\d{4}) ([A-Z]{3})$/.exec(label);
+    if (!monthMatch) continue;
+
+    const value = parseFloat(rawValue);
+    if (isNaN(value)) continue;
+
+    values.push({
+      year: parseInt(monthMatch[1]),
+      month: MONTHS.indexOf(monthMatch[2]) + 1,
+      value,
+    });
+  }
+
+  const resolvedType =
+    indexType ||
+    INDEX_TYPES.find((type) => INDEX_SERIES[type].cdid === cdid) ||
+    null;
+
+  if (!resolvedType) {
+    throw new Error(
+      `Unrecognised ONS series ${
+        cdid || "(no CDID)"
+      }; expected one of ${INDEX_TYPES.map(
+        (type) => `${INDEX_SERIES[type].cdid} (${type})`
+      ).join(", ")}`
+    );
+  }
+
+  return { indexType: resolvedType, cdid, values };
+}
+
+function readBundledSeries(indexType) {
+  const file = path.join(DATA_DIR, INDEX_SERIES[indexType].file);
+  return parseOnsCsv(fs.readFileSync(file, "utf8"), indexType);
+}
+
+function buildSeries(indexType, values) {
+  const byMonth = new Map();
+  for (const { year, month, value } of values) {
+    byMonth.set(toMonthKey(year, month), Number(value));
+  }
+
+  const keys = [...byMonth.keys()].sort((a, b) => a - b);
+  return {
+    indexType,
+    values: byMonth,
+    firstKey: keys[0],
+    lastKey: keys[keys.length - 1],
+  };
+}
+
+// Monthly values for an index, from the database when it has been seeded,
+// otherwise straight from the bundled CSV
+async function getSeries(indexType, { db = defaultDb } = {}) {
+  const cached = seriesCache.get(indexType);
+  if (cached && cached.expiresAt > Date.now()) return cached.series;
+
+  let values = [];
+  if (db) {
+    try {
+      values = await db
+        .select({
+          year: priceIndices.year,
+          month: priceIndices.month,
+          value: priceIndices.value,
+        })
+        .from(priceIndices)
+        .where(eq(priceIndices.indexType, indexType))
+        .orderBy(asc(priceIndices.year), asc(priceIndices.month));
+    } catch (error) {
+      console.error(`⚠️ Failed to load ${indexType} from database:`, error);
+    }
+  }
+
+  if (values.length === 0) {
+    values = readBundledSeries(indexType).values;
+  }
+
+  const series = buildSeries(indexType, values);
+  seriesCache.set(indexType, {
+    series,
+    expiresAt: Date.now() + CACHE_TTL_MS,
+  });
+  return series;
+}
+
+function clearSeriesCache() {
+  seriesCache.clear();
+}
+
+// Upsert parsed series values into price_indices
+async function importPriceIndices(
+  { indexType, values },
+  { db = defaultDb, batchSize = 500 } = {}
+) {
+  if (!db) throw new Error("Database connection not available");
+
+  for (let i = 0; i < values.length; i += batchSize) {
+    const batch = values.slice(i, i + batchSize).map((row) => ({
+      indexType,
+      year: row.year,
+      month: row.month,
+      value: row.value.toString(),
+    }));
+
+    await db
+      .insert(priceIndices)
+      .values(batch)
+      .onConflictDoUpdate({
+        target: [priceIndices.indexType, priceIndices.year, priceIndices.month],
+        set: { value: sql`excluded.value`, updatedAt: new Date() },
+      });
+  }
+
+  clearSeriesCache();
+  return values.length;
+}
+
+// Load the bundled CSVs into an empty price_indices table
+async function seedPriceIndices({ db = defaultDb } = {}) {
+  if (!db) return false;
+
+  const [{ total }] = await db.select({ total: count() }).from(priceIndices);
+  if (total > 0) return false;
+
+  for (const indexType of INDEX_TYPES) {
+    const imported = await importPriceIndices(readBundledSeries(indexType), {
+      db,
+    });
+    console.log(`📈 Seeded ${imported} ${indexType} index values`);
+  }
+  return true;
+}
+
+module.exports = {
+  INDEX_SERIES,
+  INDEX_TYPES,
+  toMonthKey,
+  fromMonthKey,
+  parseOnsCsv,
+  readBundledSeries,
+  getSeries,
+  clearSeriesCache,
+  importPriceIndices,
+  seedPriceIndices,
+};
@@ -0,0 +1,130 @@
+// Fixed-window rate limiting. A store counts hits per key per window:
+//   increment(key, windowMs) -> { count, resetAt }
+// The memory store suits a single long-running server; serverless
+// deployments, where each instance has its own memory, need the Postgres
+// store (RATE_LIMIT_STORE=postgres) so every instance sees the same counts.
+const { lt, sql } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const { rateLimits } = require("./schema");
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+// How often stores drop counters whose window has ended
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+  let lastPrune = Date.now();
+
+  function prune(now) {
+    if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+    lastPrune = now;
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      prune(now);
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+    clear: () => counters.clear(),
+  };
+}
+
+// One rate_limits row per key, counted with an atomic upsert that starts
+// a new window once the old one has ended
+function createPostgresRateLimitStore({ db = defaultDb } = {}) {
+  let lastPrune = 0;
+
+  return {
+    name: "postgres",
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      const nextReset = new Date(now.getTime() + windowMs);
+      const expired = sql`${
+        rateLimits.resetAt
+      } <= ${now.toISOString()}::timestamp`;
+
+      const [counter] = await db
+        .insert(rateLimits)
+        .values({ key, count: 1, resetAt: nextReset })
+        .onConflictDoUpdate({
+          target: rateLimits.key,
+          set: {
+            count: sql`CASE WHEN ${expired} THEN 1 ELSE ${rateLimits.count} + 1 END`,
+            resetAt: sql`CASE WHEN ${expired} THEN ${nextReset.toISOString()}::timestamp ELSE ${
+              rateLimits.resetAt
+            } END`,
+          },
+        })
+        .returning({ count: rateLimits.count, resetAt: rateLimits.resetAt });
+
+      if (now.getTime() - lastPrune >= PRUNE_INTERVAL_MS) {
+        lastPrune = now.getTime();
+        await db.delete(rateLimits).where(lt(rateLimits.resetAt, now));
+      }
+
+      return counter;
+    },
+  };
+}
+
+function createStore(name) {
+  switch (name) {
+    case "postgres":
+      if (!defaultDb) {
+        console.log("⚠️ No database for the Postgres rate limit store");
+        return createMemoryRateLimitStore();
+      }
+      return createPostgresRateLimitStore();
+    case "memory":
+      return createMemoryRateLimitStore();
+    default:
+      console.log(`⚠️ Unknown RATE_LIMIT_STORE ${name}, using memory`);
+      return createMemoryRateLimitStore();
+  }
+}
+
+let store = createStore(RATE_LIMIT_STORE);
+console.log(`✅ Rate limit store: ${store.name}`);
+
+function getRateLimitStore() {
+  return store;
+}
+
+// Replace the active store, e.g. with a fresh memory store in tests
+function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+// Count a hit on `key` against `max` per `windowMs`. `firstRejection` is
+// true only for the first hit over the limit in a window, so callers can
+// log a flood once instead of once per request.
+async function hitRateLimit(key, { max, windowMs }) {
+  const { count, resetAt } = await store.increment(key, windowMs);
+  return {
+    allowed: count <= max,
+    firstRejection: count === max + 1,
+    count,
+    resetAt: new Date(resetAt),
+  };
+}
+
+module.exports = {
+  createMemoryRateLimitStore,
+  createPostgresRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  hitRateLimit,
+};
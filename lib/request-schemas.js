@@ -0,0 +1,234 @@
+// Request schemas for the public API routes in fixed-server.js. Bodies
+// that map onto a table are generated from it with drizzle-zod.
+const { createInsertSchema } = require("drizzle-zod");
+const {
+  z,
+  numeric,
+  integer,
+  number,
+  booleanish,
+  requiredText,
+  optionalText,
+  textValue,
+  email,
+  optionalEmail,
+} = require("./validation");
+const {
+  newsletterSubscriptions,
+  contactSubmissions,
+  dealSourcingWaitlist,
+  learningProgress,
+  achievements,
+  quizResults,
+} = require("./schema");
+const { INDEX_TYPES } = require("./price-indices");
+const { SCENARIO_NAMES } = require("./inflation");
+const { NEWSLETTER_TOPICS } = require("./newsletter");
+const { acceptsStringInput } = require("./learning-input");
+
+const month = () =>
+  integer()
+    .min(1, "Must be between 1 and 12")
+    .max(12, "Must be between 1 and 12");
+const year = () =>
+  integer()
+    .min(1800, "Must be 1800 or later")
+    .max(2200, "Must be 2200 or earlier");
+
+// Case-insensitive choice from a fixed list
+function choice(values, normalise) {
+  return z.preprocess(
+    (value) => (typeof value === "string" ? normalise(value.trim()) : value),
+    z.enum(values, { error: `Must be one of: ${values.join(", ")}` }).optional()
+  );
+}
+
+// Learning fields take booleans, numbers and JSON. During the deprecation
+// window (lib/learning-input.js) the strings clients sent when the columns
+// were text are converted first.
+function legacyString(schema, convert) {
+  return z.preprocess(
+    (value) =>
+      typeof value === "string" && acceptsStringInput()
+        ? convert(value.trim())
+        : value,
+    schema
+  );
+}
+
+const TRUE_STRINGS = ["true", "t", "1", "yes", "y", "on"];
+const FALSE_STRINGS = ["false", "f", "0", "no", "n", "off", ""];
+
+const legacyBoolean = () =>
+  legacyString(z.boolean({ error: "Must be true or false" }), (value) => {
+    if (TRUE_STRINGS.includes(value.toLowerCase())) return true;
+    if (FALSE_STRINGS.includes(value.toLowerCase())) return false;
+    return value;
+  });
+
+// Blank strings meant "no value"; whole-unit fields were sometimes sent
+// with decimals, which are rounded as the migration did
+const legacyNumber = (schema, round = false) =>
+  legacyString(schema, (value) => {
+    if (value === "") return undefined;
+    return round ? Math.round(Number(value)) : Number(value);
+  });
+
+const legacyAnswers = () =>
+  legacyString(
+    z.union([z.array(z.unknown()), z.record(z.string(), z.unknown())], {
+      error: "Must be an array or object",
+    }),
+    (value) => {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+  );
+
+// Newsletter topics a subscriber wants; leaving them out means all topics
+const topics = () =>
+  z
+    .array(
+      z.enum(NEWSLETTER_TOPICS, {
+        error: `Must be one of: ${NEWSLETTER_TOPICS.join(", ")}`,
+      }),
+      { error: "Must be an array of topics" }
+    )
+    .min(1, "Choose at least one topic")
+    .optional();
+
+const newsletterBody = createInsertSchema(newsletterSubscriptions, {
+  email: email(),
+  topics: topics(),
+}).pick({ email: true, topics: true });
+
+// Lead follow-up fields are set through the admin API only, and the
+// normalised investment columns are derived from investmentAmount
+const contactBody = createInsertSchema(contactSubmissions, {
+  name: requiredText(200),
+  email: email(),
+  phone: optionalText(50),
+  investmentAmount: textValue(100),
+  message: requiredText(5000),
+}).omit({
+  id: true,
+  status: true,
+  assignedTo: true,
+  investmentValue: true,
+  investmentBand: true,
+  createdAt: true,
+  updatedAt: true,
+});
+
+const dealLeadBody = createInsertSchema(dealSourcingWaitlist, {
+  name: requiredText(200),
+  email: email(),
+  phone: optionalText(50),
+  investmentAmount: textValue(100),
+  experienceLevel: textValue(100),
+}).omit({
+  id: true,
+  status: true,
+  assignedTo: true,
+  investmentValue: true,
+  investmentBand: true,
+  createdAt: true,
+  updatedAt: true,
+});
+
+const inflationBody = z.object({
+  name: optionalText(200),
+  email: optionalEmail(),
+  amount: numeric(number().positive("Amount must be positive")),
+  year: numeric(year()),
+  month: numeric(month()),
+  endYear: numeric(year().optional()),
+  endMonth: numeric(month().optional()),
+  source: optionalText(200),
+  index: choice(INDEX_TYPES, (value) => value.toUpperCase()),
+  scenario: choice(SCENARIO_NAMES, (value) => value.toLowerCase()),
+});
+
+// Figures from a previous /api/inflation response
+const calculationData = z.object(
+  {
+    originalValue: numeric(number().optional()),
+    todayValue: numeric(number()),
+    lossInValue: numeric(number()),
+    percentageIncrease: numeric(number()),
+    breakdown: z
+      .array(
+        z.object({
+          value: numeric(number()),
+          projected: booleanish(),
+        })
+      )
+      .max(1000, "Must have at most 1000 points")
+      .optional(),
+  },
+  { error: "Must be an object" }
+);
+
+const inflationEmailBody = z.object({
+  name: optionalText(200),
+  email: email(),
+  amount: numeric(number().positive("Amount must be positive").optional()),
+  month: numeric(month().optional()),
+  year: numeric(year().optional()),
+  attachPdf: booleanish(),
+  calculationData,
+});
+
+// Path param of the learning routes
+const moduleId = requiredText(100);
+
+// The learning routes take the user from the session token, never the body
+const progressBody = createInsertSchema(learningProgress, {
+  moduleId: requiredText(100),
+  completed: legacyBoolean().optional(),
+  score: legacyNumber(number().optional()),
+  timeSpent: legacyNumber(
+    integer().min(0, "Must be at least 0").optional(),
+    true
+  ),
+}).omit({ id: true, userId: true, createdAt: true, updatedAt: true });
+
+const progressUpdateBody = progressBody.omit({ moduleId: true });
+
+// Badges are awarded by lib/badges.js; title and description are accepted
+// from older clients but the catalogue's are stored
+const achievementBody = createInsertSchema(achievements, {
+  badgeId: requiredText(100),
+  title: optionalText(200),
+  description: optionalText(1000),
+}).omit({ id: true, userId: true, earnedAt: true });
+
+// `score` is questions answered correctly, so at most `totalQuestions`
+const quizResultBody = createInsertSchema(quizResults, {
+  quizId: requiredText(100),
+  score: legacyNumber(number().min(0, "Must be at least 0")),
+  totalQuestions: legacyNumber(integer().min(1, "Must be at least 1")),
+  answers: legacyAnswers(),
+})
+  .omit({ id: true, userId: true, completedAt: true })
+  .refine((body) => body.score <= body.totalQuestions, {
+    message: "Must not be more than totalQuestions",
+    path: ["score"],
+  });
+
+module.exports = {
+  topics,
+  newsletterBody,
+  contactBody,
+  dealLeadBody,
+  inflationBody,
+  inflationEmailBody,
+  moduleId,
+  progressBody,
+  progressUpdateBody,
+  achievementBody,
+  quizResultBody,
+};
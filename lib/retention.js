@@ -0,0 +1,219 @@
+// Retention job: deletes personal data we no longer have a reason to keep.
+//   - Leads still in LEAD_RETENTION_STATUSES (default new, contacted) that
+//     nobody has touched for LEAD_RETENTION_DAYS (default 730), with their
+//     notes, email threads and local CRM sync records. The CRM's own copy
+//     is left to the CRM's retention rules.
+//   - Newsletter sign-ups not confirmed within
+//     UNCONFIRMED_SUBSCRIPTION_RETENTION_DAYS (default 30) of their latest
+//     confirmation email. Legacy subscribers (from before double opt-in)
+//     are kept: they were never asked to confirm when they signed up.
+//   - Form rejections older than FORM_REJECTION_RETENTION_DAYS (default 90).
+//   - Addresses on data requests once their link has expired, whether or
+//     not it was used.
+// Each run that removes anything is written to data_audit_log.
+const { eq, and, or, lt, inArray, isNotNull } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const {
+  LEAD_STATUSES,
+  contactSubmissions,
+  dealSourcingWaitlist,
+  newsletterSubscriptions,
+  crmSyncs,
+  formRejections,
+  dataRequests,
+} = require("./schema");
+const { deleteLeads, recordAudit } = require("./data-requests");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function days(value, fallback) {
+  const parsed = parseInt(value);
+  return parsed > 0 ? parsed : fallback;
+}
+
+function leadStatuses(value) {
+  if (!value) return ["new", "contacted"];
+  return value
+    .split(",")
+    .map((status) => status.trim())
+    .filter((status) => LEAD_STATUSES.includes(status));
+}
+
+const RETENTION = {
+  leadDays: days(process.env.LEAD_RETENTION_DAYS, 730),
+  leadStatuses: leadStatuses(process.env.LEAD_RETENTION_STATUSES),
+  unconfirmedSubscriptionDays: days(
+    process.env.UNCONFIRMED_SUBSCRIPTION_RETENTION_DAYS,
+    30
+  ),
+  formRejectionDays: days(process.env.FORM_REJECTION_RETENTION_DAYS, 90),
+};
+
+function cutoff(now, retentionDays) {
+  return new Date(now.getTime() - retentionDays * DAY);
+}
+
+async function staleLeadIds(db, table, { before, statuses }) {
+  if (statuses.length === 0) return [];
+
+  const rows = await db
+    .select({ id: table.id })
+    .from(table)
+    .where(and(inArray(table.status, statuses), lt(table.updatedAt, before)));
+  return rows.map((row) => row.id);
+}
+
+// Run the job once. With `dryRun` nothing is deleted and the counts are
+// of what would be. Returns the counts per kind of data.
+async function purgeStaleData({
+  db = defaultDb,
+  retention = RETENTION,
+  dryRun = false,
+  now = () => new Date(),
+} = {}) {
+  const summary = {
+    contactSubmissions: 0,
+    dealSourcingWaitlist: 0,
+    unconfirmedSubscriptions: 0,
+    formRejections: 0,
+    expiredDataRequests: 0,
+  };
+
+  if (!db) {
+    console.log("⚠️ Retention job skipped - no database connection");
+    return summary;
+  }
+
+  const leadsBefore = cutoff(now(), retention.leadDays);
+  const contactIds = await staleLeadIds(db, contactSubmissions, {
+    before: leadsBefore,
+    statuses: retention.leadStatuses,
+  });
+  const waitlistIds = await staleLeadIds(db, dealSourcingWaitlist, {
+    before: leadsBefore,
+    statuses: retention.leadStatuses,
+  });
+  summary.contactSubmissions = contactIds.length;
+  summary.dealSourcingWaitlist = waitlistIds.length;
+
+  const unconfirmed = and(
+    eq(newsletterSubscriptions.status, "pending"),
+    lt(
+      newsletterSubscriptions.confirmationSentAt,
+      cutoff(now(), retention.unconfirmedSubscriptionDays)
+    )
+  );
+  const oldRejections = lt(
+    formRejections.createdAt,
+    cutoff(now(), retention.formRejectionDays)
+  );
+  const expiredRequests = and(
+    eq(dataRequests.status, "pending"),
+    lt(dataRequests.expiresAt, now())
+  );
+
+  if (dryRun) {
+    summary.unconfirmedSubscriptions = (
+      await db
+        .select({ id: newsletterSubscriptions.id })
+        .from(newsletterSubscriptions)
+        .where(unconfirmed)
+    ).length;
+    summary.formRejections = (
+      await db
+        .select({ id: formRejections.id })
+        .from(formRejections)
+        .where(oldRejections)
+    ).length;
+    summary.expiredDataRequests = (
+      await db
+        .select({ id: dataRequests.id })
+        .from(dataRequests)
+        .where(expiredRequests)
+    ).length;
+    return summary;
+  }
+
+  const syncConditions = [
+    contactIds.length > 0 &&
+      and(
+        eq(crmSyncs.formType, "contact"),
+        inArray(crmSyncs.recordId, contactIds)
+      ),
+    waitlistIds.length > 0 &&
+      and(
+        eq(crmSyncs.formType, "waitlist"),
+        inArray(crmSyncs.recordId, waitlistIds)
+      ),
+  ].filter(Boolean);
+  if (syncConditions.length > 0) {
+    await db.delete(crmSyncs).where(or(...syncConditions));
+  }
+  await deleteLeads({ contactIds, waitlistIds }, { db });
+
+  summary.unconfirmedSubscriptions = (
+    await db
+      .delete(newsletterSubscriptions)
+      .where(unconfirmed)
+      .returning({ id: newsletterSubscriptions.id })
+  ).length;
+  summary.formRejections = (
+    await db
+      .delete(formRejections)
+      .where(oldRejections)
+      .returning({ id: formRejections.id })
+  ).length;
+
+  const expired = await db
+    .update(dataRequests)
+    .set({
+      status: "expired",
+      email: null,
+      tokenHash: null,
+      updatedAt: now(),
+    })
+    .where(expiredRequests)
+    .returning({ id: dataRequests.id, emailHash: dataRequests.emailHash });
+  summary.expiredDataRequests = expired.length;
+  for (const request of expired) {
+    await recordAudit(
+      {
+        requestId: request.id,
+        action: "expired",
+        emailHash: request.emailHash,
+        actor: "retention",
+      },
+      { db }
+    );
+  }
+
+  // Access requests kept the address for downloads until the link expired
+  await db
+    .update(dataRequests)
+    .set({ email: null, tokenHash: null, updatedAt: now() })
+    .where(
+      and(
+        eq(dataRequests.status, "completed"),
+        isNotNull(dataRequests.email),
+        lt(dataRequests.expiresAt, now())
+      )
+    );
+
+  if (Object.values(summary).some((total) => total > 0)) {
+    await recordAudit(
+      {
+        action: "retention_purge",
+        actor: "retention",
+        details: { ...summary, contactIds, waitlistIds, retention },
+      },
+      { db }
+    );
+  }
+
+  return summary;
+}
+
+module.exports = {
+  RETENTION,
+  purgeStaleData,
+};
@@ -0,0 +1,10 @@
+// Backoff shared by the retry workers (pending emails, CRM syncs,
+// webhooks). Each worker passes its own delays.
+
+// Exponential backoff: base, 2x base, 4x base, ... capped at maxDelayMs
+function getRetryDelay(attempts, baseDelayMs, maxDelayMs) {
+  const exponent = Math.max(attempts - 1, 0);
+  return Math.min(baseDelayMs * Math.pow(2, exponent), maxDelayMs);
+}
+
+module.exports = { getRetryDelay };
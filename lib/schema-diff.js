@@ -0,0 +1,328 @@
+// Compares the drizzle tables in lib/schema.js with the live database, so
+// the schema file stays the source of truth for migrations:
+//   - diffSchema() lists tables, columns and indexes the database lacks,
+//     plus drift the other way (extra tables and columns, type changes)
+//   - renderMigration() turns the missing pieces into a migration file.
+// Only additions are written as SQL; drops and type changes need data
+// decisions, so they are left as TODO notes in the generated file.
+const { getTableConfig, PgDialect } = require("drizzle-orm/pg-core");
+const { is, SQL, Table } = require("drizzle-orm");
+const schema = require("./schema");
+
+const MIGRATIONS_TABLE = "schema_migrations";
+
+const dialect = new PgDialect();
+
+// information_schema names for drizzle column types
+const DATA_TYPES = {
+  serial: "integer",
+  smallserial: "smallint",
+  bigserial: "bigint",
+  timestamp: "timestamp without time zone",
+  "timestamp with time zone": "timestamp with time zone",
+  time: "time without time zone",
+  varchar: "character varying",
+  char: "character",
+  double: "double precision",
+};
+
+// Identifiers that must be quoted when used as names
+const RESERVED = new Set([
+  "all",
+  "check",
+  "column",
+  "default",
+  "from",
+  "group",
+  "order",
+  "references",
+  "select",
+  "table",
+  "to",
+  "user",
+  "where",
+]);
+
+function identifier(name) {
+  return /^[a-z_][a-z0-9_]*$/.test(name) && !RESERVED.has(name)
+    ? name
+    : `"${name.replace(/"/g, '""')}"`;
+}
+
+function schemaTables() {
+  return Object.values(schema)
+    .filter((value) => is(value, Table))
+    .map((table) => getTableConfig(table));
+}
+
+function dataType(column) {
+  const type = column.getSQLType().replace(/\(.*\)/, "");
+  return DATA_TYPES[type] || type;
+}
+
+// `invokeSource` "indexes" renders columns without their table name
+function sqlText(chunk, invokeSource) {
+  return dialect.sqlToQuery(chunk, invokeSource).sql;
+}
+
+function defaultValue(column) {
+  const value = column.default;
+  if (value === undefined) return null;
+  if (is(value, SQL)) return sqlText(value);
+  if (typeof value === "string") return `'${value.replace(/'/g, "''")}'`;
+  if (typeof value === "number") return String(value);
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (value === null) return "NULL";
+  return `'${JSON.stringify(value).replace(/'/g, "''")}'::jsonb`;
+}
+
+function columnDefinition(column) {
+  const defaultSql = defaultValue(column);
+  return [
+    identifier(column.name),
+    column.getSQLType().toUpperCase(),
+    column.primary && "PRIMARY KEY",
+    defaultSql !== null && `DEFAULT ${defaultSql}`,
+    column.notNull && !column.primary && "NOT NULL",
+    column.isUnique && "UNIQUE",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function columnList(columns) {
+  return columns.map((column) => identifier(column.name)).join(", ");
+}
+
+function createTableSql(table) {
+  const lines = table.columns.map(columnDefinition);
+  for (const key of table.primaryKeys) {
+    lines.push(`PRIMARY KEY (${columnList(key.columns)})`);
+  }
+  for (const constraint of table.uniqueConstraints) {
+    lines.push(`UNIQUE (${columnList(constraint.columns)})`);
+  }
+  return `CREATE TABLE IF NOT EXISTS ${identifier(table.name)} (\n${lines
+    .map((line) => `  ${line}`)
+    .join(",\n")}\n)`;
+}
+
+function createIndexSql(table, index) {
+  const { name, unique, method, columns } = index.config;
+  const on = columns
+    .map((column) =>
+      is(column, SQL) ? sqlText(column, "indexes") : identifier(column.name)
+    )
+    .join(", ");
+  const using =
+    method && method !== "btree" ? ` USING ${method.toUpperCase()}` : "";
+  return `CREATE ${unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${identifier(
+    name
+  )} ON ${identifier(table.name)}${using} (${on})`;
+}
+
+// Tables, columns and index names in the current schema of the database
+async function databaseSchema(sql) {
+  const columns = await sql`
+    SELECT table_name, column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+    ORDER BY table_name, ordinal_position`;
+  const indexes = await sql`
+    SELECT indexname FROM pg_indexes WHERE schemaname = current_schema()`;
+
+  const tables = new Map();
+  for (const row of columns) {
+    if (!tables.has(row.table_name)) tables.set(row.table_name, new Map());
+    tables.get(row.table_name).set(row.column_name, {
+      dataType: row.data_type,
+      nullable: row.is_nullable === "YES",
+    });
+  }
+  return { tables, indexes: new Set(indexes.map((row) => row.indexname)) };
+}
+
+// What it would take to bring the database in line with lib/schema.js
+async function diffSchema(sql, { tables = schemaTables() } = {}) {
+  const database = await databaseSchema(sql);
+  const diff = {
+    createTables: [],
+    addColumns: [],
+    createIndexes: [],
+    changedColumns: [],
+    extraTables: [],
+    extraColumns: [],
+  };
+
+  for (const table of tables) {
+    const existing = database.tables.get(table.name);
+
+    if (!existing) {
+      diff.createTables.push(table);
+    } else {
+      for (const column of table.columns) {
+        const actual = existing.get(column.name);
+        if (!actual) {
+          diff.addColumns.push({ table, column });
+          continue;
+        }
+
+        const expected = {
+          dataType: dataType(column),
+          nullable: !column.notNull && !column.primary,
+        };
+        if (
+          expected.dataType !== actual.dataType ||
+          expected.nullable !== actual.nullable
+        ) {
+          diff.changedColumns.push({ table, column, expected, actual });
+        }
+      }
+
+      const names = new Set(table.columns.map((column) => column.name));
+      for (const name of existing.keys()) {
+        if (!names.has(name)) {
+          diff.extraColumns.push({ table: table.name, column: name });
+        }
+      }
+    }
+
+    for (const index of table.indexes) {
+      if (!database.indexes.has(index.config.name)) {
+        diff.createIndexes.push({ table, index });
+      }
+    }
+  }
+
+  const known = new Set([
+    MIGRATIONS_TABLE,
+    ...tables.map((table) => table.name),
+  ]);
+  for (const name of database.tables.keys()) {
+    if (!known.has(name)) diff.extraTables.push(name);
+  }
+
+  return diff;
+}
+
+// Additions a generated migration can make
+function hasChanges(diff) {
+  return (
+    diff.createTables.length > 0 ||
+    diff.addColumns.length > 0 ||
+    diff.createIndexes.length > 0
+  );
+}
+
+// Anything at all that differs from lib/schema.js
+function hasDrift(diff) {
+  return (
+    hasChanges(diff) ||
+    diff.changedColumns.length > 0 ||
+    diff.extraTables.length > 0 ||
+    diff.extraColumns.length > 0
+  );
+}
+
+// One line per difference, for the CLI
+function describeDiff(diff) {
+  const nullability = (nullable) => (nullable ? "NULL" : "NOT NULL");
+  return [
+    ...diff.createTables.map((table) => `missing table ${table.name}`),
+    ...diff.addColumns.map(
+      ({ table, column }) => `missing column ${table.name}.${column.name}`
+    ),
+    ...diff.createIndexes.map(
+      ({ index }) => `missing index ${index.config.name}`
+    ),
+    ...diff.changedColumns.map(
+      ({ table, column, expected, actual }) =>
+        `${table.name}.${column.name} is ${actual.dataType} ${nullability(
+          actual.nullable
+        )}, schema says ${expected.dataType} ${nullability(expected.nullable)}`
+    ),
+    ...diff.extraTables.map((name) => `table ${name} is not in the schema`),
+    ...diff.extraColumns.map(
+      ({ table, column }) => `column ${table}.${column} is not in the schema`
+    ),
+  ];
+}
+
+function template(statement) {
+  const escaped = statement.replace(/\\/g, "\\\\").replace(/`/g, "\\`");
+  return `    sql\`${escaped
+    .replace(/\$\{/g, "\\${")
+    .replace(/\n/g, "\n    ")}\`,`;
+}
+
+// Source of a migration file for the additions in `diff`
+function renderMigration(name, diff) {
+  const up = [];
+  const down = [];
+  const notes = [];
+
+  for (const table of diff.createTables) {
+    up.push(createTableSql(table));
+    down.unshift(`DROP TABLE IF EXISTS ${identifier(table.name)}`);
+  }
+  for (const { table, column } of diff.addColumns) {
+    up.push(
+      `ALTER TABLE ${identifier(
+        table.name
+      )} ADD COLUMN IF NOT EXISTS ${columnDefinition(column)}`
+    );
+    down.unshift(
+      `ALTER TABLE ${identifier(table.name)} DROP COLUMN IF EXISTS ${identifier(
+        column.name
+      )}`
+    );
+    if (column.notNull && defaultValue(column) === null) {
+      notes.push(
+        `${table.name}.${column.name} is NOT NULL without a default, so this fails on a table with rows: add a default or backfill first`
+      );
+    }
+  }
+  for (const { table, index } of diff.createIndexes) {
+    up.push(createIndexSql(table, index));
+    down.unshift(`DROP INDEX IF EXISTS ${identifier(index.config.name)}`);
+  }
+
+  for (const line of describeDiff({
+    ...diff,
+    createTables: [],
+    addColumns: [],
+    createIndexes: [],
+  })) {
+    notes.push(`${line}; write this change by hand if it is intended`);
+  }
+
+  const header = [
+    `// ${name}`,
+    "// Generated from lib/schema.js by `npm run db:generate`; review it",
+    "// before applying.",
+    ...notes.map((note) => `// TODO: ${note}`),
+  ];
+
+  return `${header.join("\n")}
+module.exports = {
+  up: (sql) => [
+${up.map(template).join("\n")}
+  ],
+  down: (sql) => [
+${down.map(template).join("\n")}
+  ],
+};
+`;
+}
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  schemaTables,
+  createTableSql,
+  createIndexSql,
+  diffSchema,
+  hasChanges,
+  hasDrift,
+  describeDiff,
+  renderMigration,
+};
@@ -0,0 +1,492 @@
+// Drizzle table schemas shared by the server, workers and scripts
+const {
+  pgTable,
+  text,
+  serial,
+  timestamp,
+  date,
+  numeric,
+  integer,
+  bigint,
+  boolean,
+  jsonb,
+  unique,
+  index,
+  uniqueIndex,
+  customType,
+} = require("drizzle-orm/pg-core");
+const { sql } = require("drizzle-orm");
+
+// numeric column read as a number; drizzle's numeric() reads strings
+const numericNumber = customType({
+  dataType: () => "numeric",
+  fromDriver: (value) => Number(value),
+});
+
+const LEAD_STATUSES = ["new", "contacted", "qualified", "closed"];
+
+// Columns searched by the admin leads API. Queries must use searchVector()
+// so Postgres can match them to the GIN index on the same expression.
+const SEARCH_COLUMNS = {
+  contactSubmissions: [
+    "name",
+    "email",
+    "phone",
+    "investment_amount",
+    "message",
+  ],
+  dealSourcingWaitlist: [
+    "name",
+    "email",
+    "phone",
+    "investment_amount",
+    "experience_level",
+  ],
+};
+
+function searchVector(columns) {
+  const document = columns
+    .map((column) => `coalesce(${column}, '')`)
+    .join(" || ' ' || ");
+  return sql.raw(`to_tsvector('english', ${document})`);
+}
+
+// Double opt-in: subscribers start 'pending' and become 'confirmed' from
+// the link in the confirmation email; only confirmed ones are sent to
+const newsletterSubscriptions = pgTable("newsletter_subscriptions", {
+  id: serial("id").primaryKey(),
+  email: text("email").notNull().unique(),
+  status: text("status").default("pending").notNull(), // SUBSCRIPTION_STATUSES in lib/newsletter.js
+  topics: jsonb("topics"), // NEWSLETTER_TOPICS the subscriber wants; null for all
+  confirmationSentAt: timestamp("confirmation_sent_at"), // latest confirmation request
+  confirmedAt: timestamp("confirmed_at"),
+  unsubscribedAt: timestamp("unsubscribed_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// Contact submissions and the waitlist are leads: `status` is one of
+// LEAD_STATUSES and `assignedTo` a staff users.id
+const contactSubmissions = pgTable(
+  "contact_submissions",
+  {
+    id: serial("id").primaryKey(),
+    name: text("name").notNull(),
+    email: text("email").notNull(),
+    phone: text("phone"),
+    investmentAmount: text("investment_amount").notNull(),
+    message: text("message").notNull(),
+    investmentValue: bigint("investment_value", { mode: "number" }), // pounds parsed from investment_amount
+    investmentBand: text("investment_band"), // see lib/investment-amount.js
+    status: text("status").default("new").notNull(),
+    assignedTo: integer("assigned_to"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+    updatedAt: timestamp("updated_at").defaultNow().notNull(),
+  },
+  () => [
+    index("contact_submissions_search_idx").using(
+      "gin",
+      searchVector(SEARCH_COLUMNS.contactSubmissions)
+    ),
+  ]
+);
+
+const dealSourcingWaitlist = pgTable(
+  "deal_sourcing_waitlist",
+  {
+    id: serial("id").primaryKey(),
+    name: text("name").notNull(),
+    email: text("email").notNull().unique(),
+    phone: text("phone"),
+    investmentAmount: text("investment_amount").notNull(),
+    experienceLevel: text("experience_level").notNull(),
+    investmentValue: bigint("investment_value", { mode: "number" }), // pounds parsed from investment_amount
+    investmentBand: text("investment_band"), // see lib/investment-amount.js
+    status: text("status").default("new").notNull(),
+    assignedTo: integer("assigned_to"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+    updatedAt: timestamp("updated_at").defaultNow().notNull(),
+  },
+  () => [
+    index("deal_sourcing_waitlist_search_idx").using(
+      "gin",
+      searchVector(SEARCH_COLUMNS.dealSourcingWaitlist)
+    ),
+  ]
+);
+
+// Follow-up notes written by staff against a lead
+const leadNotes = pgTable("lead_notes", {
+  id: serial("id").primaryKey(),
+  leadType: text("lead_type").notNull(), // 'contact', 'waitlist'
+  leadId: integer("lead_id").notNull(),
+  authorId: integer("author_id"), // null when written with the admin API key
+  authorName: text("author_name"),
+  body: text("body").notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Email conversation about a contact submission: the acknowledgement, staff
+// replies and inbound replies from the sender. message_id is the email's
+// Message-ID header, which inbound replies quote in In-Reply-To.
+const contactMessages = pgTable(
+  "contact_messages",
+  {
+    id: serial("id").primaryKey(),
+    contactId: integer("contact_id").notNull(),
+    direction: text("direction").notNull(), // 'outbound', 'inbound'
+    status: text("status").notNull(), // 'sent', 'queued', 'received'
+    fromEmail: text("from_email").notNull(),
+    toEmail: text("to_email").notNull(),
+    subject: text("subject").notNull(),
+    body: text("body").notNull(),
+    messageId: text("message_id"),
+    authorId: integer("author_id"), // staff member for replies from the admin API
+    authorName: text("author_name"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+  },
+  (table) => [
+    index("contact_messages_contact_id_idx").on(table.contactId),
+    index("contact_messages_message_id_idx").on(table.messageId),
+  ]
+);
+
+const inflationCalculations = pgTable("inflation_calculations", {
+  id: serial("id").primaryKey(),
+  initialAmount: numeric("initial_amount").notNull(),
+  years: integer("years").notNull(),
+  inflationRate: numeric("inflation_rate").notNull(),
+  finalAmount: numeric("final_amount").notNull(),
+  indexType: text("index_type"), // 'CPI', 'CPIH', 'RPI'
+  startYear: integer("start_year"),
+  startMonth: integer("start_month"),
+  endYear: integer("end_year"),
+  endMonth: integer("end_month"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Results from the property investment calculators
+const investmentCalculations = pgTable("investment_calculations", {
+  id: serial("id").primaryKey(),
+  calculatorType: text("calculator_type").notNull(), // 'rental_yield', 'cash_on_cash', 'mortgage', 'stamp_duty'
+  inputs: jsonb("inputs").notNull(),
+  results: jsonb("results").notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Monthly UK price index values (CPI, CPIH, RPI) from the ONS
+const priceIndices = pgTable(
+  "price_indices",
+  {
+    id: serial("id").primaryKey(),
+    indexType: text("index_type").notNull(),
+    year: integer("year").notNull(),
+    month: integer("month").notNull(),
+    value: numeric("value").notNull(),
+    updatedAt: timestamp("updated_at").defaultNow().notNull(),
+  },
+  (table) => [unique().on(table.indexType, table.year, table.month)]
+);
+
+// Accounts for the learning area; passwordHash is null for users who only
+// sign in with magic links. Staff have a role ('read_only', 'sales',
+// 'admin') that opens the admin API; learners have none.
+// Learners appear on the public leaderboard only once they opt in, and
+// then only by display name (unique regardless of case)
+const users = pgTable(
+  "users",
+  {
+    id: serial("id").primaryKey(),
+    email: text("email").notNull().unique(),
+    name: text("name"),
+    passwordHash: text("password_hash"),
+    emailVerifiedAt: timestamp("email_verified_at"), // first emailed link used
+    role: text("role"),
+    displayName: text("display_name"),
+    leaderboardOptIn: boolean("leaderboard_opt_in").default(false).notNull(),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+    lastLoginAt: timestamp("last_login_at"),
+  },
+  (table) => [
+    uniqueIndex("users_display_name_idx").on(sql`lower(${table.displayName})`),
+  ]
+);
+
+// Single-use magic link sign-in tokens, stored as SHA-256 hashes
+const magicLinkTokens = pgTable("magic_link_tokens", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull(),
+  tokenHash: text("token_hash").notNull().unique(),
+  passwordHash: text("password_hash"), // set on the account when used
+  expiresAt: timestamp("expires_at").notNull(),
+  usedAt: timestamp("used_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Learning Progress table
+const learningProgress = pgTable("learning_progress", {
+  id: serial("id").primaryKey(),
+  userId: text("user_id").notNull(),
+  moduleId: text("module_id").notNull(),
+  completed: boolean("completed").default(false).notNull(),
+  score: numericNumber("score"),
+  timeSpent: integer("time_spent"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// Achievements table
+// Awarded by the rules in lib/badges.js; title and description are the
+// catalogue's at the time
+const achievements = pgTable(
+  "achievements",
+  {
+    id: serial("id").primaryKey(),
+    userId: text("user_id").notNull(),
+    badgeId: text("badge_id").notNull(),
+    title: text("title").notNull(),
+    description: text("description").notNull(),
+    earnedAt: timestamp("earned_at").defaultNow().notNull(),
+  },
+  (table) => [
+    uniqueIndex("achievements_user_badge_idx").on(table.userId, table.badgeId),
+  ]
+);
+
+// Days a learner saved progress or a quiz result, for streak badges;
+// learning_progress only keeps the latest update of each module
+const learningActivityDays = pgTable(
+  "learning_activity_days",
+  {
+    id: serial("id").primaryKey(),
+    userId: text("user_id").notNull(),
+    day: date("day").notNull(),
+  },
+  (table) => [unique().on(table.userId, table.day)]
+);
+
+// Quiz results table
+const quizResults = pgTable("quiz_results", {
+  id: serial("id").primaryKey(),
+  userId: text("user_id").notNull(),
+  quizId: text("quiz_id").notNull(),
+  // Required by the API; NULL only on rows from before the columns were
+  // typed whose text value wasn't a number
+  score: numericNumber("score"),
+  totalQuestions: integer("total_questions"),
+  answers: jsonb("answers").notNull(),
+  completedAt: timestamp("completed_at").defaultNow().notNull(),
+});
+
+// Form submissions sent, or waiting to be sent, to the CRM (lib/crm-sync.js).
+// `payload` is the unmapped record, so retries use the current mappings.
+const crmSyncs = pgTable(
+  "crm_syncs",
+  {
+    id: serial("id").primaryKey(),
+    formType: text("form_type").notNull(), // 'inflation', 'contact', 'waitlist'
+    recordId: integer("record_id"), // id in the form's table, when saved
+    provider: text("provider").notNull(), // 'baserow', 'hubspot', 'webhook'
+    payload: jsonb("payload").notNull(),
+    status: text("status").default("pending").notNull(), // 'pending', 'synced', 'failed'
+    externalId: text("external_id"), // the CRM's id for the record
+    attempts: integer("attempts").default(0).notNull(),
+    lastError: text("last_error"),
+    nextAttemptAt: timestamp("next_attempt_at"),
+    syncedAt: timestamp("synced_at"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+    updatedAt: timestamp("updated_at").defaultNow().notNull(),
+  },
+  (table) => [index("crm_syncs_record_idx").on(table.formType, table.recordId)]
+);
+
+// URLs that receive signed POSTs for WEBHOOK_EVENTS (lib/webhooks.js)
+const webhookSubscriptions = pgTable("webhook_subscriptions", {
+  id: serial("id").primaryKey(),
+  url: text("url").notNull(),
+  events: jsonb("events").notNull(), // e.g. ["contact.created"]
+  secret: text("secret").notNull(), // HMAC key for X-Webhook-Signature
+  description: text("description"),
+  active: boolean("active").default(true).notNull(),
+  createdBy: integer("created_by"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// One row per event per subscription, kept as the delivery log. A replay
+// is a new row with the same event_id and replay_of pointing back.
+const webhookDeliveries = pgTable(
+  "webhook_deliveries",
+  {
+    id: serial("id").primaryKey(),
+    subscriptionId: integer("subscription_id").notNull(),
+    event: text("event").notNull(),
+    eventId: text("event_id").notNull(),
+    payload: jsonb("payload").notNull(),
+    status: text("status").default("pending").notNull(), // 'pending', 'delivered', 'failed'
+    attempts: integer("attempts").default(0).notNull(),
+    responseStatus: integer("response_status"),
+    responseBody: text("response_body"), // first 1000 characters
+    lastError: text("last_error"),
+    nextAttemptAt: timestamp("next_attempt_at"),
+    deliveredAt: timestamp("delivered_at"),
+    replayOf: integer("replay_of"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+    updatedAt: timestamp("updated_at").defaultNow().notNull(),
+  },
+  (table) => [
+    index("webhook_deliveries_subscription_idx").on(table.subscriptionId),
+  ]
+);
+
+// Lead routing: a lead matching every condition is emailed to the rule's
+// recipients. Conditions are [{ field, operator, value }] (see
+// lib/lead-routing.js); form_types limits a rule to contact or waitlist.
+const leadRoutingRules = pgTable("lead_routing_rules", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull(),
+  formTypes: jsonb("form_types"), // e.g. ["waitlist"]; null for all forms
+  conditions: jsonb("conditions").notNull(),
+  recipients: jsonb("recipients").notNull(), // email addresses
+  active: boolean("active").default(true).notNull(),
+  createdBy: integer("created_by"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// Rate limit counters for the Postgres store in lib/rate-limit.js
+const rateLimits = pgTable("rate_limits", {
+  key: text("key").primaryKey(), // e.g. "contact:ip:203.0.113.7"
+  count: integer("count").notNull(),
+  resetAt: timestamp("reset_at").notNull(),
+});
+
+// Public form submissions turned away by lib/form-protection.js
+const formRejections = pgTable(
+  "form_rejections",
+  {
+    id: serial("id").primaryKey(),
+    form: text("form").notNull(), // e.g. 'contact'
+    reason: text("reason").notNull(), // 'rate_limit', 'honeypot', 'captcha'
+    ip: text("ip"),
+    email: text("email"),
+    details: jsonb("details"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+  },
+  (table) => [index("form_rejections_created_at_idx").on(table.createdAt)]
+);
+
+// Data subject access and erasure requests (lib/data-requests.js). Requests
+// from the public stay 'pending' until the emailed link is confirmed. Once
+// an erasure completes the email is cleared and only its hash is kept.
+const dataRequests = pgTable(
+  "data_requests",
+  {
+    id: serial("id").primaryKey(),
+    type: text("type").notNull(), // 'access', 'erasure'
+    email: text("email"),
+    emailHash: text("email_hash").notNull(),
+    status: text("status").default("pending").notNull(), // 'pending', 'completed', 'partial', 'expired'
+    source: text("source").notNull(), // 'subject', 'staff'
+    tokenHash: text("token_hash").unique(),
+    expiresAt: timestamp("expires_at"),
+    verifiedAt: timestamp("verified_at"),
+    completedAt: timestamp("completed_at"),
+    result: jsonb("result"), // what was found, erased or left behind
+    createdBy: integer("created_by"), // staff user, for staff requests
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+    updatedAt: timestamp("updated_at").defaultNow().notNull(),
+  },
+  (table) => [index("data_requests_email_hash_idx").on(table.emailHash)]
+);
+
+// Audit trail of data requests and retention purges. Holds email hashes,
+// never addresses, so it can outlive the data it describes.
+const dataAuditLog = pgTable(
+  "data_audit_log",
+  {
+    id: serial("id").primaryKey(),
+    requestId: integer("request_id"), // null for retention purges
+    action: text("action").notNull(), // see AUDIT_ACTIONS in lib/data-requests.js
+    emailHash: text("email_hash"),
+    actor: text("actor").notNull(), // 'subject', a staff name or 'retention'
+    details: jsonb("details"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+  },
+  (table) => [index("data_audit_log_request_id_idx").on(table.requestId)]
+);
+
+// Newsletter campaigns. `segment` picks the audience (see lib/campaigns.js)
+// and `body` is HTML with {{name}}-style placeholders. Launching queues a
+// copy per recipient in pending_emails with campaign_id set.
+const campaigns = pgTable("campaigns", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull(),
+  subject: text("subject").notNull(),
+  body: text("body").notNull(),
+  textBody: text("text_body"), // derived from body when null
+  segment: jsonb("segment").notNull(), // { type, minInvestment? }
+  topic: text("topic"), // NEWSLETTER_TOPICS entry; null for general news
+  status: text("status").default("draft").notNull(), // 'draft', 'sending', 'cancelled'
+  recipientCount: integer("recipient_count"),
+  createdBy: integer("created_by"),
+  launchedAt: timestamp("launched_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+  updatedAt: timestamp("updated_at").defaultNow().notNull(),
+});
+
+// Pending emails table for failed email attempts
+const pendingEmails = pgTable(
+  "pending_emails",
+  {
+    id: serial("id").primaryKey(),
+    recipientEmail: text("recipient_email").notNull(),
+    recipientName: text("recipient_name"),
+    subjectEmail: text("subject_email"), // whose details it holds, if not the recipient's
+    subject: text("subject").notNull(),
+    htmlContent: text("html_content").notNull(),
+    textContent: text("text_content"),
+    attachments: jsonb("attachments"), // [{ filename, contentType, cid, content (base64) }]
+    headers: jsonb("headers"), // extra message headers, e.g. { "List-Unsubscribe": "<...>" }
+    emailType: text("email_type").notNull(), // 'inflation_report', 'newsletter', etc.
+    senderKey: text("sender_key"), // key in SENDERS (lib/mailer.js); the default chain if null
+    status: text("status").default("pending").notNull(), // 'pending', 'sent', 'failed', 'cancelled'
+    errorDetails: text("error_details"),
+    attempts: integer("attempts").default(0),
+    nextAttemptAt: timestamp("next_attempt_at"), // when the retry worker may pick it up again
+    campaignId: integer("campaign_id"), // set on campaign copies
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+    sentAt: timestamp("sent_at"),
+  },
+  (table) => [index("pending_emails_campaign_id_idx").on(table.campaignId)]
+);
+
+module.exports = {
+  LEAD_STATUSES,
+  SEARCH_COLUMNS,
+  searchVector,
+  newsletterSubscriptions,
+  contactSubmissions,
+  dealSourcingWaitlist,
+  leadNotes,
+  contactMessages,
+  inflationCalculations,
+  investmentCalculations,
+  priceIndices,
+  users,
+  magicLinkTokens,
+  learningProgress,
+  achievements,
+  learningActivityDays,
+  quizResults,
+  crmSyncs,
+  webhookSubscriptions,
+  webhookDeliveries,
+  leadRoutingRules,
+  campaigns,
+  pendingEmails,
+  rateLimits,
+  formRejections,
+  dataRequests,
+  dataAuditLog,
+};
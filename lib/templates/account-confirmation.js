@@ -0,0 +1,60 @@
+// Link that confirms the address and sets the password, sent by
+// /api/auth/register and by password sign-ins to unverified accounts
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout } = require("./layout");
+
+module.exports = {
+  name: "account_confirmation",
+  description:
+    "Confirms the email address of a password account for the learning area",
+
+  subject: () => `Confirm your email for ${BRAND.name}`,
+
+  html(data) {
+    const body = html`
+      <p>Hi ${data.name || "there"},</p>
+      <p>
+        Click the button below to confirm your email address. Your password will
+        then work for signing in to your learning account.
+      </p>
+
+      <div style="text-align: center; margin: 25px 0;">
+        <a
+          href="${data.url}"
+          style="display: inline-block; background-color: ${BRAND.color}; color: white; text-decoration: none; padding: 15px 30px; border-radius: 5px; font-weight: bold; font-size: 16px;"
+          >Confirm and sign in →</a
+        >
+      </div>
+
+      <p style="color: #666; font-size: 14px;">
+        This link expires in ${data.expiresInMinutes} minutes and can only be
+        used once. If you didn't set a password with us, ignore this email and
+        nothing will change.
+      </p>
+    `;
+
+    return layout({ title: "Confirm your email", body });
+  },
+
+  text(data) {
+    const body = `
+Hi ${data.name || "there"},
+
+Use the link below to confirm your email address. Your password will then work for signing in to your learning account:
+
+${data.url}
+
+This link expires in ${data.expiresInMinutes} minutes and can only be used once.
+If you didn't set a password with us, ignore this email and nothing will change.
+`;
+
+    return textLayout({ title: "Confirm your email", body });
+  },
+
+  sampleData: {
+    name: "Alex Example",
+    url: "https://kr-properties.co.uk/learning/sign-in?token=example",
+    expiresInMinutes: 15,
+  },
+};
@@ -0,0 +1,12 @@
+// Brand details shared by every email
+const BRAND = {
+  name: "KR Property Investments",
+  color: "#008e6d",
+  logoUrl: process.env.BRAND_LOGO_URL || null,
+  websiteUrl: "https://kr-properties.co.uk",
+  contactUrl: "https://kr-properties.co.uk/contact",
+  email: "info@kr-properties.co.uk",
+  phone: "020 3633 2783",
+};
+
+module.exports = { BRAND };
@@ -0,0 +1,53 @@
+// Newsletter campaign copy for one recipient. lib/campaigns.js fills in the
+// placeholders; `body` is trusted staff-written HTML.
+const { html, raw } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout } = require("./layout");
+
+function footerNote(data) {
+  return html`
+    <p style="color: #666; font-size: 12px; text-align: center;">
+      You're receiving this because you signed up with ${BRAND.name}.
+      <a href="${data.unsubscribeUrl}" style="color: #666;">Unsubscribe</a>
+      ${data.preferencesUrl
+        ? html` ·
+            <a href="${data.preferencesUrl}" style="color: #666;"
+              >Email preferences</a
+            >`
+        : ""}
+    </p>
+  `;
+}
+
+module.exports = {
+  name: "campaign",
+  description: "Newsletter campaign with unsubscribe and preference links",
+
+  subject: (data) => data.subject,
+
+  html(data) {
+    const body = html` ${raw(data.body)} ${footerNote(data)} `;
+
+    return layout({ title: null, body });
+  },
+
+  text(data) {
+    const lines = [data.textBody, "", `Unsubscribe: ${data.unsubscribeUrl}`];
+    if (data.preferencesUrl) {
+      lines.push(`Email preferences: ${data.preferencesUrl}`);
+    }
+
+    return textLayout({ title: null, body: lines.join("\n") });
+  },
+
+  sampleData: {
+    subject: "Spring market update",
+    body: "<p>Hi Jane,</p><p>Here's what moved in the property market this month.</p>",
+    textBody:
+      "Hi Jane,\n\nHere's what moved in the property market this month.",
+    unsubscribeUrl:
+      "https://kr-properties.co.uk/api/newsletter/unsubscribe?token=example",
+    preferencesUrl:
+      "https://kr-properties.co.uk/newsletter/preferences?token=example",
+  },
+};
@@ -0,0 +1,63 @@
+// Auto-reply to a contact form submission, quoting its reference number
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout, section } = require("./layout");
+
+const quoteStyle =
+  "white-space: pre-wrap; background-color: #f8fafc; padding: 15px; border-radius: 8px;";
+
+module.exports = {
+  name: "contact_acknowledgement",
+  description: "Acknowledgement of a contact form submission",
+
+  subject: (data) =>
+    `We've received your message [Ref ${data.reference}] - ${BRAND.name}`,
+
+  html(data) {
+    const body = html`
+      <p>Hi ${data.name},</p>
+      <p>
+        Thanks for getting in touch. We've received your message and a member of
+        our team will get back to you shortly, usually within one working day.
+      </p>
+
+      <p>
+        Your reference number is <strong>${data.reference}</strong>. Simply
+        reply to this email if you'd like to add anything.
+      </p>
+
+      ${section(
+        "💬 Your Message",
+        html`<p style="${quoteStyle}">${data.message}</p>`
+      )}
+
+      <p>Best regards,<br /><strong>The ${BRAND.name} Team</strong></p>
+    `;
+
+    return layout({ title: "Thanks for getting in touch", body });
+  },
+
+  text(data) {
+    const body = `
+Hi ${data.name},
+
+Thanks for getting in touch. We've received your message and a member of our team will get back to you shortly, usually within one working day.
+
+Your reference number is ${data.reference}. Simply reply to this email if you'd like to add anything.
+
+YOUR MESSAGE
+${data.message}
+
+Best regards,
+The ${BRAND.name} Team
+`;
+
+    return textLayout({ title: "Thanks for getting in touch", body });
+  },
+
+  sampleData: {
+    name: "Alex Example",
+    reference: "KR-000042",
+    message: "I'd like to talk about buy-to-let opportunities in Manchester.",
+  },
+};
@@ -0,0 +1,52 @@
+// Reply from a member of staff to a contact form submission. `body` is the
+// plain text they wrote.
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout } = require("./layout");
+
+module.exports = {
+  name: "contact_reply",
+  description: "Staff reply in a contact form conversation",
+
+  subject: (data) => `${data.subject} [Ref ${data.reference}]`,
+
+  html(data) {
+    const body = html`
+      <p style="white-space: pre-wrap;">${data.body}</p>
+
+      <p>
+        Best regards,<br /><strong
+          >${data.staffName || `The ${BRAND.name} Team`}</strong
+        ><br />${BRAND.name}
+      </p>
+
+      <p style="color: #666; font-size: 12px;">
+        Reference: ${data.reference}. Reply to this email to continue the
+        conversation.
+      </p>
+    `;
+
+    return layout({ title: null, body });
+  },
+
+  text(data) {
+    const body = `
+${data.body}
+
+Best regards,
+${data.staffName || `The ${BRAND.name} Team`}
+${BRAND.name}
+
+Reference: ${data.reference}. Reply to this email to continue the conversation.
+`;
+
+    return textLayout({ title: null, body });
+  },
+
+  sampleData: {
+    subject: "Re: Your enquiry",
+    reference: "KR-000042",
+    staffName: "Sam Adviser",
+    body: "Hi Alex,\n\nThanks for your message. Are you free for a call on Thursday afternoon?",
+  },
+};
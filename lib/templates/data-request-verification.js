@@ -0,0 +1,74 @@
+// Confirmation link for a data access or erasure request made through
+// /api/data-requests
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout } = require("./layout");
+
+const DESCRIPTIONS = {
+  access: "a copy of the personal data we hold about you",
+  erasure: "the erasure of the personal data we hold about you",
+};
+
+const ACTIONS = {
+  access: "Download my data",
+  erasure: "Review erasure",
+};
+
+module.exports = {
+  name: "data_request_verification",
+  description: "Confirmation link for a data access or erasure request",
+
+  subject: (data) =>
+    data.type === "erasure"
+      ? `Confirm your data erasure request - ${BRAND.name}`
+      : `Confirm your data access request - ${BRAND.name}`,
+
+  html(data) {
+    const body = html`
+      <p>Hi there,</p>
+      <p>
+        We received a request for ${DESCRIPTIONS[data.type]}. To make sure it
+        came from you, please confirm it using the button below.
+      </p>
+
+      <div style="text-align: center; margin: 25px 0;">
+        <a
+          href="${data.url}"
+          style="display: inline-block; background-color: ${BRAND.color}; color: white; text-decoration: none; padding: 15px 30px; border-radius: 5px; font-weight: bold; font-size: 16px;"
+          >${ACTIONS[data.type]} →</a
+        >
+      </div>
+
+      <p style="color: #666; font-size: 14px;">
+        This link expires in ${data.expiresInHours} hours. If you didn't make
+        this request, you can ignore this email and nothing will happen.
+      </p>
+    `;
+
+    return layout({ title: "Confirm your data request", body });
+  },
+
+  text(data) {
+    const body = `
+Hi there,
+
+We received a request for ${
+      DESCRIPTIONS[data.type]
+    }. To make sure it came from you, please confirm it using the link below:
+
+${data.url}
+
+This link expires in ${
+      data.expiresInHours
+    } hours. If you didn't make this request, you can ignore this email and nothing will happen.
+`;
+
+    return textLayout({ title: "Confirm your data request", body });
+  },
+
+  sampleData: {
+    type: "access",
+    url: "https://api.kr-properties.co.uk/api/data-requests/confirm?token=example",
+    expiresInHours: 24,
+  },
+};
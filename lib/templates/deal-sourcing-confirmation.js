@@ -0,0 +1,68 @@
+// Confirmation sent when someone joins the deal sourcing waitlist
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout, section } = require("./layout");
+
+const NEXT_STEPS = [
+  "We'll review your investment criteria",
+  "You'll be among the first to hear about new opportunities",
+  "Our team will reach out with deals that match your requirements",
+];
+
+module.exports = {
+  name: "deal_sourcing_confirmation",
+  description: "Welcome email for the deal sourcing waitlist",
+
+  subject: () => `Welcome to ${BRAND.name} Deal Sourcing Waitlist! 🎯`,
+
+  html(data) {
+    const body = html`
+      <p>Hi ${data.name},</p>
+      <p>
+        Thank you for joining our exclusive deal sourcing waitlist! We're
+        excited to have you on board.
+      </p>
+
+      <div
+        style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;"
+      >
+        ${section(
+          "What happens next?",
+          html`<ul>
+            ${NEXT_STEPS.map((step) => html`<li>${step}</li>`)}
+          </ul>`
+        )}
+      </div>
+
+      <p>If you have any questions, don't hesitate to reach out!</p>
+      <p>Best regards,<br /><strong>The ${BRAND.name} Team</strong></p>
+    `;
+
+    return layout({ title: "Welcome to Our Deal Sourcing Waitlist!", body });
+  },
+
+  text(data) {
+    const body = `
+Hi ${data.name},
+
+Thank you for joining our exclusive deal sourcing waitlist! We're excited to have you on board.
+
+WHAT HAPPENS NEXT?
+${NEXT_STEPS.map((step) => `- ${step}`).join("\n")}
+
+If you have any questions, don't hesitate to reach out!
+
+Best regards,
+The ${BRAND.name} Team
+`;
+
+    return textLayout({
+      title: "Welcome to Our Deal Sourcing Waitlist!",
+      body,
+    });
+  },
+
+  sampleData: {
+    name: "Alex Example",
+  },
+};
@@ -0,0 +1,62 @@
+// Helpers for building escaped email markup
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+}
+
+// Tagged template that escapes every interpolated value unless it is
+// itself the result of html`` or raw()
+function html(strings, ...values) {
+  let output = strings[0];
+  values.forEach((value, index) => {
+    output += renderValue(value) + strings[index + 1];
+  });
+  return new SafeHtml(output);
+}
+
+// Mark trusted markup so html`` doesn't escape it
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function formatCurrency(value) {
+  const number = Number(value);
+  if (value === null || value === undefined || !isFinite(number)) return "";
+  return `£${number.toLocaleString("en-GB", { maximumFractionDigits: 2 })}`;
+}
+
+function formatPercent(value) {
+  const number = Number(value);
+  if (value === null || value === undefined || !isFinite(number)) return "";
+  return `${number.toFixed(2)}%`;
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  raw,
+  formatCurrency,
+  formatPercent,
+};
@@ -0,0 +1,82 @@
+// Email template registry. Report templates can also render to PDF.
+const inflationReport = require("./inflation-report");
+const dealSourcingConfirmation = require("./deal-sourcing-confirmation");
+const investmentReport = require("./investment-report");
+const magicLink = require("./magic-link");
+const accountConfirmation = require("./account-confirmation");
+const newsletterConfirmation = require("./newsletter-confirmation");
+const newsletterReconfirmation = require("./newsletter-reconfirmation");
+const campaign = require("./campaign");
+const leadNotification = require("./lead-notification");
+const contactAcknowledgement = require("./contact-acknowledgement");
+const contactReply = require("./contact-reply");
+const dataRequestVerification = require("./data-request-verification");
+
+const templates = {};
+
+function registerTemplate(template) {
+  templates[template.name] = template;
+}
+
+registerTemplate(inflationReport);
+registerTemplate(dealSourcingConfirmation);
+registerTemplate(investmentReport);
+registerTemplate(magicLink);
+registerTemplate(accountConfirmation);
+registerTemplate(newsletterConfirmation);
+registerTemplate(newsletterReconfirmation);
+registerTemplate(campaign);
+registerTemplate(leadNotification);
+registerTemplate(contactAcknowledgement);
+registerTemplate(contactReply);
+registerTemplate(dataRequestVerification);
+
+function getTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(templates, name)
+    ? templates[name]
+    : null;
+}
+
+function listTemplates() {
+  return Object.values(templates).map((template) => ({
+    name: template.name,
+    description: template.description,
+    pdf: typeof template.pdf === "function",
+    sampleData: template.sampleData,
+  }));
+}
+
+// Render a template to { subject, html, text }
+function renderTemplate(name, data = {}) {
+  const template = getTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return {
+    subject: template.subject(data),
+    html: template.html(data).toString(),
+    text: template.text(data),
+  };
+}
+
+// Render a template to a PDF Buffer
+async function renderPdf(name, data = {}) {
+  const template = getTemplate(name);
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  if (typeof template.pdf !== "function") {
+    throw new Error(`Email template ${name} has no PDF version`);
+  }
+
+  return template.pdf(data);
+}
+
+module.exports = {
+  registerTemplate,
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+  renderPdf,
+};
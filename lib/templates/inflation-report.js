@@ -0,0 +1,244 @@
+// Inflation impact report sent by /api/inflation-email
+const { html, formatCurrency, formatPercent } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout, section } = require("./layout");
+const pdf = require("./pdf-layout");
+
+const QUOTE =
+  "Not investing is like pouring water into a leaky bucket. Over time, no matter how full it looks, you're left with much less than you started with.";
+
+const callToAction = {
+  intro: "Want to find out how to protect your money and grow it confidently?",
+  label: "Book a Personal Consultation",
+};
+
+// Describes the chart from lib/charts.js, which has no text of its own
+function chartCaption(calculationData) {
+  if (Array.isArray(calculationData.breakdown)) {
+    const projected = calculationData.breakdown.some(
+      (point) => point && point.projected
+    );
+    return `Value of your money over time, year by year. The dashed line marks your original amount${
+      projected ? " and lighter bars are projections" : ""
+    }.`;
+  }
+  return "Your original amount (grey) versus what you would need today (green) to have the same purchasing power.";
+}
+
+function summary({ amount, month, year, calculationData }) {
+  return {
+    originalAmount: formatCurrency(amount || calculationData.originalValue),
+    from: `${month}/${year}`,
+    todayValue: formatCurrency(calculationData.todayValue),
+    lossInValue: formatCurrency(calculationData.lossInValue),
+    percentageIncrease: formatPercent(calculationData.percentageIncrease),
+  };
+}
+
+module.exports = {
+  name: "inflation_report",
+  description: "Inflation impact report sent from the inflation calculator",
+
+  subject: () => `Your Inflation Impact Report - ${BRAND.name}`,
+
+  html(data) {
+    const figures = summary(data);
+
+    const body = html`
+      <p style="margin-bottom: 20px;">Hello ${data.name || "there"},</p>
+
+      <p style="margin-bottom: 25px;">
+        Thank you for using our Inflation Calculator. Here's your detailed
+        inflation impact analysis:
+      </p>
+
+      <div style="border-top: 2px solid #ddd; margin: 30px 0 20px 0;"></div>
+
+      ${section(
+        "📊 Calculation Summary",
+        html`
+          <ul style="list-style: none; padding: 0; margin: 0;">
+            <li style="margin-bottom: 8px;">
+              • <strong>Original Amount:</strong> ${figures.originalAmount}
+            </li>
+            <li style="margin-bottom: 8px;">
+              • <strong>From:</strong> ${figures.from}
+            </li>
+            <li style="margin-bottom: 8px;">
+              • <strong>Today's Value:</strong> ${figures.todayValue}
+            </li>
+            <li style="margin-bottom: 8px;">
+              •
+              <strong>Loss in Purchasing Power:</strong> ${figures.lossInValue}
+            </li>
+            <li style="margin-bottom: 8px;">
+              •
+              <strong>Percentage Increase Needed:</strong>
+              ${figures.percentageIncrease}
+            </li>
+          </ul>
+        `
+      )}
+      ${data.chartCid
+        ? section(
+            "📊 Visual Impact",
+            html`
+              <div style="text-align: center; margin: 20px 0;">
+                <img
+                  src="cid:${data.chartCid}"
+                  alt="Inflation Impact Chart"
+                  width="600"
+                  style="max-width: 100%; height: auto; border: 1px solid #ddd; border-radius: 8px;"
+                />
+                <p
+                  style="font-size: 12px; color: #666; margin-top: 10px; font-style: italic;"
+                >
+                  ${chartCaption(data.calculationData)}
+                </p>
+              </div>
+            `
+          )
+        : ""}
+      ${section(
+        "💡 Key Insight",
+        html`
+          <p style="margin-bottom: 15px;">
+            Your money has lost
+            <strong>${figures.percentageIncrease}</strong> of its purchasing
+            power due to inflation. To maintain the same buying power, you would
+            need <strong>${figures.todayValue}</strong> today.
+          </p>
+          <p
+            style="margin-bottom: 15px; font-style: italic; background-color: #f8f9fa; padding: 15px; border-left: 4px solid ${BRAND.color};"
+          >
+            "${QUOTE}"
+          </p>
+        `
+      )}
+      ${section(
+        "🚀 What This Means for You",
+        html`
+          <p style="margin-bottom: 15px;">
+            Inflation silently erodes your savings. Consider investing in assets
+            that can outpace inflation, such as:
+          </p>
+          <ul style="margin-bottom: 15px;">
+            <li>Property investments</li>
+            <li>Stock market funds</li>
+            <li>Inflation-protected securities</li>
+          </ul>
+        `
+      )}
+    `;
+
+    return layout({
+      title: "Your Inflation Impact Report",
+      body,
+      callToAction,
+    });
+  },
+
+  text(data) {
+    const figures = summary(data);
+
+    const body = `
+Hello ${data.name || "there"},
+
+Thank you for using our Inflation Calculator. Here's your detailed inflation impact analysis:
+
+CALCULATION SUMMARY
+- Original Amount: ${figures.originalAmount}
+- From: ${figures.from}
+- Today's Value: ${figures.todayValue}
+- Loss in Purchasing Power: ${figures.lossInValue}
+- Percentage Increase Needed: ${figures.percentageIncrease}
+
+KEY INSIGHT
+Your money has lost ${
+      figures.percentageIncrease
+    } of its purchasing power due to inflation. To maintain the same buying power, you would need ${
+      figures.todayValue
+    } today.
+
+"${QUOTE}"
+
+WHAT THIS MEANS FOR YOU
+Inflation silently erodes your savings. Consider investing in assets that can outpace inflation, such as:
+- Property investments
+- Stock market funds
+- Inflation-protected securities
+`;
+
+    return textLayout({
+      title: "Your Inflation Impact Report",
+      body,
+      callToAction,
+    });
+  },
+
+  // data.chart is the PNG from lib/charts.js
+  pdf(data) {
+    const figures = summary(data);
+
+    return pdf.pdfLayout({
+      title: "Your Inflation Impact Report",
+      callToAction,
+      body(doc) {
+        pdf.paragraph(doc, `Hello ${data.name || "there"},`);
+        pdf.paragraph(
+          doc,
+          "Thank you for using our Inflation Calculator. Here's your detailed inflation impact analysis:"
+        );
+
+        pdf.section(doc, "Calculation Summary");
+        pdf.list(doc, [
+          ["Original Amount", figures.originalAmount],
+          ["From", figures.from],
+          ["Today's Value", figures.todayValue],
+          ["Loss in Purchasing Power", figures.lossInValue],
+          ["Percentage Increase Needed", figures.percentageIncrease],
+        ]);
+
+        if (data.chart) {
+          pdf.section(doc, "Visual Impact");
+          pdf.image(doc, data.chart);
+          pdf.paragraph(doc, chartCaption(data.calculationData), {
+            italic: true,
+            muted: true,
+          });
+        }
+
+        pdf.section(doc, "Key Insight");
+        pdf.paragraph(
+          doc,
+          `Your money has lost ${figures.percentageIncrease} of its purchasing power due to inflation. To maintain the same buying power, you would need ${figures.todayValue} today.`
+        );
+        pdf.paragraph(doc, `"${QUOTE}"`, { italic: true });
+
+        pdf.section(doc, "What This Means for You");
+        pdf.paragraph(
+          doc,
+          "Inflation silently erodes your savings. Consider investing in assets that can outpace inflation, such as:"
+        );
+        pdf.bullets(doc, [
+          "Property investments",
+          "Stock market funds",
+          "Inflation-protected securities",
+        ]);
+      },
+    });
+  },
+
+  sampleData: {
+    name: "Alex Example",
+    amount: 10000,
+    month: 1,
+    year: 2015,
+    calculationData: {
+      originalValue: 10000,
+      todayValue: 13958.4,
+      lossInValue: 3958.4,
+      percentageIncrease: 39.58,
+    },
+  },
+};
@@ -0,0 +1,118 @@
+// Report emailed from the property investment calculators
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout, section } = require("./layout");
+const pdf = require("./pdf-layout");
+
+const callToAction = {
+  intro: "Want help finding a property that hits these numbers?",
+  label: "Book a Personal Consultation",
+};
+
+function table(rows) {
+  return html`
+    <ul style="list-style: none; padding: 0; margin: 0;">
+      ${rows.map(
+        ([label, value]) =>
+          html`<li style="margin-bottom: 8px;">
+            • <strong>${label}:</strong> ${value}
+          </li>`
+      )}
+    </ul>
+  `;
+}
+
+function textRows(rows) {
+  return rows.map(([label, value]) => `- ${label}: ${value}`).join("\n");
+}
+
+module.exports = {
+  name: "investment_report",
+  description: "Report from the property investment calculators",
+
+  subject: (data) => `Your ${data.title} Report - ${BRAND.name}`,
+
+  html(data) {
+    const body = html`
+      <p style="margin-bottom: 20px;">Hello ${data.name || "there"},</p>
+
+      <p style="margin-bottom: 25px;">
+        Thank you for using our ${data.title} calculator. Here are your figures:
+      </p>
+
+      ${section("📋 Your Inputs", table(data.inputs))}
+      ${section("📊 Results", table(data.results))}
+
+      <p style="font-size: 12px; color: #666; font-style: italic;">
+        These figures are estimates for guidance only and are not financial or
+        tax advice.
+      </p>
+    `;
+
+    return layout({
+      title: `Your ${data.title} Report`,
+      body,
+      callToAction,
+    });
+  },
+
+  text(data) {
+    const body = `
+Hello ${data.name || "there"},
+
+Thank you for using our ${data.title} calculator. Here are your figures:
+
+YOUR INPUTS
+${textRows(data.inputs)}
+
+RESULTS
+${textRows(data.results)}
+
+These figures are estimates for guidance only and are not financial or tax advice.
+`;
+
+    return textLayout({
+      title: `Your ${data.title} Report`,
+      body,
+      callToAction,
+    });
+  },
+
+  pdf(data) {
+    return pdf.pdfLayout({
+      title: `Your ${data.title} Report`,
+      callToAction,
+      body(doc) {
+        pdf.paragraph(doc, `Hello ${data.name || "there"},`);
+        pdf.paragraph(
+          doc,
+          `Thank you for using our ${data.title} calculator. Here are your figures:`
+        );
+
+        pdf.section(doc, "Your Inputs");
+        pdf.list(doc, data.inputs);
+        pdf.section(doc, "Results");
+        pdf.list(doc, data.results);
+
+        pdf.paragraph(
+          doc,
+          "These figures are estimates for guidance only and are not financial or tax advice.",
+          { italic: true, muted: true }
+        );
+      },
+    });
+  },
+
+  sampleData: {
+    name: "Alex Example",
+    title: "Rental Yield",
+    inputs: [
+      ["Purchase price", "£250,000"],
+      ["Monthly rent", "£1,200"],
+    ],
+    results: [
+      ["Gross yield", "5.76%"],
+      ["Net yield", "4.80%"],
+    ],
+  },
+};
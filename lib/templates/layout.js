@@ -0,0 +1,123 @@
+// Shared email layout: header, contact block and footer
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+
+const headingStyle = `color: ${BRAND.color}; margin: 0 0 20px 0; font-size: 20px;`;
+
+function section(title, body) {
+  return html`
+    <div style="margin: 30px 0;">
+      <h2 style="${headingStyle}">${title}</h2>
+      ${body}
+    </div>
+  `;
+}
+
+function header(title) {
+  return html`
+    <div
+      style="text-align: left; margin-bottom: 30px; border-bottom: 2px solid #ddd; padding-bottom: 15px;"
+    >
+      ${BRAND.logoUrl
+        ? html`<img
+            src="${BRAND.logoUrl}"
+            alt="${BRAND.name}"
+            style="max-height: 48px; margin-bottom: 10px;"
+          />`
+        : ""}
+      <h1
+        style="color: ${BRAND.color}; margin: 0; font-size: 24px; font-weight: bold;"
+      >
+        ${BRAND.name}
+      </h1>
+      ${title
+        ? html`<p style="margin: 5px 0 0 0; font-size: 16px; color: #666;">
+            ${title}
+          </p>`
+        : ""}
+    </div>
+  `;
+}
+
+function contactBlock(callToAction) {
+  if (!callToAction) {
+    return html`
+      <div style="margin: 30px 0;">
+        <p style="margin-bottom: 5px;">Questions? Contact us directly:</p>
+        <p style="margin: 5px 0;"><strong>Email:</strong> ${BRAND.email}</p>
+        <p style="margin: 5px 0;"><strong>Phone:</strong> ${BRAND.phone}</p>
+      </div>
+    `;
+  }
+
+  return section(
+    "📞 Let's Talk",
+    html`
+      <p style="margin-bottom: 15px;">${callToAction.intro}</p>
+
+      <div style="text-align: center; margin: 25px 0;">
+        <a
+          href="${callToAction.url || BRAND.contactUrl}"
+          style="display: inline-block; background-color: ${BRAND.color}; color: white; text-decoration: none; padding: 15px 30px; border-radius: 5px; font-weight: bold; font-size: 16px;"
+          >${callToAction.label} →</a
+        >
+      </div>
+
+      <p style="margin-bottom: 5px;">Or contact us directly:</p>
+      <p style="margin: 5px 0;"><strong>Email:</strong> ${BRAND.email}</p>
+      <p style="margin: 5px 0;"><strong>Phone:</strong> ${BRAND.phone}</p>
+    `
+  );
+}
+
+function footer() {
+  return html`
+    <div style="border-top: 2px solid #ddd; margin: 30px 0 20px 0;"></div>
+
+    <div
+      style="text-align: center; color: #666; font-size: 12px; margin-top: 30px;"
+    >
+      <p style="margin: 0;">
+        © ${new Date().getFullYear()} ${BRAND.name}. All rights reserved.
+      </p>
+    </div>
+  `;
+}
+
+// Wrap a template body in the branded layout
+function layout({ title, body, callToAction }) {
+  return html`
+    <div
+      style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto; padding: 20px; line-height: 1.6; color: #333;"
+    >
+      ${header(title)} ${body} ${contactBlock(callToAction)} ${footer()}
+    </div>
+  `;
+}
+
+// Plain-text counterpart of layout()
+function textLayout({ title, body, callToAction }) {
+  const lines = [BRAND.name];
+  if (title) lines.push(title);
+  lines.push("", body.trim(), "");
+
+  if (callToAction) {
+    lines.push(
+      callToAction.intro,
+      `${callToAction.label}: ${callToAction.url || BRAND.contactUrl}`,
+      ""
+    );
+  }
+
+  lines.push(
+    "Contact us directly:",
+    `Email: ${BRAND.email}`,
+    `Phone: ${BRAND.phone}`,
+    "",
+    `© ${new Date().getFullYear()} ${BRAND.name}. All rights reserved.`
+  );
+
+  return lines.join("\n");
+}
+
+module.exports = { layout, textLayout, section };
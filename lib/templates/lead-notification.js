@@ -0,0 +1,84 @@
+// Internal alert sent to staff when a lead matches a routing rule
+const { html } = require("./html");
+const { layout, textLayout, section } = require("./layout");
+
+function table(rows) {
+  return html`
+    <ul style="list-style: none; padding: 0; margin: 0;">
+      ${rows.map(
+        ([label, value]) =>
+          html`<li style="margin-bottom: 8px;">
+            • <strong>${label}:</strong> ${value}
+          </li>`
+      )}
+    </ul>
+  `;
+}
+
+function textRows(rows) {
+  return rows.map(([label, value]) => `- ${label}: ${value}`).join("\n");
+}
+
+module.exports = {
+  name: "lead_notification",
+  description: "Internal alert for a lead that matched a routing rule",
+
+  subject: (data) =>
+    `New lead: ${data.name} (${data.formLabel}, ${data.investmentAmount})`,
+
+  html(data) {
+    const body = html`
+      <p>
+        A new ${data.formLabel.toLowerCase()} lead matched
+        ${data.rules.length === 1 ? "the rule" : "the rules"}
+        <strong>${data.rules.join(", ")}</strong>.
+      </p>
+
+      ${section("👤 Lead Details", table(data.details))}
+      ${data.message
+        ? section(
+            "💬 Message",
+            html`<p style="white-space: pre-wrap;">${data.message}</p>`
+          )
+        : ""}
+
+      <p style="color: #666; font-size: 14px;">
+        Find it in the admin API as ${data.collection} #${data.leadId}.
+      </p>
+    `;
+
+    return layout({ title: `New ${data.formLabel} Lead`, body });
+  },
+
+  text(data) {
+    const body = `
+A new ${data.formLabel.toLowerCase()} lead matched ${
+      data.rules.length === 1 ? "the rule" : "the rules"
+    } ${data.rules.join(", ")}.
+
+LEAD DETAILS
+${textRows(data.details)}
+${data.message ? `\nMESSAGE\n${data.message}\n` : ""}
+Find it in the admin API as ${data.collection} #${data.leadId}.
+`;
+
+    return textLayout({ title: `New ${data.formLabel} Lead`, body });
+  },
+
+  sampleData: {
+    formLabel: "Contact form",
+    collection: "contacts",
+    leadId: 42,
+    rules: ["High-value leads to partners"],
+    name: "Alex Example",
+    investmentAmount: "£250,000",
+    details: [
+      ["Name", "Alex Example"],
+      ["Email", "alex@example.com"],
+      ["Phone", "07700 900000"],
+      ["Investment amount", "£250,000 (parsed as £250,000, 250k_500k)"],
+      ["Submitted", "2025-01-15T10:30:00.000Z"],
+    ],
+    message: "I'd like to talk about buy-to-let opportunities in Manchester.",
+  },
+};
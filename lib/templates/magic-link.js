@@ -0,0 +1,54 @@
+// Sign-in link sent by /api/auth/magic-link
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout } = require("./layout");
+
+module.exports = {
+  name: "magic_link",
+  description: "Passwordless sign-in link for the learning area",
+
+  subject: () => `Your sign-in link for ${BRAND.name}`,
+
+  html(data) {
+    const body = html`
+      <p>Hi ${data.name || "there"},</p>
+      <p>Click the button below to sign in to your learning account.</p>
+
+      <div style="text-align: center; margin: 25px 0;">
+        <a
+          href="${data.url}"
+          style="display: inline-block; background-color: ${BRAND.color}; color: white; text-decoration: none; padding: 15px 30px; border-radius: 5px; font-weight: bold; font-size: 16px;"
+          >Sign in →</a
+        >
+      </div>
+
+      <p style="color: #666; font-size: 14px;">
+        This link expires in ${data.expiresInMinutes} minutes and can only be
+        used once. If you didn't ask to sign in, you can ignore this email.
+      </p>
+    `;
+
+    return layout({ title: "Sign in to your account", body });
+  },
+
+  text(data) {
+    const body = `
+Hi ${data.name || "there"},
+
+Use the link below to sign in to your learning account:
+
+${data.url}
+
+This link expires in ${data.expiresInMinutes} minutes and can only be used once.
+If you didn't ask to sign in, you can ignore this email.
+`;
+
+    return textLayout({ title: "Sign in to your account", body });
+  },
+
+  sampleData: {
+    name: "Alex Example",
+    url: "https://kr-properties.co.uk/learning/sign-in?token=example",
+    expiresInMinutes: 15,
+  },
+};
@@ -0,0 +1,56 @@
+// Double opt-in email sent by /api/newsletter
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout } = require("./layout");
+
+module.exports = {
+  name: "newsletter_confirmation",
+  description: "Asks a new newsletter subscriber to confirm their address",
+
+  subject: () => `Please confirm your subscription to ${BRAND.name}`,
+
+  html(data) {
+    const body = html`
+      <p>Hi there,</p>
+      <p>
+        Thanks for signing up to the ${BRAND.name} newsletter. Please confirm
+        your email address so we can start sending you property market updates,
+        deals and guides.
+      </p>
+
+      <div style="text-align: center; margin: 25px 0;">
+        <a
+          href="${data.confirmUrl}"
+          style="display: inline-block; background-color: ${BRAND.color}; color: white; text-decoration: none; padding: 15px 30px; border-radius: 5px; font-weight: bold; font-size: 16px;"
+          >Confirm subscription →</a
+        >
+      </div>
+
+      <p style="color: #666; font-size: 14px;">
+        If you didn't sign up, ignore this email and you won't hear from us
+        again.
+      </p>
+    `;
+
+    return layout({ title: "Confirm your subscription", body });
+  },
+
+  text(data) {
+    const body = `
+Hi there,
+
+Thanks for signing up to the ${BRAND.name} newsletter. Please confirm your email address so we can start sending you property market updates, deals and guides:
+
+${data.confirmUrl}
+
+If you didn't sign up, ignore this email and you won't hear from us again.
+`;
+
+    return textLayout({ title: "Confirm your subscription", body });
+  },
+
+  sampleData: {
+    confirmUrl:
+      "https://kr-properties.co.uk/api/newsletter/confirm?token=example",
+  },
+};
@@ -0,0 +1,61 @@
+// Asks a subscriber from before double opt-in to confirm, queued by
+// queueReconfirmation in lib/campaigns.js
+const { html } = require("./html");
+const { BRAND } = require("./branding");
+const { layout, textLayout } = require("./layout");
+
+module.exports = {
+  name: "newsletter_reconfirmation",
+  description:
+    "Asks a subscriber from before double opt-in to confirm they still want the newsletter",
+
+  subject: () => `Do you still want to hear from ${BRAND.name}?`,
+
+  html(data) {
+    const body = html`
+      <p>Hi there,</p>
+      <p>
+        You signed up to the ${BRAND.name} newsletter a while ago. We now ask
+        every subscriber to confirm their address, so please let us know you'd
+        still like property market updates, deals and guides.
+      </p>
+
+      <div style="text-align: center; margin: 25px 0;">
+        <a
+          href="${data.confirmUrl}"
+          style="display: inline-block; background-color: ${BRAND.color}; color: white; text-decoration: none; padding: 15px 30px; border-radius: 5px; font-weight: bold; font-size: 16px;"
+          >Keep me subscribed →</a
+        >
+      </div>
+
+      <p style="color: #666; font-size: 14px;">
+        If you'd rather not, ignore this email and we won't send you any more
+        newsletters, or
+        <a href="${data.unsubscribeUrl}" style="color: #666;">unsubscribe</a>.
+      </p>
+    `;
+
+    return layout({ title: "Confirm your subscription", body });
+  },
+
+  text(data) {
+    const body = `
+Hi there,
+
+You signed up to the ${BRAND.name} newsletter a while ago. We now ask every subscriber to confirm their address, so please let us know you'd still like property market updates, deals and guides:
+
+${data.confirmUrl}
+
+If you'd rather not, ignore this email and we won't send you any more newsletters, or unsubscribe: ${data.unsubscribeUrl}
+`;
+
+    return textLayout({ title: "Confirm your subscription", body });
+  },
+
+  sampleData: {
+    confirmUrl:
+      "https://kr-properties.co.uk/api/newsletter/confirm?token=example",
+    unsubscribeUrl:
+      "https://kr-properties.co.uk/api/newsletter/unsubscribe?token=example",
+  },
+};
@@ -0,0 +1,137 @@
+// PDF counterpart of layout.js: header, sections, contact block and footer
+const PDFDocument = require("pdfkit");
+const { BRAND } = require("./branding");
+
+const MUTED = "#666666";
+const TEXT = "#333333";
+const RULE = "#dddddd";
+
+function rule(doc) {
+  const y = doc.y + 5;
+  doc
+    .moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(2)
+    .strokeColor(RULE)
+    .stroke();
+  doc.y = y + 15;
+}
+
+function header(doc, title) {
+  doc.font("Helvetica-Bold").fontSize(22).fillColor(BRAND.color);
+  doc.text(BRAND.name);
+  if (title) {
+    doc.font("Helvetica").fontSize(14).fillColor(MUTED).text(title);
+  }
+  rule(doc);
+}
+
+// Section heading; the caller writes the section body after it
+function section(doc, title) {
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(15).fillColor(BRAND.color).text(title);
+  doc.moveDown(0.4);
+  doc.font("Helvetica").fontSize(11).fillColor(TEXT);
+}
+
+function paragraph(doc, text, { italic = false, muted = false } = {}) {
+  doc
+    .font(italic ? "Helvetica-Oblique" : "Helvetica")
+    .fontSize(muted ? 9 : 11)
+    .fillColor(muted ? MUTED : TEXT)
+    .text(text, { lineGap: 2 });
+  doc.moveDown(0.6);
+}
+
+// Bulleted "Label: value" lines
+function list(doc, rows) {
+  for (const [label, value] of rows) {
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(TEXT);
+    doc.text(`•  ${label}: `, { continued: true });
+    doc.font("Helvetica").text(String(value));
+    doc.moveDown(0.2);
+  }
+  doc.moveDown(0.4);
+}
+
+function bullets(doc, items) {
+  doc.font("Helvetica").fontSize(11).fillColor(TEXT);
+  doc.list(items, { bulletRadius: 2, textIndent: 12, lineGap: 2 });
+  doc.moveDown(0.6);
+}
+
+// Full-width image, moved to a new page if it won't fit on this one
+function image(doc, buffer) {
+  const opened = doc.openImage(buffer);
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const height = (opened.height * width) / opened.width;
+
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  doc.image(opened, doc.page.margins.left, top, { width });
+  doc.y = top + height + 8;
+}
+
+function contactBlock(doc, callToAction) {
+  if (callToAction) {
+    section(doc, "Let's Talk");
+    paragraph(doc, callToAction.intro);
+    const url = callToAction.url || BRAND.contactUrl;
+    doc
+      .font("Helvetica-Bold")
+      .fillColor(BRAND.color)
+      .text(`${callToAction.label}: ${url}`, { link: url, underline: true });
+    doc.moveDown(0.6);
+    paragraph(doc, "Or contact us directly:");
+  } else {
+    doc.moveDown(0.8);
+    paragraph(doc, "Questions? Contact us directly:");
+  }
+
+  list(doc, [
+    ["Email", BRAND.email],
+    ["Phone", BRAND.phone],
+  ]);
+}
+
+function footer(doc) {
+  rule(doc);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor(MUTED)
+    .text(`© ${new Date().getFullYear()} ${BRAND.name}. All rights reserved.`, {
+      align: "center",
+    });
+}
+
+// Render a branded PDF. `body(doc)` draws the report content with the
+// helpers below. Resolves to the PDF as a Buffer.
+function pdfLayout({ title, body, callToAction }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: { Title: title || BRAND.name, Author: BRAND.name },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      header(doc, title);
+      body(doc);
+      contactBlock(doc, callToAction);
+      footer(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = { pdfLayout, section, paragraph, list, bullets, image };
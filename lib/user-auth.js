@@ -0,0 +1,150 @@
+// User identity for the learning API: password hashing, magic link tokens
+// and signed JWT session tokens
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const { eq } = require("drizzle-orm");
+const { db } = require("./db");
+const { users } = require("./schema");
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+const MAGIC_LINK_TTL_MINUTES =
+  parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+function isAuthConfigured() {
+  return !!JWT_SECRET;
+}
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !expected) return false;
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, "hex");
+  return (
+    hash.length === expectedHash.length &&
+    crypto.timingSafeEqual(hash, expectedHash)
+  );
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// A new magic link token; only its hash is stored
+function createMagicLinkToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000),
+  };
+}
+
+// Other tokens signed with JWT_SECRET (e.g. newsletter links) have a
+// different audience, so they can't be used as a session
+const SESSION_AUDIENCE = "session";
+
+function signSessionToken(user) {
+  return jwt.sign({ email: user.email }, JWT_SECRET, {
+    subject: String(user.id),
+    audience: SESSION_AUDIENCE,
+    expiresIn: JWT_EXPIRES_IN,
+  });
+}
+
+function bearerToken(req) {
+  const header = req.get("Authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+}
+
+// { id, email } from a session token, or null if it is invalid, expired
+// or signed for something else
+function verifySessionToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, {
+      algorithms: ["HS256"],
+      audience: SESSION_AUDIENCE,
+    });
+    if (payload.purpose) return null;
+    return { id: parseInt(payload.sub), email: payload.email };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Sets req.user = { id, email } from the Bearer session token. The account
+// must still exist, so the tokens of an erased user stop working.
+async function requireUser(req, res, next) {
+  try {
+    if (!JWT_SECRET) {
+      return res.status(503).json({
+        success: false,
+        message: "Authentication not configured",
+      });
+    }
+
+    if (!db) {
+      return res.status(500).json({
+        success: false,
+        message: "Database connection not available",
+      });
+    }
+
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    const session = verifySessionToken(token);
+    const [user] = session
+      ? await db
+          .select({ id: users.id })
+          .from(users)
+          .where(eq(users.id, session.id))
+      : [];
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired session",
+      });
+    }
+
+    req.user = session;
+    next();
+  } catch (error) {
+    console.error("❌ Session authentication error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to authenticate",
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  MAGIC_LINK_TTL_MINUTES,
+  isAuthConfigured,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  createMagicLinkToken,
+  signSessionToken,
+  bearerToken,
+  verifySessionToken,
+  requireUser,
+};
@@ -0,0 +1,179 @@
+// Request validation with zod. `validate({ body, params, query })` checks
+// each part of the request against its schema and answers 400 with every
+// field error; on success the parsed (trimmed, coerced) values replace the
+// originals on req. `validateParam(schema)` does the same for a single
+// path param via app.param/router.param.
+const { z } = require("zod/v4");
+
+// Form posts and query strings send empty fields as "", treat them as absent
+function blankToUndefined(value) {
+  return value === "" || value === null ? undefined : value;
+}
+
+// Numbers may arrive as strings from forms, query strings and path params
+function numeric(schema = z.number()) {
+  return z.preprocess((value) => {
+    const present = blankToUndefined(value);
+    return typeof present === "string" ? Number(present.trim()) : present;
+  }, schema);
+}
+
+function integer() {
+  return z.number({ error: "Must be a number" }).int("Must be a whole number");
+}
+
+function number() {
+  return z.number({ error: "Must be a number" });
+}
+
+function booleanish() {
+  return z.preprocess((value) => {
+    const present = blankToUndefined(value);
+    if (present === "true") return true;
+    if (present === "false") return false;
+    return present;
+  }, z.boolean({ error: "Must be true or false" }).optional());
+}
+
+function requiredText(max = 500) {
+  return z
+    .string({ error: "Must be a string" })
+    .trim()
+    .min(1, "Required")
+    .max(max, `Must be at most ${max} characters`);
+}
+
+function optionalText(max = 500) {
+  return z.preprocess(
+    blankToUndefined,
+    z
+      .string({ error: "Must be a string" })
+      .trim()
+      .max(max, `Must be at most ${max} characters`)
+      .optional()
+  );
+}
+
+// Free-text fields that clients sometimes send as numbers, e.g. "50000"
+function textValue(max = 500) {
+  return z.preprocess(
+    (value) =>
+      typeof value === "number" || typeof value === "boolean"
+        ? String(value)
+        : value,
+    requiredText(max)
+  );
+}
+
+function email() {
+  return z
+    .string({ error: "Must be a string" })
+    .trim()
+    .email("Invalid email format")
+    .max(254, "Must be at most 254 characters");
+}
+
+function optionalEmail() {
+  return z.preprocess(blankToUndefined, email().optional());
+}
+
+// Positive integer IDs, e.g. the :id path param
+function positiveId() {
+  return numeric(integer().positive("Must be a positive number"));
+}
+
+function valueAt(source, path) {
+  return path.reduce(
+    (value, key) =>
+      value !== null && value !== undefined ? value[key] : undefined,
+    source
+  );
+}
+
+function formatIssues(issues, source, location) {
+  return issues.map((issue) => {
+    const field = issue.path.join(".") || location;
+    const missing =
+      issue.path.length > 0 &&
+      issue.code === "invalid_type" &&
+      blankToUndefined(valueAt(source, issue.path)) === undefined;
+
+    return {
+      location,
+      field,
+      message: missing ? "Required" : issue.message,
+    };
+  });
+}
+
+// The 400 response used for every validation failure
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors,
+  });
+}
+
+// Callback for app.param/router.param that validates one path param
+function validateParam(schema) {
+  return (req, res, next, value, name) => {
+    const result = schema.safeParse(value);
+    if (!result.success) {
+      return sendValidationError(
+        res,
+        result.error.issues.map((issue) => ({
+          location: "params",
+          field: name,
+          message: issue.message,
+        }))
+      );
+    }
+
+    req.params[name] = result.data;
+    next();
+  };
+}
+
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const location of ["params", "query", "body"]) {
+      if (!schemas[location]) continue;
+
+      const source = req[location] || {};
+      const result = schemas[location].safeParse(source);
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        errors.push(...formatIssues(result.error.issues, source, location));
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
+
+module.exports = {
+  z,
+  validate,
+  validateParam,
+  sendValidationError,
+  numeric,
+  integer,
+  number,
+  booleanish,
+  requiredText,
+  optionalText,
+  textValue,
+  email,
+  optionalEmail,
+  positiveId,
+};
@@ -0,0 +1,365 @@
+// Outgoing webhooks. emitWebhookEvent() records a delivery for every
+// active subscription to the event and starts sending it without waiting;
+// failed deliveries are retried with backoff by processWebhookDeliveries.
+//
+// Each delivery is a JSON POST of { id, event, createdAt, data } with
+//   X-Webhook-Id         the event ID, the same across retries and replays
+//   X-Webhook-Event      e.g. contact.created
+//   X-Webhook-Timestamp  Unix seconds when this attempt was signed
+//   X-Webhook-Signature  sha256=HMAC-SHA256(secret, "<timestamp>.<body>")
+const crypto = require("crypto");
+const { eq, and, or, isNull, lte, asc, inArray } = require("drizzle-orm");
+const { db: defaultDb } = require("./db");
+const { webhookSubscriptions, webhookDeliveries } = require("./schema");
+const { getRetryDelay } = require("./retry");
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const BASE_DELAY_MS =
+  parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 60 * 1000;
+const MAX_DELAY_MS =
+  parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS) || 6 * 60 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE) || 20;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// A claimed row is hidden from other workers for this long
+const CLAIM_LEASE_MS = 10 * 60 * 1000;
+
+const WEBHOOK_EVENTS = [
+  "contact.created",
+  "waitlist.joined",
+  "newsletter.subscribed",
+  "inflation.calculated",
+];
+
+// Sent only by the admin test endpoint
+const PING_EVENT = "ping";
+
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+// Whether `signature` is the one signPayload gives, for receivers
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ""));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+function webhookBody(delivery) {
+  return JSON.stringify({
+    id: delivery.eventId,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload,
+  });
+}
+
+// POST one delivery to its subscription and record the outcome on it.
+// Returns "delivered", "retrying" or "failed".
+async function attemptWebhookDelivery(
+  delivery,
+  subscription,
+  {
+    db = defaultDb,
+    maxAttempts = MAX_ATTEMPTS,
+    baseDelayMs = BASE_DELAY_MS,
+    maxDelayMs = MAX_DELAY_MS,
+    now = () => new Date(),
+  } = {}
+) {
+  const attempts = (delivery.attempts || 0) + 1;
+
+  if (!subscription || !subscription.active) {
+    await db
+      .update(webhookDeliveries)
+      .set({
+        status: "failed",
+        lastError: "Subscription is disabled or deleted",
+        nextAttemptAt: null,
+        updatedAt: now(),
+      })
+      .where(eq(webhookDeliveries.id, delivery.id));
+    return "failed";
+  }
+
+  const body = webhookBody(delivery);
+  const timestamp = Math.floor(now().getTime() / 1000);
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "KR-Property-Webhooks/1.0",
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(
+          subscription.secret,
+          timestamp,
+          body
+        ),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text().catch(() => "")).slice(0, 1000);
+    if (!response.ok) error = `Receiver responded ${response.status}`;
+  } catch (requestError) {
+    error = `Request failed: ${requestError.message}`;
+  }
+
+  if (!error) {
+    await db
+      .update(webhookDeliveries)
+      .set({
+        status: "delivered",
+        attempts,
+        responseStatus,
+        responseBody,
+        lastError: null,
+        nextAttemptAt: null,
+        deliveredAt: now(),
+        updatedAt: now(),
+      })
+      .where(eq(webhookDeliveries.id, delivery.id));
+
+    console.log(
+      `✅ Webhook ${delivery.event} delivered to subscription ${subscription.id}`
+    );
+    return "delivered";
+  }
+
+  const failed = attempts >= maxAttempts;
+  const delay = getRetryDelay(attempts, baseDelayMs, maxDelayMs);
+  await db
+    .update(webhookDeliveries)
+    .set({
+      status: failed ? "failed" : "pending",
+      attempts,
+      responseStatus,
+      responseBody,
+      lastError: error,
+      nextAttemptAt: failed ? null : new Date(now().getTime() + delay),
+      updatedAt: now(),
+    })
+    .where(eq(webhookDeliveries.id, delivery.id));
+
+  if (failed) {
+    console.error(
+      `❌ Webhook delivery ${delivery.id} failed after ${attempts} attempts:`,
+      error
+    );
+    return "failed";
+  }
+
+  console.log(
+    `🔁 Webhook delivery ${delivery.id} will retry in ${Math.round(
+      delay / 1000
+    )}s:`,
+    error
+  );
+  return "retrying";
+}
+
+// Record pending deliveries of `payload` to `subscriptions`, claimed for
+// an attempt by the caller
+async function recordDeliveries(
+  db,
+  subscriptions,
+  { event, eventId = crypto.randomUUID(), payload, replayOf = null }
+) {
+  if (subscriptions.length === 0) return [];
+
+  return db
+    .insert(webhookDeliveries)
+    .values(
+      subscriptions.map((subscription) => ({
+        subscriptionId: subscription.id,
+        event,
+        eventId,
+        payload,
+        replayOf,
+        status: "pending",
+        // The worker takes it over if the attempt never records an outcome
+        nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS),
+      }))
+    )
+    .returning();
+}
+
+// Record and send deliveries of `payload` to `subscriptions`, waiting for
+// the outcomes
+async function deliverToSubscriptions(db, subscriptions, options) {
+  const deliveries = await recordDeliveries(db, subscriptions, options);
+  const byId = new Map(subscriptions.map((row) => [row.id, row]));
+
+  const outcomes = [];
+  for (const delivery of deliveries) {
+    const subscription = byId.get(delivery.subscriptionId);
+    outcomes.push({
+      delivery,
+      outcome: await attemptWebhookDelivery(delivery, subscription, { db }),
+    });
+  }
+  return outcomes;
+}
+
+// Notify every active subscription to `event`. Waits only for the
+// deliveries to be recorded, so a slow receiver can't hold up the request
+// that triggered the event. Never throws. Returns the deliveries.
+async function emitWebhookEvent(event, payload, { db = defaultDb } = {}) {
+  if (!db) return [];
+
+  try {
+    const subscriptions = await db
+      .select()
+      .from(webhookSubscriptions)
+      .where(eq(webhookSubscriptions.active, true));
+
+    const subscribed = subscriptions.filter(
+      (subscription) =>
+        Array.isArray(subscription.events) &&
+        subscription.events.includes(event)
+    );
+    const deliveries = await recordDeliveries(db, subscribed, {
+      event,
+      payload,
+    });
+
+    const byId = new Map(subscribed.map((row) => [row.id, row]));
+    for (const delivery of deliveries) {
+      const subscription = byId.get(delivery.subscriptionId);
+      attemptWebhookDelivery(delivery, subscription, { db }).catch((error) =>
+        console.error(`⚠️ Failed to attempt webhook ${delivery.id}:`, error)
+      );
+    }
+    return deliveries;
+  } catch (error) {
+    console.error(`⚠️ Failed to emit ${event} webhook:`, error);
+    return [];
+  }
+}
+
+function isDue(now) {
+  return and(
+    eq(webhookDeliveries.status, "pending"),
+    or(
+      isNull(webhookDeliveries.nextAttemptAt),
+      lte(webhookDeliveries.nextAttemptAt, now)
+    )
+  );
+}
+
+// Retry one batch of due deliveries. Returns counts per outcome.
+async function processWebhookDeliveries({
+  db = defaultDb,
+  maxAttempts = MAX_ATTEMPTS,
+  baseDelayMs = BASE_DELAY_MS,
+  maxDelayMs = MAX_DELAY_MS,
+  batchSize = BATCH_SIZE,
+  now = () => new Date(),
+} = {}) {
+  const summary = { processed: 0, delivered: 0, retrying: 0, failed: 0 };
+
+  if (!db) {
+    console.log("⚠️ Webhook worker skipped - no database connection");
+    return summary;
+  }
+
+  const dueDeliveries = await db
+    .select()
+    .from(webhookDeliveries)
+    .where(isDue(now()))
+    .orderBy(asc(webhookDeliveries.createdAt))
+    .limit(batchSize);
+  if (dueDeliveries.length === 0) return summary;
+
+  const subscriptions = await db
+    .select()
+    .from(webhookSubscriptions)
+    .where(
+      inArray(
+        webhookSubscriptions.id,
+        dueDeliveries.map((delivery) => delivery.subscriptionId)
+      )
+    );
+  const byId = new Map(subscriptions.map((row) => [row.id, row]));
+
+  for (const delivery of dueDeliveries) {
+    // Claim the row so a parallel worker doesn't send it twice
+    const claimed = await db
+      .update(webhookDeliveries)
+      .set({ nextAttemptAt: new Date(now().getTime() + CLAIM_LEASE_MS) })
+      .where(and(eq(webhookDeliveries.id, delivery.id), isDue(now())))
+      .returning();
+
+    if (claimed.length === 0) continue;
+
+    summary.processed++;
+    const outcome = await attemptWebhookDelivery(
+      delivery,
+      byId.get(delivery.subscriptionId),
+      { db, maxAttempts, baseDelayMs, maxDelayMs, now }
+    );
+    summary[outcome]++;
+  }
+
+  return summary;
+}
+
+// Run the retry worker on an interval inside the current process.
+// Returns a function that stops it.
+function startWebhookWorker({ intervalMs, ...options } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await processWebhookDeliveries(options);
+      if (summary.processed > 0) {
+        console.log("🪝 Webhook worker run:", summary);
+      }
+    } catch (error) {
+      console.error("❌ Webhook worker error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  console.log(`🪝 Webhook worker started (every ${intervalMs}ms)`);
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  DELIVERY_STATUSES,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  attemptWebhookDelivery,
+  deliverToSubscriptions,
+  emitWebhookEvent,
+  processWebhookDeliveries,
+  startWebhookWorker,
+};
@@ -0,0 +1,364 @@
+// Baseline: the schema as createTables() left it on every database before
+// migrations existed. Every statement is idempotent, so applying it to a
+// database created that way only records it as applied.
+module.exports = {
+  up: (sql) => [
+    sql`CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
+      id SERIAL PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      status TEXT DEFAULT 'pending' NOT NULL,
+      topics JSONB,
+      confirmed_at TIMESTAMP,
+      unsubscribed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    sql`CREATE TABLE IF NOT EXISTS contact_submissions (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      phone TEXT,
+      investment_amount TEXT NOT NULL,
+      message TEXT NOT NULL,
+      status TEXT DEFAULT 'new' NOT NULL,
+      assigned_to INTEGER,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    sql`CREATE TABLE IF NOT EXISTS deal_sourcing_waitlist (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL UNIQUE,
+      phone TEXT,
+      investment_amount TEXT NOT NULL,
+      experience_level TEXT NOT NULL,
+      status TEXT DEFAULT 'new' NOT NULL,
+      assigned_to INTEGER,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    sql`CREATE TABLE IF NOT EXISTS inflation_calculations (
+      id SERIAL PRIMARY KEY,
+      initial_amount NUMERIC NOT NULL,
+      years INTEGER NOT NULL,
+      inflation_rate NUMERIC NOT NULL,
+      final_amount NUMERIC NOT NULL,
+      index_type TEXT,
+      start_year INTEGER,
+      start_month INTEGER,
+      end_year INTEGER,
+      end_month INTEGER,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Investment calculator results
+    sql`CREATE TABLE IF NOT EXISTS investment_calculations (
+      id SERIAL PRIMARY KEY,
+      calculator_type TEXT NOT NULL,
+      inputs JSONB NOT NULL,
+      results JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Price index table
+    sql`CREATE TABLE IF NOT EXISTS price_indices (
+      id SERIAL PRIMARY KEY,
+      index_type TEXT NOT NULL,
+      year INTEGER NOT NULL,
+      month INTEGER NOT NULL,
+      value NUMERIC NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      UNIQUE (index_type, year, month)
+    )`,
+
+    // Learning area accounts
+    sql`CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      name TEXT,
+      password_hash TEXT,
+      role TEXT,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      last_login_at TIMESTAMP
+    )`,
+
+    sql`CREATE TABLE IF NOT EXISTS magic_link_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Staff notes on contact submissions and waitlist leads
+    sql`CREATE TABLE IF NOT EXISTS lead_notes (
+      id SERIAL PRIMARY KEY,
+      lead_type TEXT NOT NULL,
+      lead_id INTEGER NOT NULL,
+      author_id INTEGER,
+      author_name TEXT,
+      body TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Learning Progress table
+    sql`CREATE TABLE IF NOT EXISTS learning_progress (
+      id SERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      module_id TEXT NOT NULL,
+      completed TEXT DEFAULT 'false' NOT NULL,
+      score TEXT,
+      time_spent TEXT,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Achievements table
+    sql`CREATE TABLE IF NOT EXISTS achievements (
+      id SERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      badge_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      earned_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Quiz results table
+    sql`CREATE TABLE IF NOT EXISTS quiz_results (
+      id SERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      quiz_id TEXT NOT NULL,
+      score TEXT NOT NULL,
+      total_questions TEXT NOT NULL,
+      answers TEXT NOT NULL,
+      completed_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Pending emails table
+    sql`CREATE TABLE IF NOT EXISTS pending_emails (
+      id SERIAL PRIMARY KEY,
+      recipient_email TEXT NOT NULL,
+      recipient_name TEXT,
+      subject TEXT NOT NULL,
+      html_content TEXT NOT NULL,
+      text_content TEXT,
+      attachments JSONB,
+      headers JSONB,
+      email_type TEXT NOT NULL,
+      status TEXT DEFAULT 'pending' NOT NULL,
+      error_details TEXT,
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at TIMESTAMP,
+      campaign_id INTEGER,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      sent_at TIMESTAMP
+    )`,
+
+    // Newsletter campaigns table
+    sql`CREATE TABLE IF NOT EXISTS campaigns (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      text_body TEXT,
+      segment JSONB NOT NULL,
+      topic TEXT,
+      status TEXT DEFAULT 'draft' NOT NULL,
+      recipient_count INTEGER,
+      created_by INTEGER,
+      launched_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // CRM sync queue table
+    sql`CREATE TABLE IF NOT EXISTS crm_syncs (
+      id SERIAL PRIMARY KEY,
+      form_type TEXT NOT NULL,
+      record_id INTEGER,
+      provider TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT DEFAULT 'pending' NOT NULL,
+      external_id TEXT,
+      attempts INTEGER DEFAULT 0 NOT NULL,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP,
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Webhook subscriptions table
+    sql`CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      events JSONB NOT NULL,
+      secret TEXT NOT NULL,
+      description TEXT,
+      active BOOLEAN DEFAULT TRUE NOT NULL,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Webhook delivery log table
+    sql`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      subscription_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT DEFAULT 'pending' NOT NULL,
+      attempts INTEGER DEFAULT 0 NOT NULL,
+      response_status INTEGER,
+      response_body TEXT,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP,
+      delivered_at TIMESTAMP,
+      replay_of INTEGER,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Contact conversation threads table
+    sql`CREATE TABLE IF NOT EXISTS contact_messages (
+      id SERIAL PRIMARY KEY,
+      contact_id INTEGER NOT NULL,
+      direction TEXT NOT NULL,
+      status TEXT NOT NULL,
+      from_email TEXT NOT NULL,
+      to_email TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      message_id TEXT,
+      author_id INTEGER,
+      author_name TEXT,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Lead routing rules table
+    sql`CREATE TABLE IF NOT EXISTS lead_routing_rules (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      form_types JSONB,
+      conditions JSONB NOT NULL,
+      recipients JSONB NOT NULL,
+      active BOOLEAN DEFAULT TRUE NOT NULL,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Rate limit counters table
+    sql`CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at TIMESTAMP NOT NULL
+    )`,
+
+    // Rejected form submissions table
+    sql`CREATE TABLE IF NOT EXISTS form_rejections (
+      id SERIAL PRIMARY KEY,
+      form TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      ip TEXT,
+      email TEXT,
+      details JSONB,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Data subject requests table
+    sql`CREATE TABLE IF NOT EXISTS data_requests (
+      id SERIAL PRIMARY KEY,
+      type TEXT NOT NULL,
+      email TEXT,
+      email_hash TEXT NOT NULL,
+      status TEXT DEFAULT 'pending' NOT NULL,
+      source TEXT NOT NULL,
+      token_hash TEXT UNIQUE,
+      expires_at TIMESTAMP,
+      verified_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      result JSONB,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Data request and retention audit log table
+    sql`CREATE TABLE IF NOT EXISTS data_audit_log (
+      id SERIAL PRIMARY KEY,
+      request_id INTEGER,
+      action TEXT NOT NULL,
+      email_hash TEXT,
+      actor TEXT NOT NULL,
+      details JSONB,
+      created_at TIMESTAMP DEFAULT NOW() NOT NULL
+    )`,
+
+    // Columns added after the table was first created
+    sql`ALTER TABLE pending_emails ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP`,
+    sql`ALTER TABLE pending_emails ADD COLUMN IF NOT EXISTS text_content TEXT`,
+    sql`ALTER TABLE pending_emails ADD COLUMN IF NOT EXISTS attachments JSONB`,
+    sql`ALTER TABLE pending_emails ADD COLUMN IF NOT EXISTS headers JSONB`,
+    sql`ALTER TABLE pending_emails ADD COLUMN IF NOT EXISTS campaign_id INTEGER`,
+    sql`ALTER TABLE inflation_calculations ADD COLUMN IF NOT EXISTS index_type TEXT`,
+    sql`ALTER TABLE inflation_calculations ADD COLUMN IF NOT EXISTS start_year INTEGER`,
+    sql`ALTER TABLE inflation_calculations ADD COLUMN IF NOT EXISTS start_month INTEGER`,
+    sql`ALTER TABLE inflation_calculations ADD COLUMN IF NOT EXISTS end_year INTEGER`,
+    sql`ALTER TABLE inflation_calculations ADD COLUMN IF NOT EXISTS end_month INTEGER`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT`,
+    // Subscribers from before double opt-in start unconfirmed
+    sql`ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'pending' NOT NULL`,
+    sql`ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS topics JSONB`,
+    sql`ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP`,
+    sql`ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMP`,
+    sql`ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW() NOT NULL`,
+    sql`ALTER TABLE contact_submissions ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'new' NOT NULL`,
+    sql`ALTER TABLE contact_submissions ADD COLUMN IF NOT EXISTS assigned_to INTEGER`,
+    sql`ALTER TABLE contact_submissions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW() NOT NULL`,
+    sql`ALTER TABLE deal_sourcing_waitlist ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'new' NOT NULL`,
+    sql`ALTER TABLE deal_sourcing_waitlist ADD COLUMN IF NOT EXISTS assigned_to INTEGER`,
+    sql`ALTER TABLE deal_sourcing_waitlist ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW() NOT NULL`,
+    sql`ALTER TABLE contact_submissions ADD COLUMN IF NOT EXISTS investment_value BIGINT`,
+    sql`ALTER TABLE contact_submissions ADD COLUMN IF NOT EXISTS investment_band TEXT`,
+    sql`ALTER TABLE deal_sourcing_waitlist ADD COLUMN IF NOT EXISTS investment_value BIGINT`,
+    sql`ALTER TABLE deal_sourcing_waitlist ADD COLUMN IF NOT EXISTS investment_band TEXT`,
+
+    // Full-text search indexes for the admin leads API; the expressions
+    // must match searchVector() in lib/schema.js
+    sql`CREATE INDEX IF NOT EXISTS contact_submissions_search_idx ON contact_submissions USING GIN (to_tsvector('english', coalesce(name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(phone, '') || ' ' || coalesce(investment_amount, '') || ' ' || coalesce(message, '')))`,
+    sql`CREATE INDEX IF NOT EXISTS deal_sourcing_waitlist_search_idx ON deal_sourcing_waitlist USING GIN (to_tsvector('english', coalesce(name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(phone, '') || ' ' || coalesce(investment_amount, '') || ' ' || coalesce(experience_level, '')))`,
+
+    // CRM sync status per record
+    sql`CREATE INDEX IF NOT EXISTS crm_syncs_record_idx ON crm_syncs (form_type, record_id)`,
+
+    // Delivery log per webhook subscription
+    sql`CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_idx ON webhook_deliveries (subscription_id)`,
+
+    // Contact conversation threads, and matching replies to them
+    sql`CREATE INDEX IF NOT EXISTS contact_messages_contact_id_idx ON contact_messages (contact_id)`,
+    sql`CREATE INDEX IF NOT EXISTS contact_messages_message_id_idx ON contact_messages (message_id)`,
+
+    // Recent form rejections for review
+    sql`CREATE INDEX IF NOT EXISTS form_rejections_created_at_idx ON form_rejections (created_at)`,
+
+    sql`CREATE INDEX IF NOT EXISTS data_requests_email_hash_idx ON data_requests (email_hash)`,
+    sql`CREATE INDEX IF NOT EXISTS data_audit_log_request_id_idx ON data_audit_log (request_id)`,
+
+    // Per-recipient delivery status of a campaign
+    sql`CREATE INDEX IF NOT EXISTS pending_emails_campaign_id_idx ON pending_emails (campaign_id)`,
+  ],
+  // Databases adopted with this baseline held live data before migrations
+  // existed, so rolling it back would drop every lead, subscriber and
+  // learner. Restore from a backup instead.
+  down: () => {
+    throw new Error(
+      "0001_baseline can't be rolled back: it would drop every table. Restore from a backup instead."
+    );
+  },
+};
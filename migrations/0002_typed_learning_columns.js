@@ -0,0 +1,65 @@
+// Learning and quiz columns stored as text become typed, converting the
+// existing values:
+//   - completed: "true", "t", "1", "yes", "y" and "on" (any case) are
+//     true, anything else false, as the API treated them
+//   - score, time_spent, total_questions: numbers, time_spent rounded to
+//     whole units; values that aren't numbers become NULL
+//   - answers: JSON strings are parsed; a value that isn't valid JSON is
+//     kept as a JSON string rather than lost
+// Rolling back turns the values into text again; NULL quiz scores and
+// totals come back as "".
+module.exports = {
+  up: (sql) => [
+    sql`CREATE FUNCTION pg_temp.text_to_jsonb(value TEXT) RETURNS JSONB AS $$
+    BEGIN
+      RETURN value::jsonb;
+    EXCEPTION WHEN others THEN
+      RETURN to_jsonb(value);
+    END;
+    $$ LANGUAGE plpgsql IMMUTABLE`,
+
+    sql`ALTER TABLE learning_progress ALTER COLUMN completed DROP DEFAULT`,
+    sql`ALTER TABLE learning_progress ALTER COLUMN completed TYPE BOOLEAN
+      USING lower(trim(completed)) IN ('true', 't', '1', 'yes', 'y', 'on')`,
+    sql`ALTER TABLE learning_progress ALTER COLUMN completed SET DEFAULT FALSE`,
+    sql`ALTER TABLE learning_progress ALTER COLUMN score TYPE NUMERIC
+      USING CASE WHEN trim(score) ~ '^[-+]?([0-9]+[.]?[0-9]*|[.][0-9]+)$'
+        THEN trim(score)::numeric END`,
+    sql`ALTER TABLE learning_progress ALTER COLUMN time_spent TYPE INTEGER
+      USING CASE WHEN trim(time_spent) ~ '^[-+]?([0-9]+[.]?[0-9]*|[.][0-9]+)$'
+        THEN CASE WHEN abs(trim(time_spent)::numeric) < 2147483647
+          THEN round(trim(time_spent)::numeric)::integer END END`,
+
+    sql`ALTER TABLE quiz_results ALTER COLUMN score DROP NOT NULL`,
+    sql`ALTER TABLE quiz_results ALTER COLUMN score TYPE NUMERIC
+      USING CASE WHEN trim(score) ~ '^[-+]?([0-9]+[.]?[0-9]*|[.][0-9]+)$'
+        THEN trim(score)::numeric END`,
+    sql`ALTER TABLE quiz_results ALTER COLUMN total_questions DROP NOT NULL`,
+    sql`ALTER TABLE quiz_results ALTER COLUMN total_questions TYPE INTEGER
+      USING CASE WHEN trim(total_questions) ~ '^[+]?[0-9]{1,9}$'
+        THEN trim(total_questions)::integer END`,
+    sql`ALTER TABLE quiz_results ALTER COLUMN answers TYPE JSONB
+      USING pg_temp.text_to_jsonb(answers)`,
+
+    sql`DROP FUNCTION pg_temp.text_to_jsonb(TEXT)`,
+  ],
+  down: (sql) => [
+    sql`ALTER TABLE learning_progress ALTER COLUMN completed DROP DEFAULT`,
+    sql`ALTER TABLE learning_progress ALTER COLUMN completed TYPE TEXT
+      USING CASE WHEN completed THEN 'true' ELSE 'false' END`,
+    sql`ALTER TABLE learning_progress ALTER COLUMN completed SET DEFAULT 'false'`,
+    sql`ALTER TABLE learning_progress ALTER COLUMN score TYPE TEXT
+      USING score::text`,
+    sql`ALTER TABLE learning_progress ALTER COLUMN time_spent TYPE TEXT
+      USING time_spent::text`,
+
+    sql`ALTER TABLE quiz_results ALTER COLUMN score TYPE TEXT
+      USING coalesce(score::text, '')`,
+    sql`ALTER TABLE quiz_results ALTER COLUMN score SET NOT NULL`,
+    sql`ALTER TABLE quiz_results ALTER COLUMN total_questions TYPE TEXT
+      USING coalesce(total_questions::text, '')`,
+    sql`ALTER TABLE quiz_results ALTER COLUMN total_questions SET NOT NULL`,
+    sql`ALTER TABLE quiz_results ALTER COLUMN answers TYPE TEXT
+      USING answers::text`,
+  ],
+};
@@ -0,0 +1,16 @@
+// 0003_add_leaderboard_profile
+// Generated from lib/schema.js by `npm run db:generate`; review it
+// before applying.
+// Display names and the opt-in flag for the public learning leaderboard.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name TEXT`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS leaderboard_opt_in BOOLEAN DEFAULT FALSE NOT NULL`,
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS users_display_name_idx ON users (lower("display_name"))`,
+  ],
+  down: (sql) => [
+    sql`DROP INDEX IF EXISTS users_display_name_idx`,
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS leaderboard_opt_in`,
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS display_name`,
+  ],
+};
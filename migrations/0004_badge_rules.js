@@ -0,0 +1,90 @@
+// Server-side badge rules (lib/badges.js):
+//   - learning_activity_days records the days each learner saved progress
+//     or a quiz result, for streak badges. It's backfilled from the
+//     progress and quiz timestamps already stored; progress only keeps its
+//     first and latest update, so earlier streaks may be undercounted.
+//   - achievements gets a unique (user_id, badge_id) index so a badge is
+//     only awarded once. Duplicates are removed first, keeping the
+//     earliest.
+//   - Achievements were created by clients until now, with any badge ID,
+//     title and description. They're replaced by what the rules award on
+//     the data held: badges the learner earned keep their earned_at and
+//     get the catalogue's wording, everything else is deleted.
+// The catalogue and rules below are lib/badges.js as of this migration.
+// Rolling back leaves the achievements as the rules awarded them.
+module.exports = {
+  up: (sql) => [
+    sql`CREATE TABLE IF NOT EXISTS learning_activity_days (
+      id SERIAL PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      day DATE NOT NULL,
+      UNIQUE (user_id, day)
+    )`,
+    sql`INSERT INTO learning_activity_days (user_id, day)
+      SELECT user_id, created_at::date FROM learning_progress
+      UNION
+      SELECT user_id, updated_at::date FROM learning_progress
+      UNION
+      SELECT user_id, completed_at::date FROM quiz_results
+      ON CONFLICT DO NOTHING`,
+
+    sql`DELETE FROM achievements a USING achievements b
+      WHERE a.user_id = b.user_id AND a.badge_id = b.badge_id
+        AND (a.earned_at, a.id) > (b.earned_at, b.id)`,
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS achievements_user_badge_idx ON achievements (user_id, badge_id)`,
+
+    sql`CREATE TEMP TABLE earned_badges ON COMMIT DROP AS
+      WITH learners AS (
+        SELECT user_id FROM learning_progress
+        UNION SELECT user_id FROM quiz_results
+        UNION SELECT user_id FROM learning_activity_days
+      ),
+      stats AS (
+        SELECT
+          l.user_id,
+          (SELECT count(*) FROM learning_progress p
+            WHERE p.user_id = l.user_id AND p.completed) AS modules_completed,
+          (SELECT count(DISTINCT q.quiz_id) FROM quiz_results q
+            WHERE q.user_id = l.user_id) AS quizzes_taken,
+          (SELECT count(DISTINCT q.quiz_id) FROM quiz_results q
+            WHERE q.user_id = l.user_id AND q.total_questions > 0
+              AND q.score >= q.total_questions) AS perfect_quizzes,
+          (SELECT coalesce(max(runs.length), 0) FROM (
+            SELECT count(*) AS length FROM (
+              SELECT d.day - (row_number() OVER (ORDER BY d.day))::int AS run
+              FROM learning_activity_days d WHERE d.user_id = l.user_id
+            ) days GROUP BY days.run
+          ) runs) AS longest_streak
+        FROM learners l
+      )
+      SELECT s.user_id, b.badge_id, b.title, b.description
+      FROM stats s
+      JOIN (VALUES
+        ('first-module', 'First Steps', 'Complete your first module', 'modulesCompleted', 1),
+        ('five-modules', 'Getting Going', 'Complete 5 modules', 'modulesCompleted', 5),
+        ('ten-modules', 'Dedicated Learner', 'Complete 10 modules', 'modulesCompleted', 10),
+        ('first-quiz', 'Quiz Taker', 'Take your first quiz', 'quizzesTaken', 1),
+        ('perfect-quiz', 'Full Marks', 'Score 100% on any quiz', 'perfectQuizzes', 1),
+        ('three-day-streak', 'On a Roll', 'Learn on 3 days in a row', 'longestStreak', 3),
+        ('seven-day-streak', 'Week Streak', 'Learn on 7 days in a row', 'longestStreak', 7)
+      ) AS b (badge_id, title, description, metric, target)
+        ON CASE b.metric
+          WHEN 'modulesCompleted' THEN s.modules_completed
+          WHEN 'quizzesTaken' THEN s.quizzes_taken
+          WHEN 'perfectQuizzes' THEN s.perfect_quizzes
+          WHEN 'longestStreak' THEN s.longest_streak
+        END >= b.target`,
+    sql`DELETE FROM achievements a WHERE NOT EXISTS (
+      SELECT 1 FROM earned_badges e
+      WHERE e.user_id = a.user_id AND e.badge_id = a.badge_id
+    )`,
+    sql`INSERT INTO achievements (user_id, badge_id, title, description)
+      SELECT user_id, badge_id, title, description FROM earned_badges
+      ON CONFLICT (user_id, badge_id) DO UPDATE
+        SET title = EXCLUDED.title, description = EXCLUDED.description`,
+  ],
+  down: (sql) => [
+    sql`DROP INDEX IF EXISTS achievements_user_badge_idx`,
+    sql`DROP TABLE IF EXISTS learning_activity_days`,
+  ],
+};
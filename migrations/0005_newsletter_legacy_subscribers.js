@@ -0,0 +1,22 @@
+// Subscribers from before double opt-in were given the new status
+// column's 'pending' default, so they were never asked to confirm and no
+// newsletter reaches them. They become 'legacy': still not sent to, kept
+// by the retention job, and asked to confirm by the re-confirmation send
+// (POST /api/admin/campaigns/reconfirmation).
+//
+// Nothing recorded which 'pending' rows did get a confirmation email, so
+// every unconfirmed row becomes 'legacy'. A confirmation link already sent
+// still works for them. confirmation_sent_at records each request from
+// now on; the retention job counts from it.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE newsletter_subscriptions ADD COLUMN IF NOT EXISTS confirmation_sent_at TIMESTAMP`,
+    sql`UPDATE newsletter_subscriptions SET status = 'legacy'
+      WHERE status = 'pending' AND confirmed_at IS NULL`,
+  ],
+  down: (sql) => [
+    sql`UPDATE newsletter_subscriptions SET status = 'pending'
+      WHERE status = 'legacy'`,
+    sql`ALTER TABLE newsletter_subscriptions DROP COLUMN IF EXISTS confirmation_sent_at`,
+  ],
+};
@@ -0,0 +1,41 @@
+// investment_value and investment_band were parsed with upper bounds
+// ("Under £50k") read as the amount and a range's trailing multiplier
+// ("between 20 and 30k") ignored. Every lead is parsed again from
+// investment_amount with lib/investment-amount.js. Both columns are derived
+// from investment_amount, so rolling back leaves the re-parsed values.
+const { normalizeInvestmentAmount } = require("../lib/investment-amount");
+
+// [{ id, value, band }] for jsonb_to_recordset
+function reparse(rows) {
+  return JSON.stringify(
+    rows.map((row) => {
+      const { investmentValue, investmentBand } = normalizeInvestmentAmount(
+        row.investment_amount
+      );
+      return { id: row.id, value: investmentValue, band: investmentBand };
+    })
+  );
+}
+
+module.exports = {
+  up: async (sql) => {
+    const contacts =
+      await sql`SELECT id, investment_amount FROM contact_submissions`;
+    const waitlist =
+      await sql`SELECT id, investment_amount FROM deal_sourcing_waitlist`;
+
+    return [
+      sql`UPDATE contact_submissions AS lead
+        SET investment_value = parsed.value, investment_band = parsed.band
+        FROM jsonb_to_recordset(${reparse(contacts)}::jsonb)
+          AS parsed(id INTEGER, value BIGINT, band TEXT)
+        WHERE lead.id = parsed.id`,
+      sql`UPDATE deal_sourcing_waitlist AS lead
+        SET investment_value = parsed.value, investment_band = parsed.band
+        FROM jsonb_to_recordset(${reparse(waitlist)}::jsonb)
+          AS parsed(id INTEGER, value BIGINT, band TEXT)
+        WHERE lead.id = parsed.id`,
+    ];
+  },
+  down: () => [],
+};
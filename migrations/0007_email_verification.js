@@ -0,0 +1,20 @@
+// Passwords only work once the account's email address is verified.
+// Registration puts the password on the emailed sign-in token, and it is
+// set on the account when the link is used.
+//
+// Accounts that have signed in without a password used a magic link, so
+// their address is verified. Nothing shows whether a password account's
+// address is real, so those stay unverified: signing in with the password
+// emails them a link to confirm it (routes/auth.js).
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP`,
+    sql`ALTER TABLE magic_link_tokens ADD COLUMN IF NOT EXISTS password_hash TEXT`,
+    sql`UPDATE users SET email_verified_at = last_login_at
+      WHERE password_hash IS NULL AND last_login_at IS NOT NULL`,
+  ],
+  down: (sql) => [
+    sql`ALTER TABLE magic_link_tokens DROP COLUMN IF EXISTS password_hash`,
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at`,
+  ],
+};
@@ -0,0 +1,15 @@
+// pending_emails.subject_email names the person an email is about when it
+// goes to someone else, e.g. a lead notification sent to staff, so data
+// requests find it. Queued lead notifications are backfilled from the
+// "- Email: ..." line of their text.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE pending_emails ADD COLUMN IF NOT EXISTS subject_email TEXT`,
+    sql`UPDATE pending_emails
+      SET subject_email = lower(substring(text_content FROM '- Email: (\\S+)'))
+      WHERE email_type = 'lead_notification' AND subject_email IS NULL`,
+  ],
+  down: (sql) => [
+    sql`ALTER TABLE pending_emails DROP COLUMN IF EXISTS subject_email`,
+  ],
+};
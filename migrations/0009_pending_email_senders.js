@@ -0,0 +1,13 @@
+// pending_emails.sender_key records which SENDERS chain (lib/mailer.js) an
+// email was first sent with, so retries use the same one. Queued deal
+// sourcing confirmations went out from the deals chain.
+module.exports = {
+  up: (sql) => [
+    sql`ALTER TABLE pending_emails ADD COLUMN IF NOT EXISTS sender_key TEXT`,
+    sql`UPDATE pending_emails SET sender_key = 'deals'
+      WHERE email_type = 'deal_sourcing_confirmation' AND sender_key IS NULL`,
+  ],
+  down: (sql) => [
+    sql`ALTER TABLE pending_emails DROP COLUMN IF EXISTS sender_key`,
+  ],
+};
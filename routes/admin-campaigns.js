@@ -0,0 +1,518 @@
+// Admin routes for newsletter campaigns. Any staff role can read; sales can
+// write drafts and send themselves a test; only admins can launch or
+// cancel a send. Launched copies go through the pending_emails outbox.
+const express = require("express");
+const { eq, and, desc, asc, count } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { campaigns, pendingEmails } = require("../lib/schema");
+const { requireRole } = require("../lib/admin-auth");
+const { NEWSLETTER_TOPICS } = require("../lib/newsletter");
+const {
+  SEGMENT_TYPES,
+  PLACEHOLDERS,
+  OUTBOX_STATUSES,
+  unknownPlaceholders,
+  resolveAudience,
+  renderCampaignEmail,
+  queueCampaign,
+  campaignStats,
+  reconfirmationStats,
+  queueReconfirmation,
+  cancelCampaignEmails,
+} = require("../lib/campaigns");
+const { sendEmail } = require("../lib/mailer");
+const {
+  z,
+  validate,
+  validateParam,
+  numeric,
+  integer,
+  number,
+  requiredText,
+  optionalText,
+  optionalEmail,
+  positiveId,
+  booleanish,
+} = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("read_only"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("id", validateParam(positiveId()));
+
+// Text that may only use the placeholders renderCampaignEmail fills in
+const templated = (schema) =>
+  schema.refine((text) => !text || unknownPlaceholders(text).length === 0, {
+    message: `Unknown placeholder; use ${PLACEHOLDERS.map(
+      (name) => `{{${name}}}`
+    ).join(", ")}`,
+  });
+
+const segment = z.discriminatedUnion(
+  "type",
+  [
+    z.object({ type: z.literal("subscribers") }),
+    z.object({ type: z.literal("waitlist") }),
+    z.object({
+      type: z.literal("investors"),
+      minInvestment: numeric(number().min(0, "Must be at least 0")),
+    }),
+  ],
+  { error: `type must be one of: ${SEGMENT_TYPES.join(", ")}` }
+);
+
+const campaignBody = z.object({
+  name: requiredText(200),
+  subject: templated(requiredText(200)),
+  body: templated(requiredText(100000)),
+  textBody: templated(optionalText(100000)),
+  segment,
+  topic: z
+    .enum(NEWSLETTER_TOPICS, {
+      error: `Must be one of: ${NEWSLETTER_TOPICS.join(", ")}`,
+    })
+    .nullable()
+    .optional(),
+});
+
+const validateCreate = validate({ body: campaignBody });
+const validateUpdate = validate({ body: campaignBody.partial() });
+
+const validateTest = validate({
+  body: z.object({ email: optionalEmail() }),
+});
+
+const validateReconfirmation = validate({
+  body: z.object({ resend: booleanish() }),
+});
+
+const validateRecipients = validate({
+  query: z.object({
+    status: z
+      .enum(OUTBOX_STATUSES, {
+        error: `Must be one of: ${OUTBOX_STATUSES.join(", ")}`,
+      })
+      .optional(),
+    limit: numeric(
+      integer()
+        .min(1, "Must be at least 1")
+        .max(200, "Must be at most 200")
+        .optional()
+    ),
+    offset: numeric(integer().min(0, "Must be at least 0").optional()),
+  }),
+});
+
+async function findCampaign(id) {
+  const rows = await db.select().from(campaigns).where(eq(campaigns.id, id));
+  return rows[0] || null;
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: "Campaign not found",
+  });
+}
+
+function notDraft(res, campaign) {
+  return res.status(409).json({
+    success: false,
+    message: `Campaign is already ${campaign.status}`,
+  });
+}
+
+// A launched campaign counts as sent once nothing is left in the outbox
+function withStats(campaign, stats) {
+  return {
+    ...campaign,
+    status:
+      campaign.status === "sending" && stats.pending === 0
+        ? "sent"
+        : campaign.status,
+    stats,
+  };
+}
+
+// List campaigns, newest first, with delivery counts
+router.get("/", async (req, res) => {
+  try {
+    const rows = await db
+      .select()
+      .from(campaigns)
+      .orderBy(desc(campaigns.createdAt), desc(campaigns.id));
+
+    const stats = await campaignStats(
+      db,
+      rows.map((campaign) => campaign.id)
+    );
+
+    res.json({
+      success: true,
+      data: rows.map((campaign) => withStats(campaign, stats[campaign.id])),
+    });
+  } catch (error) {
+    console.error("❌ List campaigns error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list campaigns",
+      error: error.message,
+    });
+  }
+});
+
+// Create a draft campaign
+router.post("/", requireRole("sales"), validateCreate, async (req, res) => {
+  try {
+    const [campaign] = await db
+      .insert(campaigns)
+      .values({ ...req.body, createdBy: req.staff.id })
+      .returning();
+
+    console.log("📣 Campaign created:", campaign.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Campaign created successfully",
+      data: campaign,
+    });
+  } catch (error) {
+    console.error("❌ Create campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create campaign",
+      error: error.message,
+    });
+  }
+});
+
+// Subscribers from before double opt-in, and how many have been asked to
+// confirm (see queueReconfirmation in lib/campaigns.js)
+router.get("/reconfirmation", async (req, res) => {
+  try {
+    res.json({ success: true, data: await reconfirmationStats(db) });
+  } catch (error) {
+    console.error("❌ Get re-confirmation stats error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get re-confirmation stats",
+      error: error.message,
+    });
+  }
+});
+
+// Email legacy subscribers a confirmation link, through the outbox like a
+// campaign. Only those not yet asked, unless `resend`.
+router.post(
+  "/reconfirmation",
+  requireRole("admin"),
+  validateReconfirmation,
+  async (req, res) => {
+    try {
+      const queued = await queueReconfirmation(db, {
+        resend: req.body.resend === true,
+      });
+
+      res.json({
+        success: true,
+        message: `Re-confirmation queued for ${queued} subscribers`,
+        data: { queued, ...(await reconfirmationStats(db)) },
+      });
+    } catch (error) {
+      console.error("❌ Queue re-confirmation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to queue re-confirmation",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Get one campaign; drafts include how many people the segment reaches now
+router.get("/:id", async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) return notFound(res);
+
+    const stats = await campaignStats(db, [campaign.id]);
+    const data = withStats(campaign, stats[campaign.id]);
+    if (campaign.status === "draft") {
+      data.audienceSize = (await resolveAudience(db, campaign)).length;
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("❌ Get campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get campaign",
+      error: error.message,
+    });
+  }
+});
+
+// Edit a draft
+router.put("/:id", requireRole("sales"), validateUpdate, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) return notFound(res);
+    if (campaign.status !== "draft") return notDraft(res, campaign);
+
+    const [updated] = await db
+      .update(campaigns)
+      .set({ ...req.body, updatedAt: new Date() })
+      .where(and(eq(campaigns.id, campaign.id), eq(campaigns.status, "draft")))
+      .returning();
+
+    if (!updated) return notDraft(res, await findCampaign(campaign.id));
+
+    res.json({
+      success: true,
+      message: "Campaign updated successfully",
+      data: updated,
+    });
+  } catch (error) {
+    console.error("❌ Update campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update campaign",
+      error: error.message,
+    });
+  }
+});
+
+// Delete a draft
+router.delete("/:id", requireRole("sales"), async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) return notFound(res);
+    if (campaign.status !== "draft") return notDraft(res, campaign);
+
+    await db
+      .delete(campaigns)
+      .where(and(eq(campaigns.id, campaign.id), eq(campaigns.status, "draft")));
+
+    console.log("🗑️ Campaign deleted:", campaign.id);
+
+    res.json({
+      success: true,
+      message: "Campaign deleted successfully",
+    });
+  } catch (error) {
+    console.error("❌ Delete campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete campaign",
+      error: error.message,
+    });
+  }
+});
+
+// Send one copy to the signed-in staff member, or to `email` when using
+// the admin API key
+router.post(
+  "/:id/test",
+  requireRole("sales"),
+  validateTest,
+  async (req, res) => {
+    try {
+      const campaign = await findCampaign(req.params.id);
+      if (!campaign) return notFound(res);
+
+      const to = req.staff.email || req.body.email;
+      if (!to) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide an email to send the test to",
+        });
+      }
+
+      const email = renderCampaignEmail(campaign, {
+        email: to,
+        name: req.staff.email ? req.staff.name : null,
+        subscription: null,
+      });
+
+      const result = await sendEmail({
+        to,
+        toName: req.staff.name,
+        subject: `[Test] ${email.subject}`,
+        html: email.html,
+        text: email.text,
+        headers: email.headers,
+        emailType: "campaign_test",
+      });
+
+      console.log(
+        `🧪 Campaign ${campaign.id} test sent to ${to}:`,
+        result.sent
+      );
+
+      res.json({
+        success: true,
+        message: result.sent
+          ? `Test email sent to ${to}`
+          : `Test email queued for ${to}`,
+        data: { to, sent: result.sent, queued: result.stored },
+      });
+    } catch (error) {
+      console.error("❌ Campaign test email error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send test email",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Launch: queue a copy for everyone in the segment right now
+router.post("/:id/send", requireRole("admin"), async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) return notFound(res);
+    if (campaign.status !== "draft") return notDraft(res, campaign);
+
+    const recipients = await resolveAudience(db, campaign);
+    if (recipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nobody in this segment can be sent to",
+      });
+    }
+
+    // Claim the draft so two launches can't both queue it
+    const [launched] = await db
+      .update(campaigns)
+      .set({
+        status: "sending",
+        recipientCount: recipients.length,
+        launchedAt: new Date(),
+        updatedAt: new Date(),
+      })
+      .where(and(eq(campaigns.id, campaign.id), eq(campaigns.status, "draft")))
+      .returning();
+
+    if (!launched) return notDraft(res, await findCampaign(campaign.id));
+
+    await queueCampaign(db, launched, recipients);
+
+    console.log(
+      `🚀 Campaign ${launched.id} launched by`,
+      req.staff.email || req.staff.name
+    );
+
+    res.status(202).json({
+      success: true,
+      message: `Campaign queued for ${recipients.length} recipients`,
+      data: launched,
+    });
+  } catch (error) {
+    console.error("❌ Launch campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to launch campaign",
+      error: error.message,
+    });
+  }
+});
+
+// Stop a launched campaign; copies already sent stay sent
+router.post("/:id/cancel", requireRole("admin"), async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) return notFound(res);
+    if (campaign.status !== "sending") {
+      return res.status(409).json({
+        success: false,
+        message: `Only a launched campaign can be cancelled; this one is ${campaign.status}`,
+      });
+    }
+
+    const cancelled = await cancelCampaignEmails(db, campaign.id);
+    const [updated] = await db
+      .update(campaigns)
+      .set({ status: "cancelled", updatedAt: new Date() })
+      .where(eq(campaigns.id, campaign.id))
+      .returning();
+
+    console.log(`🛑 Campaign ${campaign.id} cancelled (${cancelled} unsent)`);
+
+    res.json({
+      success: true,
+      message: `Campaign cancelled; ${cancelled} unsent emails cancelled`,
+      data: updated,
+    });
+  } catch (error) {
+    console.error("❌ Cancel campaign error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel campaign",
+      error: error.message,
+    });
+  }
+});
+
+// Per-recipient delivery status from the outbox
+router.get("/:id/recipients", validateRecipients, async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    const campaign = await findCampaign(req.params.id);
+    if (!campaign) return notFound(res);
+
+    const conditions = [eq(pendingEmails.campaignId, campaign.id)];
+    if (status) conditions.push(eq(pendingEmails.status, status));
+    const where = and(...conditions);
+
+    const rows = await db
+      .select({
+        id: pendingEmails.id,
+        email: pendingEmails.recipientEmail,
+        name: pendingEmails.recipientName,
+        status: pendingEmails.status,
+        attempts: pendingEmails.attempts,
+        nextAttemptAt: pendingEmails.nextAttemptAt,
+        sentAt: pendingEmails.sentAt,
+        errorDetails: pendingEmails.errorDetails,
+      })
+      .from(pendingEmails)
+      .where(where)
+      .orderBy(asc(pendingEmails.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(pendingEmails)
+      .where(where);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error("❌ List campaign recipients error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list campaign recipients",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+// Admin routes for the CRM sync log: what was sent where, what is waiting
+// to be retried and what failed. Sales can retry a sync by hand.
+const express = require("express");
+const { eq, and, desc, count } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { crmSyncs } = require("../lib/schema");
+const { requireRole } = require("../lib/admin-auth");
+const {
+  FORM_TYPES,
+  SYNC_STATUSES,
+  getAdapter,
+  attemptCrmSync,
+} = require("../lib/crm-sync");
+const {
+  z,
+  validate,
+  validateParam,
+  numeric,
+  integer,
+  positiveId,
+} = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("read_only"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("id", validateParam(positiveId()));
+
+const validateList = validate({
+  query: z.object({
+    status: z
+      .enum(SYNC_STATUSES, {
+        error: `Must be one of: ${SYNC_STATUSES.join(", ")}`,
+      })
+      .optional(),
+    formType: z
+      .enum(FORM_TYPES, { error: `Must be one of: ${FORM_TYPES.join(", ")}` })
+      .optional(),
+    recordId: positiveId().optional(),
+    limit: numeric(
+      integer()
+        .min(1, "Must be at least 1")
+        .max(200, "Must be at most 200")
+        .optional()
+    ),
+    offset: numeric(integer().min(0, "Must be at least 0").optional()),
+  }),
+});
+
+async function findSync(id) {
+  const rows = await db.select().from(crmSyncs).where(eq(crmSyncs.id, id));
+  return rows[0] || null;
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: "CRM sync not found",
+  });
+}
+
+// List syncs, newest first, e.g. ?status=failed or ?formType=contact&recordId=4
+router.get("/", validateList, async (req, res) => {
+  try {
+    const { status, formType, recordId, limit = 50, offset = 0 } = req.query;
+
+    const conditions = [];
+    if (status) conditions.push(eq(crmSyncs.status, status));
+    if (formType) conditions.push(eq(crmSyncs.formType, formType));
+    if (recordId) conditions.push(eq(crmSyncs.recordId, recordId));
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const rows = await db
+      .select()
+      .from(crmSyncs)
+      .where(where)
+      .orderBy(desc(crmSyncs.createdAt), desc(crmSyncs.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(crmSyncs)
+      .where(where);
+
+    const adapter = getAdapter();
+    res.json({
+      success: true,
+      data: rows,
+      provider: adapter ? adapter.name : null,
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error("❌ List CRM syncs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list CRM syncs",
+      error: error.message,
+    });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const sync = await findSync(req.params.id);
+    if (!sync) return notFound(res);
+
+    res.json({ success: true, data: sync });
+  } catch (error) {
+    console.error("❌ Get CRM sync error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get CRM sync",
+      error: error.message,
+    });
+  }
+});
+
+// Try a pending or failed sync again now, with a fresh set of attempts
+router.post("/:id/retry", requireRole("sales"), async (req, res) => {
+  try {
+    const adapter = getAdapter();
+    if (!adapter) {
+      return res.status(503).json({
+        success: false,
+        message: "CRM sync not configured",
+      });
+    }
+
+    const sync = await findSync(req.params.id);
+    if (!sync) return notFound(res);
+    if (sync.status === "synced") {
+      return res.status(409).json({
+        success: false,
+        message: "CRM sync already succeeded",
+      });
+    }
+
+    const outcome = await attemptCrmSync({ ...sync, attempts: 0 }, { db });
+    const updated = await findSync(sync.id);
+
+    console.log(
+      `🔄 CRM sync ${sync.id} retried by`,
+      req.staff.email || req.staff.name
+    );
+
+    res.json({
+      success: outcome === "synced",
+      message:
+        outcome === "synced"
+          ? "CRM sync succeeded"
+          : outcome === "retrying"
+          ? "CRM sync failed again and will be retried"
+          : "CRM sync failed",
+      data: updated,
+    });
+  } catch (error) {
+    console.error("❌ Retry CRM sync error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retry CRM sync",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
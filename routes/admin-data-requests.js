@@ -0,0 +1,339 @@
+// Admin routes for GDPR data subject requests: file access or erasure
+// requests for subjects whose identity staff have checked, follow up
+// partial erasures, read the audit log and run the retention job. Admins
+// only, since access requests return everything held about a person.
+const express = require("express");
+const { eq, and, gte, lte, asc, desc, count } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { dataRequests, dataAuditLog } = require("../lib/schema");
+const { requireRole } = require("../lib/admin-auth");
+const {
+  REQUEST_TYPES,
+  REQUEST_STATUSES,
+  AUDIT_ACTIONS,
+  hashEmail,
+  requestFromStaff,
+  processDataRequest,
+} = require("../lib/data-requests");
+const { RETENTION, purgeStaleData } = require("../lib/retention");
+const {
+  z,
+  validate,
+  validateParam,
+  numeric,
+  integer,
+  optionalText,
+  email,
+  booleanish,
+  positiveId,
+} = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("admin"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("id", validateParam(positiveId()));
+
+const optionalDate = () =>
+  z.preprocess(
+    (value) => (value === "" ? undefined : value),
+    z.coerce.date({ error: "Must be a date" }).optional()
+  );
+
+const pagination = {
+  limit: numeric(
+    integer()
+      .min(1, "Must be at least 1")
+      .max(200, "Must be at most 200")
+      .optional()
+  ),
+  offset: numeric(integer().min(0, "Must be at least 0").optional()),
+};
+
+const requestType = () =>
+  z.enum(REQUEST_TYPES, {
+    error: `Must be one of: ${REQUEST_TYPES.join(", ")}`,
+  });
+
+const validateList = validate({
+  query: z.object({
+    type: requestType().optional(),
+    status: z
+      .enum(REQUEST_STATUSES, {
+        error: `Must be one of: ${REQUEST_STATUSES.join(", ")}`,
+      })
+      .optional(),
+    email: optionalText(320),
+    ...pagination,
+  }),
+});
+
+const validateAudit = validate({
+  query: z.object({
+    action: z
+      .enum(AUDIT_ACTIONS, {
+        error: `Must be one of: ${AUDIT_ACTIONS.join(", ")}`,
+      })
+      .optional(),
+    requestId: positiveId().optional(),
+    email: optionalText(320),
+    from: optionalDate(),
+    to: optionalDate(),
+    ...pagination,
+  }),
+});
+
+// Staff confirm they have checked the requester is the person the email
+// address belongs to, since no confirmation email is sent
+const validateCreate = validate({
+  body: z.object({
+    email: email(),
+    type: requestType(),
+    identityVerified: z.literal(true, {
+      error: "Confirm the requester's identity has been verified",
+    }),
+    note: optionalText(1000),
+  }),
+});
+
+const validateRetention = validate({
+  body: z.object({ dryRun: booleanish() }),
+});
+
+async function findRequest(id) {
+  const rows = await db
+    .select()
+    .from(dataRequests)
+    .where(eq(dataRequests.id, id));
+  return rows[0] || null;
+}
+
+// Requests as shown to staff: the confirmation token hash stays internal
+function publicRequest({ tokenHash, ...request }) {
+  return request;
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: "Data request not found",
+  });
+}
+
+// Requests, newest first. `email` matches by hash, so it also finds
+// requests whose address has since been erased.
+router.get("/", validateList, async (req, res) => {
+  try {
+    const { type, status, limit = 50, offset = 0 } = req.query;
+
+    const conditions = [];
+    if (type) conditions.push(eq(dataRequests.type, type));
+    if (status) conditions.push(eq(dataRequests.status, status));
+    if (req.query.email) {
+      conditions.push(eq(dataRequests.emailHash, hashEmail(req.query.email)));
+    }
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const rows = await db
+      .select()
+      .from(dataRequests)
+      .where(where)
+      .orderBy(desc(dataRequests.createdAt), desc(dataRequests.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(dataRequests)
+      .where(where);
+
+    res.json({
+      success: true,
+      data: rows.map(publicRequest),
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error("❌ List data requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list data requests",
+      error: error.message,
+    });
+  }
+});
+
+// Audit log, newest first
+router.get("/audit", validateAudit, async (req, res) => {
+  try {
+    const { action, requestId, from, to, limit = 50, offset = 0 } = req.query;
+
+    const conditions = [];
+    if (action) conditions.push(eq(dataAuditLog.action, action));
+    if (requestId) conditions.push(eq(dataAuditLog.requestId, requestId));
+    if (req.query.email) {
+      conditions.push(eq(dataAuditLog.emailHash, hashEmail(req.query.email)));
+    }
+    if (from) conditions.push(gte(dataAuditLog.createdAt, from));
+    if (to) conditions.push(lte(dataAuditLog.createdAt, to));
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const rows = await db
+      .select()
+      .from(dataAuditLog)
+      .where(where)
+      .orderBy(desc(dataAuditLog.createdAt), desc(dataAuditLog.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(dataAuditLog)
+      .where(where);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error("❌ List data audit log error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list data audit log",
+      error: error.message,
+    });
+  }
+});
+
+// Retention settings, from the environment
+router.get("/retention", (req, res) => {
+  res.json({ success: true, data: RETENTION });
+});
+
+// Run the retention job now; `dryRun` only counts what it would purge
+router.post("/retention", validateRetention, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true;
+    const summary = await purgeStaleData({ dryRun });
+
+    console.log(
+      `🧹 Retention ${dryRun ? "dry run" : "run"} by ${req.staff.name}:`,
+      summary
+    );
+
+    res.json({
+      success: true,
+      message: dryRun ? "Retention dry run complete" : "Retention complete",
+      data: { dryRun, ...summary },
+    });
+  } catch (error) {
+    console.error("❌ Retention run error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run retention",
+      error: error.message,
+    });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) return notFound(res);
+
+    const audit = await db
+      .select()
+      .from(dataAuditLog)
+      .where(eq(dataAuditLog.requestId, request.id))
+      .orderBy(asc(dataAuditLog.createdAt), asc(dataAuditLog.id));
+
+    res.json({
+      success: true,
+      data: { ...publicRequest(request), audit },
+    });
+  } catch (error) {
+    console.error("❌ Get data request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get data request",
+      error: error.message,
+    });
+  }
+});
+
+// File and run a request for a verified subject. Access requests return
+// the bundle in data.bundle.
+router.post("/", validateCreate, async (req, res) => {
+  try {
+    const request = await requestFromStaff(req.body, req.staff);
+    const { request: processed, bundle } = await processDataRequest(request, {
+      actor: req.staff.name,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        processed.type === "access"
+          ? "Personal data exported"
+          : processed.status === "completed"
+          ? "Personal data erased"
+          : "Personal data partly erased, see result.retained",
+      data: { ...publicRequest(processed), bundle },
+    });
+  } catch (error) {
+    console.error("❌ Create data request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process data request",
+      error: error.message,
+    });
+  }
+});
+
+// Run a partial erasure again, e.g. once the CRM is reachable
+router.post("/:id/process", async (req, res) => {
+  try {
+    const request = await findRequest(req.params.id);
+    if (!request) return notFound(res);
+
+    if (request.status !== "partial") {
+      return res.status(409).json({
+        success: false,
+        message: "Only partially completed erasures can be run again",
+      });
+    }
+
+    const { request: processed } = await processDataRequest(request, {
+      actor: req.staff.name,
+    });
+
+    res.json({
+      success: true,
+      message:
+        processed.status === "completed"
+          ? "Personal data erased"
+          : "Personal data partly erased, see result.retained",
+      data: publicRequest(processed),
+    });
+  } catch (error) {
+    console.error("❌ Process data request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process data request",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
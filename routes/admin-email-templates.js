@@ -0,0 +1,85 @@
+// Admin routes for previewing email templates
+const express = require("express");
+const { requireAdmin } = require("../lib/admin-auth");
+const {
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+  renderPdf,
+} = require("../lib/templates");
+const { z, validate, requiredText } = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireAdmin);
+
+const previewRequest = validate({
+  params: z.object({ name: requiredText(100) }),
+  query: z.object({
+    format: z
+      .enum(["html", "text", "pdf"], { error: "Must be html, text or pdf" })
+      .optional(),
+  }),
+  body: z.record(z.string(), z.unknown(), {
+    error: "Must be an object of template data",
+  }),
+});
+
+// List available templates with their sample data
+router.get("/", (req, res) => {
+  res.json({
+    success: true,
+    data: listTemplates(),
+  });
+});
+
+// Render a template with its sample data, optionally overridden by the
+// request body. ?format=html|text|pdf returns the raw rendering, otherwise
+// JSON.
+async function preview(req, res) {
+  try {
+    const template = getTemplate(req.params.name);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Email template not found",
+      });
+    }
+
+    const data = { ...template.sampleData, ...req.body };
+    const rendered = renderTemplate(template.name, data);
+
+    if (req.query.format === "html") {
+      return res.type("html").send(rendered.html);
+    }
+    if (req.query.format === "text") {
+      return res.type("text").send(rendered.text);
+    }
+    if (req.query.format === "pdf") {
+      if (typeof template.pdf !== "function") {
+        return res.status(404).json({
+          success: false,
+          message: "Email template has no PDF version",
+        });
+      }
+      return res.type("pdf").send(await renderPdf(template.name, data));
+    }
+
+    res.json({
+      success: true,
+      data: rendered,
+    });
+  } catch (error) {
+    console.error("❌ Email template preview error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to render email template",
+      error: error.message,
+    });
+  }
+}
+
+router.get("/:name/preview", previewRequest, preview);
+router.post("/:name/preview", previewRequest, preview);
+
+module.exports = router;
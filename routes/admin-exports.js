@@ -0,0 +1,130 @@
+// Admin routes for downloading lead and calculator tables as CSV or XLSX,
+// e.g. GET /api/admin/exports/contacts?format=xlsx&from=2025-01-01
+const express = require("express");
+const { db } = require("../lib/db");
+const { requireRole } = require("../lib/admin-auth");
+const {
+  DATASETS,
+  FORMATS,
+  selectColumns,
+  writeExport,
+} = require("../lib/exports");
+const { z, validate } = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("read_only"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+const optionalDate = () =>
+  z.preprocess(
+    (value) => (value === "" ? undefined : value),
+    z.coerce.date({ error: "Must be a date" }).optional()
+  );
+
+// ?columns=name,email picks and orders the exported columns
+function columnList(dataset) {
+  const keys = dataset.columns.map(([key]) => key);
+  return z.preprocess(
+    (value) =>
+      typeof value === "string"
+        ? value
+            .split(",")
+            .map((key) => key.trim())
+            .filter(Boolean)
+        : value,
+    z
+      .array(z.enum(keys, { error: `Must be one of: ${keys.join(", ")}` }), {
+        error: "Must be a comma-separated list of columns",
+      })
+      .optional()
+  );
+}
+
+const QUERIES = Object.fromEntries(
+  Object.entries(DATASETS).map(([name, dataset]) => [
+    name,
+    z.object({
+      format: z
+        .enum(FORMATS, { error: `Must be one of: ${FORMATS.join(", ")}` })
+        .optional(),
+      columns: columnList(dataset),
+      from: optionalDate(),
+      to: optionalDate(),
+    }),
+  ])
+);
+
+router.param("dataset", (req, res, next, name) => {
+  if (!Object.prototype.hasOwnProperty.call(DATASETS, name)) {
+    return res.status(404).json({
+      success: false,
+      message: "Export not found",
+    });
+  }
+
+  req.datasetName = name;
+  next();
+});
+
+function validateExport(req, res, next) {
+  return validate({ query: QUERIES[req.datasetName] })(req, res, next);
+}
+
+// List the available exports and their columns
+router.get("/", (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(DATASETS).map(([name, dataset]) => ({
+      name,
+      path: `/api/admin/exports/${name}`,
+      title: dataset.title,
+      formats: FORMATS,
+      columns: selectColumns(dataset),
+    })),
+  });
+});
+
+// Stream an export. Errors after the first row has been sent can only
+// abort the download.
+router.get("/:dataset", validateExport, async (req, res) => {
+  const dataset = DATASETS[req.datasetName];
+  const { format = "csv", from, to } = req.query;
+  const columns = selectColumns(dataset, req.query.columns);
+
+  console.log(
+    `📤 Exporting ${req.datasetName} as ${format} for`,
+    req.staff.email || req.staff.name,
+    { from, to }
+  );
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`${req.datasetName}-${date}.${format}`);
+  res.type(format === "xlsx" ? "xlsx" : "text/csv; charset=utf-8");
+
+  try {
+    await writeExport(res, { db, dataset, format, columns, from, to });
+  } catch (error) {
+    console.error(`❌ Export ${req.datasetName} error:`, error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to export data",
+        error: error.message,
+      });
+    }
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+// Admin routes for reviewing public form submissions turned away by the
+// honeypot, rate limits or CAPTCHA (see lib/form-protection.js)
+const express = require("express");
+const { eq, and, gte, lte, desc, count } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { formRejections } = require("../lib/schema");
+const { requireRole } = require("../lib/admin-auth");
+const { REJECTION_REASONS } = require("../lib/form-protection");
+const {
+  z,
+  validate,
+  validateParam,
+  numeric,
+  integer,
+  optionalText,
+  positiveId,
+} = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("read_only"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("id", validateParam(positiveId()));
+
+const optionalDate = () =>
+  z.preprocess(
+    (value) => (value === "" ? undefined : value),
+    z.coerce.date({ error: "Must be a date" }).optional()
+  );
+
+const filters = {
+  form: optionalText(100),
+  reason: z
+    .enum(REJECTION_REASONS, {
+      error: `Must be one of: ${REJECTION_REASONS.join(", ")}`,
+    })
+    .optional(),
+  ip: optionalText(100),
+  email: optionalText(320),
+  from: optionalDate(),
+  to: optionalDate(),
+};
+
+const validateList = validate({
+  query: z.object({
+    ...filters,
+    limit: numeric(
+      integer()
+        .min(1, "Must be at least 1")
+        .max(200, "Must be at most 200")
+        .optional()
+    ),
+    offset: numeric(integer().min(0, "Must be at least 0").optional()),
+  }),
+});
+
+const validateSummary = validate({ query: z.object(filters) });
+
+function filterConditions({ form, reason, ip, email, from, to }) {
+  const conditions = [];
+  if (form) conditions.push(eq(formRejections.form, form));
+  if (reason) conditions.push(eq(formRejections.reason, reason));
+  if (ip) conditions.push(eq(formRejections.ip, ip));
+  if (email) conditions.push(eq(formRejections.email, email.toLowerCase()));
+  if (from) conditions.push(gte(formRejections.createdAt, from));
+  if (to) conditions.push(lte(formRejections.createdAt, to));
+  return conditions.length > 0 ? and(...conditions) : undefined;
+}
+
+// Rejections, newest first
+router.get("/", validateList, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const where = filterConditions(req.query);
+
+    const rows = await db
+      .select()
+      .from(formRejections)
+      .where(where)
+      .orderBy(desc(formRejections.createdAt), desc(formRejections.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(formRejections)
+      .where(where);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error("❌ List form rejections error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list form rejections",
+      error: error.message,
+    });
+  }
+});
+
+// Counts per form and reason, e.g. to spot a form under attack
+router.get("/summary", validateSummary, async (req, res) => {
+  try {
+    const rows = await db
+      .select({
+        form: formRejections.form,
+        reason: formRejections.reason,
+        count: count(),
+      })
+      .from(formRejections)
+      .where(filterConditions(req.query))
+      .groupBy(formRejections.form, formRejections.reason)
+      .orderBy(formRejections.form, formRejections.reason);
+
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error("❌ Form rejection summary error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to summarise form rejections",
+      error: error.message,
+    });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const rows = await db
+      .select()
+      .from(formRejections)
+      .where(eq(formRejections.id, req.params.id));
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Form rejection not found",
+      });
+    }
+
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    console.error("❌ Get form rejection error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get form rejection",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,321 @@
+// Admin routes for lead routing rules: which new leads are emailed to
+// which staff (see lib/lead-routing.js). Any staff role can read and
+// preview; only admins can change rules.
+const express = require("express");
+const { eq, asc } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const {
+  leadRoutingRules,
+  contactSubmissions,
+  dealSourcingWaitlist,
+} = require("../lib/schema");
+const { requireRole } = require("../lib/admin-auth");
+const {
+  FORM_TYPES,
+  NUMBER_FIELDS,
+  TEXT_FIELDS,
+  NUMBER_OPERATORS,
+  TEXT_OPERATORS,
+  matchingRules,
+} = require("../lib/lead-routing");
+const {
+  BAND_NAMES,
+  parseInvestmentAmount,
+} = require("../lib/investment-amount");
+const {
+  z,
+  validate,
+  validateParam,
+  number,
+  requiredText,
+  optionalText,
+  email,
+  booleanish,
+  positiveId,
+} = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("read_only"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("id", validateParam(positiveId()));
+
+const LEAD_TABLES = {
+  contact: contactSubmissions,
+  waitlist: dealSourcingWaitlist,
+};
+
+const formType = () =>
+  z.enum(FORM_TYPES, { error: `Must be one of: ${FORM_TYPES.join(", ")}` });
+
+// Amounts may be written like the forms', e.g. "100k" or "£1.5m"
+const amount = () =>
+  z.preprocess(
+    (value) =>
+      typeof value === "string" ? parseInvestmentAmount(value) ?? value : value,
+    number().min(0, "Must be at least 0")
+  );
+
+const textFields = TEXT_FIELDS.filter((field) => field !== "investmentBand");
+
+const band = () =>
+  z.enum(BAND_NAMES, { error: `Must be one of: ${BAND_NAMES.join(", ")}` });
+
+const condition = () =>
+  z.union(
+    [
+      z.object({
+        field: z.enum(NUMBER_FIELDS),
+        operator: z.enum(NUMBER_OPERATORS),
+        value: amount(),
+      }),
+      z.object({
+        field: z.literal("investmentBand"),
+        operator: z.enum(["eq", "neq"]),
+        value: band(),
+      }),
+      z.object({
+        field: z.literal("investmentBand"),
+        operator: z.literal("in"),
+        value: z.array(band()).min(1),
+      }),
+      z.object({
+        field: z.enum(textFields),
+        operator: z.enum(["eq", "neq", "contains"]),
+        value: requiredText(200),
+      }),
+      z.object({
+        field: z.enum(textFields),
+        operator: z.literal("in"),
+        value: z.array(requiredText(200)).min(1),
+      }),
+    ],
+    {
+      error:
+        `Must be { field, operator, value }: ${NUMBER_FIELDS.join(", ")} ` +
+        `takes ${NUMBER_OPERATORS.join(", ")} and an amount; ` +
+        `${TEXT_FIELDS.join(", ")} take ${TEXT_OPERATORS.join(", ")} ` +
+        `and text, or a list of text for "in"`,
+    }
+  );
+
+const ruleBody = z.object({
+  name: requiredText(200),
+  formTypes: z
+    .array(formType(), { error: "Must be an array of form types" })
+    .min(1, "Choose at least one form type")
+    .nullable()
+    .optional(),
+  conditions: z.array(condition(), { error: "Must be an array of conditions" }),
+  recipients: z
+    .array(email(), { error: "Must be an array of email addresses" })
+    .min(1, "Add at least one recipient"),
+  active: booleanish(),
+});
+
+const validateCreate = validate({ body: ruleBody });
+const validateUpdate = validate({ body: ruleBody.partial() });
+
+// A stored lead by ID, or the fields of a lead that hasn't been submitted
+const validatePreview = validate({
+  body: z.object({
+    formType: formType(),
+    leadId: positiveId().optional(),
+    investmentAmount: optionalText(100),
+    experienceLevel: optionalText(100),
+    name: optionalText(200),
+    email: optionalText(200),
+    message: optionalText(5000),
+  }),
+});
+
+async function findRule(id) {
+  const rows = await db
+    .select()
+    .from(leadRoutingRules)
+    .where(eq(leadRoutingRules.id, id));
+  return rows[0] || null;
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: "Lead routing rule not found",
+  });
+}
+
+// List rules, plus what conditions can test
+router.get("/", async (req, res) => {
+  try {
+    const rules = await db
+      .select()
+      .from(leadRoutingRules)
+      .orderBy(asc(leadRoutingRules.id));
+
+    res.json({
+      success: true,
+      data: rules,
+      formTypes: FORM_TYPES,
+      fields: { number: NUMBER_FIELDS, text: TEXT_FIELDS },
+      operators: { number: NUMBER_OPERATORS, text: TEXT_OPERATORS },
+      investmentBands: BAND_NAMES,
+    });
+  } catch (error) {
+    console.error("❌ List lead routing rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list lead routing rules",
+      error: error.message,
+    });
+  }
+});
+
+// Which active rules a lead would match and who they'd notify, without
+// sending anything
+router.post("/preview", validatePreview, async (req, res) => {
+  try {
+    const { formType, leadId, ...fields } = req.body;
+
+    let lead = fields;
+    if (leadId) {
+      const table = LEAD_TABLES[formType];
+      [lead] = await db.select().from(table).where(eq(table.id, leadId));
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          message: "Lead not found",
+        });
+      }
+    }
+
+    const rules = await db
+      .select()
+      .from(leadRoutingRules)
+      .where(eq(leadRoutingRules.active, true));
+    const matched = matchingRules(rules, formType, lead);
+
+    res.json({
+      success: true,
+      data: {
+        rules: matched,
+        recipients: [
+          ...new Set(
+            matched.flatMap((rule) =>
+              rule.recipients.map((recipient) => recipient.toLowerCase())
+            )
+          ),
+        ],
+      },
+    });
+  } catch (error) {
+    console.error("❌ Preview lead routing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview lead routing",
+      error: error.message,
+    });
+  }
+});
+
+router.post("/", requireRole("admin"), validateCreate, async (req, res) => {
+  try {
+    const [rule] = await db
+      .insert(leadRoutingRules)
+      .values({ ...req.body, createdBy: req.staff.id })
+      .returning();
+
+    console.log("🔔 Lead routing rule created:", rule.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Lead routing rule created successfully",
+      data: rule,
+    });
+  } catch (error) {
+    console.error("❌ Create lead routing rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create lead routing rule",
+      error: error.message,
+    });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) return notFound(res);
+
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    console.error("❌ Get lead routing rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get lead routing rule",
+      error: error.message,
+    });
+  }
+});
+
+router.put("/:id", requireRole("admin"), validateUpdate, async (req, res) => {
+  try {
+    const [updated] = await db
+      .update(leadRoutingRules)
+      .set({ ...req.body, updatedAt: new Date() })
+      .where(eq(leadRoutingRules.id, req.params.id))
+      .returning();
+
+    if (!updated) return notFound(res);
+
+    res.json({
+      success: true,
+      message: "Lead routing rule updated successfully",
+      data: updated,
+    });
+  } catch (error) {
+    console.error("❌ Update lead routing rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update lead routing rule",
+      error: error.message,
+    });
+  }
+});
+
+router.delete("/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const [deleted] = await db
+      .delete(leadRoutingRules)
+      .where(eq(leadRoutingRules.id, req.params.id))
+      .returning();
+
+    if (!deleted) return notFound(res);
+
+    console.log("🗑️ Lead routing rule deleted:", deleted.id);
+
+    res.json({
+      success: true,
+      message: "Lead routing rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("❌ Delete lead routing rule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete lead routing rule",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
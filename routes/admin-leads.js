@@ -0,0 +1,601 @@
+// Admin routes for contact submissions, the deal sourcing waitlist and
+// newsletter subscribers. Any staff role can read; sales can follow up on
+// leads (status, assignment, notes); only admins can delete.
+const express = require("express");
+const {
+  eq,
+  and,
+  or,
+  gte,
+  lte,
+  ilike,
+  isNull,
+  isNotNull,
+  desc,
+  asc,
+  count,
+  sql,
+} = require("drizzle-orm");
+const { db } = require("../lib/db");
+const {
+  LEAD_STATUSES,
+  SEARCH_COLUMNS,
+  searchVector,
+  contactSubmissions,
+  dealSourcingWaitlist,
+  newsletterSubscriptions,
+  leadNotes,
+  contactMessages,
+  crmSyncs,
+  users,
+} = require("../lib/schema");
+const { requireRole } = require("../lib/admin-auth");
+const { SUBSCRIPTION_STATUSES } = require("../lib/newsletter");
+const {
+  contactReference,
+  threadMessages,
+  sendStaffReply,
+} = require("../lib/contact-threads");
+const {
+  BAND_NAMES,
+  parseInvestmentAmount,
+} = require("../lib/investment-amount");
+const {
+  z,
+  validate,
+  validateParam,
+  numeric,
+  integer,
+  number,
+  requiredText,
+  optionalText,
+  positiveId,
+} = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("read_only"));
+
+// Collections served under /api/admin/leads/:collection. Leads support
+// follow-up; subscribers can only be listed, searched and deleted, and
+// their status is the double opt-in one from lib/newsletter.js.
+const COLLECTIONS = {
+  contacts: {
+    table: contactSubmissions,
+    leadType: "contact",
+    label: "Contact submission",
+    plural: "contact submissions",
+    search: searchVector(SEARCH_COLUMNS.contactSubmissions),
+  },
+  waitlist: {
+    table: dealSourcingWaitlist,
+    leadType: "waitlist",
+    label: "Waitlist entry",
+    plural: "waitlist entries",
+    search: searchVector(SEARCH_COLUMNS.dealSourcingWaitlist),
+  },
+  subscribers: {
+    table: newsletterSubscriptions,
+    leadType: null,
+    label: "Subscriber",
+    plural: "subscribers",
+    search: null,
+  },
+};
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("collection", (req, res, next, name) => {
+  if (!Object.prototype.hasOwnProperty.call(COLLECTIONS, name)) {
+    return res.status(404).json({
+      success: false,
+      message: "Collection not found",
+    });
+  }
+
+  req.collection = COLLECTIONS[name];
+  next();
+});
+
+router.param("id", validateParam(positiveId()));
+
+function requireLead(req, res, next) {
+  if (!req.collection.leadType) {
+    return res.status(400).json({
+      success: false,
+      message: `There are no follow-up fields for ${req.collection.plural}`,
+    });
+  }
+  next();
+}
+
+// Conversation threads exist for contact submissions only
+function requireContact(req, res, next) {
+  if (req.collection.leadType !== "contact") {
+    return res.status(400).json({
+      success: false,
+      message: `There are no conversations for ${req.collection.plural}`,
+    });
+  }
+  next();
+}
+
+const optionalDate = () =>
+  z.preprocess(
+    (value) => (value === "" ? undefined : value),
+    z.coerce.date({ error: "Must be a date" }).optional()
+  );
+
+const status = (statuses = LEAD_STATUSES) =>
+  z.enum(statuses, {
+    error: `Must be one of: ${statuses.join(", ")}`,
+  });
+
+// ID of a staff member, or "none" for unassigned leads
+const assignee = () =>
+  z.union([z.literal("none"), positiveId()], {
+    error: 'Must be a user ID or "none"',
+  });
+
+const listQuery = z.object({
+  q: optionalText(200),
+  from: optionalDate(),
+  to: optionalDate(),
+  sort: z
+    .enum(["newest", "oldest"], { error: "Must be newest or oldest" })
+    .optional(),
+  limit: numeric(
+    integer()
+      .min(1, "Must be at least 1")
+      .max(200, "Must be at most 200")
+      .optional()
+  ),
+  offset: numeric(integer().min(0, "Must be at least 0").optional()),
+});
+
+// Amounts may be written like the forms', e.g. "100k"
+const amount = () =>
+  z.preprocess(
+    (value) =>
+      typeof value === "string" && value !== ""
+        ? parseInvestmentAmount(value) ?? value
+        : value,
+    number().min(0, "Must be at least 0").optional()
+  );
+
+const leadListQuery = listQuery.extend({
+  status: status().optional(),
+  assignedTo: assignee().optional(),
+  investmentBand: z
+    .enum(BAND_NAMES, { error: `Must be one of: ${BAND_NAMES.join(", ")}` })
+    .optional(),
+  minInvestment: amount(),
+});
+
+const subscriberListQuery = listQuery.extend({
+  status: status(SUBSCRIPTION_STATUSES).optional(),
+});
+
+function validateList(req, res, next) {
+  const query = req.collection.leadType ? leadListQuery : subscriberListQuery;
+  return validate({ query })(req, res, next);
+}
+
+const validateUpdate = validate({
+  body: z
+    .object({
+      status: status().optional(),
+      assignedTo: positiveId().nullable().optional(),
+    })
+    .refine(
+      (body) => body.status !== undefined || body.assignedTo !== undefined,
+      { message: "Provide status or assignedTo" }
+    ),
+});
+
+const validateNote = validate({
+  body: z.object({ body: requiredText(5000) }),
+});
+
+const validateReply = validate({
+  body: z.object({
+    subject: optionalText(300),
+    body: requiredText(10000),
+  }),
+});
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, "\\$&");
+}
+
+// Full-text search over the lead's text, plus a substring match on email
+// so partial addresses still find it
+function searchCondition(collection, q) {
+  const emailMatch = ilike(collection.table.email, `%${escapeLike(q)}%`);
+  if (!collection.search) return emailMatch;
+
+  return or(
+    sql`${collection.search} @@ websearch_to_tsquery('english', ${q})`,
+    emailMatch
+  );
+}
+
+async function findRecord(collection, id) {
+  const rows = await db
+    .select()
+    .from(collection.table)
+    .where(eq(collection.table.id, id));
+  return rows[0] || null;
+}
+
+function notFound(res, collection) {
+  return res.status(404).json({
+    success: false,
+    message: `${collection.label} not found`,
+  });
+}
+
+// List records, newest first, with search and filters
+router.get("/:collection", validateList, async (req, res) => {
+  const { collection } = req;
+  const { table } = collection;
+
+  try {
+    const { q, from, to, sort, limit = 50, offset = 0 } = req.query;
+
+    const conditions = [];
+    if (q) conditions.push(searchCondition(collection, q));
+    if (from) conditions.push(gte(table.createdAt, from));
+    if (to) conditions.push(lte(table.createdAt, to));
+    if (req.query.status) conditions.push(eq(table.status, req.query.status));
+    if (req.query.assignedTo === "none") {
+      conditions.push(isNull(table.assignedTo));
+    } else if (req.query.assignedTo) {
+      conditions.push(eq(table.assignedTo, req.query.assignedTo));
+    }
+    if (req.query.investmentBand) {
+      conditions.push(eq(table.investmentBand, req.query.investmentBand));
+    }
+    if (req.query.minInvestment !== undefined) {
+      conditions.push(gte(table.investmentValue, req.query.minInvestment));
+    }
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const rows = await db
+      .select()
+      .from(table)
+      .where(where)
+      .orderBy(
+        sort === "oldest" ? asc(table.createdAt) : desc(table.createdAt),
+        desc(table.id)
+      )
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(table)
+      .where(where);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error(`❌ List ${collection.plural} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to list ${collection.plural}`,
+      error: error.message,
+    });
+  }
+});
+
+// Get one record; leads include their assignee, notes and CRM syncs, and
+// contact submissions their reference and conversation
+router.get("/:collection/:id", async (req, res) => {
+  const { collection } = req;
+
+  try {
+    const record = await findRecord(collection, req.params.id);
+    if (!record) return notFound(res, collection);
+
+    if (!collection.leadType) {
+      return res.json({ success: true, data: record });
+    }
+
+    const [assignedUser] = record.assignedTo
+      ? await db
+          .select({ id: users.id, email: users.email, name: users.name })
+          .from(users)
+          .where(eq(users.id, record.assignedTo))
+      : [];
+
+    const notes = await db
+      .select()
+      .from(leadNotes)
+      .where(
+        and(
+          eq(leadNotes.leadType, collection.leadType),
+          eq(leadNotes.leadId, record.id)
+        )
+      )
+      .orderBy(asc(leadNotes.createdAt), asc(leadNotes.id));
+
+    const crmSyncLog = await db
+      .select()
+      .from(crmSyncs)
+      .where(
+        and(
+          eq(crmSyncs.formType, collection.leadType),
+          eq(crmSyncs.recordId, record.id)
+        )
+      )
+      .orderBy(desc(crmSyncs.createdAt));
+
+    const conversation =
+      collection.leadType === "contact"
+        ? {
+            reference: contactReference(record.id),
+            messages: await threadMessages(record.id, { db }),
+          }
+        : {};
+
+    res.json({
+      success: true,
+      data: {
+        ...record,
+        ...conversation,
+        assignedUser: assignedUser || null,
+        notes,
+        crmSyncs: crmSyncLog,
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Get ${collection.label.toLowerCase()} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get ${collection.label.toLowerCase()}`,
+      error: error.message,
+    });
+  }
+});
+
+// Update a lead's follow-up status and/or assignee (null to unassign)
+router.patch(
+  "/:collection/:id",
+  requireRole("sales"),
+  requireLead,
+  validateUpdate,
+  async (req, res) => {
+    const { collection } = req;
+    const { table } = collection;
+
+    try {
+      const { status: newStatus, assignedTo } = req.body;
+
+      if (assignedTo) {
+        const [member] = await db
+          .select({ id: users.id })
+          .from(users)
+          .where(and(eq(users.id, assignedTo), isNotNull(users.role)));
+
+        if (!member) {
+          return res.status(400).json({
+            success: false,
+            message: "assignedTo must be a team member",
+          });
+        }
+      }
+
+      const changes = { updatedAt: new Date() };
+      if (newStatus !== undefined) changes.status = newStatus;
+      if (assignedTo !== undefined) changes.assignedTo = assignedTo;
+
+      const [updated] = await db
+        .update(table)
+        .set(changes)
+        .where(eq(table.id, req.params.id))
+        .returning();
+
+      if (!updated) return notFound(res, collection);
+
+      console.log(
+        `📋 ${collection.label} ${updated.id} updated by`,
+        req.staff.email || req.staff.name,
+        changes
+      );
+
+      res.json({
+        success: true,
+        message: `${collection.label} updated successfully`,
+        data: updated,
+      });
+    } catch (error) {
+      console.error(
+        `❌ Update ${collection.label.toLowerCase()} error:`,
+        error
+      );
+      res.status(500).json({
+        success: false,
+        message: `Failed to update ${collection.label.toLowerCase()}`,
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Add a follow-up note to a lead
+router.post(
+  "/:collection/:id/notes",
+  requireRole("sales"),
+  requireLead,
+  validateNote,
+  async (req, res) => {
+    const { collection } = req;
+
+    try {
+      const record = await findRecord(collection, req.params.id);
+      if (!record) return notFound(res, collection);
+
+      const [note] = await db
+        .insert(leadNotes)
+        .values({
+          leadType: collection.leadType,
+          leadId: record.id,
+          authorId: req.staff.id,
+          authorName: req.staff.name || req.staff.email,
+          body: req.body.body,
+        })
+        .returning();
+
+      console.log(`📝 Note added to ${collection.leadType} ${record.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: "Note added successfully",
+        data: note,
+      });
+    } catch (error) {
+      console.error("❌ Add lead note error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add note",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// A contact submission's conversation, oldest first
+router.get("/:collection/:id/messages", requireContact, async (req, res) => {
+  const { collection } = req;
+
+  try {
+    const record = await findRecord(collection, req.params.id);
+    if (!record) return notFound(res, collection);
+
+    res.json({
+      success: true,
+      data: await threadMessages(record.id, { db }),
+    });
+  } catch (error) {
+    console.error("❌ Get contact messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get messages",
+      error: error.message,
+    });
+  }
+});
+
+// Email a reply to the sender of a contact submission. New leads are
+// marked contacted.
+router.post(
+  "/:collection/:id/messages",
+  requireRole("sales"),
+  requireContact,
+  validateReply,
+  async (req, res) => {
+    const { collection } = req;
+    const { table } = collection;
+
+    try {
+      const record = await findRecord(collection, req.params.id);
+      if (!record) return notFound(res, collection);
+
+      const { message, sent } = await sendStaffReply(
+        record,
+        { ...req.body, staff: req.staff },
+        { db }
+      );
+
+      await db
+        .update(table)
+        .set({
+          status: record.status === "new" ? "contacted" : record.status,
+          updatedAt: new Date(),
+        })
+        .where(eq(table.id, record.id));
+
+      console.log(
+        `📨 Reply sent to contact ${record.id} by`,
+        req.staff.email || req.staff.name
+      );
+
+      res.status(201).json({
+        success: true,
+        message: sent
+          ? "Reply sent successfully"
+          : "Reply queued and will be retried",
+        data: message,
+      });
+    } catch (error) {
+      console.error("❌ Send contact reply error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send reply",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Delete a record and, for leads, its notes and conversation
+router.delete("/:collection/:id", requireRole("admin"), async (req, res) => {
+  const { collection } = req;
+  const { table } = collection;
+
+  try {
+    const [deleted] = await db
+      .delete(table)
+      .where(eq(table.id, req.params.id))
+      .returning({ id: table.id });
+
+    if (!deleted) return notFound(res, collection);
+
+    if (collection.leadType) {
+      await db
+        .delete(leadNotes)
+        .where(
+          and(
+            eq(leadNotes.leadType, collection.leadType),
+            eq(leadNotes.leadId, deleted.id)
+          )
+        );
+    }
+
+    if (collection.leadType === "contact") {
+      await db
+        .delete(contactMessages)
+        .where(eq(contactMessages.contactId, deleted.id));
+    }
+
+    console.log(`🗑️ ${collection.label} ${deleted.id} deleted`);
+
+    res.json({
+      success: true,
+      message: `${collection.label} deleted successfully`,
+      data: deleted,
+    });
+  } catch (error) {
+    console.error(`❌ Delete ${collection.label.toLowerCase()} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to delete ${collection.label.toLowerCase()}`,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
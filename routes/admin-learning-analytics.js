@@ -0,0 +1,124 @@
+// Admin routes for learning analytics: module completion and drop-off,
+// quiz scores and completion funnels, filterable by activity date range
+// and signup cohort. See lib/learning-analytics.js.
+const express = require("express");
+const { db } = require("../lib/db");
+const { requireRole } = require("../lib/admin-auth");
+const {
+  COHORT_PATTERN,
+  moduleStats,
+  quizStats,
+  completionFunnel,
+} = require("../lib/learning-analytics");
+const { z, validate, optionalText } = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("read_only"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+const optionalDate = () =>
+  z.preprocess(
+    (value) => (value === "" ? undefined : value),
+    z.coerce.date({ error: "Must be a date" }).optional()
+  );
+
+const filters = {
+  from: optionalDate(),
+  to: optionalDate(),
+  cohort: optionalText(7).refine(
+    (value) => value === undefined || COHORT_PATTERN.test(value),
+    "Must be a signup month as YYYY-MM"
+  ),
+};
+
+const validateFilters = validate({ query: z.object(filters) });
+
+// Funnel steps as a comma-separated list of module IDs, in order
+const validateFunnel = validate({
+  query: z.object({
+    ...filters,
+    modules: optionalText(2000)
+      .transform((value) =>
+        value
+          ? value
+              .split(",")
+              .map((moduleId) => moduleId.trim())
+              .filter(Boolean)
+          : undefined
+      )
+      .refine(
+        (modules) => modules === undefined || modules.length <= 20,
+        "Must be at most 20 modules"
+      ),
+  }),
+});
+
+// Echoed back so a report says what it covers
+function appliedFilters({ from, to, cohort }) {
+  return { from: from || null, to: to || null, cohort: cohort || null };
+}
+
+router.get("/modules", validateFilters, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await moduleStats(req.query),
+      filters: appliedFilters(req.query),
+    });
+  } catch (error) {
+    console.error("❌ Module analytics error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get module analytics",
+      error: error.message,
+    });
+  }
+});
+
+router.get("/quizzes", validateFilters, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await quizStats(req.query),
+      filters: appliedFilters(req.query),
+    });
+  } catch (error) {
+    console.error("❌ Quiz analytics error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get quiz analytics",
+      error: error.message,
+    });
+  }
+});
+
+// Without `modules`, the funnel runs through the most started modules
+router.get("/funnel", validateFunnel, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await completionFunnel(req.query),
+      filters: appliedFilters(req.query),
+    });
+  } catch (error) {
+    console.error("❌ Funnel analytics error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get funnel analytics",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
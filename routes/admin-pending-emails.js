@@ -0,0 +1,341 @@
+// Admin routes for the pending_emails outbox
+const express = require("express");
+const { eq, and, gte, lte, inArray, desc, count } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { pendingEmails } = require("../lib/schema");
+const { requireAdmin } = require("../lib/admin-auth");
+const { isEmailConfigured } = require("../lib/mailer");
+const { deliverPendingEmail } = require("../lib/email-retry-worker");
+const {
+  z,
+  validate,
+  validateParam,
+  numeric,
+  integer,
+  optionalText,
+  positiveId,
+} = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireAdmin);
+
+const STATUSES = ["pending", "sent", "failed", "cancelled"];
+
+// errorDetails is usually a JSON string, but older rows hold plain text
+function parseErrorDetails(errorDetails) {
+  if (!errorDetails) return null;
+  try {
+    return JSON.parse(errorDetails);
+  } catch (error) {
+    return errorDetails;
+  }
+}
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("id", validateParam(positiveId()));
+
+const optionalDate = () =>
+  z.preprocess(
+    (value) => (value === "" ? undefined : value),
+    z.coerce.date({ error: "Must be a date" }).optional()
+  );
+
+const validateList = validate({
+  query: z.object({
+    status: z
+      .enum(STATUSES, { error: `Must be one of: ${STATUSES.join(", ")}` })
+      .optional(),
+    emailType: optionalText(100),
+    from: optionalDate(),
+    to: optionalDate(),
+    limit: numeric(
+      integer()
+        .min(1, "Must be at least 1")
+        .max(200, "Must be at most 200")
+        .optional()
+    ),
+    offset: numeric(integer().min(0, "Must be at least 0").optional()),
+  }),
+});
+
+const validateRequeue = validate({
+  body: z.object({
+    ids: z
+      .array(numeric(integer().positive("Must be a positive number")), {
+        error: "Must be an array of IDs",
+      })
+      .optional(),
+    emailType: optionalText(100),
+  }),
+});
+
+const validatePreview = validate({
+  query: z.object({
+    format: z
+      .enum(["html", "text"], { error: "Must be html or text" })
+      .optional(),
+  }),
+});
+
+async function findEmail(id) {
+  const rows = await db
+    .select()
+    .from(pendingEmails)
+    .where(eq(pendingEmails.id, id));
+  return rows[0] || null;
+}
+
+// List pending emails, filterable by status, emailType and created date
+router.get("/", validateList, async (req, res) => {
+  try {
+    const { status, emailType, from, to, limit = 50, offset = 0 } = req.query;
+
+    const conditions = [];
+    if (status) conditions.push(eq(pendingEmails.status, status));
+    if (emailType) conditions.push(eq(pendingEmails.emailType, emailType));
+    if (from) conditions.push(gte(pendingEmails.createdAt, from));
+    if (to) conditions.push(lte(pendingEmails.createdAt, to));
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const rows = await db
+      .select({
+        id: pendingEmails.id,
+        recipientEmail: pendingEmails.recipientEmail,
+        recipientName: pendingEmails.recipientName,
+        subject: pendingEmails.subject,
+        emailType: pendingEmails.emailType,
+        status: pendingEmails.status,
+        attempts: pendingEmails.attempts,
+        nextAttemptAt: pendingEmails.nextAttemptAt,
+        createdAt: pendingEmails.createdAt,
+        sentAt: pendingEmails.sentAt,
+      })
+      .from(pendingEmails)
+      .where(where)
+      .orderBy(desc(pendingEmails.createdAt))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(pendingEmails)
+      .where(where);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error("❌ List pending emails error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list pending emails",
+      error: error.message,
+    });
+  }
+});
+
+// Move failed emails back to pending so the worker picks them up again
+router.post("/requeue-failed", validateRequeue, async (req, res) => {
+  try {
+    const { ids, emailType } = req.body;
+
+    const conditions = [eq(pendingEmails.status, "failed")];
+    if (ids && ids.length > 0) {
+      conditions.push(inArray(pendingEmails.id, ids));
+    }
+    if (emailType) conditions.push(eq(pendingEmails.emailType, emailType));
+
+    const requeued = await db
+      .update(pendingEmails)
+      .set({ status: "pending", attempts: 0, nextAttemptAt: null })
+      .where(and(...conditions))
+      .returning({ id: pendingEmails.id });
+
+    console.log("🔁 Requeued failed emails:", requeued.length);
+
+    res.json({
+      success: true,
+      message: `Requeued ${requeued.length} failed emails`,
+      data: { ids: requeued.map((row) => row.id) },
+    });
+  } catch (error) {
+    console.error("❌ Requeue failed emails error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to requeue emails",
+      error: error.message,
+    });
+  }
+});
+
+// Get a single pending email with its error details and HTML content
+router.get("/:id", async (req, res) => {
+  try {
+    const email = await findEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending email not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...email,
+        errorDetails: parseErrorDetails(email.errorDetails),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get pending email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get pending email",
+      error: error.message,
+    });
+  }
+});
+
+// Render the stored HTML (or ?format=text) as the recipient would see it
+router.get("/:id/preview", validatePreview, async (req, res) => {
+  try {
+    const email = await findEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending email not found",
+      });
+    }
+
+    if (req.query.format === "text") {
+      return res.type("text").send(email.textContent || "");
+    }
+
+    // Inline attachments are referenced by cid, which browsers can't load
+    let htmlContent = email.htmlContent;
+    for (const attachment of email.attachments || []) {
+      if (!attachment.cid) continue;
+      htmlContent = htmlContent
+        .split(`cid:${attachment.cid}`)
+        .join(`data:${attachment.contentType};base64,${attachment.content}`);
+    }
+
+    res.type("html").send(htmlContent);
+  } catch (error) {
+    console.error("❌ Preview pending email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview pending email",
+      error: error.message,
+    });
+  }
+});
+
+// Send a pending or failed email right away
+router.post("/:id/retry", async (req, res) => {
+  try {
+    const email = await findEmail(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending email not found",
+      });
+    }
+
+    if (!isEmailConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: "Email sending is not configured",
+      });
+    }
+
+    if (email.status === "sent") {
+      return res.status(409).json({
+        success: false,
+        message: "Email has already been sent",
+      });
+    }
+
+    // Give failed/cancelled rows a fresh attempt instead of failing at once
+    const outcome = await deliverPendingEmail(
+      email.status === "pending" ? email : { ...email, attempts: 0 }
+    );
+    const updated = await findEmail(email.id);
+
+    res.json({
+      success: outcome === "sent",
+      message:
+        outcome === "sent" ? "Email sent successfully" : "Email send failed",
+      data: {
+        ...updated,
+        errorDetails: parseErrorDetails(updated.errorDetails),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Retry pending email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retry pending email",
+      error: error.message,
+    });
+  }
+});
+
+// Stop the worker from sending an email
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const result = await db
+      .update(pendingEmails)
+      .set({ status: "cancelled", nextAttemptAt: null })
+      .where(
+        and(
+          eq(pendingEmails.id, req.params.id),
+          inArray(pendingEmails.status, ["pending", "failed"])
+        )
+      )
+      .returning();
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending or failed email with that ID",
+      });
+    }
+
+    console.log("🚫 Pending email cancelled:", result[0].id);
+
+    res.json({
+      success: true,
+      message: "Pending email cancelled",
+      data: {
+        ...result[0],
+        errorDetails: parseErrorDetails(result[0].errorDetails),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Cancel pending email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel pending email",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+// Admin routes for team members: users with a staff role. Staff sign in
+// through /api/auth like any other user; an admin then grants the role.
+const express = require("express");
+const { eq, asc, isNotNull } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { users } = require("../lib/schema");
+const { ROLES, requireRole } = require("../lib/admin-auth");
+const { z, validate, validateParam, positiveId } = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("read_only"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("id", validateParam(positiveId()));
+
+const validateRole = validate({
+  body: z.object({
+    role: z
+      .enum(ROLES, {
+        error: `Must be one of: ${ROLES.join(", ")}, or null`,
+      })
+      .nullable(),
+  }),
+});
+
+const staffColumns = {
+  id: users.id,
+  email: users.email,
+  name: users.name,
+  role: users.role,
+  lastLoginAt: users.lastLoginAt,
+};
+
+// List team members, e.g. to pick someone to assign a lead to
+router.get("/", async (req, res) => {
+  try {
+    const staff = await db
+      .select(staffColumns)
+      .from(users)
+      .where(isNotNull(users.role))
+      .orderBy(asc(users.email));
+
+    res.json({
+      success: true,
+      data: staff,
+    });
+  } catch (error) {
+    console.error("❌ List staff error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list staff",
+      error: error.message,
+    });
+  }
+});
+
+// Grant, change or (with null) revoke a user's staff role
+router.put(
+  "/:id/role",
+  requireRole("admin"),
+  validateRole,
+  async (req, res) => {
+    try {
+      const [user] = await db
+        .update(users)
+        .set({ role: req.body.role })
+        .where(eq(users.id, req.params.id))
+        .returning(staffColumns);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      console.log(`👥 User ${user.id} role set to:`, user.role);
+
+      res.json({
+        success: true,
+        message: user.role ? "Role updated successfully" : "Role revoked",
+        data: user,
+      });
+    } catch (error) {
+      console.error("❌ Update staff role error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update role",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,430 @@
+// Admin routes for outgoing webhooks: register receiver URLs per event,
+// browse the delivery log and replay deliveries. Admins only, since
+// subscriptions carry signing secrets and deliveries carry lead details.
+const express = require("express");
+const { eq, and, desc, count } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { webhookSubscriptions, webhookDeliveries } = require("../lib/schema");
+const { requireRole } = require("../lib/admin-auth");
+const {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  DELIVERY_STATUSES,
+  generateSecret,
+  deliverToSubscriptions,
+} = require("../lib/webhooks");
+const {
+  z,
+  validate,
+  validateParam,
+  numeric,
+  integer,
+  optionalText,
+  booleanish,
+  positiveId,
+} = require("../lib/validation");
+
+const router = express.Router();
+router.use(requireRole("admin"));
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+router.param("id", validateParam(positiveId()));
+router.param("deliveryId", validateParam(positiveId()));
+
+const receiverUrl = () =>
+  z
+    .string({ error: "Must be a string" })
+    .trim()
+    .max(2000, "Must be at most 2000 characters")
+    .refine(
+      (value) => {
+        try {
+          return ["http:", "https:"].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      { message: "Must be an http(s) URL" }
+    );
+
+const events = () =>
+  z
+    .array(
+      z.enum(WEBHOOK_EVENTS, {
+        error: `Must be one of: ${WEBHOOK_EVENTS.join(", ")}`,
+      }),
+      { error: "Must be an array of events" }
+    )
+    .min(1, "Choose at least one event");
+
+const subscriptionBody = z.object({
+  url: receiverUrl(),
+  events: events(),
+  description: optionalText(500),
+  active: booleanish(),
+});
+
+const validateCreate = validate({ body: subscriptionBody });
+const validateUpdate = validate({ body: subscriptionBody.partial() });
+
+const validateDeliveries = validate({
+  query: z.object({
+    subscriptionId: positiveId().optional(),
+    event: z
+      .enum([...WEBHOOK_EVENTS, PING_EVENT], {
+        error: `Must be one of: ${WEBHOOK_EVENTS.join(", ")}, ${PING_EVENT}`,
+      })
+      .optional(),
+    status: z
+      .enum(DELIVERY_STATUSES, {
+        error: `Must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+      })
+      .optional(),
+    limit: numeric(
+      integer()
+        .min(1, "Must be at least 1")
+        .max(200, "Must be at most 200")
+        .optional()
+    ),
+    offset: numeric(integer().min(0, "Must be at least 0").optional()),
+  }),
+});
+
+// Subscriptions as listed: the secret is only shown when it is created
+function publicSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+async function findSubscription(id) {
+  const rows = await db
+    .select()
+    .from(webhookSubscriptions)
+    .where(eq(webhookSubscriptions.id, id));
+  return rows[0] || null;
+}
+
+async function findDelivery(id) {
+  const rows = await db
+    .select()
+    .from(webhookDeliveries)
+    .where(eq(webhookDeliveries.id, id));
+  return rows[0] || null;
+}
+
+function subscriptionNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: "Webhook subscription not found",
+  });
+}
+
+// Delivery log, newest first
+router.get("/deliveries", validateDeliveries, async (req, res) => {
+  try {
+    const { subscriptionId, event, status, limit = 50, offset = 0 } = req.query;
+
+    const conditions = [];
+    if (subscriptionId) {
+      conditions.push(eq(webhookDeliveries.subscriptionId, subscriptionId));
+    }
+    if (event) conditions.push(eq(webhookDeliveries.event, event));
+    if (status) conditions.push(eq(webhookDeliveries.status, status));
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const rows = await db
+      .select()
+      .from(webhookDeliveries)
+      .where(where)
+      .orderBy(desc(webhookDeliveries.createdAt), desc(webhookDeliveries.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(webhookDeliveries)
+      .where(where);
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error("❌ List webhook deliveries error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list webhook deliveries",
+      error: error.message,
+    });
+  }
+});
+
+router.get("/deliveries/:deliveryId", async (req, res) => {
+  try {
+    const delivery = await findDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook delivery not found",
+      });
+    }
+
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    console.error("❌ Get webhook delivery error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get webhook delivery",
+      error: error.message,
+    });
+  }
+});
+
+// Send a logged delivery again as a new delivery with the same event ID,
+// so receivers can recognise it
+router.post("/deliveries/:deliveryId/replay", async (req, res) => {
+  try {
+    const delivery = await findDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook delivery not found",
+      });
+    }
+
+    const subscription = await findSubscription(delivery.subscriptionId);
+    if (!subscription || !subscription.active) {
+      return res.status(409).json({
+        success: false,
+        message: "The delivery's subscription is disabled or deleted",
+      });
+    }
+
+    const [{ delivery: replay, outcome }] = await deliverToSubscriptions(
+      db,
+      [subscription],
+      {
+        event: delivery.event,
+        eventId: delivery.eventId,
+        payload: delivery.payload,
+        replayOf: delivery.id,
+      }
+    );
+
+    console.log(`🪝 Webhook delivery ${delivery.id} replayed: ${outcome}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Replay ${outcome}`,
+      data: await findDelivery(replay.id),
+    });
+  } catch (error) {
+    console.error("❌ Replay webhook delivery error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to replay webhook delivery",
+      error: error.message,
+    });
+  }
+});
+
+// List subscriptions and the events they can subscribe to
+router.get("/", async (req, res) => {
+  try {
+    const rows = await db
+      .select()
+      .from(webhookSubscriptions)
+      .orderBy(desc(webhookSubscriptions.createdAt));
+
+    res.json({
+      success: true,
+      data: rows.map(publicSubscription),
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    console.error("❌ List webhook subscriptions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list webhook subscriptions",
+      error: error.message,
+    });
+  }
+});
+
+// Register a receiver. The response holds the signing secret.
+router.post("/", validateCreate, async (req, res) => {
+  try {
+    const [subscription] = await db
+      .insert(webhookSubscriptions)
+      .values({
+        ...req.body,
+        secret: generateSecret(),
+        createdBy: req.staff.id,
+      })
+      .returning();
+
+    console.log("🪝 Webhook subscription created:", subscription.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook subscription created successfully",
+      data: subscription,
+    });
+  } catch (error) {
+    console.error("❌ Create webhook subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create webhook subscription",
+      error: error.message,
+    });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+    if (!subscription) return subscriptionNotFound(res);
+
+    res.json({ success: true, data: publicSubscription(subscription) });
+  } catch (error) {
+    console.error("❌ Get webhook subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get webhook subscription",
+      error: error.message,
+    });
+  }
+});
+
+// Change the URL, events, description or active flag
+router.put("/:id", validateUpdate, async (req, res) => {
+  try {
+    const [updated] = await db
+      .update(webhookSubscriptions)
+      .set({ ...req.body, updatedAt: new Date() })
+      .where(eq(webhookSubscriptions.id, req.params.id))
+      .returning();
+
+    if (!updated) return subscriptionNotFound(res);
+
+    res.json({
+      success: true,
+      message: "Webhook subscription updated successfully",
+      data: publicSubscription(updated),
+    });
+  } catch (error) {
+    console.error("❌ Update webhook subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update webhook subscription",
+      error: error.message,
+    });
+  }
+});
+
+// Issue a new signing secret; the old one stops working immediately
+router.post("/:id/rotate-secret", async (req, res) => {
+  try {
+    const [updated] = await db
+      .update(webhookSubscriptions)
+      .set({ secret: generateSecret(), updatedAt: new Date() })
+      .where(eq(webhookSubscriptions.id, req.params.id))
+      .returning();
+
+    if (!updated) return subscriptionNotFound(res);
+
+    console.log("🔑 Webhook secret rotated:", updated.id);
+
+    res.json({
+      success: true,
+      message: "Webhook secret rotated successfully",
+      data: updated,
+    });
+  } catch (error) {
+    console.error("❌ Rotate webhook secret error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to rotate webhook secret",
+      error: error.message,
+    });
+  }
+});
+
+// Send a signed "ping" event to check a receiver is set up
+router.post("/:id/test", async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id);
+    if (!subscription) return subscriptionNotFound(res);
+
+    const [{ delivery, outcome }] = await deliverToSubscriptions(
+      db,
+      [{ ...subscription, active: true }],
+      {
+        event: PING_EVENT,
+        payload: {
+          subscriptionId: subscription.id,
+          events: subscription.events,
+        },
+      }
+    );
+
+    res.json({
+      success: outcome === "delivered",
+      message:
+        outcome === "delivered"
+          ? "Test event delivered"
+          : "Test event could not be delivered",
+      data: await findDelivery(delivery.id),
+    });
+  } catch (error) {
+    console.error("❌ Test webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send test event",
+      error: error.message,
+    });
+  }
+});
+
+// Delete a subscription and its delivery log
+router.delete("/:id", async (req, res) => {
+  try {
+    const [deleted] = await db
+      .delete(webhookSubscriptions)
+      .where(eq(webhookSubscriptions.id, req.params.id))
+      .returning();
+
+    if (!deleted) return subscriptionNotFound(res);
+
+    await db
+      .delete(webhookDeliveries)
+      .where(eq(webhookDeliveries.subscriptionId, deleted.id));
+
+    console.log("🗑️ Webhook subscription deleted:", deleted.id);
+
+    res.json({
+      success: true,
+      message: "Webhook subscription deleted successfully",
+    });
+  } catch (error) {
+    console.error("❌ Delete webhook subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete webhook subscription",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
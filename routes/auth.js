@@ -0,0 +1,337 @@
+// Sign-up and sign-in for the learning area. Every successful sign-in
+// returns a JWT session token to send as "Authorization: Bearer <token>".
+//
+// A password only works once the address is verified: registering emails
+// a sign-in link carrying the new password's hash, which is set on the
+// account when the link is used. Magic links verify the address too, and
+// drop a password set before it was verified.
+const express = require("express");
+const { eq, and, gt, isNull } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { users, magicLinkTokens } = require("../lib/schema");
+const {
+  MAGIC_LINK_TTL_MINUTES,
+  isAuthConfigured,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  createMagicLinkToken,
+  signSessionToken,
+  requireUser,
+} = require("../lib/user-auth");
+const { renderTemplate } = require("../lib/templates");
+const { sendEmail } = require("../lib/mailer");
+const { BRAND } = require("../lib/templates/branding");
+const {
+  z,
+  validate,
+  requiredText,
+  optionalText,
+  email,
+} = require("../lib/validation");
+
+// Page on the website that posts the token back to /magic-link/verify
+const MAGIC_LINK_URL =
+  process.env.MAGIC_LINK_URL || `${BRAND.websiteUrl}/learning/sign-in`;
+
+const router = express.Router();
+
+const accountEmail = () => email().toLowerCase();
+const password = () =>
+  z
+    .string({ error: "Must be a string" })
+    .min(8, "Must be at least 8 characters")
+    .max(200, "Must be at most 200 characters");
+
+const validateRegister = validate({
+  body: z.object({
+    email: accountEmail(),
+    password: password(),
+    name: optionalText(200),
+  }),
+});
+
+const validateLogin = validate({
+  body: z.object({
+    email: accountEmail(),
+    password: z.string({ error: "Must be a string" }).min(1, "Required"),
+  }),
+});
+
+const validateMagicLink = validate({
+  body: z.object({ email: accountEmail(), name: optionalText(200) }),
+});
+
+const validateMagicLinkToken = validate({
+  body: z.object({ token: requiredText(200) }),
+});
+
+function requireAuthSetup(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  if (!isAuthConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: "Authentication not configured",
+    });
+  }
+  next();
+}
+
+router.use(requireAuthSetup);
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    createdAt: user.createdAt,
+  };
+}
+
+async function findUserByEmail(address) {
+  const rows = await db.select().from(users).where(eq(users.email, address));
+  return rows[0] || null;
+}
+
+async function findOrCreateUser(address, name) {
+  const existing = await findUserByEmail(address);
+  if (existing) return existing;
+
+  const [user] = await db
+    .insert(users)
+    .values({ email: address, name: name || null })
+    .onConflictDoNothing({ target: users.email })
+    .returning();
+  if (user) console.log("✅ User created with ID:", user.id);
+  return user || (await findUserByEmail(address));
+}
+
+// Email a single-use sign-in link; `passwordHash` is set on the account
+// when it's used
+async function emailSignInLink(
+  user,
+  { template = "magic_link", passwordHash = null } = {}
+) {
+  const { token, tokenHash, expiresAt } = createMagicLinkToken();
+  await db
+    .insert(magicLinkTokens)
+    .values({ userId: user.id, tokenHash, passwordHash, expiresAt });
+
+  const url = new URL(MAGIC_LINK_URL);
+  url.searchParams.set("token", token);
+
+  const emailResult = await sendEmail({
+    to: user.email,
+    toName: user.name,
+    ...renderTemplate(template, {
+      name: user.name,
+      url: url.toString(),
+      expiresInMinutes: MAGIC_LINK_TTL_MINUTES,
+    }),
+    emailType: template,
+  });
+
+  return {
+    emailSent: emailResult.sent,
+    emailStored: emailResult.stored,
+    expiresAt,
+  };
+}
+
+// Record the login and issue a session token. `changes` are saved on the
+// user with it.
+async function startSession(user, changes = {}) {
+  const [updated] = await db
+    .update(users)
+    .set({ ...changes, lastLoginAt: new Date() })
+    .where(eq(users.id, user.id))
+    .returning();
+
+  return { token: signSessionToken(updated), user: publicUser(updated) };
+}
+
+// Create an account with email and password. The response is the same
+// whether or not the address already has an account, so it can't be used
+// to find out; either way the password is set once the emailed link is
+// used.
+router.post("/register", validateRegister, async (req, res) => {
+  try {
+    const { email: address, password: plainPassword, name } = req.body;
+    console.log("👤 Registration request:", address);
+
+    const user = await findOrCreateUser(address, name);
+    const data = await emailSignInLink(user, {
+      template: "account_confirmation",
+      passwordHash: await hashPassword(plainPassword),
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Check your email to confirm your address and sign in",
+      data,
+    });
+  } catch (error) {
+    console.error("❌ Registration error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create account",
+      error: error.message,
+    });
+  }
+});
+
+// Sign in with email and password
+router.post("/login", validateLogin, async (req, res) => {
+  try {
+    const { email: address, password: plainPassword } = req.body;
+    const user = await findUserByEmail(address);
+
+    if (!user || !(await verifyPassword(plainPassword, user.passwordHash))) {
+      console.log("⚠️ Failed login attempt:", address);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // Passwords set before addresses were verified
+    if (!user.emailVerifiedAt) {
+      console.log("⚠️ Login to unverified account:", user.id);
+      return res.status(403).json({
+        success: false,
+        message: "Check your email to confirm your address, then sign in",
+        data: await emailSignInLink(user, {
+          template: "account_confirmation",
+          passwordHash: user.passwordHash,
+        }),
+      });
+    }
+
+    console.log("✅ User logged in:", user.id);
+
+    res.json({
+      success: true,
+      message: "Logged in successfully",
+      data: await startSession(user),
+    });
+  } catch (error) {
+    console.error("❌ Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to log in",
+      error: error.message,
+    });
+  }
+});
+
+// Email a single-use sign-in link, creating the account on first use
+router.post("/magic-link", validateMagicLink, async (req, res) => {
+  try {
+    const { email: address, name } = req.body;
+    console.log("🔗 Magic link request:", address);
+
+    const user = await findOrCreateUser(address, name);
+
+    res.json({
+      success: true,
+      message: "Check your email for a sign-in link",
+      data: await emailSignInLink(user),
+    });
+  } catch (error) {
+    console.error("❌ Magic link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send sign-in link",
+      error: error.message,
+    });
+  }
+});
+
+// Exchange a magic link token for a session
+router.post("/magic-link/verify", validateMagicLinkToken, async (req, res) => {
+  try {
+    // Claim the token in one statement so it can't be used twice
+    const [claimed] = await db
+      .update(magicLinkTokens)
+      .set({ usedAt: new Date() })
+      .where(
+        and(
+          eq(magicLinkTokens.tokenHash, hashToken(req.body.token)),
+          isNull(magicLinkTokens.usedAt),
+          gt(magicLinkTokens.expiresAt, new Date())
+        )
+      )
+      .returning();
+
+    const user =
+      claimed &&
+      (await db.select().from(users).where(eq(users.id, claimed.userId)))[0];
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      });
+    }
+
+    console.log("✅ User signed in with magic link:", user.id);
+
+    // Using the link proves the address. A password from before that
+    // wasn't proven, so it's dropped unless the link sets one.
+    const changes = {};
+    if (claimed.passwordHash) changes.passwordHash = claimed.passwordHash;
+    if (!user.emailVerifiedAt) {
+      changes.emailVerifiedAt = new Date();
+      changes.passwordHash = claimed.passwordHash;
+    }
+
+    res.json({
+      success: true,
+      message: "Logged in successfully",
+      data: await startSession(user, changes),
+    });
+  } catch (error) {
+    console.error("❌ Magic link verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify sign-in link",
+      error: error.message,
+    });
+  }
+});
+
+// The signed-in user
+router.get("/me", requireUser, async (req, res) => {
+  try {
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, req.user.id));
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: publicUser(user),
+    });
+  } catch (error) {
+    console.error("❌ Get current user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get current user",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
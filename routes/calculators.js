@@ -0,0 +1,253 @@
+// Property investment calculator routes
+const express = require("express");
+const { eq } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { investmentCalculations } = require("../lib/schema");
+const { CALCULATORS } = require("../lib/calculators");
+const { renderTemplate, renderPdf } = require("../lib/templates");
+const { sendEmail } = require("../lib/mailer");
+const {
+  z,
+  validate,
+  validateParam,
+  numeric,
+  integer,
+  number,
+  booleanish,
+  optionalText,
+  optionalEmail,
+  positiveId,
+} = require("../lib/validation");
+
+const router = express.Router();
+
+const mortgageTypes = ["repayment", "interest_only"];
+
+const amount = (min) => numeric(number().min(min, `Must be at least ${min}`));
+const optionalAmount = () =>
+  numeric(number().min(0, "Must be at least 0").optional());
+const rate = () =>
+  numeric(number().min(0, "Must be at least 0").max(25, "Must be at most 25"));
+const years = () =>
+  integer().min(1, "Must be at least 1").max(40, "Must be at most 40");
+const mortgageType = () =>
+  z
+    .enum(mortgageTypes, {
+      error: `Must be one of: ${mortgageTypes.join(", ")}`,
+    })
+    .optional();
+
+// Accepted inputs for each calculator
+const INPUTS = {
+  rental_yield: z.object({
+    purchasePrice: amount(1),
+    monthlyRent: amount(0),
+    annualCosts: optionalAmount(),
+    purchaseCosts: optionalAmount(),
+  }),
+  cash_on_cash: z.object({
+    purchasePrice: amount(1),
+    deposit: amount(1),
+    purchaseCosts: optionalAmount(),
+    monthlyRent: amount(0),
+    annualCosts: optionalAmount(),
+    annualMortgagePayments: optionalAmount(),
+    mortgageRate: rate().optional(),
+    mortgageTermYears: numeric(years().optional()),
+    mortgageType: mortgageType(),
+  }),
+  mortgage: z.object({
+    loanAmount: amount(1),
+    annualRate: rate(),
+    termYears: numeric(years()),
+    type: mortgageType(),
+    monthlyRent: optionalAmount(),
+  }),
+  stamp_duty: z.object({
+    purchasePrice: amount(1),
+    additionalProperty: booleanish(),
+    firstTimeBuyer: booleanish(),
+    nonResident: booleanish(),
+  }),
+};
+
+// Request bodies: the calculator inputs plus optional report delivery
+const BODIES = Object.fromEntries(
+  Object.entries(INPUTS).map(([type, inputs]) => [
+    type,
+    inputs.extend({
+      name: optionalText(200),
+      email: optionalEmail(),
+      attachPdf: booleanish(),
+    }),
+  ])
+);
+
+BODIES.cash_on_cash = BODIES.cash_on_cash.refine(
+  (body) => body.deposit <= body.purchasePrice,
+  { message: "Cannot be more than purchasePrice", path: ["deposit"] }
+);
+
+router.param("id", validateParam(positiveId()));
+
+// Resolve :calculator, e.g. rental-yield -> rental_yield
+router.param("calculator", (req, res, next, calculator) => {
+  const type = calculator.replace(/-/g, "_");
+
+  if (!Object.prototype.hasOwnProperty.call(CALCULATORS, type)) {
+    return res.status(404).json({
+      success: false,
+      message: "Calculator not found",
+    });
+  }
+
+  req.calculatorType = type;
+  next();
+});
+
+function validateInputs(req, res, next) {
+  return validate({ body: BODIES[req.calculatorType] })(req, res, next);
+}
+
+// List available calculators and their inputs
+router.get("/", (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(CALCULATORS).map(([type, calculator]) => ({
+      type,
+      path: `/api/calculators/${type.replace(/_/g, "-")}`,
+      title: calculator.title,
+      inputs: z.toJSONSchema(INPUTS[type], { io: "output" }),
+    })),
+  });
+});
+
+// Download the report for a stored calculation as a PDF
+router.get("/calculations/:id/pdf", async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({
+        success: false,
+        message: "Database connection not available",
+      });
+    }
+
+    const { id } = req.params;
+    const [calculation] = await db
+      .select()
+      .from(investmentCalculations)
+      .where(eq(investmentCalculations.id, id))
+      .limit(1);
+
+    const calculator = calculation && CALCULATORS[calculation.calculatorType];
+    if (!calculator) {
+      return res.status(404).json({
+        success: false,
+        message: "Calculation not found",
+      });
+    }
+
+    const pdf = await renderPdf("investment_report", {
+      name: req.query.name,
+      title: calculator.title,
+      ...calculator.report(calculation.inputs, calculation.results),
+    });
+
+    res.attachment(
+      `${calculation.calculatorType.replace(/_/g, "-")}-report-${id}.pdf`
+    );
+    res.type("pdf").send(pdf);
+  } catch (error) {
+    console.error("❌ Calculation report PDF error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate calculation report PDF",
+      error: error.message,
+    });
+  }
+});
+
+// Run a calculator, e.g. POST /api/calculators/rental-yield. Pass `email`
+// (and optionally `name`) to have the report emailed.
+router.post("/:calculator", validateInputs, async (req, res) => {
+  const type = req.calculatorType;
+  const calculator = CALCULATORS[type];
+
+  try {
+    console.log(`🧮 ${calculator.title} calculation request:`, req.body);
+
+    const { name, email, attachPdf, ...inputs } = req.body;
+    const results = calculator.calculate(inputs);
+
+    // Save calculation to database if available
+    let calculationId = null;
+    if (db) {
+      try {
+        const saved = await db
+          .insert(investmentCalculations)
+          .values({ calculatorType: type, inputs, results })
+          .returning({ id: investmentCalculations.id });
+
+        calculationId = saved[0].id;
+        console.log(
+          `✅ ${calculator.title} calculation saved with ID:`,
+          calculationId
+        );
+      } catch (dbError) {
+        console.error("⚠️ Failed to save calculation to database:", dbError);
+        // Continue without failing the request
+      }
+    }
+
+    // Email the report, queueing it for retry if delivery fails
+    let emailResult = null;
+    if (email) {
+      const reportData = {
+        name,
+        title: calculator.title,
+        ...calculator.report(inputs, results),
+      };
+      const report = renderTemplate("investment_report", reportData);
+
+      const attachments = [];
+      if (attachPdf) {
+        attachments.push({
+          filename: `${type.replace(/_/g, "-")}-report.pdf`,
+          content: await renderPdf("investment_report", reportData),
+          contentType: "application/pdf",
+        });
+      }
+
+      emailResult = await sendEmail({
+        to: email,
+        toName: name,
+        ...report,
+        attachments,
+        emailType: "investment_report",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${calculator.title} calculation completed successfully`,
+      data: {
+        calculationId,
+        calculator: type,
+        inputs,
+        results,
+        emailSent: emailResult ? emailResult.sent : false,
+        emailStored: emailResult ? emailResult.stored : false,
+        calculatedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error(`❌ ${calculator.title} calculation error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to calculate ${calculator.title.toLowerCase()}`,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+// Data subject requests from the public. POST an email address and a type
+// (access or erasure); nothing happens until the link emailed to that
+// address is confirmed. The link opens a page asking for confirmation,
+// since mail scanners follow links. See lib/data-requests.js.
+const express = require("express");
+const { db } = require("../lib/db");
+const {
+  REQUEST_TYPES,
+  requestFromSubject,
+  findRequestByToken,
+  verifyDataRequest,
+  processDataRequest,
+} = require("../lib/data-requests");
+const { html } = require("../lib/templates/html");
+const { BRAND } = require("../lib/templates/branding");
+const { wantsHtml, respond } = require("../lib/pages");
+const { z, validate, requiredText, email } = require("../lib/validation");
+
+const router = express.Router();
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+const token = z.object({ token: requiredText(2000) });
+
+const validateRequest = validate({
+  body: z.object({
+    email: email(),
+    type: z.enum(REQUEST_TYPES, {
+      error: `Must be one of: ${REQUEST_TYPES.join(", ")}`,
+    }),
+  }),
+});
+const validateQueryToken = validate({ query: token });
+const validateConfirm = validate({
+  query: token.partial(),
+  body: token.partial(),
+});
+
+const CONFIRM_PROMPTS = {
+  access: (email) =>
+    `Download a copy of the personal data ${BRAND.name} holds about ${email}?`,
+  erasure: (email) =>
+    `Permanently erase the personal data ${BRAND.name} holds about ${email}? This can't be undone.`,
+};
+
+function invalidLink(req, res) {
+  return respond(req, res, 400, {
+    title: "Link not valid",
+    message: "This link is invalid or has expired.",
+  });
+}
+
+// Start a request. The answer is the same whether or not we hold any data
+// for the address, so it can't be used to find out.
+router.post("/", validateRequest, async (req, res) => {
+  try {
+    const { request } = await requestFromSubject(req.body);
+
+    res.status(202).json({
+      success: true,
+      message:
+        "Check your inbox: we've emailed a link to confirm your request.",
+      data: { type: request.type, expiresAt: request.expiresAt },
+    });
+  } catch (error) {
+    console.error("❌ Data request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create data request",
+      error: error.message,
+    });
+  }
+});
+
+// The emailed link: asks the subject to confirm
+router.get("/confirm", validateQueryToken, async (req, res) => {
+  try {
+    const request = await findRequestByToken(req.query.token);
+    if (!request) return invalidLink(req, res);
+
+    respond(req, res, 200, {
+      title:
+        request.type === "erasure" ? "Erase your data" : "Download your data",
+      message: CONFIRM_PROMPTS[request.type](request.email),
+      data: {
+        type: request.type,
+        status: request.status,
+        expiresAt: request.expiresAt,
+      },
+      form: html`
+        <form method="post">
+          <input type="hidden" name="token" value="${req.query.token}" />
+          <button
+            type="submit"
+            style="background-color: ${BRAND.color}; color: white; border: 0; padding: 12px 24px; border-radius: 5px; font-weight: bold; font-size: 16px; cursor: pointer;"
+          >
+            ${request.type === "erasure" ? "Erase my data" : "Download my data"}
+          </button>
+        </form>
+      `,
+    });
+  } catch (error) {
+    console.error("❌ Data request confirmation page error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load data request",
+      error: error.message,
+    });
+  }
+});
+
+// Confirm and run the request. Access requests answer with the data as a
+// JSON download, and can be downloaded again until the link expires.
+router.post("/confirm", validateConfirm, async (req, res) => {
+  try {
+    const tokenValue = req.query.token || req.body.token;
+    const found = tokenValue && (await findRequestByToken(tokenValue));
+    if (!found) return invalidLink(req, res);
+
+    const request = await verifyDataRequest(found);
+    const { request: processed, bundle } = await processDataRequest(request, {
+      actor: "subject",
+    });
+
+    if (processed.type === "access") {
+      if (wantsHtml(req)) {
+        res.attachment(`personal-data-${processed.id}.json`);
+        return res.send(JSON.stringify(bundle, null, 2));
+      }
+      return res.json({
+        success: true,
+        message: "Personal data exported",
+        data: bundle,
+      });
+    }
+
+    respond(req, res, 200, {
+      title: "Data erased",
+      message:
+        processed.status === "completed"
+          ? "We've erased the personal data we held about you."
+          : `We've erased the personal data held on our own systems and our team will finish removing the rest. Questions? Contact us at ${BRAND.email}.`,
+      data: { status: processed.status },
+    });
+  } catch (error) {
+    console.error("❌ Data request processing error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process data request",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
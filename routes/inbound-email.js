@@ -0,0 +1,127 @@
+// Inbound parse webhook: the mail provider posts replies sent to
+// CONTACT_REPLY_TO here and they join the contact submission's thread.
+// Point the provider at /api/inbound-email?token=<INBOUND_EMAIL_TOKEN>; it
+// can post JSON, form fields or multipart (see parseInboundEmail).
+const crypto = require("crypto");
+const express = require("express");
+const multer = require("multer");
+const { db } = require("../lib/db");
+const { bearerToken } = require("../lib/user-auth");
+const {
+  parseInboundEmail,
+  recordInboundReply,
+} = require("../lib/contact-threads");
+
+const INBOUND_EMAIL_TOKEN = process.env.INBOUND_EMAIL_TOKEN;
+
+const router = express.Router();
+
+// Attachments aren't kept, so they're read and dropped rather than
+// buffered. Fields get the same limit as the JSON and form parsers.
+const discardFiles = {
+  _handleFile(req, file, cb) {
+    file.stream.on("error", cb);
+    file.stream.on("end", () => cb(null, {}));
+    file.stream.resume();
+  },
+  _removeFile(req, file, cb) {
+    cb(null);
+  },
+};
+
+const multipart = multer({
+  storage: discardFiles,
+  limits: { fieldSize: 10 * 1024 * 1024 },
+}).any();
+
+// Multipart bodies (SendGrid Inbound Parse); other types pass through
+function parseMultipart(req, res, next) {
+  multipart(req, res, (error) => {
+    if (!error) return next();
+
+    console.error("❌ Inbound email multipart error:", error);
+    res.status(error instanceof multer.MulterError ? 413 : 400).json({
+      success: false,
+      message: "Invalid inbound email body",
+      error: error.message,
+    });
+  });
+}
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireInboundToken(req, res, next) {
+  if (!INBOUND_EMAIL_TOKEN) {
+    return res.status(503).json({
+      success: false,
+      message: "Inbound email not configured",
+    });
+  }
+
+  const token = req.query.token || bearerToken(req);
+  if (!token || !tokensMatch(token, INBOUND_EMAIL_TOKEN)) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid inbound email token",
+    });
+  }
+  next();
+}
+
+router.post("/", requireInboundToken, parseMultipart, async (req, res) => {
+  try {
+    if (!db) {
+      return res.status(500).json({
+        success: false,
+        message: "Database connection not available",
+      });
+    }
+
+    const email = parseInboundEmail(req.body || {});
+    if (!email.from) {
+      return res.status(400).json({
+        success: false,
+        message: "Inbound email has no sender",
+      });
+    }
+
+    const message = await recordInboundReply(email);
+
+    // Answer 2xx either way so the provider doesn't retry an email we
+    // can't place
+    if (!message) {
+      console.log(
+        `⚠️ Inbound email from ${email.from} matched no contact submission:`,
+        email.subject
+      );
+      return res.status(202).json({
+        success: true,
+        message: "Email did not match a contact submission",
+        data: null,
+      });
+    }
+
+    console.log(
+      `📨 Reply from ${email.from} added to contact ${message.contactId}`
+    );
+
+    res.json({
+      success: true,
+      message: "Reply recorded",
+      data: { id: message.id, contactId: message.contactId },
+    });
+  } catch (error) {
+    console.error("❌ Inbound email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process inbound email",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
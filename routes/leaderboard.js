@@ -0,0 +1,182 @@
+// Public learning leaderboard. Only learners who opted in appear, by their
+// display name; learners manage their entry at /me with a session token.
+const express = require("express");
+const { eq, and, ne, sql } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { users } = require("../lib/schema");
+const { requireUser } = require("../lib/user-auth");
+const {
+  leaderboard,
+  leaderboardStanding,
+} = require("../lib/learning-analytics");
+const {
+  z,
+  validate,
+  sendValidationError,
+  numeric,
+  integer,
+  requiredText,
+} = require("../lib/validation");
+
+const router = express.Router();
+
+function requireDb(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  next();
+}
+
+router.use(requireDb);
+
+const validateList = validate({
+  query: z.object({
+    limit: numeric(
+      integer()
+        .min(1, "Must be at least 1")
+        .max(100, "Must be at most 100")
+        .optional()
+    ),
+    offset: numeric(integer().min(0, "Must be at least 0").optional()),
+  }),
+});
+
+// Shown publicly, so it mustn't be an email address
+const displayName = () =>
+  requiredText(40)
+    .min(2, "Must be at least 2 characters")
+    .refine((value) => !value.includes("@"), "Must not be an email address");
+
+const validateProfile = validate({
+  body: z.object({
+    optIn: z.boolean({ error: "Must be true or false" }),
+    displayName: displayName().optional(),
+  }),
+});
+
+async function findUser(id) {
+  const rows = await db.select().from(users).where(eq(users.id, id));
+  return rows[0] || null;
+}
+
+async function profile(user) {
+  return {
+    optIn: user.leaderboardOptIn,
+    displayName: user.displayName,
+    standing: user.leaderboardOptIn ? await leaderboardStanding(user.id) : null,
+  };
+}
+
+function userNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: "User not found",
+  });
+}
+
+router.get("/", validateList, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const { entries, total } = await leaderboard({ limit, offset });
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { total, limit, offset },
+    });
+  } catch (error) {
+    console.error("❌ Get leaderboard error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get leaderboard",
+      error: error.message,
+    });
+  }
+});
+
+// The signed-in learner's leaderboard settings and entry
+router.get("/me", requireUser, async (req, res) => {
+  try {
+    const user = await findUser(req.user.id);
+    if (!user) return userNotFound(res);
+
+    res.json({ success: true, data: await profile(user) });
+  } catch (error) {
+    console.error("❌ Get leaderboard profile error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get leaderboard profile",
+      error: error.message,
+    });
+  }
+});
+
+// Opt in or out, and set the display name. Opting in needs a display
+// name, given now or kept from before.
+router.put("/me", requireUser, validateProfile, async (req, res) => {
+  try {
+    const user = await findUser(req.user.id);
+    if (!user) return userNotFound(res);
+
+    const name = req.body.displayName || user.displayName;
+    if (req.body.optIn && !name) {
+      return sendValidationError(res, [
+        {
+          location: "body",
+          field: "displayName",
+          message: "Required to join the leaderboard",
+        },
+      ]);
+    }
+
+    if (req.body.displayName) {
+      const taken = await db
+        .select({ id: users.id })
+        .from(users)
+        .where(
+          and(
+            sql`lower(${users.displayName}) = ${name.toLowerCase()}`,
+            ne(users.id, user.id)
+          )
+        );
+      if (taken.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Display name is already taken",
+        });
+      }
+    }
+
+    const [updated] = await db
+      .update(users)
+      .set({ leaderboardOptIn: req.body.optIn, displayName: name })
+      .where(eq(users.id, user.id))
+      .returning();
+
+    console.log(
+      `🏅 User ${user.id} ${
+        updated.leaderboardOptIn ? "joined" : "left"
+      } the leaderboard`
+    );
+
+    res.json({
+      success: true,
+      message: updated.leaderboardOptIn
+        ? "You're on the leaderboard"
+        : "You're not on the leaderboard",
+      data: await profile(updated),
+    });
+  } catch (error) {
+    console.error("❌ Update leaderboard profile error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update leaderboard profile",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
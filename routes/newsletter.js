@@ -0,0 +1,317 @@
+// Newsletter links from emails: confirm, unsubscribe and preferences. Each
+// takes the signed token from the link. Browsers get a small HTML page,
+// API clients get JSON.
+const express = require("express");
+const { eq } = require("drizzle-orm");
+const { db } = require("../lib/db");
+const { newsletterSubscriptions } = require("../lib/schema");
+const {
+  NEWSLETTER_TOPICS,
+  CONFIRMABLE_STATUSES,
+  isNewsletterConfigured,
+  verifySubscriptionToken,
+  subscriptionLinks,
+} = require("../lib/newsletter");
+const { cancelQueuedCampaignEmails } = require("../lib/campaigns");
+const { emitWebhookEvent } = require("../lib/webhooks");
+const { html } = require("../lib/templates/html");
+const { BRAND } = require("../lib/templates/branding");
+const { respond } = require("../lib/pages");
+const schemas = require("../lib/request-schemas");
+const { z, validate, requiredText, booleanish } = require("../lib/validation");
+
+const router = express.Router();
+
+function requireNewsletterSetup(req, res, next) {
+  if (!db) {
+    return res.status(500).json({
+      success: false,
+      message: "Database connection not available",
+    });
+  }
+  if (!isNewsletterConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: "Newsletter confirmation not configured",
+    });
+  }
+  next();
+}
+
+router.use(requireNewsletterSetup);
+
+// One-click unsubscribe posts the token in the query string, with a
+// "List-Unsubscribe=One-Click" form body (RFC 8058)
+const token = z.object({ token: requiredText(2000) });
+const validateQueryToken = validate({ query: token });
+const validateUnsubscribe = validate({
+  query: token.partial(),
+  body: token.partial(),
+});
+const validatePreferences = validate({
+  body: token.extend({
+    topics: schemas.topics(),
+    subscribed: booleanish(),
+  }),
+});
+
+// The subscription a token was signed for, if it still belongs to the
+// same address. Address-only unsubscribe tokens from campaigns find the
+// address's subscription, or stand in for one with { id: null, email }.
+async function findSubscription(tokenValue, purpose) {
+  const claims = verifySubscriptionToken(tokenValue, purpose);
+  if (!claims) return null;
+
+  if (!claims.id) {
+    if (purpose !== "unsubscribe") return null;
+
+    const [subscription] = await db
+      .select()
+      .from(newsletterSubscriptions)
+      .where(eq(newsletterSubscriptions.email, claims.email));
+
+    return subscription || { id: null, email: claims.email, status: null };
+  }
+
+  const [subscription] = await db
+    .select()
+    .from(newsletterSubscriptions)
+    .where(eq(newsletterSubscriptions.id, claims.id));
+
+  return subscription && subscription.email === claims.email
+    ? subscription
+    : null;
+}
+
+function invalidLink(req, res) {
+  return respond(req, res, 400, {
+    title: "Link not valid",
+    message: "This link is invalid or has expired.",
+  });
+}
+
+function publicSubscription(subscription) {
+  return {
+    email: subscription.email,
+    status: subscription.status,
+    topics: subscription.topics || NEWSLETTER_TOPICS,
+    availableTopics: NEWSLETTER_TOPICS,
+    confirmedAt: subscription.confirmedAt,
+  };
+}
+
+// Confirm a pending or legacy subscription from the double opt-in or
+// re-confirmation email
+router.get("/confirm", validateQueryToken, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.query.token, "confirm");
+    if (!subscription || subscription.status === "unsubscribed") {
+      return invalidLink(req, res);
+    }
+
+    let confirmed = subscription;
+    if (CONFIRMABLE_STATUSES.includes(subscription.status)) {
+      [confirmed] = await db
+        .update(newsletterSubscriptions)
+        .set({
+          status: "confirmed",
+          confirmedAt: new Date(),
+          updatedAt: new Date(),
+        })
+        .where(eq(newsletterSubscriptions.id, subscription.id))
+        .returning();
+
+      console.log("✅ Newsletter subscription confirmed:", confirmed.id);
+      await emitWebhookEvent("newsletter.subscribed", {
+        id: confirmed.id,
+        email: confirmed.email,
+        topics: confirmed.topics,
+        confirmedAt: confirmed.confirmedAt,
+      });
+    }
+
+    const { preferencesUrl } = subscriptionLinks(confirmed);
+    respond(req, res, 200, {
+      title: "Subscription confirmed",
+      message: `Thanks! You're now subscribed to the ${BRAND.name} newsletter.`,
+      data: publicSubscription(confirmed),
+      form: html`<p>
+        <a href="${preferencesUrl}">Choose which emails you get</a>
+      </p>`,
+    });
+  } catch (error) {
+    console.error("❌ Newsletter confirmation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to confirm subscription",
+      error: error.message,
+    });
+  }
+});
+
+// Unsubscribe link: asks for confirmation, since mail scanners follow links
+router.get("/unsubscribe", validateQueryToken, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.query.token, "unsubscribe");
+    if (!subscription) return invalidLink(req, res);
+
+    respond(req, res, 200, {
+      title: "Unsubscribe",
+      message: `Stop sending ${BRAND.name} newsletters to ${subscription.email}?`,
+      data: publicSubscription(subscription),
+      form: html`
+        <form method="post">
+          <input type="hidden" name="token" value="${req.query.token}" />
+          <button
+            type="submit"
+            style="background-color: ${BRAND.color}; color: white; border: 0; padding: 12px 24px; border-radius: 5px; font-weight: bold; font-size: 16px; cursor: pointer;"
+          >
+            Unsubscribe
+          </button>
+        </form>
+      `,
+    });
+  } catch (error) {
+    console.error("❌ Newsletter unsubscribe page error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load unsubscribe page",
+      error: error.message,
+    });
+  }
+});
+
+// Unsubscribe, from the page above or a mail client's one-click button
+router.post("/unsubscribe", validateUnsubscribe, async (req, res) => {
+  try {
+    const tokenValue = req.query.token || req.body.token;
+    const subscription =
+      tokenValue && (await findSubscription(tokenValue, "unsubscribe"));
+    if (!subscription) return invalidLink(req, res);
+
+    if (!subscription.id) {
+      // Recorded as an unsubscribed subscription so campaigns skip them
+      const [created] = await db
+        .insert(newsletterSubscriptions)
+        .values({
+          email: subscription.email,
+          status: "unsubscribed",
+          unsubscribedAt: new Date(),
+        })
+        .onConflictDoUpdate({
+          target: newsletterSubscriptions.email,
+          set: {
+            status: "unsubscribed",
+            unsubscribedAt: new Date(),
+            updatedAt: new Date(),
+          },
+        })
+        .returning();
+
+      console.log("👋 Campaign recipient unsubscribed:", created.id);
+    } else if (subscription.status !== "unsubscribed") {
+      await db
+        .update(newsletterSubscriptions)
+        .set({
+          status: "unsubscribed",
+          unsubscribedAt: new Date(),
+          updatedAt: new Date(),
+        })
+        .where(eq(newsletterSubscriptions.id, subscription.id));
+
+      console.log("👋 Newsletter unsubscribed:", subscription.id);
+    }
+    await cancelQueuedCampaignEmails(db, subscription.email);
+
+    respond(req, res, 200, {
+      title: "Unsubscribed",
+      message: `${subscription.email} won't receive any more newsletters from us.`,
+    });
+  } catch (error) {
+    console.error("❌ Newsletter unsubscribe error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unsubscribe",
+      error: error.message,
+    });
+  }
+});
+
+// Current preferences, for the website's preferences page
+router.get("/preferences", validateQueryToken, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.query.token, "preferences");
+    if (!subscription) {
+      return res.status(400).json({
+        success: false,
+        message: "This link is invalid or has expired.",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: publicSubscription(subscription),
+    });
+  } catch (error) {
+    console.error("❌ Get newsletter preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get preferences",
+      error: error.message,
+    });
+  }
+});
+
+// Change topics, or unsubscribe / resubscribe with `subscribed`. The token
+// was emailed to the address, so resubscribing needs no new confirmation.
+router.put("/preferences", validatePreferences, async (req, res) => {
+  try {
+    const { topics, subscribed } = req.body;
+    const subscription = await findSubscription(req.body.token, "preferences");
+    if (!subscription) {
+      return res.status(400).json({
+        success: false,
+        message: "This link is invalid or has expired.",
+      });
+    }
+
+    const changes = { updatedAt: new Date() };
+    if (topics) changes.topics = topics;
+    if (subscribed === false && subscription.status !== "unsubscribed") {
+      changes.status = "unsubscribed";
+      changes.unsubscribedAt = new Date();
+    }
+    if (subscribed === true && subscription.status !== "confirmed") {
+      changes.status = "confirmed";
+      changes.confirmedAt = new Date();
+      changes.unsubscribedAt = null;
+    }
+
+    const [updated] = await db
+      .update(newsletterSubscriptions)
+      .set(changes)
+      .where(eq(newsletterSubscriptions.id, subscription.id))
+      .returning();
+
+    if (updated.status === "unsubscribed") {
+      await cancelQueuedCampaignEmails(db, updated.email);
+    }
+
+    console.log("⚙️ Newsletter preferences updated:", updated.id);
+
+    res.json({
+      success: true,
+      message: "Preferences updated successfully",
+      data: publicSubscription(updated),
+    });
+  } catch (error) {
+    console.error("❌ Update newsletter preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update preferences",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
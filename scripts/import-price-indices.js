@@ -0,0 +1,31 @@
+// Import ONS price index CSV downloads into price_indices:
+//   node scripts/import-price-indices.js [file.csv ...]
+// With no files, the bundled snapshots in data/ons are imported.
+require("dotenv").config();
+const fs = require("fs");
+const {
+  INDEX_TYPES,
+  parseOnsCsv,
+  readBundledSeries,
+  importPriceIndices,
+} = require("../lib/price-indices");
+
+async function main() {
+  const files = process.argv.slice(2);
+  const seriesList =
+    files.length > 0
+      ? files.map((file) => parseOnsCsv(fs.readFileSync(file, "utf8")))
+      : INDEX_TYPES.map((indexType) => readBundledSeries(indexType));
+
+  for (const series of seriesList) {
+    const imported = await importPriceIndices(series);
+    console.log(`📈 Imported ${imported} ${series.indexType} index values`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Price index import failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,148 @@
+// Database migrations (see lib/migrations.js):
+//   node scripts/migrate.js status                  applied, pending and drift
+//   node scripts/migrate.js up [--to <id>]          apply pending migrations
+//   node scripts/migrate.js down [--steps <n> | --to <id>]   roll back
+//   node scripts/migrate.js generate <name>         write a migration for
+//                                                   changes to lib/schema.js
+//   node scripts/migrate.js check                   exit 1 when anything is
+//                                                   pending or has drifted
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { sql } = require("../lib/db");
+const {
+  nextMigrationFile,
+  migrationStatus,
+  migrate,
+  rollback,
+} = require("../lib/migrations");
+const {
+  diffSchema,
+  hasChanges,
+  hasDrift,
+  describeDiff,
+  renderMigration,
+} = require("../lib/schema-diff");
+
+const [command = "status", ...args] = process.argv.slice(2);
+
+function option(name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function printStatus(status) {
+  console.log("📋 Migrations:");
+  for (const migration of status.applied) {
+    console.log(
+      `  ✅ ${migration.id} applied ${new Date(
+        migration.appliedAt
+      ).toISOString()}${migration.changed ? " (file edited since)" : ""}`
+    );
+  }
+  for (const migration of status.pending) {
+    console.log(`  ⏳ ${migration.id} pending`);
+  }
+  for (const migration of status.missing) {
+    console.log(`  ⚠️ ${migration.id} applied, file missing`);
+  }
+}
+
+function printDrift(diff) {
+  const lines = describeDiff(diff);
+  console.log(
+    lines.length
+      ? "🔍 Database differs from lib/schema.js:"
+      : "🔍 Database matches lib/schema.js"
+  );
+  for (const line of lines) console.log(`  - ${line}`);
+}
+
+const commands = {
+  async status() {
+    const status = await migrationStatus();
+    printStatus(status);
+    if (status.pending.length === 0) printDrift(await diffSchema(sql));
+    return 0;
+  },
+
+  async up() {
+    const applied = await migrate({ to: option("to") });
+    console.log(
+      applied.length
+        ? `✅ Applied ${applied.length} migration(s)`
+        : "✅ No pending migrations"
+    );
+    return 0;
+  },
+
+  async down() {
+    const steps = parseInt(option("steps") || "1");
+    if (!(steps > 0)) throw new Error("--steps must be a positive number");
+
+    const rolledBack = await rollback({ steps, to: option("to") });
+    console.log(
+      rolledBack.length
+        ? `↩️ Rolled back ${rolledBack.length} migration(s)`
+        : "↩️ Nothing to roll back"
+    );
+    return 0;
+  },
+
+  async generate() {
+    const name = args.find((arg) => !arg.startsWith("--"));
+    if (!name) throw new Error("Usage: migrate.js generate <name>");
+
+    // The diff is against the database, so it must already have every
+    // migration applied or they would be generated again
+    const status = await migrationStatus();
+    if (status.pending.length > 0) {
+      throw new Error(
+        "Apply pending migrations first (npm run db:migrate), then generate"
+      );
+    }
+
+    const diff = await diffSchema(sql);
+    if (!hasChanges(diff)) {
+      printDrift(diff);
+      console.log("✅ Nothing to generate");
+      return 0;
+    }
+
+    const file = nextMigrationFile(name);
+    fs.writeFileSync(file, renderMigration(path.basename(file, ".js"), diff));
+    console.log(`📝 Wrote ${path.relative(process.cwd(), file)}`);
+    for (const line of describeDiff(diff)) console.log(`  - ${line}`);
+    return 0;
+  },
+
+  async check() {
+    const status = await migrationStatus();
+    printStatus(status);
+    if (status.pending.length > 0) {
+      console.log("❌ Migrations pending");
+      return 1;
+    }
+
+    const diff = await diffSchema(sql);
+    printDrift(diff);
+    const changed = status.applied.some((migration) => migration.changed);
+    return hasDrift(diff) || changed || status.missing.length > 0 ? 1 : 0;
+  },
+};
+
+if (!commands[command]) {
+  console.error(
+    `❌ Unknown command "${command}". Use one of: ${Object.keys(commands).join(
+      ", "
+    )}`
+  );
+  process.exit(1);
+}
+
+commands[command]()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`❌ Migration ${command} failed:`, error.message);
+    process.exit(1);
+  });
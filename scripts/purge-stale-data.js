@@ -0,0 +1,19 @@
+// Standalone retention run (see lib/retention.js), e.g. daily from cron:
+//   node scripts/purge-stale-data.js [--dry-run]
+require("dotenv").config();
+const { purgeStaleData } = require("../lib/retention");
+
+const dryRun = process.argv.includes("--dry-run");
+
+purgeStaleData({ dryRun })
+  .then((summary) => {
+    console.log(
+      dryRun ? "🧹 Retention dry run, would purge:" : "🧹 Retention complete:",
+      summary
+    );
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("❌ Retention run failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,14 @@
+// Standalone CRM sync retry run, e.g. from cron:
+//   node scripts/retry-crm-syncs.js
+require("dotenv").config();
+const { processCrmSyncs } = require("../lib/crm-sync");
+
+processCrmSyncs()
+  .then((summary) => {
+    console.log("🔄 CRM sync retry complete:", summary);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("❌ CRM sync retry failed:", error);
+    process.exit(1);
+  });
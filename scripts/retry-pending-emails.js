@@ -0,0 +1,14 @@
+// Standalone pending email retry run, e.g. from cron:
+//   node scripts/retry-pending-emails.js
+require("dotenv").config();
+const { processPendingEmails } = require("../lib/email-retry-worker");
+
+processPendingEmails()
+  .then((summary) => {
+    console.log("📬 Pending email retry complete:", summary);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("❌ Pending email retry failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,14 @@
+// Standalone webhook delivery retry run, e.g. from cron:
+//   node scripts/retry-webhooks.js
+require("dotenv").config();
+const { processWebhookDeliveries } = require("../lib/webhooks");
+
+processWebhookDeliveries()
+  .then((summary) => {
+    console.log("🪝 Webhook retry complete:", summary);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("❌ Webhook retry failed:", error);
+    process.exit(1);
+  });
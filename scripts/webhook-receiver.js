@@ -0,0 +1,47 @@
+// Local webhook receiver for trying out /api/admin/webhooks. Prints each
+// delivery and checks its signature:
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+// then register http://localhost:<port>/ as a subscription URL. Set
+// WEBHOOK_RECEIVER_STATUS=500 to answer with an error and exercise retries.
+const http = require("http");
+const { verifySignature } = require("../lib/webhooks");
+
+const PORT = parseInt(process.argv[2]) || 9000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const STATUS = parseInt(process.env.WEBHOOK_RECEIVER_STATUS) || 200;
+
+// Deliveries signed longer ago than this are treated as replays
+const TOLERANCE_SECONDS = 5 * 60;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const timestamp = req.headers["x-webhook-timestamp"];
+    const signature = req.headers["x-webhook-signature"];
+
+    let verdict = "⚠️ not checked (WEBHOOK_SECRET unset)";
+    if (SECRET) {
+      const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+      verdict = !verifySignature(SECRET, timestamp, body, signature)
+        ? "❌ invalid"
+        : age > TOLERANCE_SECONDS
+        ? "❌ too old"
+        : "✅ valid";
+    }
+
+    console.log(
+      `🪝 ${req.method} ${req.url} ${req.headers["x-webhook-event"]} (${req.headers["x-webhook-id"]})`
+    );
+    console.log(`   Signature: ${verdict}`);
+    console.log(`   Body: ${body}`);
+
+    res.writeHead(STATUS, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}/`);
+});
@@ -0,0 +1,138 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { eq } = require("drizzle-orm");
+const { createTestDatabase } = require("./helpers/database");
+const { createMemoryTransport } = require("../lib/mail-transports");
+const { SENDERS, sendEmail } = require("../lib/mailer");
+const { processPendingEmails } = require("../lib/email-retry-worker");
+const { pendingEmails } = require("../lib/schema");
+
+const START = new Date("2025-01-01T09:00:00Z");
+
+function at(ms) {
+  return () => new Date(START.getTime() + ms);
+}
+
+// Queue an email by sending it while the transport is down
+async function queueEmail(db, transport, options = {}) {
+  transport.failWith = new Error("Service unavailable");
+  const result = await sendEmail(
+    {
+      to: "investor@example.com",
+      subject: "Your deal sourcing request",
+      html: "<p>Thanks</p>",
+      text: "Thanks",
+      emailType: "deal_sourcing_confirmation",
+      ...options,
+    },
+    { db, transport }
+  );
+  assert.deepStrictEqual(
+    { sent: result.sent, stored: result.stored },
+    { sent: false, stored: true }
+  );
+
+  const [email] = await db.select().from(pendingEmails);
+  return email;
+}
+
+async function reload(db, id) {
+  const [email] = await db
+    .select()
+    .from(pendingEmails)
+    .where(eq(pendingEmails.id, id));
+  return email;
+}
+
+test("delivers a queued email with the sender chain it was sent with", async () => {
+  const { db, close } = await createTestDatabase();
+  const transport = createMemoryTransport();
+  const queued = await queueEmail(db, transport, { senders: SENDERS.deals });
+  assert.strictEqual(queued.senderKey, "deals");
+
+  transport.clear();
+  const summary = await processPendingEmails({ db, transport, now: at(0) });
+
+  assert.deepStrictEqual(summary, {
+    processed: 1,
+    sent: 1,
+    retrying: 0,
+    failed: 0,
+  });
+  assert.strictEqual(transport.messages.length, 1);
+  assert.strictEqual(transport.messages[0].to, "investor@example.com");
+  assert.strictEqual(
+    transport.messages[0].from.email,
+    "deals@krpropertyinvestments.com"
+  );
+
+  const email = await reload(db, queued.id);
+  assert.strictEqual(email.status, "sent");
+  assert.strictEqual(email.attempts, 1);
+  assert.strictEqual(email.nextAttemptAt, null);
+  assert.deepStrictEqual(email.sentAt, START);
+  await close();
+});
+
+test("retries a failed email with exponential backoff", async () => {
+  const { db, close } = await createTestDatabase();
+  const transport = createMemoryTransport();
+  const queued = await queueEmail(db, transport);
+  assert.strictEqual(queued.senderKey, null);
+
+  const options = { db, transport, baseDelayMs: 1000, maxDelayMs: 60000 };
+  let summary = await processPendingEmails({ ...options, now: at(0) });
+  assert.strictEqual(summary.retrying, 1);
+
+  let email = await reload(db, queued.id);
+  assert.strictEqual(email.status, "pending");
+  assert.strictEqual(email.attempts, 1);
+  assert.deepStrictEqual(email.nextAttemptAt, at(1000)());
+  assert.match(email.errorDetails, /Service unavailable/);
+
+  // Not due again until the delay has passed
+  summary = await processPendingEmails({ ...options, now: at(999) });
+  assert.strictEqual(summary.processed, 0);
+
+  summary = await processPendingEmails({ ...options, now: at(1000) });
+  assert.strictEqual(summary.retrying, 1);
+
+  email = await reload(db, queued.id);
+  assert.strictEqual(email.attempts, 2);
+  assert.deepStrictEqual(email.nextAttemptAt, at(3000)());
+
+  transport.clear();
+  summary = await processPendingEmails({ ...options, now: at(3000) });
+  assert.strictEqual(summary.sent, 1);
+  assert.strictEqual((await reload(db, queued.id)).attempts, 3);
+  await close();
+});
+
+test("marks an email failed after the maximum attempts", async () => {
+  const { db, close } = await createTestDatabase();
+  const transport = createMemoryTransport();
+  const queued = await queueEmail(db, transport);
+
+  const options = { db, transport, maxAttempts: 2, baseDelayMs: 1000 };
+  await processPendingEmails({ ...options, now: at(0) });
+  const summary = await processPendingEmails({ ...options, now: at(1000) });
+
+  assert.deepStrictEqual(summary, {
+    processed: 1,
+    sent: 0,
+    retrying: 0,
+    failed: 1,
+  });
+
+  const email = await reload(db, queued.id);
+  assert.strictEqual(email.status, "failed");
+  assert.strictEqual(email.attempts, 2);
+  assert.strictEqual(email.nextAttemptAt, null);
+
+  // Failed emails are left alone
+  transport.clear();
+  const later = await processPendingEmails({ ...options, now: at(60000) });
+  assert.strictEqual(later.processed, 0);
+  assert.strictEqual(transport.messages.length, 0);
+  await close();
+});
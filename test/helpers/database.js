@@ -0,0 +1,40 @@
+// In-memory Postgres (PGlite) with the app's migrations applied, for tests
+// that need a database. `sql` mimics the neon tag that lib/migrations.js
+// expects: queries are built unawaited and run by sql.transaction().
+const { PGlite } = require("@electric-sql/pglite");
+const { drizzle } = require("drizzle-orm/pglite");
+const { migrate } = require("../../lib/migrations");
+
+function createSqlTag(client) {
+  const sql = (strings, ...values) => ({
+    strings,
+    values,
+    then(resolve, reject) {
+      return client
+        .sql(strings, ...values)
+        .then((result) => result.rows)
+        .then(resolve, reject);
+    },
+  });
+
+  sql.transaction = (queries) =>
+    client.transaction(async (tx) => {
+      const results = [];
+      for (const query of queries) {
+        results.push((await tx.sql(query.strings, ...query.values)).rows);
+      }
+      return results;
+    });
+
+  return sql;
+}
+
+async function createTestDatabase() {
+  const client = new PGlite();
+  const sql = createSqlTag(client);
+  await migrate({ sql });
+
+  return { db: drizzle(client), sql, close: () => client.close() };
+}
+
+module.exports = { createTestDatabase };
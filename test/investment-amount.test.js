@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  parseInvestmentAmount,
+  normalizeInvestmentAmount,
+} = require("../lib/investment-amount");
+
+// The contact and waitlist forms' investment amount options, then free
+// text people type in instead
+const FORM_OPTIONS = [
+  ["Under £50k", 0, "under_50k"],
+  ["£50k - £100k", 50e3, "50k_100k"],
+  ["£100k - £250k", 100e3, "100k_250k"],
+  ["£250k - £500k", 250e3, "250k_500k"],
+  ["£500k+", 500e3, "500k_plus"],
+  ["Over £500k", 500e3, "500k_plus"],
+];
+
+const FREE_TEXT = [
+  ["£250,000", 250e3],
+  ["250k", 250e3],
+  ["1.5m+", 1.5e6],
+  ["£2 million", 2e6],
+  ["100k-250k", 100e3],
+  ["between 20 and 30k", 20e3],
+  ["20-30k", 20e3],
+  ["£500,000 - 1m", 500e3],
+  ["less than £100k", 0],
+  ["below 50,000", 0],
+  ["up to £75k", 0],
+  ["< 50k", 0],
+  ["around 60K", 60e3],
+  ["5 months' salary", 5],
+  ["Not sure yet", null],
+  ["", null],
+];
+
+test("parses the form's investment amount options", () => {
+  for (const [text, amount, band] of FORM_OPTIONS) {
+    assert.deepStrictEqual(
+      normalizeInvestmentAmount(text),
+      { investmentValue: amount, investmentBand: band },
+      text
+    );
+  }
+});
+
+test("parses free-text amounts to their lower bound", () => {
+  for (const [text, amount] of FREE_TEXT) {
+    assert.strictEqual(parseInvestmentAmount(text), amount, text);
+  }
+});
+
+test("passes numbers through and rejects missing values", () => {
+  assert.strictEqual(parseInvestmentAmount(120000), 120000);
+  assert.strictEqual(parseInvestmentAmount(Infinity), null);
+  assert.strictEqual(parseInvestmentAmount(null), null);
+  assert.strictEqual(parseInvestmentAmount(undefined), null);
+  assert.strictEqual(normalizeInvestmentAmount(null).investmentBand, "unknown");
+});
@@ -0,0 +1,225 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { eq } = require("drizzle-orm");
+const { createTestDatabase } = require("./helpers/database");
+const {
+  generateSecret,
+  verifySignature,
+  deliverToSubscriptions,
+  processWebhookDeliveries,
+} = require("../lib/webhooks");
+const { webhookSubscriptions, webhookDeliveries } = require("../lib/schema");
+
+const LEASE_MS = 10 * 60 * 1000;
+
+// A receiver on a free port that records each request and answers with
+// the next of `statuses` (the last one repeats)
+async function startReceiver(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      requests.push({
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString("utf8"),
+      });
+      const status = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ received: status < 300 }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/hooks`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+async function subscribe(db, url) {
+  const [subscription] = await db
+    .insert(webhookSubscriptions)
+    .values({ url, events: ["contact.created"], secret: generateSecret() })
+    .returning();
+  return subscription;
+}
+
+async function reload(db, id) {
+  const [delivery] = await db
+    .select()
+    .from(webhookDeliveries)
+    .where(eq(webhookDeliveries.id, id));
+  return delivery;
+}
+
+test("signs deliveries so the receiver can verify them", async () => {
+  const { db, close } = await createTestDatabase();
+  const receiver = await startReceiver();
+  const subscription = await subscribe(db, receiver.url);
+
+  const [{ delivery, outcome }] = await deliverToSubscriptions(
+    db,
+    [subscription],
+    { event: "contact.created", payload: { email: "lead@example.com" } }
+  );
+  assert.strictEqual(outcome, "delivered");
+
+  assert.strictEqual(receiver.requests.length, 1);
+  const { headers, body } = receiver.requests[0];
+  assert.strictEqual(headers["x-webhook-event"], "contact.created");
+  assert.strictEqual(headers["x-webhook-id"], delivery.eventId);
+  assert.ok(
+    verifySignature(
+      subscription.secret,
+      headers["x-webhook-timestamp"],
+      body,
+      headers["x-webhook-signature"]
+    )
+  );
+  assert.ok(
+    !verifySignature(
+      generateSecret(),
+      headers["x-webhook-timestamp"],
+      body,
+      headers["x-webhook-signature"]
+    )
+  );
+  assert.deepStrictEqual(JSON.parse(body).data, {
+    email: "lead@example.com",
+  });
+
+  const stored = await reload(db, delivery.id);
+  assert.strictEqual(stored.status, "delivered");
+  assert.strictEqual(stored.responseStatus, 200);
+
+  await receiver.close();
+  await close();
+});
+
+test("retries a delivery the receiver answered with a 5xx", async () => {
+  const { db, close } = await createTestDatabase();
+  const receiver = await startReceiver([503, 200]);
+  const subscription = await subscribe(db, receiver.url);
+
+  const [{ delivery, outcome }] = await deliverToSubscriptions(
+    db,
+    [subscription],
+    { event: "contact.created", payload: { email: "lead@example.com" } }
+  );
+  assert.strictEqual(outcome, "retrying");
+
+  let stored = await reload(db, delivery.id);
+  assert.strictEqual(stored.status, "pending");
+  assert.strictEqual(stored.responseStatus, 503);
+  assert.match(stored.lastError, /503/);
+
+  // Not retried before its next attempt is due
+  const due = stored.nextAttemptAt.getTime();
+  let summary = await processWebhookDeliveries({
+    db,
+    now: () => new Date(due - 1),
+  });
+  assert.strictEqual(summary.processed, 0);
+
+  summary = await processWebhookDeliveries({ db, now: () => new Date(due) });
+  assert.strictEqual(summary.delivered, 1);
+
+  assert.strictEqual(receiver.requests.length, 2);
+  assert.strictEqual(
+    receiver.requests[1].headers["x-webhook-id"],
+    receiver.requests[0].headers["x-webhook-id"]
+  );
+
+  stored = await reload(db, delivery.id);
+  assert.strictEqual(stored.status, "delivered");
+  assert.strictEqual(stored.attempts, 2);
+
+  await receiver.close();
+  await close();
+});
+
+test("backs off exponentially between failed attempts", async () => {
+  const { db, close } = await createTestDatabase();
+  const receiver = await startReceiver([500]);
+  const subscription = await subscribe(db, receiver.url);
+  const start = new Date();
+  const at = (ms) => () => new Date(start.getTime() + ms);
+  const options = { db, maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 60000 };
+
+  const [delivery] = await db
+    .insert(webhookDeliveries)
+    .values({
+      subscriptionId: subscription.id,
+      event: "contact.created",
+      eventId: "evt_backoff",
+      payload: {},
+    })
+    .returning();
+
+  let summary = await processWebhookDeliveries({ ...options, now: at(0) });
+  assert.strictEqual(summary.retrying, 1);
+  assert.deepStrictEqual(
+    (await reload(db, delivery.id)).nextAttemptAt,
+    at(1000)()
+  );
+
+  summary = await processWebhookDeliveries({ ...options, now: at(1000) });
+  assert.strictEqual(summary.retrying, 1);
+  assert.deepStrictEqual(
+    (await reload(db, delivery.id)).nextAttemptAt,
+    at(3000)()
+  );
+
+  summary = await processWebhookDeliveries({ ...options, now: at(3000) });
+  assert.strictEqual(summary.failed, 1);
+
+  const stored = await reload(db, delivery.id);
+  assert.strictEqual(stored.status, "failed");
+  assert.strictEqual(stored.attempts, 3);
+  assert.strictEqual(stored.nextAttemptAt, null);
+  assert.strictEqual(receiver.requests.length, 3);
+
+  await receiver.close();
+  await close();
+});
+
+test("leaves claimed deliveries to the worker that claimed them", async () => {
+  const { db, close } = await createTestDatabase();
+  const receiver = await startReceiver();
+  const subscription = await subscribe(db, receiver.url);
+  const start = new Date();
+  const at = (ms) => () => new Date(start.getTime() + ms);
+
+  // As left by an attempt that never recorded its outcome
+  const [delivery] = await db
+    .insert(webhookDeliveries)
+    .values({
+      subscriptionId: subscription.id,
+      event: "contact.created",
+      eventId: "evt_claimed",
+      payload: {},
+      nextAttemptAt: at(LEASE_MS)(),
+    })
+    .returning();
+
+  let summary = await processWebhookDeliveries({ db, now: at(0) });
+  assert.strictEqual(summary.processed, 0);
+  assert.strictEqual(receiver.requests.length, 0);
+
+  // Once the lease runs out, only one of two workers sends it
+  const summaries = await Promise.all([
+    processWebhookDeliveries({ db, now: at(LEASE_MS) }),
+    processWebhookDeliveries({ db, now: at(LEASE_MS) }),
+  ]);
+  assert.deepStrictEqual(summaries.map((run) => run.processed).sort(), [0, 1]);
+  assert.strictEqual(receiver.requests.length, 1);
+  assert.strictEqual((await reload(db, delivery.id)).status, "delivered");
+
+  await receiver.close();
+  await close();
+});